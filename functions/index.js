@@ -11,6 +11,7 @@ const {
   getFirestore,
   Timestamp,
   FieldValue,
+  FieldPath,
 } = require('firebase-admin/firestore');
 const logger = require('firebase-functions/logger');
 const { marked } = require('marked');
@@ -113,6 +114,10 @@ const handleFunctionCall = async (props, functionName, args) => {
       // Call the updateEvent function
       return await updateEvent({ data: args });
 
+    case 'update_event_occurrence':
+      // Call the updateEventOccurrence function
+      return await updateEventOccurrence({ data: args });
+
     case 'delete_event':
       // Call the deleteEvent function
       return await deleteEvent({ data: args });
@@ -129,26 +134,58 @@ const handleFunctionCall = async (props, functionName, args) => {
       // Call the getEventCategories function
       return await getEventCategories();
 
+    case 'get_event_attendees':
+      // Count who is coming to an event, with swimmers' names for signed-in
+      // admins and coaches only; find the event with search_events first
+      return await eventRsvpsFunctions.getEventAttendance(
+        args.eventId,
+        props.auth
+      );
+
+    case 'get_volunteer_shifts':
+      // List an event's volunteer jobs and their open slots; find the
+      // event with search_events first
+      return await volunteeringFunctions.getVolunteerShiftSummary(
+        args.eventId
+      );
+
     // Best Times functions
     case 'add_best_time':
       // Call the addBestTime function
-      return await bestTimesFunctions.addBestTime({ data: args });
+      return await bestTimesFunctions.addBestTime.run({ data: args });
 
     case 'set_goal_time':
       // Call the setGoalTime function
-      return await bestTimesFunctions.setGoalTime({ data: args });
+      return await goalsFunctions.setGoalTime.run({ data: args });
 
     case 'get_best_times':
       // Call the getBestTimes function
-      return await bestTimesFunctions.getBestTimes({ data: args });
+      return await bestTimesFunctions.getBestTimes.run({ data: args });
 
     case 'get_best_time':
       // Call the getBestTime function
-      return await bestTimesFunctions.getBestTime({ data: args });
+      return await bestTimesFunctions.getBestTime.run({ data: args });
 
     case 'import_best_times':
       // Call the importBestTimes function
-      return await bestTimesFunctions.importBestTimes({ data: args });
+      return await bestTimesFunctions.importBestTimes.run({ data: args });
+
+    case 'convert_time':
+      // Call the convertTime function
+      return await bestTimesFunctions.convertTime.run({ data: args });
+
+    case 'get_split_analysis':
+      // Call the getSplitAnalysis function
+      return await splitsFunctions.getSplitAnalysis.run({ data: args });
+
+    // Club records functions
+    case 'get_club_records':
+      // Call the getClubRecords function
+      return await clubRecordsFunctions.getClubRecords.run({ data: args });
+
+    case 'get_record_breaks':
+      // Call the getRecordBreaks function; used to write record news
+      return await clubRecordsFunctions.getRecordBreaks.run({ data: args });
 
     default:
       logger.error(`Unknown function: ${functionName}`);
@@ -209,6 +246,7 @@ exports.handleOpenAI = onCall(
       const props = {
         ...process.env,
         threadId,
+        auth: request.auth,
       };
 
       const thread = threadId ? { id: threadId } : await createThread(props);
@@ -763,16 +801,119 @@ exports.newsApiStatus = onRequest(
           // Event endpoints
           'createEvent',
           'updateEvent',
+          'updateEventOccurrence',
           'deleteEvent',
           'getEvent',
           'searchEvents',
           'getEventCategories',
           // Best Times endpoints
           'addBestTime',
-          'setGoalTime',
           'getBestTimes',
           'getBestTime',
           'importBestTimes',
+          'deleteSwim',
+          'convertTime',
+          'importBestTimesCsv',
+          // Meet results endpoints
+          'importMeetResults',
+          // Time standards endpoints
+          'getTimeStandards',
+          'saveTimeStandard',
+          'deleteTimeStandard',
+          'importTimeStandards',
+          // Club records endpoints
+          'getClubRecords',
+          'getRecordBreaks',
+          'rebuildClubRecords',
+          // Split analysis endpoints
+          'getSplitAnalysis',
+          // Training group endpoints
+          'getTrainingGroups',
+          'saveTrainingGroup',
+          'deleteTrainingGroup',
+          'assignSwimmerToGroup',
+          'assignCoach',
+          'addSwimmerNote',
+          'getSwimmerNotes',
+          'deleteSwimmerNote',
+          // Guardian endpoints
+          'getLinkedAthletes',
+          'getAthleteGuardians',
+          'linkGuardianToAthlete',
+          'unlinkGuardianFromAthlete',
+          // Relay builder endpoints
+          'buildRelay',
+          'saveRelay',
+          'getRelays',
+          'deleteRelay',
+          // Meet entries endpoints
+          'saveMeetEvents',
+          'getMeets',
+          'getMeetEntryOptions',
+          'saveMeetEntries',
+          'getMeetEntries',
+          'reviewMeetEntries',
+          'exportMeetEntries',
+          // Meet running endpoints
+          'seedMeet',
+          'getHeatSheet',
+          'recordHeatResults',
+          'recordRelayResults',
+          'publishMeetResults',
+          // Meet scoring endpoints
+          'saveMeetScoring',
+          'getMeetStandings',
+          // Report card endpoints
+          'generateReportCard',
+          'generateGroupReportCards',
+          // Goal endpoints
+          'setGoalTime',
+          'getGoals',
+          // Notification endpoints
+          'getNotifications',
+          'markNotificationsRead',
+          // Athlete profile and age group endpoints
+          'getAthleteProfile',
+          'updateAthleteProfile',
+          'getAgeGroupSettings',
+          'saveAgeGroupSettings',
+          // Points endpoints
+          'getPointsBaseTimes',
+          'importPointsBaseTimes',
+          'recalculateSwimPoints',
+          'getPointsRankings',
+          // Improvement and Swimmer of the Week endpoints
+          'getImprovementLeaderboard',
+          'getSwimmersOfWeek',
+          'selectSwimmerOfWeek',
+          'deleteSwimmerOfWeek',
+          // Calendar feed endpoints
+          'calendarFeed',
+          'getCalendarFeedToken',
+          // Event RSVP endpoints
+          'saveEventRsvp',
+          'getEventRsvps',
+          'getEventAttendees',
+          'exportEventAttendees',
+          // Volunteering endpoints
+          'saveVolunteerShifts',
+          'getVolunteerShifts',
+          'signUpForVolunteerShift',
+          'swapVolunteerShift',
+          'offerVolunteerShift',
+          'cancelVolunteerSignup',
+          'setVolunteerNoShow',
+          'getMyVolunteering',
+          'getVolunteerHours',
+          'exportVolunteerHours',
+          'getVolunteerSettings',
+          'saveVolunteerSettings',
+          // Event reminder endpoints
+          'getReminderPreferences',
+          'saveReminderPreferences',
+          'getEventReminderSettings',
+          'saveEventReminderSettings',
+          'runEventReminders',
         ],
         message:
           'API is operational. Use Firebase callable functions to interact with the News and Events API.',
@@ -798,6 +939,82 @@ const contactFormFunctions = require('./contactForm');
 // Import best times functions
 const bestTimesFunctions = require('./src/bestTimes');
 
+// Import CSV best times import functions
+const csvImportFunctions = require('./src/csvImport');
+
+// Import meet results functions
+const meetResultsFunctions = require('./src/meetResults');
+
+// Import time standards functions
+const timeStandardsFunctions = require('./src/timeStandards');
+
+// Import club records functions
+const clubRecordsFunctions = require('./src/clubRecords');
+
+// Import split analysis functions
+const splitsFunctions = require('./src/splits');
+
+// Import training group functions
+const trainingGroupsFunctions = require('./src/trainingGroups');
+
+// Import guardian functions
+const guardiansFunctions = require('./src/guardians');
+
+// Import relay builder functions
+const relaysFunctions = require('./src/relays');
+
+// Import meet entries functions
+const meetEntriesFunctions = require('./src/meetEntries');
+
+// Import meet running functions
+const meetRunningFunctions = require('./src/meetRunning');
+
+// Import meet scoring functions
+const meetScoringFunctions = require('./src/meetScoring');
+
+// Import report card functions
+const reportCardsFunctions = require('./src/reportCards');
+
+// Import goal functions
+const goalsFunctions = require('./src/goals');
+
+// Import notification functions
+const notificationsFunctions = require('./src/notifications');
+
+// Import athlete profile and age group functions
+const athleteProfilesFunctions = require('./src/athleteProfiles');
+const ageGroupSettingsFunctions = require('./src/ageGroupSettings');
+
+// Import World Aquatics points functions
+const swimPointsFunctions = require('./src/swimPoints');
+
+// Import improvement leaderboard and Swimmer of the Week functions
+const improvementFunctions = require('./src/improvement');
+const swimmerOfWeekFunctions = require('./src/swimmerOfWeek');
+
+// Import calendar feed functions
+const calendarFeedFunctions = require('./src/calendarFeed');
+
+// Import event RSVP functions
+const eventRsvpsFunctions = require('./src/eventRsvps');
+
+// Import volunteering functions
+const volunteeringFunctions = require('./src/volunteering');
+
+// Import event reminder functions
+const eventRemindersFunctions = require('./src/eventReminders');
+
+// Import recurring event helpers
+const {
+  normalizeRecurrenceRule,
+  normalizeExceptionDates,
+  isOccurrenceDate,
+  parseOccurrenceId,
+  expandEvent,
+  expandOccurrence,
+  loadEventOccurrences,
+} = require('./src/recurrence');
+
 // Export invitation functions
 exports.sendInvitations = invitationFunctions.sendInvitations;
 exports.resendInvitation = invitationFunctions.resendInvitation;
@@ -818,14 +1035,206 @@ exports.updateContactFormSettings =
 
 // Export best times functions
 exports.addBestTime = bestTimesFunctions.addBestTime;
-exports.setGoalTime = bestTimesFunctions.setGoalTime;
 exports.getBestTimes = bestTimesFunctions.getBestTimes;
 exports.getBestTime = bestTimesFunctions.getBestTime;
 exports.importBestTimes = bestTimesFunctions.importBestTimes;
+exports.deleteSwim = bestTimesFunctions.deleteSwim;
+exports.convertTime = bestTimesFunctions.convertTime;
+exports.importBestTimesCsv = csvImportFunctions.importBestTimesCsv;
+
+// Export meet results functions
+exports.importMeetResults = meetResultsFunctions.importMeetResults;
+
+// Export time standards functions
+exports.getTimeStandards = timeStandardsFunctions.getTimeStandards;
+exports.saveTimeStandard = timeStandardsFunctions.saveTimeStandard;
+exports.deleteTimeStandard = timeStandardsFunctions.deleteTimeStandard;
+exports.importTimeStandards = timeStandardsFunctions.importTimeStandards;
+
+// Export club records functions
+exports.onSwimRecorded = clubRecordsFunctions.onSwimRecorded;
+exports.getClubRecords = clubRecordsFunctions.getClubRecords;
+exports.getRecordBreaks = clubRecordsFunctions.getRecordBreaks;
+exports.rebuildClubRecords = clubRecordsFunctions.rebuildClubRecords;
+
+// Export split analysis functions
+exports.getSplitAnalysis = splitsFunctions.getSplitAnalysis;
+
+// Export training group functions
+exports.getTrainingGroups = trainingGroupsFunctions.getTrainingGroups;
+exports.saveTrainingGroup = trainingGroupsFunctions.saveTrainingGroup;
+exports.deleteTrainingGroup = trainingGroupsFunctions.deleteTrainingGroup;
+exports.assignSwimmerToGroup = trainingGroupsFunctions.assignSwimmerToGroup;
+exports.assignCoach = trainingGroupsFunctions.assignCoach;
+exports.addSwimmerNote = trainingGroupsFunctions.addSwimmerNote;
+exports.getSwimmerNotes = trainingGroupsFunctions.getSwimmerNotes;
+exports.deleteSwimmerNote = trainingGroupsFunctions.deleteSwimmerNote;
+
+// Export guardian functions
+exports.getLinkedAthletes = guardiansFunctions.getLinkedAthletes;
+exports.getAthleteGuardians = guardiansFunctions.getAthleteGuardians;
+exports.linkGuardianToAthlete = guardiansFunctions.linkGuardianToAthlete;
+exports.unlinkGuardianFromAthlete =
+  guardiansFunctions.unlinkGuardianFromAthlete;
+
+// Export relay builder functions
+exports.buildRelay = relaysFunctions.buildRelay;
+exports.saveRelay = relaysFunctions.saveRelay;
+exports.getRelays = relaysFunctions.getRelays;
+exports.deleteRelay = relaysFunctions.deleteRelay;
+
+// Export meet entries functions
+exports.saveMeetEvents = meetEntriesFunctions.saveMeetEvents;
+exports.getMeets = meetEntriesFunctions.getMeets;
+exports.getMeetEntryOptions = meetEntriesFunctions.getMeetEntryOptions;
+exports.saveMeetEntries = meetEntriesFunctions.saveMeetEntries;
+exports.getMeetEntries = meetEntriesFunctions.getMeetEntries;
+exports.reviewMeetEntries = meetEntriesFunctions.reviewMeetEntries;
+exports.exportMeetEntries = meetEntriesFunctions.exportMeetEntries;
+
+// Export meet running functions
+exports.seedMeet = meetRunningFunctions.seedMeet;
+exports.getHeatSheet = meetRunningFunctions.getHeatSheet;
+exports.recordHeatResults = meetRunningFunctions.recordHeatResults;
+exports.recordRelayResults = meetRunningFunctions.recordRelayResults;
+exports.publishMeetResults = meetRunningFunctions.publishMeetResults;
+
+// Export meet scoring functions
+exports.saveMeetScoring = meetScoringFunctions.saveMeetScoring;
+exports.getMeetStandings = meetScoringFunctions.getMeetStandings;
+
+// Export report card functions
+exports.generateReportCard = reportCardsFunctions.generateReportCard;
+exports.generateGroupReportCards = reportCardsFunctions.generateGroupReportCards;
+
+// Export goal functions
+exports.onSwimRecordedForGoals = goalsFunctions.onSwimRecordedForGoals;
+exports.setGoalTime = goalsFunctions.setGoalTime;
+exports.getGoals = goalsFunctions.getGoals;
+
+// Export notification functions
+exports.getNotifications = notificationsFunctions.getNotifications;
+exports.markNotificationsRead = notificationsFunctions.markNotificationsRead;
+
+// Export athlete profile and age group functions
+exports.getAthleteProfile = athleteProfilesFunctions.getAthleteProfile;
+exports.updateAthleteProfile = athleteProfilesFunctions.updateAthleteProfile;
+exports.getAgeGroupSettings = ageGroupSettingsFunctions.getAgeGroupSettings;
+exports.saveAgeGroupSettings = ageGroupSettingsFunctions.saveAgeGroupSettings;
+
+// Export World Aquatics points functions
+exports.onSwimRecordedForPoints = swimPointsFunctions.onSwimRecordedForPoints;
+exports.getPointsBaseTimes = swimPointsFunctions.getPointsBaseTimes;
+exports.importPointsBaseTimes = swimPointsFunctions.importPointsBaseTimes;
+exports.recalculateSwimPoints = swimPointsFunctions.recalculateSwimPoints;
+exports.getPointsRankings = swimPointsFunctions.getPointsRankings;
+
+// Export improvement leaderboard and Swimmer of the Week functions
+exports.getImprovementLeaderboard =
+  improvementFunctions.getImprovementLeaderboard;
+exports.getSwimmersOfWeek = swimmerOfWeekFunctions.getSwimmersOfWeek;
+exports.selectSwimmerOfWeek = swimmerOfWeekFunctions.selectSwimmerOfWeek;
+exports.deleteSwimmerOfWeek = swimmerOfWeekFunctions.deleteSwimmerOfWeek;
+
+// Export calendar feed functions
+exports.calendarFeed = calendarFeedFunctions.calendarFeed;
+exports.getCalendarFeedToken = calendarFeedFunctions.getCalendarFeedToken;
+
+// Export event RSVP functions
+exports.saveEventRsvp = eventRsvpsFunctions.saveEventRsvp;
+exports.getEventRsvps = eventRsvpsFunctions.getEventRsvps;
+exports.getEventAttendees = eventRsvpsFunctions.getEventAttendees;
+exports.exportEventAttendees = eventRsvpsFunctions.exportEventAttendees;
+
+// Export volunteering functions
+exports.saveVolunteerShifts = volunteeringFunctions.saveVolunteerShifts;
+exports.getVolunteerShifts = volunteeringFunctions.getVolunteerShifts;
+exports.signUpForVolunteerShift = volunteeringFunctions.signUpForVolunteerShift;
+exports.swapVolunteerShift = volunteeringFunctions.swapVolunteerShift;
+exports.offerVolunteerShift = volunteeringFunctions.offerVolunteerShift;
+exports.cancelVolunteerSignup = volunteeringFunctions.cancelVolunteerSignup;
+exports.setVolunteerNoShow = volunteeringFunctions.setVolunteerNoShow;
+exports.getMyVolunteering = volunteeringFunctions.getMyVolunteering;
+exports.getVolunteerHours = volunteeringFunctions.getVolunteerHours;
+exports.exportVolunteerHours = volunteeringFunctions.exportVolunteerHours;
+exports.getVolunteerSettings = volunteeringFunctions.getVolunteerSettings;
+exports.saveVolunteerSettings = volunteeringFunctions.saveVolunteerSettings;
+exports.scheduledVolunteerReminders =
+  volunteeringFunctions.scheduledVolunteerReminders;
+
+// Export event reminder functions
+exports.getReminderPreferences = eventRemindersFunctions.getReminderPreferences;
+exports.saveReminderPreferences =
+  eventRemindersFunctions.saveReminderPreferences;
+exports.getEventReminderSettings =
+  eventRemindersFunctions.getEventReminderSettings;
+exports.saveEventReminderSettings =
+  eventRemindersFunctions.saveEventReminderSettings;
+exports.runEventReminders = eventRemindersFunctions.runEventReminders;
+exports.scheduledEventReminders =
+  eventRemindersFunctions.scheduledEventReminders;
 
 // Export Next.js server function
 exports.nextjsServer = require('./nextjs-server').nextjs;
 
+/**
+ * Helper function to convert an event's Firestore Timestamps to ISO strings
+ * @param {string} id - The event or occurrence ID
+ * @param {Object} data - The event data
+ * @returns {Object} The event
+ */
+const serializeEvent = (id, data) => {
+  const toISOString = (value) => (value ? value.toDate().toISOString() : null);
+
+  const event = {
+    id,
+    ...data,
+    startDate: toISOString(data.startDate),
+    endDate: toISOString(data.endDate),
+    recurringEndDate: toISOString(data.recurringEndDate),
+    registrationDeadline: toISOString(data.registrationDeadline),
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt),
+  };
+
+  if (data.occurrenceOverrides) {
+    event.occurrenceOverrides = {};
+    Object.entries(data.occurrenceOverrides).forEach(([day, override]) => {
+      event.occurrenceOverrides[day] = {
+        ...override,
+        startDate: toISOString(override.startDate),
+        endDate: toISOString(override.endDate),
+      };
+    });
+  }
+
+  return event;
+};
+
+/**
+ * Helper function to get the date range of an events request
+ * The range covers whole days, from the start of `startDate` to the end of
+ * `endDate`.
+ * @param {string} [startDate] - First day
+ * @param {string} [endDate] - Last day
+ * @returns {Object} The `start` and `end` Dates, or null if not given
+ */
+const getEventWindow = (startDate, endDate) => {
+  let start = null;
+  let end = null;
+
+  if (startDate) {
+    start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+  }
+  if (endDate) {
+    end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+  }
+
+  return { start, end };
+};
+
 /**
  * Cloud Function to create a new event
  * This function can be called by the OpenAI API to create a new event
@@ -845,6 +1254,11 @@ const createEvent = async (request) => {
       throw new Error('Missing required fields');
     }
 
+    // Validate the recurrence before saving
+    const recurrenceRule = normalizeRecurrenceRule(event.recurrenceRule);
+    const exceptionDates = normalizeExceptionDates(event.exceptionDates);
+    const capacity = parseInt(event.capacity, 10);
+
     // Add timestamps
     const now = Timestamp.now();
 
@@ -861,6 +1275,10 @@ const createEvent = async (request) => {
       registrationDeadline: event.registrationDeadline
         ? Timestamp.fromDate(new Date(event.registrationDeadline))
         : null,
+      recurrenceRule,
+      exceptionDates,
+      isRecurring: Boolean(recurrenceRule),
+      capacity: capacity > 0 ? capacity : null,
       createdAt: now,
       updatedAt: now,
     };
@@ -922,6 +1340,21 @@ const updateEvent = async (request) => {
     const oldCategory = existingEvent.category;
     const newCategory = event.category;
 
+    // Validate the recurrence before saving; a partial edit that leaves it
+    // out keeps the series as it is
+    const recurrenceRule =
+      event.recurrenceRule !== undefined
+        ? normalizeRecurrenceRule(event.recurrenceRule)
+        : existingEvent.recurrenceRule || null;
+    const exceptionDates =
+      event.exceptionDates !== undefined
+        ? normalizeExceptionDates(event.exceptionDates)
+        : existingEvent.exceptionDates || [];
+    const capacity =
+      event.capacity !== undefined
+        ? parseInt(event.capacity, 10)
+        : existingEvent.capacity;
+
     // Update timestamps
     const now = Timestamp.now();
 
@@ -938,6 +1371,10 @@ const updateEvent = async (request) => {
       registrationDeadline: event.registrationDeadline
         ? Timestamp.fromDate(new Date(event.registrationDeadline))
         : null,
+      recurrenceRule,
+      exceptionDates,
+      isRecurring: Boolean(recurrenceRule),
+      capacity: capacity > 0 ? capacity : null,
       updatedAt: now,
       createdAt: existingEvent.createdAt, // Preserve original creation time
     };
@@ -951,6 +1388,15 @@ const updateEvent = async (request) => {
       await updateEventCategoryCount(newCategory, 1);
     }
 
+    // Give waitlisted swimmers any spots added by a larger capacity
+    const oldCapacity = existingEvent.capacity || null;
+    if (
+      oldCapacity &&
+      (!firestoreData.capacity || firestoreData.capacity > oldCapacity)
+    ) {
+      await eventRsvpsFunctions.promoteWaitlists(id);
+    }
+
     // Return the updated event
     return {
       success: true,
@@ -976,6 +1422,109 @@ exports.updateEvent = onCall(
   updateEvent
 );
 
+/**
+ * Cloud Function to change or cancel one occurrence of a recurring event
+ * This function can be called by the OpenAI API to cancel or move a single
+ * practice without changing the rest of the series
+ */
+const updateEventOccurrence = async (request) => {
+  try {
+    const {
+      id,
+      occurrenceDate,
+      cancelled,
+      cancellationReason,
+      startDate,
+      endDate,
+      reset,
+    } = request.data;
+
+    // Validate required fields
+    if (!id || !occurrenceDate) {
+      throw new Error('Missing required fields');
+    }
+
+    // Get the existing event
+    const docRef = db.collection(eventsCollection).doc(id);
+    const docSnap = await docRef.get();
+
+    if (!docSnap.exists) {
+      throw new Error('Event not found');
+    }
+
+    const existingEvent = docSnap.data();
+    if (!existingEvent.isRecurring) {
+      throw new Error('Event is not recurring');
+    }
+    if (!isOccurrenceDate(existingEvent, occurrenceDate)) {
+      throw new Error('Event does not occur on that day');
+    }
+
+    const overridePath = new FieldPath('occurrenceOverrides', occurrenceDate);
+    const overrides = { ...(existingEvent.occurrenceOverrides || {}) };
+
+    if (reset) {
+      // Restore the occurrence to the series' details
+      await docRef.update(
+        overridePath,
+        FieldValue.delete(),
+        'updatedAt',
+        Timestamp.now()
+      );
+      delete overrides[occurrenceDate];
+    } else {
+      const override = {};
+      if (cancelled) {
+        override.cancelled = true;
+        override.cancellationReason = cancellationReason || null;
+      }
+      if (startDate) {
+        override.startDate = Timestamp.fromDate(new Date(startDate));
+      }
+      if (endDate) {
+        override.endDate = Timestamp.fromDate(new Date(endDate));
+      }
+      ['title', 'description', 'location'].forEach((field) => {
+        if (request.data[field]) {
+          override[field] = request.data[field];
+        }
+      });
+
+      if (Object.keys(override).length === 0) {
+        throw new Error('No changes to the occurrence');
+      }
+
+      await docRef.update(overridePath, override, 'updatedAt', Timestamp.now());
+      overrides[occurrenceDate] = override;
+    }
+
+    const occurrence = expandOccurrence(
+      id,
+      { ...existingEvent, occurrenceOverrides: overrides },
+      occurrenceDate
+    );
+
+    return {
+      success: true,
+      event: occurrence ? serializeEvent(occurrence.id, occurrence.data) : null,
+    };
+  } catch (error) {
+    logger.error('Error updating event occurrence:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+exports.updateEventOccurrence = onCall(
+  {
+    cors: true,
+    region: 'us-central1',
+    memory: '256MiB',
+  },
+  updateEventOccurrence
+);
+
 /**
  * Cloud Function to delete an event
  * This function can be called by the OpenAI API to delete an event
@@ -1032,15 +1581,20 @@ exports.deleteEvent = onCall(
  */
 const getEvent = async (request) => {
   try {
-    const { id } = request.data;
+    const { id, startDate, endDate, limit = 10 } = request.data;
 
     // Validate required fields
     if (!id) {
       throw new Error('Missing event ID');
     }
 
+    // An occurrence ID gets one occurrence of a recurring event
+    const occurrenceId = parseOccurrenceId(id);
+
     // Get the event from Firestore
-    const docRef = db.collection(eventsCollection).doc(id);
+    const docRef = db
+      .collection(eventsCollection)
+      .doc(occurrenceId ? occurrenceId.eventId : id);
     const docSnap = await docRef.get();
 
     if (!docSnap.exists) {
@@ -1049,21 +1603,33 @@ const getEvent = async (request) => {
 
     const data = docSnap.data();
 
+    if (occurrenceId) {
+      const occurrence = data.isRecurring
+        ? expandOccurrence(docSnap.id, data, occurrenceId.occurrenceDate)
+        : null;
+      if (!occurrence) {
+        throw new Error('Event not found');
+      }
+
+      return {
+        success: true,
+        event: serializeEvent(occurrence.id, occurrence.data),
+      };
+    }
+
     // Convert Firestore Timestamps to ISO strings
-    const event = {
-      id: docSnap.id,
-      ...data,
-      startDate: data.startDate ? data.startDate.toDate().toISOString() : null,
-      endDate: data.endDate ? data.endDate.toDate().toISOString() : null,
-      recurringEndDate: data.recurringEndDate
-        ? data.recurringEndDate.toDate().toISOString()
-        : null,
-      registrationDeadline: data.registrationDeadline
-        ? data.registrationDeadline.toDate().toISOString()
-        : null,
-      createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
-      updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
-    };
+    const event = serializeEvent(docSnap.id, data);
+
+    // List a recurring event's occurrences in the requested range, or the
+    // next ones if no range is given
+    if (data.isRecurring) {
+      const { start, end } = getEventWindow(startDate, endDate);
+      event.occurrences = expandEvent(docSnap.id, data, {
+        start: start || new Date(),
+        end,
+        limit,
+      }).map((occurrence) => serializeEvent(occurrence.id, occurrence.data));
+    }
 
     // Return the event
     return {
@@ -1095,64 +1661,20 @@ const searchEvents = async (request) => {
   try {
     const { query, category, startDate, endDate, limit = 10 } = request.data;
 
-    let eventsQuery = db.collection(eventsCollection);
-
-    // Apply filters
-    if (category) {
-      eventsQuery = eventsQuery.where('category', '==', category);
-    }
-
-    // Apply date range filters
-    if (startDate) {
-      const startDateObj = new Date(startDate);
-      startDateObj.setHours(0, 0, 0, 0);
-      eventsQuery = eventsQuery.where(
-        'startDate',
-        '>=',
-        Timestamp.fromDate(startDateObj)
-      );
-    }
-
-    if (endDate) {
-      const endDateObj = new Date(endDate);
-      endDateObj.setHours(23, 59, 59, 999);
-      eventsQuery = eventsQuery.where(
-        'startDate',
-        '<=',
-        Timestamp.fromDate(endDateObj)
-      );
-    }
-
-    // Order by start date (ascending)
-    eventsQuery = eventsQuery.orderBy('startDate', 'asc').limit(limit);
-
-    // Execute the query
-    const snapshot = await eventsQuery.get();
+    // Load events and recurring event occurrences in the date range,
+    // ordered by start date (ascending)
+    const { start, end } = getEventWindow(startDate, endDate);
+    const occurrences = await loadEventOccurrences({
+      category,
+      start,
+      end,
+      limit,
+    });
 
     // Process results
-    let events = snapshot.docs.map((doc) => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        ...data,
-        startDate: data.startDate
-          ? data.startDate.toDate().toISOString()
-          : null,
-        endDate: data.endDate ? data.endDate.toDate().toISOString() : null,
-        recurringEndDate: data.recurringEndDate
-          ? data.recurringEndDate.toDate().toISOString()
-          : null,
-        registrationDeadline: data.registrationDeadline
-          ? data.registrationDeadline.toDate().toISOString()
-          : null,
-        createdAt: data.createdAt
-          ? data.createdAt.toDate().toISOString()
-          : null,
-        updatedAt: data.updatedAt
-          ? data.updatedAt.toDate().toISOString()
-          : null,
-      };
-    });
+    let events = occurrences.map((occurrence) =>
+      serializeEvent(occurrence.id, occurrence.data)
+    );
 
     // If there's a search query, filter results client-side
     if (query && query.trim() !== '') {
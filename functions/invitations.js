@@ -6,48 +6,15 @@ const {
   Timestamp,
   FieldValue,
 } = require('firebase-admin/firestore');
-const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const { getAthleteSummary, linkGuardian } = require('./src/guardians');
+const { sendEmail } = require('./src/mailer');
 
 // Get Firestore instance
 const db = getFirestore();
 
-// For development, we'll log emails instead of sending them
-// In production, you would use a real SMTP service
-let transporter;
-
-// Check if we're in development or production
-if (
-  process.env.NODE_ENV === 'production' &&
-  process.env.EMAIL_USER &&
-  process.env.EMAIL_PASSWORD
-) {
-  // Use real email service in production
-  transporter = nodemailer.createTransport({
-    host: 'smtp.gmail.com',
-    port: 587,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD,
-    },
-  });
-} else {
-  // In development, just log the email content
-  transporter = {
-    sendMail: (mailOptions) => {
-      logger.info('Email would be sent with the following details:');
-      logger.info(`From: ${mailOptions.from}`);
-      logger.info(`To: ${mailOptions.to}`);
-      logger.info(`Subject: ${mailOptions.subject}`);
-      logger.info('HTML content would be sent...');
-      logger.info(
-        `Invitation link: ${mailOptions.html.match(/href="([^"]+)"/)[1]}`
-      );
-      return Promise.resolve({ messageId: 'mock-email-id-' + Date.now() });
-    },
-  };
-}
+// Roles an invitation can give
+const INVITATION_ROLES = ['admin', 'coach', 'athlete', 'supporter'];
 
 /**
  * Generate a secure invitation token
@@ -58,6 +25,8 @@ function generateToken() {
 
 /**
  * Send invitation emails to multiple recipients
+ * Pass `athleteId` to invite parents or guardians of a specific swimmer; they
+ * are linked to the swimmer when they accept.
  */
 exports.sendInvitations = onCall(
   {
@@ -66,7 +35,7 @@ exports.sendInvitations = onCall(
     memory: '256MiB',
   },
   async (request) => {
-    const { emails, invitedBy } = request.data;
+    const { emails, invitedBy, role, athleteId } = request.data;
 
     // Verify the caller is authenticated and has admin role
     if (!request.auth) {
@@ -92,6 +61,15 @@ exports.sendInvitations = onCall(
       if (!emails || !Array.isArray(emails) || emails.length === 0) {
         throw new Error('Invalid input: emails must be a non-empty array');
       }
+      if (role && !INVITATION_ROLES.includes(role)) {
+        throw new Error(
+          `Invalid input: role must be one of ${INVITATION_ROLES.join(', ')}`
+        );
+      }
+
+      // Look up the swimmer so the email can name them; this also checks
+      // that the invitation is for a swimmer on file
+      const athlete = athleteId ? await getAthleteSummary(athleteId) : null;
 
       const results = {
         success: [],
@@ -142,6 +120,12 @@ exports.sendInvitations = onCall(
             createdAt: FieldValue.serverTimestamp(),
             createdBy: invitedBy || request.auth.token.email,
             expiresAt,
+            ...(role && { role }),
+            ...(athlete && {
+              role: 'supporter',
+              athleteId: athlete.id,
+              athleteName: athlete.displayName,
+            }),
           });
 
           // Generate invitation link
@@ -167,7 +151,9 @@ exports.sendInvitations = onCall(
               </div>
               <div style="padding: 20px; border: 1px solid #ddd; background-color: #fff;">
                 <p>Hello,</p>
-                <p>You've been invited to join the Digby Dolphins Swim Team.</p>
+                <p>You've been invited to join the Digby Dolphins Swim Team${
+                  athlete ? ` as a parent or guardian of ${athlete.displayName}` : ''
+                }.</p>
                 <p>Click the button below to create your account and access team resources:</p>
                 <div style="text-align: center; margin: 30px 0;">
                   <a href="${invitationLink}" style="background-color: #ffd700; color: #333; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
@@ -184,7 +170,7 @@ exports.sendInvitations = onCall(
           `,
           };
 
-          await transporter.sendMail(mailOptions);
+          await sendEmail(mailOptions);
           results.success.push(email);
           logger.info(`Invitation sent to ${email}`);
         } catch (err) {
@@ -307,7 +293,7 @@ exports.resendInvitation = onCall(
       `,
       };
 
-      await transporter.sendMail(mailOptions);
+      await sendEmail(mailOptions);
       logger.info(`Invitation resent to ${invitation.email}`);
 
       return { success: true };
@@ -455,6 +441,7 @@ exports.verifyInvitation = onCall(
           id: invitation.id,
           email: invitation.email,
           role: invitation.role || 'supporter', // Default to supporter if role is not specified
+          athleteName: invitation.athleteName || null,
         },
       };
     } catch (err) {
@@ -469,6 +456,10 @@ exports.verifyInvitation = onCall(
 
 /**
  * Mark an invitation as accepted
+ * The new user must be signed in with the invited email. Their role is set
+ * here from the invitation, as members can only give themselves the athlete
+ * or supporter role. Invitations sent for a swimmer link the new user to
+ * them as a guardian.
  */
 exports.acceptInvitation = onCall(
   {
@@ -477,12 +468,17 @@ exports.acceptInvitation = onCall(
     memory: '256MiB',
   },
   async (request) => {
-    const { invitationId, userId } = request.data;
+    const { invitationId } = request.data;
 
-    if (!invitationId || !userId) {
-      throw new Error('Invalid request: invitationId and userId are required');
+    if (!invitationId) {
+      throw new Error('Invalid request: invitationId is required');
     }
 
+    if (!request.auth) {
+      throw new Error('You must be signed in as the invited user');
+    }
+    const userId = request.auth.uid;
+
     try {
       // Get the invitation
       const invitationDoc = await db
@@ -506,6 +502,23 @@ exports.acceptInvitation = onCall(
         throw new Error('Invitation has expired');
       }
 
+      // Only the invited user may take up the invitation
+      if (
+        (request.auth.token.email || '').toLowerCase() !==
+        invitation.email.toLowerCase()
+      ) {
+        throw new Error('You must be signed in as the invited user');
+      }
+
+      await db
+        .collection('users')
+        .doc(userId)
+        .set({ role: invitation.role || 'supporter' }, { merge: true });
+
+      if (invitation.athleteId) {
+        await linkGuardian(userId, invitation.athleteId);
+      }
+
       // Update invitation status
       await invitationDoc.ref.update({
         status: 'accepted',
@@ -0,0 +1,113 @@
+/**
+ * Cloud Functions for the club's age group settings
+ *
+ * The age-up date and age groups used for time standards, club records,
+ * meets and relays are kept in `settings/ageGroups`. Clubs that have not
+ * saved their own use the defaults from ./ageGroups.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, assertAdmin } = require('./auth');
+const { normalizeAgeGroupSettings } = require('./ageGroups');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const settingsCollection = 'settings';
+const ageGroupsDoc = 'ageGroups';
+
+/**
+ * Helper function to load the club's age group settings
+ * @returns {Promise<Object>} Normalized age group settings
+ */
+const loadAgeGroupSettings = async () => {
+  const settingsDoc = await db
+    .collection(settingsCollection)
+    .doc(ageGroupsDoc)
+    .get();
+
+  return normalizeAgeGroupSettings(
+    settingsDoc.exists ? settingsDoc.data() : {}
+  );
+};
+
+/**
+ * Get the club's age-up date and age groups (Authenticated users)
+ */
+const getAgeGroupSettings = async (request) => {
+  try {
+    await getCaller(request.auth);
+
+    return {
+      success: true,
+      settings: await loadAgeGroupSettings(),
+    };
+  } catch (error) {
+    logger.error('Error getting age group settings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Save the club's age-up date and age groups (Admin only)
+ * `ageUpDate` is "meetStart" or a day of the year such as "12-31", and
+ * `ageGroups` is a list of { minAge, maxAge } ranges that do not overlap.
+ * Rebuild the club records afterwards so they use the new age groups.
+ */
+const saveAgeGroupSettings = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { ageUpDate, ageGroups } = request.data;
+
+    if (!Array.isArray(ageGroups)) {
+      throw new Error('Age groups are required');
+    }
+
+    const settings = normalizeAgeGroupSettings({ ageUpDate, ageGroups });
+
+    await db
+      .collection(settingsCollection)
+      .doc(ageGroupsDoc)
+      .set({
+        ageUpDate: settings.ageUpDate,
+        ageGroups: settings.ageGroups.map(({ minAge, maxAge }) => ({
+          minAge,
+          maxAge,
+        })),
+        updatedAt: new Date().toISOString(),
+        updatedBy: request.auth.uid,
+      });
+
+    return {
+      success: true,
+      message: 'Age group settings saved successfully',
+      settings,
+    };
+  } catch (error) {
+    logger.error('Error saving age group settings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getAgeGroupSettings = onCall(
+  { cors: true, region: 'us-central1' },
+  getAgeGroupSettings
+);
+exports.saveAgeGroupSettings = onCall(
+  { cors: true, region: 'us-central1' },
+  saveAgeGroupSettings
+);
+
+// Export helpers for the functions that group swimmers by age
+exports.loadAgeGroupSettings = loadAgeGroupSettings;
@@ -0,0 +1,224 @@
+/**
+ * Competition age and age group rules shared by the functions and the site
+ *
+ * Swimmers compete at their age on the club's "age-up date": either the
+ * first day of the meet, or a fixed day of the year (e.g., December 31)
+ * in the year of the meet. Age groups are age ranges, youngest first; an
+ * open-ended group (e.g., "15 & Over") has no minimum or maximum age.
+ *
+ * This module has no dependencies so the Next.js site can import it too.
+ */
+
+// Swimmers age up on the first day of each meet
+const MEET_START = 'meetStart';
+
+const DEFAULT_AGE_GROUP_SETTINGS = {
+  ageUpDate: MEET_START,
+  ageGroups: [
+    { minAge: null, maxAge: 8 },
+    { minAge: 9, maxAge: 10 },
+    { minAge: 11, maxAge: 12 },
+    { minAge: 13, maxAge: 14 },
+    { minAge: 15, maxAge: null },
+  ],
+};
+
+/**
+ * Helper function to calculate a swimmer's age on a given date
+ * @param {string} birthDate - Birthdate (YYYY-MM-DD)
+ * @param {Date} [onDate] - Date to calculate the age on (defaults to today)
+ * @returns {number|null} Age in years, or null if the birthdate is unknown
+ */
+const getAge = (birthDate, onDate = new Date()) => {
+  const birth = birthDate ? new Date(birthDate) : null;
+  if (!birth || Number.isNaN(birth.getTime())) {
+    return null;
+  }
+
+  const age = onDate.getUTCFullYear() - birth.getUTCFullYear();
+  const hadBirthday =
+    onDate.getUTCMonth() > birth.getUTCMonth() ||
+    (onDate.getUTCMonth() === birth.getUTCMonth() &&
+      onDate.getUTCDate() >= birth.getUTCDate());
+
+  return hadBirthday ? age : age - 1;
+};
+
+/**
+ * Helper function to parse an optional age limit
+ * @param {*} age - Age limit (blank means no limit)
+ * @returns {number|null} Age, or null for no limit
+ */
+const parseAgeLimit = (age) => {
+  if (age === undefined || age === null || String(age).trim() === '') {
+    return null;
+  }
+
+  const value = parseInt(age, 10);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid age: ${age}`);
+  }
+
+  return value;
+};
+
+/**
+ * Helper function to label an age range (e.g., "8 & Under", "11-12")
+ * @param {number|null} minAge - Youngest age, or null for no limit
+ * @param {number|null} maxAge - Oldest age, or null for no limit
+ * @returns {string} Age group label
+ */
+const formatAgeGroupLabel = (minAge, maxAge) => {
+  if (minAge === null && maxAge === null) {
+    return 'Open';
+  }
+  if (minAge === null) {
+    return `${maxAge} & Under`;
+  }
+  if (maxAge === null) {
+    return `${minAge} & Over`;
+  }
+  return minAge === maxAge ? `${minAge}` : `${minAge}-${maxAge}`;
+};
+
+/**
+ * Helper function to check whether an age is within an age range
+ * An unknown age only fits a range with no limits.
+ * @param {number|null} age - Age in years
+ * @param {number|null} minAge - Youngest age, or null for no limit
+ * @param {number|null} maxAge - Oldest age, or null for no limit
+ * @returns {boolean} Whether the age is in the range
+ */
+const isInAgeRange = (age, minAge, maxAge) => {
+  if (minAge === null && maxAge === null) {
+    return true;
+  }
+  if (age === null) {
+    return false;
+  }
+
+  return (
+    (minAge === null || age >= minAge) && (maxAge === null || age <= maxAge)
+  );
+};
+
+/**
+ * Helper function to validate and normalize the age group settings
+ * @param {Object} [settings] - { ageUpDate, ageGroups }, where ageUpDate is
+ *   "meetStart" or a day of the year (MM-DD) and ageGroups are
+ *   { minAge, maxAge } ranges
+ * @returns {Object} Settings with labelled age groups, youngest first
+ */
+const normalizeAgeGroupSettings = (settings = {}) => {
+  const ageUpDate = settings.ageUpDate || DEFAULT_AGE_GROUP_SETTINGS.ageUpDate;
+  if (ageUpDate !== MEET_START) {
+    const match = /^(\d{2})-(\d{2})$/.exec(ageUpDate);
+    const day = match
+      ? new Date(Date.UTC(2000, Number(match[1]) - 1, Number(match[2])))
+      : null;
+    if (!day || day.getUTCDate() !== Number(match[2])) {
+      throw new Error(
+        `Invalid age-up date: ${ageUpDate}. Use ${MEET_START} or MM-DD`
+      );
+    }
+  }
+
+  const ageGroups = (
+    settings.ageGroups || DEFAULT_AGE_GROUP_SETTINGS.ageGroups
+  )
+    .map((group) => ({
+      minAge: parseAgeLimit(group.minAge),
+      maxAge: parseAgeLimit(group.maxAge),
+    }))
+    .sort((a, b) => (a.minAge ?? -1) - (b.minAge ?? -1));
+
+  if (ageGroups.length === 0) {
+    throw new Error('At least one age group is required');
+  }
+
+  ageGroups.forEach((group, index) => {
+    if (
+      group.minAge !== null &&
+      group.maxAge !== null &&
+      group.minAge > group.maxAge
+    ) {
+      throw new Error('Minimum age cannot be greater than maximum age');
+    }
+
+    const previous = ageGroups[index - 1];
+    if (
+      previous &&
+      (previous.maxAge === null ||
+        group.minAge === null ||
+        group.minAge <= previous.maxAge)
+    ) {
+      throw new Error('Age groups cannot overlap');
+    }
+  });
+
+  return {
+    ageUpDate,
+    ageGroups: ageGroups.map((group) => ({
+      label: formatAgeGroupLabel(group.minAge, group.maxAge),
+      ...group,
+    })),
+  };
+};
+
+/**
+ * Helper function to get the date swimmers' ages are taken on
+ * @param {Object} settings - Age group settings
+ * @param {Date} [meetDate] - First day of the meet (defaults to today)
+ * @returns {Date} The age-up date
+ */
+const getAgeUpDate = (settings, meetDate = new Date()) => {
+  const { ageUpDate } = normalizeAgeGroupSettings(settings);
+  if (ageUpDate === MEET_START) {
+    return meetDate;
+  }
+
+  const [month, day] = ageUpDate.split('-').map(Number);
+  return new Date(Date.UTC(meetDate.getUTCFullYear(), month - 1, day));
+};
+
+/**
+ * Helper function to calculate a swimmer's competition age
+ * @param {string} birthDate - Birthdate (YYYY-MM-DD)
+ * @param {Object} settings - Age group settings
+ * @param {Date} [meetDate] - First day of the meet (defaults to today)
+ * @returns {number|null} Age in years, or null if the birthdate is unknown
+ */
+const getCompetitionAge = (birthDate, settings, meetDate = new Date()) =>
+  getAge(birthDate, getAgeUpDate(settings, meetDate));
+
+/**
+ * Helper function to find the age group for an age
+ * @param {number|null} age - Age in years
+ * @param {Object} settings - Age group settings
+ * @returns {Object|null} The age group ({ label, minAge, maxAge }), or null
+ *   if the age is unknown or in no group
+ */
+const getAgeGroup = (age, settings) => {
+  if (age === null) {
+    return null;
+  }
+
+  return (
+    normalizeAgeGroupSettings(settings).ageGroups.find((group) =>
+      isInAgeRange(age, group.minAge, group.maxAge)
+    ) || null
+  );
+};
+
+module.exports = {
+  MEET_START,
+  DEFAULT_AGE_GROUP_SETTINGS,
+  getAge,
+  parseAgeLimit,
+  formatAgeGroupLabel,
+  isInAgeRange,
+  normalizeAgeGroupSettings,
+  getAgeUpDate,
+  getCompetitionAge,
+  getAgeGroup,
+};
@@ -0,0 +1,180 @@
+/**
+ * Cloud Functions for athlete profiles
+ *
+ * A swimmer's birthdate and gender are kept on their user document
+ * (`birthDate` as YYYY-MM-DD, `gender` as M or F). They decide which time
+ * standards, records, meet events and relays the swimmer competes in, using
+ * the competition age rules in ./ageGroups. Points are scored against
+ * gender-specific base times, so a swimmer's swims are rescored when their
+ * gender changes, and the club records their swims count towards are
+ * recomputed when either changes. Members cannot write these fields
+ * directly; they go through updateAthleteProfile.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, isGuardianOf, assertCanViewSwimmer } = require('./auth');
+const { normalizeGender } = require('./timeStandards');
+const { getDisplayName } = require('./trainingGroups');
+const { getAge, getAgeUpDate, getAgeGroup } = require('./ageGroups');
+const { loadAgeGroupSettings } = require('./ageGroupSettings');
+const { updateSwimmerPoints } = require('./swimPoints');
+const { updateSwimmerRecords } = require('./clubRecords');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+
+/**
+ * Helper function to build a swimmer's profile
+ * @param {string} id - The swimmer's user ID
+ * @param {Object} user - The swimmer's user data
+ * @param {Object} settings - Age group settings
+ * @returns {Object} The profile, with today's competition age and age group
+ */
+const toAthleteProfile = (id, user, settings) => {
+  const ageUpDate = getAgeUpDate(settings);
+  const competitionAge = getAge(user.birthDate, ageUpDate);
+  const ageGroup = getAgeGroup(competitionAge, settings);
+
+  return {
+    id,
+    displayName: getDisplayName(user),
+    birthDate: user.birthDate || null,
+    gender: user.gender || null,
+    age: getAge(user.birthDate),
+    competitionAge,
+    ageUpDate: ageUpDate.toISOString().slice(0, 10),
+    ageGroup: ageGroup ? ageGroup.label : null,
+  };
+};
+
+/**
+ * Get a swimmer's profile with their competition age and age group
+ * Swimmers see their own; guardians, admins and coaches may pass
+ * `athleteId` to view a swimmer they are linked to or manage.
+ */
+const getAthleteProfile = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const userId = (request.data && request.data.athleteId) || request.auth.uid;
+    if (userId !== request.auth.uid) {
+      await assertCanViewSwimmer(request.auth, userId);
+    }
+
+    const [userDoc, settings] = await Promise.all([
+      db.collection(usersCollection).doc(userId).get(),
+      loadAgeGroupSettings(),
+    ]);
+    if (!userDoc.exists) {
+      throw new Error('Swimmer not found');
+    }
+
+    return {
+      success: true,
+      profile: toAthleteProfile(userDoc.id, userDoc.data(), settings),
+      settings,
+    };
+  } catch (error) {
+    logger.error('Error getting athlete profile:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Update a swimmer's birthdate and gender
+ * Swimmers update their own and guardians their linked swimmers'; admins
+ * may update anyone's.
+ */
+const updateAthleteProfile = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const userId = request.data.athleteId || caller.id;
+
+    if (
+      userId !== caller.id &&
+      caller.role !== 'admin' &&
+      !isGuardianOf(caller, userId)
+    ) {
+      throw new Error('You do not have access to this swimmer');
+    }
+
+    const { birthDate } = request.data;
+    if (!birthDate || !request.data.gender) {
+      throw new Error('Birthdate and gender are required');
+    }
+
+    const birth = new Date(`${birthDate}T00:00:00.000Z`);
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(birthDate) ||
+      Number.isNaN(birth.getTime())
+    ) {
+      throw new Error('Birthdate must be YYYY-MM-DD');
+    }
+    if (birth > new Date()) {
+      throw new Error('Birthdate cannot be in the future');
+    }
+
+    const gender = normalizeGender(request.data.gender);
+    if (gender === 'X') {
+      throw new Error('Gender must be M or F');
+    }
+
+    const userRef = db.collection(usersCollection).doc(userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      throw new Error('Swimmer not found');
+    }
+
+    const updates = {
+      birthDate,
+      gender,
+      updatedAt: new Date().toISOString(),
+    };
+    await userRef.update(updates);
+
+    const previousUser = userDoc.data();
+    const user = { ...previousUser, ...updates };
+    if (previousUser.gender !== gender) {
+      await updateSwimmerPoints(userId, user);
+    }
+    if (
+      previousUser.gender !== gender ||
+      previousUser.birthDate !== birthDate
+    ) {
+      await updateSwimmerRecords(userId, previousUser, user);
+    }
+
+    return {
+      success: true,
+      message: 'Profile updated successfully',
+      profile: toAthleteProfile(userId, user, await loadAgeGroupSettings()),
+    };
+  } catch (error) {
+    logger.error('Error updating athlete profile:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getAthleteProfile = onCall(
+  { cors: true, region: 'us-central1' },
+  getAthleteProfile
+);
+exports.updateAthleteProfile = onCall(
+  { cors: true, region: 'us-central1' },
+  updateAthleteProfile
+);
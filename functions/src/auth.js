@@ -0,0 +1,157 @@
+/**
+ * Access checks shared by the callable functions
+ *
+ * Roles are stored on the `users` document: `admin`, `coach`, `athlete` and
+ * `supporter`. Coaches are assigned training groups (`coachGroupIds`) and can
+ * read and enter times, goals and notes for the swimmers in those groups
+ * (swimmers whose `trainingGroupId` is one of them). Parents and guardians
+ * are linked to their swimmers (`athleteIds`) and can read their times and
+ * set their goals.
+ */
+
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+
+/**
+ * Get the calling user's document data
+ * @param {Object} auth - The auth context of the callable request
+ * @returns {Promise<Object>} The caller's user data, including `id`
+ */
+const getCaller = async (auth) => {
+  // Ensure user is authenticated
+  if (!auth) {
+    throw new Error('Authentication required');
+  }
+
+  const userDoc = await db.collection(usersCollection).doc(auth.uid).get();
+  if (!userDoc.exists) {
+    throw new Error('User not found');
+  }
+
+  return { id: userDoc.id, ...userDoc.data() };
+};
+
+/**
+ * Require an admin caller
+ * @param {Object} auth - The auth context of the callable request
+ */
+const assertAdmin = async (auth) => {
+  const caller = await getCaller(auth);
+
+  if (caller.role !== 'admin') {
+    throw new Error('Admin access required');
+  }
+};
+
+/**
+ * Check whether a coach is assigned to a swimmer's training group
+ * @param {Object} coach - The coach's user data
+ * @param {Object} swimmer - The swimmer's user data
+ * @returns {boolean} Whether the coach coaches the swimmer
+ */
+const coachesSwimmer = (coach, swimmer) =>
+  coach.role === 'coach' &&
+  !!swimmer.trainingGroupId &&
+  Array.isArray(coach.coachGroupIds) &&
+  coach.coachGroupIds.includes(swimmer.trainingGroupId);
+
+/**
+ * Check whether a user is a linked parent or guardian of a swimmer
+ * @param {Object} guardian - The guardian's user data
+ * @param {string} swimmerId - The swimmer's user ID
+ * @returns {boolean} Whether the user is linked to the swimmer
+ */
+const isGuardianOf = (guardian, swimmerId) =>
+  Array.isArray(guardian.athleteIds) && guardian.athleteIds.includes(swimmerId);
+
+/**
+ * Require a caller who may read a swimmer's times, goals and notes
+ * Swimmers may read their own and guardians their linked swimmers'; admins
+ * and the swimmer's coaches may read anyone's they manage.
+ * @param {Object} auth - The auth context of the callable request
+ * @param {string} swimmerId - The swimmer's user ID
+ * @returns {Promise<Object>} The caller's user data
+ */
+const assertCanViewSwimmer = async (auth, swimmerId) => {
+  const caller = await getCaller(auth);
+
+  if (
+    caller.id === swimmerId ||
+    caller.role === 'admin' ||
+    isGuardianOf(caller, swimmerId)
+  ) {
+    return caller;
+  }
+
+  if (caller.role === 'coach') {
+    const swimmerDoc = await db
+      .collection(usersCollection)
+      .doc(swimmerId)
+      .get();
+    if (swimmerDoc.exists && coachesSwimmer(caller, swimmerDoc.data())) {
+      return caller;
+    }
+  }
+
+  throw new Error('You do not have access to this swimmer');
+};
+
+/**
+ * Require a caller who may enter times, goals and notes for a swimmer
+ * Only admins and the swimmer's coaches may do so.
+ * @param {Object} auth - The auth context of the callable request
+ * @param {string} swimmerId - The swimmer's user ID
+ * @returns {Promise<Object>} The caller's user data
+ */
+const assertCanManageSwimmer = async (auth, swimmerId) => {
+  const caller = await getCaller(auth);
+
+  if (caller.role === 'admin') {
+    return caller;
+  }
+
+  if (caller.role === 'coach') {
+    const swimmerDoc = await db
+      .collection(usersCollection)
+      .doc(swimmerId)
+      .get();
+    if (swimmerDoc.exists && coachesSwimmer(caller, swimmerDoc.data())) {
+      return caller;
+    }
+  }
+
+  throw new Error('Admin or coach access required');
+};
+
+/**
+ * Require a caller who may set a swimmer's goals
+ * Swimmers set their own, guardians their linked swimmers', and admins and
+ * coaches those of the swimmers they manage.
+ * @param {Object} auth - The auth context of the callable request
+ * @param {string} swimmerId - The swimmer's user ID
+ * @returns {Promise<Object>} The caller's user data
+ */
+const assertCanSetGoals = async (auth, swimmerId) => {
+  const caller = await getCaller(auth);
+
+  if (caller.id === swimmerId || isGuardianOf(caller, swimmerId)) {
+    return caller;
+  }
+
+  return assertCanManageSwimmer(auth, swimmerId);
+};
+
+module.exports = {
+  getCaller,
+  assertAdmin,
+  coachesSwimmer,
+  isGuardianOf,
+  assertCanViewSwimmer,
+  assertCanManageSwimmer,
+  assertCanSetGoals,
+};
@@ -1,69 +1,313 @@
 /**
  * Cloud Functions for managing swimmer best times and goal times
+ *
+ * Every recorded swim is kept in `users/{uid}/swims`. The documents in
+ * `users/{uid}/bestTimes` are derived from that history: each one holds the
+ * fastest swim for its event and pool course alongside the swimmer's current
+ * goal, which is set and tracked by ./goals.
  */
 
 const { onCall } = require('firebase-functions/v2/https');
-const { getFirestore } = require('firebase-admin/firestore');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const logger = require('firebase-functions/logger');
+const { COURSES, normalizeCourse } = require('./courses');
+const courseConversion = require('./courseConversion');
+const { formatTime } = require('./timeFormat');
+const {
+  getCaller,
+  coachesSwimmer,
+  assertCanViewSwimmer,
+  assertCanManageSwimmer,
+} = require('./auth');
+const { validateSplits } = require('./splits');
+const {
+  getSwimmerStandards,
+  getStandardsProgress,
+} = require('./timeStandards');
 
 // Get Firestore instance
 const db = getFirestore(undefined, 'digby-dolphins');
 
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+const bestTimesCollection = 'bestTimes';
+
+/**
+ * Helper function to build the ID used for an event's best time document
+ * @param {string} stroke - Swimming stroke (e.g., "Freestyle")
+ * @param {string} distance - Distance (e.g., "50m")
+ * @param {string} course - Pool course (e.g., "SCM")
+ * @returns {string} Event ID (e.g., "Freestyle_50m_SCM")
+ */
+const getEventId = (stroke, distance, course) =>
+  `${stroke}_${distance}_${course}`;
+
 /**
- * Add or update a swimmer's best time for an event (Admin only)
+ * Helper function to estimate a best time in the other pool courses
+ * @param {Object} bestTime - Best time record ({ stroke, distance, course, time })
+ * @returns {Array<Object>} Estimated conversions, one per other course
  */
-const addBestTime = async (data, context) => {
+const getCourseConversions = (bestTime) => {
+  if (typeof bestTime.time !== 'number') {
+    return [];
+  }
+
+  const fromCourse = normalizeCourse(bestTime.course);
+
   try {
-    // Ensure user is authenticated
-    if (!context.auth) {
-      throw new Error('Authentication required');
+    return Object.keys(COURSES)
+      .filter((course) => course !== fromCourse)
+      .map((course) =>
+        courseConversion.convertTime({
+          time: bestTime.time,
+          stroke: bestTime.stroke,
+          distance: bestTime.distance,
+          fromCourse,
+          toCourse: course,
+        })
+      );
+  } catch (error) {
+    // Strokes without conversion factors simply have no estimates
+    logger.warn('Could not convert best time:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Helper function to record a swim in an athlete's history
+ * The event's best time document is only replaced when the swim is faster
+ * than the current best, so a slower swim never overwrites a PB.
+ * @param {string} userId - The athlete's user ID
+ * @param {Object} swim - The swim ({ eventName, stroke, distance, course, time,
+ *   date }, optionally with 25 or 50 `splits` that add up to the time)
+ * @param {Object} [options] - Recording options
+ * @param {string} [options.swimId] - Fixed swim ID, so re-importing the same
+ *   result does not record the swim twice
+ * @returns {Promise<Object>} The stored swim and whether it is a new best time
+ */
+const recordSwim = async (userId, swim, options = {}) => {
+  const { eventName, stroke, distance, time, date } = swim;
+  const course = normalizeCourse(swim.course);
+
+  const timeInSeconds = parseFloat(time);
+  if (!Number.isFinite(timeInSeconds) || timeInSeconds <= 0) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+
+  const eventId = getEventId(stroke, distance, course);
+  const now = new Date().toISOString();
+
+  const userRef = db.collection(usersCollection).doc(userId);
+  const swimRef = options.swimId
+    ? userRef.collection(swimsCollection).doc(options.swimId)
+    : userRef.collection(swimsCollection).doc();
+  const bestTimeRef = userRef.collection(bestTimesCollection).doc(eventId);
+
+  const swimData = {
+    eventId,
+    eventName,
+    stroke,
+    distance,
+    course,
+    time: timeInSeconds,
+    date: date || now,
+    createdAt: now,
+  };
+
+  // Optional details provided by meet result imports
+  ['meetName', 'round', 'place', 'source'].forEach((field) => {
+    if (swim[field] !== undefined && swim[field] !== null) {
+      swimData[field] = swim[field];
     }
+  });
+
+  if (Array.isArray(swim.splits) && swim.splits.length > 0) {
+    Object.assign(
+      swimData,
+      validateSplits({
+        distance,
+        time: timeInSeconds,
+        splits: swim.splits,
+        splitDistance: swim.splitDistance,
+      })
+    );
+  }
 
-    // Get the user's role from Firestore
-    const userDoc = await db.collection('users').doc(context.auth.uid).get();
-    if (!userDoc.exists) {
-      throw new Error('User not found');
+  return db.runTransaction(async (transaction) => {
+    if (options.swimId) {
+      const existingSwimDoc = await transaction.get(swimRef);
+      if (existingSwimDoc.exists) {
+        return {
+          swim: {
+            id: swimRef.id,
+            ...existingSwimDoc.data(),
+          },
+          isBestTime: false,
+          previousBestTime: null,
+          duplicate: true,
+        };
+      }
     }
 
-    const userData = userDoc.data();
-    if (userData.role !== 'admin') {
-      throw new Error('Admin access required');
+    const bestTimeDoc = await transaction.get(bestTimeRef);
+    const currentBest = bestTimeDoc.exists ? bestTimeDoc.data() : null;
+
+    // A best time document may exist with only a goal time set
+    const isBestTime =
+      !currentBest ||
+      typeof currentBest.time !== 'number' ||
+      timeInSeconds < currentBest.time;
+
+    transaction.set(swimRef, swimData);
+
+    if (isBestTime) {
+      transaction.set(
+        bestTimeRef,
+        {
+          eventName,
+          stroke,
+          distance,
+          course,
+          time: timeInSeconds,
+          date: swimData.date,
+          swimId: swimRef.id,
+          swimCount: FieldValue.increment(1),
+          updatedAt: now,
+        },
+        { merge: true }
+      );
+    } else {
+      transaction.set(
+        bestTimeRef,
+        {
+          swimCount: FieldValue.increment(1),
+          updatedAt: now,
+        },
+        { merge: true }
+      );
     }
 
-    const { eventName, stroke, distance, time, date, userId } = data;
+    return {
+      swim: {
+        id: swimRef.id,
+        ...swimData,
+      },
+      isBestTime,
+      previousBestTime:
+        currentBest && typeof currentBest.time === 'number'
+          ? currentBest.time
+          : null,
+      duplicate: false,
+    };
+  });
+};
+
+/**
+ * Helper function to re-derive an event's best time from the swim history
+ * Used after a swim is removed, since the removed swim may have been the best.
+ * @param {string} userId - The athlete's user ID
+ * @param {string} eventId - The event ID (format: "stroke_distance_course")
+ * @returns {Promise<Object|null>} The fastest remaining swim, if any
+ */
+const recalculateBestTime = async (userId, eventId) => {
+  const userRef = db.collection(usersCollection).doc(userId);
+  const bestTimeRef = userRef.collection(bestTimesCollection).doc(eventId);
+
+  const swimsSnapshot = await userRef
+    .collection(swimsCollection)
+    .where('eventId', '==', eventId)
+    .get();
+
+  const swims = swimsSnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+  const fastest = swims.reduce(
+    (best, swim) => (!best || swim.time < best.time ? swim : best),
+    null
+  );
+
+  const now = new Date().toISOString();
+
+  if (fastest) {
+    await bestTimeRef.set(
+      {
+        eventName: fastest.eventName,
+        stroke: fastest.stroke,
+        distance: fastest.distance,
+        course: fastest.course,
+        time: fastest.time,
+        date: fastest.date,
+        swimId: fastest.id,
+        points: typeof fastest.points === 'number' ? fastest.points : null,
+        swimCount: swims.length,
+        updatedAt: now,
+      },
+      { merge: true }
+    );
+  } else {
+    // Keep the document (it may hold a goal time) but clear the best time
+    await bestTimeRef.set(
+      {
+        time: FieldValue.delete(),
+        date: FieldValue.delete(),
+        swimId: FieldValue.delete(),
+        points: FieldValue.delete(),
+        swimCount: 0,
+        updatedAt: now,
+      },
+      { merge: true }
+    );
+  }
+
+  return fastest;
+};
+
+/**
+ * Record a swim for a swimmer and update their best time if it is faster
+ * (Admin or the swimmer's coach)
+ */
+const addBestTime = async (request) => {
+  try {
+    const {
+      eventName,
+      stroke,
+      distance,
+      course,
+      time,
+      date,
+      splits,
+      splitDistance,
+      userId,
+    } = request.data;
 
     if (!eventName || !stroke || !distance || !time || !userId) {
       throw new Error('Missing required fields');
     }
 
-    // Create a unique ID for this event
-    const eventId = `${stroke}_${distance}`;
+    await assertCanManageSwimmer(request.auth, userId);
 
-    // Create the best time record
-    const bestTimeData = {
+    const { swim, isBestTime, previousBestTime } = await recordSwim(userId, {
       eventName,
       stroke,
       distance,
-      time: parseFloat(time),
-      date: date || new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-
-    // Add to Firestore
-    await db
-      .collection('users')
-      .doc(userId)
-      .collection('bestTimes')
-      .doc(eventId)
-      .set(bestTimeData, { merge: true });
+      course,
+      time,
+      date,
+      splits,
+      splitDistance,
+    });
 
     return {
       success: true,
-      message: 'Best time saved successfully',
-      bestTime: {
-        id: eventId,
-        ...bestTimeData,
-      },
+      message: isBestTime
+        ? 'New best time saved successfully'
+        : 'Swim saved successfully',
+      swim,
+      isBestTime,
+      previousBestTime,
     };
   } catch (error) {
     logger.error('Error adding best time:', error);
@@ -75,47 +319,42 @@ const addBestTime = async (data, context) => {
 };
 
 /**
- * Set a goal time for a swimmer
+ * Delete a swim from a swimmer's history (Admin or the swimmer's coach)
+ * The event's best time is re-derived from the remaining swims.
  */
-const setGoalTime = async (data, context) => {
+const deleteSwim = async (request) => {
   try {
-    // Ensure user is authenticated
-    if (!context.auth) {
-      throw new Error('Authentication required');
-    }
-
-    const { eventName, stroke, distance, goalTime } = data;
+    const { userId, swimId } = request.data;
 
-    if (!eventName || !stroke || !distance || !goalTime) {
+    if (!userId || !swimId) {
       throw new Error('Missing required fields');
     }
 
-    const userId = context.auth.uid;
+    await assertCanManageSwimmer(request.auth, userId);
 
-    // Create a unique ID for this event
-    const eventId = `${stroke}_${distance}`;
+    const swimRef = db
+      .collection(usersCollection)
+      .doc(userId)
+      .collection(swimsCollection)
+      .doc(swimId);
+    const swimDoc = await swimRef.get();
 
-    // Create the goal time record
-    const goalTimeData = {
-      goalTime: parseFloat(goalTime),
-      updatedAt: new Date().toISOString(),
-    };
+    if (!swimDoc.exists) {
+      throw new Error('Swim not found');
+    }
 
-    // Add to Firestore
-    await db
-      .collection('users')
-      .doc(userId)
-      .collection('bestTimes')
-      .doc(eventId)
-      .set(goalTimeData, { merge: true });
+    const { eventId } = swimDoc.data();
+
+    await swimRef.delete();
+    const bestSwim = await recalculateBestTime(userId, eventId);
 
     return {
       success: true,
-      message: 'Goal time set successfully',
-      goalTime: goalTimeData,
+      message: 'Swim deleted successfully',
+      bestTime: bestSwim,
     };
   } catch (error) {
-    logger.error('Error setting goal time:', error);
+    logger.error('Error deleting swim:', error);
     return {
       success: false,
       error: error.message,
@@ -124,29 +363,56 @@ const setGoalTime = async (data, context) => {
 };
 
 /**
- * Get all best times and goals for a swimmer
+ * Get all best times and goals for a swimmer, optionally for a single course
+ * Each best time reports the time standards it has achieved and the next
+ * standard to aim for, using the swimmer's age and gender. Guardians, admins
+ * and coaches may pass `athleteId` to view a swimmer they are linked to or
+ * manage.
  */
-const getBestTimes = async (data, context) => {
+const getBestTimes = async (request) => {
   try {
     // Ensure user is authenticated
-    if (!context.auth) {
+    if (!request.auth) {
       throw new Error('Authentication required');
     }
 
-    const userId = context.auth.uid;
+    const { course } = request.data || {};
+    const userId = (request.data && request.data.athleteId) || request.auth.uid;
+    if (userId !== request.auth.uid) {
+      await assertCanViewSwimmer(request.auth, userId);
+    }
+
+    const userRef = db.collection(usersCollection).doc(userId);
 
     // Get all best times for this user
-    const bestTimesSnapshot = await db
-      .collection('users')
-      .doc(userId)
-      .collection('bestTimes')
-      .get();
+    let bestTimesQuery = userRef.collection(bestTimesCollection);
+
+    if (course) {
+      bestTimesQuery = bestTimesQuery.where(
+        'course',
+        '==',
+        normalizeCourse(course)
+      );
+    }
+
+    const [bestTimesSnapshot, userDoc] = await Promise.all([
+      bestTimesQuery.get(),
+      userRef.get(),
+    ]);
+
+    const standards = await getSwimmerStandards(
+      userDoc.exists ? userDoc.data() : {},
+      course
+    );
 
     const bestTimes = [];
     bestTimesSnapshot.forEach((doc) => {
+      const bestTime = doc.data();
       bestTimes.push({
         id: doc.id,
-        ...doc.data(),
+        ...bestTime,
+        conversions: getCourseConversions(bestTime),
+        standards: getStandardsProgress(bestTime, standards),
       });
     });
 
@@ -164,28 +430,35 @@ const getBestTimes = async (data, context) => {
 };
 
 /**
- * Get a specific best time record
+ * Get a specific best time record along with every swim of that event
+ * The time standards for the event that apply to the swimmer are included
+ * so the swim history can be charted against them. Guardians, admins and
+ * coaches may pass `athleteId` to view a swimmer they are linked to or
+ * manage.
  */
-const getBestTime = async (data, context) => {
+const getBestTime = async (request) => {
   try {
     // Ensure user is authenticated
-    if (!context.auth) {
+    if (!request.auth) {
       throw new Error('Authentication required');
     }
 
-    const { eventId } = data;
+    const { eventId } = request.data;
 
     if (!eventId) {
       throw new Error('Event ID is required');
     }
 
-    const userId = context.auth.uid;
+    const userId = request.data.athleteId || request.auth.uid;
+    if (userId !== request.auth.uid) {
+      await assertCanViewSwimmer(request.auth, userId);
+    }
+
+    const userRef = db.collection(usersCollection).doc(userId);
 
     // Get the specific best time
-    const bestTimeDoc = await db
-      .collection('users')
-      .doc(userId)
-      .collection('bestTimes')
+    const bestTimeDoc = await userRef
+      .collection(bestTimesCollection)
       .doc(eventId)
       .get();
 
@@ -196,12 +469,43 @@ const getBestTime = async (data, context) => {
       };
     }
 
+    // Get the swim history for this event
+    const [swimsSnapshot, userDoc] = await Promise.all([
+      userRef.collection(swimsCollection).where('eventId', '==', eventId).get(),
+      userRef.get(),
+    ]);
+
+    const bestTime = bestTimeDoc.data();
+    const standards = (
+      await getSwimmerStandards(
+        userDoc.exists ? userDoc.data() : {},
+        bestTime.course
+      )
+    )
+      .filter(
+        (standard) =>
+          standard.stroke === bestTime.stroke &&
+          standard.distance === bestTime.distance
+      )
+      .sort((a, b) => b.time - a.time);
+
+    // Sort oldest first (sorted here to avoid needing a composite index)
+    const swims = swimsSnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
     return {
       success: true,
       bestTime: {
         id: bestTimeDoc.id,
-        ...bestTimeDoc.data(),
+        ...bestTime,
+        standards: getStandardsProgress(bestTime, standards),
       },
+      swims,
+      standards,
     };
   } catch (error) {
     logger.error('Error getting best time:', error);
@@ -213,82 +517,140 @@ const getBestTime = async (data, context) => {
 };
 
 /**
- * Import multiple best times for multiple swimmers (Admin only)
+ * Import multiple swims for multiple swimmers (Admin or coach)
+ * Each record is added to the swimmer's history; best times are only
+ * updated by records that are faster than the current best. Coaches can
+ * only import swims for swimmers in their training groups.
  */
-const importBestTimes = async (data, context) => {
+const importBestTimes = async (request) => {
   try {
-    // Ensure user is authenticated
-    if (!context.auth) {
-      throw new Error('Authentication required');
-    }
-
-    // Get the user's role from Firestore
-    const userDoc = await db.collection('users').doc(context.auth.uid).get();
-    if (!userDoc.exists) {
-      throw new Error('User not found');
+    const caller = await getCaller(request.auth);
+    if (caller.role !== 'admin' && caller.role !== 'coach') {
+      throw new Error('Admin or coach access required');
     }
 
-    const userData = userDoc.data();
-    if (userData.role !== 'admin') {
-      throw new Error('Admin access required');
-    }
+    // Whether the coach manages each swimmer, looked up once per swimmer
+    const managedSwimmers = new Map();
+    const canManage = async (userId) => {
+      if (caller.role === 'admin') {
+        return true;
+      }
+      if (!managedSwimmers.has(userId)) {
+        const swimmerDoc = await db
+          .collection(usersCollection)
+          .doc(userId)
+          .get();
+        managedSwimmers.set(
+          userId,
+          swimmerDoc.exists && coachesSwimmer(caller, swimmerDoc.data())
+        );
+      }
+      return managedSwimmers.get(userId);
+    };
 
-    const { bestTimes } = data;
+    const { bestTimes } = request.data;
 
     if (!bestTimes || !Array.isArray(bestTimes) || bestTimes.length === 0) {
       throw new Error('No best times provided');
     }
 
-    // Batch write to Firestore
-    const batch = db.batch();
     const results = [];
+    const skipped = [];
 
+    // Records are written one at a time so that several swims of the same
+    // event in one import are compared against each other
     for (const record of bestTimes) {
-      const { userId, eventName, stroke, distance, time, date } = record;
+      const {
+        userId,
+        eventName,
+        stroke,
+        distance,
+        course,
+        time,
+        date,
+        splits,
+        splitDistance,
+      } = record;
 
       if (!userId || !eventName || !stroke || !distance || !time) {
         logger.warn('Skipping record with missing fields:', record);
+        skipped.push({ record, reason: 'Missing required fields' });
         continue;
       }
 
-      // Create a unique ID for this event
-      const eventId = `${stroke}_${distance}`;
+      if (!(await canManage(userId))) {
+        skipped.push({ record, reason: 'Swimmer is not in your groups' });
+        continue;
+      }
 
-      // Create the best time record
-      const bestTimeData = {
-        eventName,
-        stroke,
-        distance,
-        time: parseFloat(time),
-        date: date || new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
+      try {
+        const { swim, isBestTime } = await recordSwim(userId, {
+          eventName,
+          stroke,
+          distance,
+          course,
+          time,
+          date,
+          splits,
+          splitDistance,
+        });
+
+        results.push({
+          userId,
+          isBestTime,
+          ...swim,
+        });
+      } catch (recordError) {
+        logger.warn('Skipping record that could not be saved:', recordError);
+        skipped.push({ record, reason: recordError.message });
+      }
+    }
+
+    return {
+      success: true,
+      message: `${results.length} swims imported successfully`,
+      results,
+      skipped,
+    };
+  } catch (error) {
+    logger.error('Error importing best times:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
 
-      // Add to batch
-      const docRef = db
-        .collection('users')
-        .doc(userId)
-        .collection('bestTimes')
-        .doc(eventId);
-      batch.set(docRef, bestTimeData, { merge: true });
+/**
+ * Convert a time between pool courses (SCM, SCY, LCM)
+ * Converted times are estimates based on standard conversion factors.
+ */
+const convertTime = async (request) => {
+  try {
+    const { time, stroke, distance, fromCourse, toCourse } = request.data;
 
-      results.push({
-        userId,
-        eventId,
-        ...bestTimeData,
-      });
+    if (!time || !stroke || !distance || !fromCourse || !toCourse) {
+      throw new Error('Missing required fields');
     }
 
-    // Commit the batch
-    await batch.commit();
+    const conversion = courseConversion.convertTime({
+      time,
+      stroke,
+      distance,
+      fromCourse,
+      toCourse,
+    });
 
     return {
       success: true,
-      message: `${results.length} best times imported successfully`,
-      results,
+      conversion: {
+        ...conversion,
+        stroke,
+        formattedTime: formatTime(conversion.time),
+      },
     };
   } catch (error) {
-    logger.error('Error importing best times:', error);
+    logger.error('Error converting time:', error);
     return {
       success: false,
       error: error.message,
@@ -301,10 +663,6 @@ exports.addBestTime = onCall(
   { cors: true, region: 'us-central1' },
   addBestTime
 );
-exports.setGoalTime = onCall(
-  { cors: true, region: 'us-central1' },
-  setGoalTime
-);
 exports.getBestTimes = onCall(
   { cors: true, region: 'us-central1' },
   getBestTimes
@@ -317,3 +675,15 @@ exports.importBestTimes = onCall(
   { cors: true, region: 'us-central1' },
   importBestTimes
 );
+exports.deleteSwim = onCall(
+  { cors: true, region: 'us-central1' },
+  deleteSwim
+);
+exports.convertTime = onCall(
+  { cors: true, region: 'us-central1' },
+  convertTime
+);
+
+// Export helpers for other best times modules
+exports.recordSwim = recordSwim;
+exports.getEventId = getEventId;
@@ -0,0 +1,282 @@
+/**
+ * Cloud Functions for the iCalendar (.ics) feeds of club events
+ *
+ * `calendarFeed` serves the upcoming `events` as a feed that phone and
+ * desktop calendars can subscribe to: every event, one category's events
+ * (`?category=Meets`), or a personal feed (`?token=...`) of the events a
+ * member, or one of their swimmers, is attending. Calendar apps cannot sign
+ * in, so each member's personal feed is addressed by a secret token kept on
+ * their user document (`calendarFeedToken`).
+ *
+ * Recurring events are listed as their separate occurrences (see
+ * ./recurrence); cancelled occurrences stay in the feed, marked cancelled,
+ * so subscribed calendars update instead of silently dropping them.
+ */
+
+const crypto = require('crypto');
+const ics = require('ics');
+const { onCall, onRequest } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller } = require('./auth');
+const { loadEventOccurrences } = require('./recurrence');
+const { IN_QUERY_LIMIT } = require('./queries');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const meetEntriesCollection = 'meetEntries';
+const eventRsvpsCollection = 'eventRsvps';
+
+// Events from the last week stay in the feed so they do not vanish the
+// moment they start
+const FEED_PAST_DAYS = 7;
+
+// Events up to a year ahead are included, which also bounds how far
+// recurring events are expanded
+const FEED_FUTURE_DAYS = 365;
+
+// Events without an end time are shown as an hour long
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// Members are reminded a day before registration closes
+const REGISTRATION_REMINDER_MS = 24 * 60 * 60 * 1000;
+
+const CALENDAR_NAME = 'Digby Dolphins';
+const PRODUCT_ID = 'digbydolphins.com';
+
+/**
+ * Helper function to convert a club event to an iCalendar event
+ * @param {Object} entry - The event or occurrence as `{ id, data }`
+ * @returns {Object} Event attributes for the ics package
+ */
+const toIcsEvent = ({ id, data }) => {
+  const start = data.startDate.toDate().getTime();
+  const end = data.endDate
+    ? Math.max(data.endDate.toDate().getTime(), start)
+    : start + DEFAULT_DURATION_MS;
+
+  const event = {
+    uid: `${id}@${PRODUCT_ID}`,
+    title: data.title,
+    description: data.description || '',
+    location: data.location || '',
+    start,
+    startInputType: 'utc',
+    startOutputType: 'utc',
+    end,
+    endInputType: 'utc',
+    endOutputType: 'utc',
+  };
+
+  if (data.category) {
+    event.categories = [data.category];
+  }
+  if (data.updatedAt) {
+    event.lastModified = data.updatedAt.toDate().getTime();
+  }
+
+  if (data.cancelled) {
+    event.status = 'CANCELLED';
+    event.title = `Cancelled: ${data.title}`;
+    if (data.cancellationReason) {
+      event.description = [data.cancellationReason, event.description]
+        .filter(Boolean)
+        .join('\n\n');
+    }
+  }
+
+  if (data.organizer) {
+    event.description = [event.description, `Organizer: ${data.organizer}`]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  // Remind members a day before registration closes. Once that time has
+  // passed the alarm is left out; a reminder tied to when the feed was
+  // fetched would fire again on every refresh
+  if (data.registrationDeadline && !data.cancelled) {
+    const reminderTime =
+      data.registrationDeadline.toDate().getTime() - REGISTRATION_REMINDER_MS;
+    if (reminderTime > Date.now()) {
+      event.alarms = [
+        {
+          action: 'display',
+          description: `Registration for ${
+            data.title
+          } closes ${data.registrationDeadline.toDate().toUTCString()}`,
+          trigger: reminderTime,
+        },
+      ];
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Helper function to build an iCalendar file from club events
+ * @param {Array<Object>} entries - Events and occurrences as `{ id, data }`
+ * @param {string} name - Calendar name shown by calendar apps
+ * @returns {string} The iCalendar file
+ */
+const buildCalendar = (entries, name) => {
+  const { error, value } = ics.createEvents(entries.map(toIcsEvent), {
+    productId: PRODUCT_ID,
+    method: 'PUBLISH',
+    calName: name,
+  });
+  if (error) {
+    throw error;
+  }
+
+  return value;
+};
+
+/**
+ * Helper function to load the events shown in the feeds
+ * @param {string} [category] - Only load events in this category
+ * @returns {Promise<Array<Object>>} Events and occurrences as
+ *   `{ id, data }`, soonest first
+ */
+const loadFeedEvents = async (category) => {
+  const start = new Date();
+  start.setDate(start.getDate() - FEED_PAST_DAYS);
+  const end = new Date();
+  end.setDate(end.getDate() + FEED_FUTURE_DAYS);
+
+  return loadEventOccurrences({ category, start, end });
+};
+
+/**
+ * Helper function to find the events a member is attending
+ * A member attends the meets they, or a swimmer they are a guardian of,
+ * have entered, and the events they have a confirmed spot at.
+ * @param {string} userId - The member's user ID
+ * @param {Object} user - The member's user data
+ * @returns {Promise<Set<string>>} Event and occurrence IDs
+ */
+const getAttendingEventIds = async (userId, user) => {
+  const swimmerIds = [userId, ...(user.athleteIds || [])];
+  const eventIds = new Set();
+
+  for (let i = 0; i < swimmerIds.length; i += IN_QUERY_LIMIT) {
+    const chunk = swimmerIds.slice(i, i + IN_QUERY_LIMIT);
+    const [entriesSnapshot, rsvpsSnapshot] = await Promise.all([
+      db
+        .collection(meetEntriesCollection)
+        .where('swimmerId', 'in', chunk)
+        .get(),
+      db
+        .collection(eventRsvpsCollection)
+        .where('swimmerId', 'in', chunk)
+        .get(),
+    ]);
+    entriesSnapshot.forEach((doc) => {
+      if (doc.data().status !== 'rejected') {
+        eventIds.add(doc.data().eventId);
+      }
+    });
+    rsvpsSnapshot.forEach((doc) => {
+      if (doc.data().status === 'confirmed') {
+        eventIds.add(doc.data().eventId);
+      }
+    });
+  }
+
+  return eventIds;
+};
+
+/**
+ * Serve a subscribable iCalendar feed of upcoming events
+ * Pass `category` for one category's events or `token` for a member's
+ * personal feed; with neither, every event is included.
+ */
+const calendarFeed = async (req, res) => {
+  try {
+    const { category, token } = req.query;
+    let entries;
+    let name = CALENDAR_NAME;
+
+    if (token) {
+      const usersSnapshot = await db
+        .collection(usersCollection)
+        .where('calendarFeedToken', '==', String(token))
+        .limit(1)
+        .get();
+      if (usersSnapshot.empty) {
+        res.status(404).send('Calendar not found');
+        return;
+      }
+
+      const [userDoc] = usersSnapshot.docs;
+      const [events, eventIds] = await Promise.all([
+        loadFeedEvents(),
+        getAttendingEventIds(userDoc.id, userDoc.data()),
+      ]);
+      entries = events.filter(
+        (entry) => eventIds.has(entry.id) || eventIds.has(entry.data.eventId)
+      );
+      name = `${CALENDAR_NAME} (My Events)`;
+    } else {
+      entries = await loadFeedEvents(
+        category ? String(category) : undefined
+      );
+      if (category) {
+        name = `${CALENDAR_NAME} ${category}`;
+      }
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="digby-dolphins.ics"');
+    res.set('Cache-Control', token ? 'private, max-age=900' : 'max-age=900');
+    res.status(200).send(buildCalendar(entries, name));
+  } catch (error) {
+    logger.error('Error serving calendar feed:', error);
+    res.status(500).send('Could not load the calendar');
+  }
+};
+
+/**
+ * Get the token for the current user's personal calendar feed
+ * (Authenticated users)
+ * A token is created the first time; pass `reset` to replace it, which
+ * stops the old feed address from working.
+ */
+const getCalendarFeedToken = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+
+    let token = caller.calendarFeedToken;
+    if (!token || (request.data && request.data.reset)) {
+      token = crypto.randomBytes(32).toString('hex');
+      await db
+        .collection(usersCollection)
+        .doc(caller.id)
+        .update({ calendarFeedToken: token });
+    }
+
+    return {
+      success: true,
+      token,
+    };
+  } catch (error) {
+    logger.error('Error getting calendar feed token:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.calendarFeed = onRequest(
+  { cors: true, region: 'us-central1', memory: '256MiB' },
+  calendarFeed
+);
+exports.getCalendarFeedToken = onCall(
+  { cors: true, region: 'us-central1' },
+  getCalendarFeedToken
+);
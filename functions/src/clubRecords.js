@@ -0,0 +1,510 @@
+/**
+ * Cloud Functions for the club records board
+ *
+ * `clubRecords` holds the fastest swim ever swum by a club member for each
+ * age group, gender, pool course and event, plus an all-ages "Open" record.
+ * Every new swim is checked against the board as it is recorded; when it
+ * beats a record, the board is updated and an entry is added to
+ * `recordBreaks`, which carries a ready-made headline for news articles.
+ * Records use the club's age groups (see ./ageGroupSettings); rebuild the
+ * board after changing them.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { normalizeCourse } = require('./courses');
+const { formatTime } = require('./timeFormat');
+const { assertAdmin } = require('./auth');
+const { normalizeGender } = require('./timeStandards');
+const { getCompetitionAge, getAgeGroup } = require('./ageGroups');
+const { loadAgeGroupSettings } = require('./ageGroupSettings');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+const clubRecordsCollection = 'clubRecords';
+const recordBreaksCollection = 'recordBreaks';
+
+// All-ages records
+const OPEN_AGE_GROUP = 'Open';
+
+const GENDER_LABELS = {
+  M: 'Boys',
+  F: 'Girls',
+};
+
+const STROKE_ORDER = [
+  'Freestyle',
+  'Backstroke',
+  'Breaststroke',
+  'Butterfly',
+  'Individual Medley',
+];
+
+/**
+ * Helper function to build the ID of a record document
+ * @param {string} ageGroup - Age group label
+ * @param {string} gender - M or F
+ * @param {Object} swim - The swim ({ stroke, distance, course })
+ * @returns {string} Record ID (e.g., "11-12_F_Freestyle_50m_SCM")
+ */
+const getRecordId = (ageGroup, gender, swim) =>
+  [ageGroup, gender, swim.stroke, swim.distance, normalizeCourse(swim.course)]
+    .join('_')
+    .replace(/[^A-Za-z0-9_-]+/g, '-');
+
+/**
+ * Helper function to get the name shown for a record holder
+ * @param {Object} user - The user document data
+ * @returns {string} Display name
+ */
+const getHolderName = (user) =>
+  user.preferredName && user.lastName
+    ? `${user.preferredName} ${user.lastName}`
+    : user.displayName ||
+      [user.firstName, user.lastName].filter((name) => name).join(' ') ||
+      'Club member';
+
+/**
+ * Helper function to get the records a swim counts towards
+ * @param {Object} user - The swimmer's user document data
+ * @param {Object} swim - The swim ({ stroke, distance, course, time, date })
+ * @param {Object} ageGroupSettings - The club's age group settings
+ * @returns {Array<Object>} Record keys ({ id, ageGroup, gender })
+ */
+const getRecordKeys = (user, swim, ageGroupSettings) => {
+  let gender = null;
+  try {
+    gender = user.gender ? normalizeGender(user.gender) : null;
+  } catch (error) {
+    logger.warn('Ignoring unrecognised gender on user:', error.message);
+  }
+
+  // Records are split by gender, so a swimmer without one cannot hold any
+  if (!GENDER_LABELS[gender]) {
+    return [];
+  }
+
+  // The age group is the swimmer's competition age at the meet swum in
+  const swimDate = new Date(swim.date);
+  const ageGroup = getAgeGroup(
+    getCompetitionAge(
+      user.birthDate,
+      ageGroupSettings,
+      Number.isNaN(swimDate.getTime()) ? new Date() : swimDate
+    ),
+    ageGroupSettings
+  );
+
+  return [ageGroup && ageGroup.label, OPEN_AGE_GROUP]
+    .filter((group) => group)
+    .map((group) => ({
+      id: getRecordId(group, gender, swim),
+      ageGroup: group,
+      gender,
+    }));
+};
+
+/**
+ * Helper function to build a record document from a swim
+ * @param {Object} key - Record key ({ ageGroup, gender })
+ * @param {Object} holder - The record holder ({ id, name })
+ * @param {Object} swim - The swim
+ * @returns {Object} Record document data
+ */
+const buildRecord = (key, holder, swim) => ({
+  ageGroup: key.ageGroup,
+  gender: key.gender,
+  eventName: swim.eventName || null,
+  stroke: swim.stroke,
+  distance: swim.distance,
+  course: normalizeCourse(swim.course),
+  time: swim.time,
+  holderId: holder.id,
+  holderName: holder.name,
+  date: swim.date,
+  swimId: swim.id,
+  updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Helper function to describe a broken record for news
+ * @param {Object} record - The new record
+ * @param {Object} previousRecord - The record it replaced
+ * @returns {Object} { headline, summary }
+ */
+const describeRecordBreak = (record, previousRecord) => {
+  const eventLabel = `${record.ageGroup} ${GENDER_LABELS[record.gender]} ${
+    record.distance
+  } ${record.stroke} (${record.course})`;
+
+  return {
+    headline: `${record.holderName} breaks the ${eventLabel} club record`,
+    summary:
+      `${record.holderName} swam ${formatTime(record.time)}, ` +
+      `beating the previous record of ${formatTime(previousRecord.time)} ` +
+      `set by ${previousRecord.holderName}.`,
+  };
+};
+
+/**
+ * Helper function to check a new swim against the records board
+ * A swim that ties a record does not break it.
+ * @param {string} userId - The swimmer's user ID
+ * @param {Object} swim - The swim, including its ID
+ * @returns {Promise<Array<Object>>} The records the swim set or broke
+ */
+const checkSwimForRecords = async (userId, swim) => {
+  if (typeof swim.time !== 'number') {
+    return [];
+  }
+
+  const [userDoc, ageGroupSettings] = await Promise.all([
+    db.collection(usersCollection).doc(userId).get(),
+    loadAgeGroupSettings(),
+  ]);
+  if (!userDoc.exists) {
+    return [];
+  }
+
+  const user = userDoc.data();
+  const holder = { id: userId, name: getHolderName(user) };
+  const newRecords = [];
+
+  for (const key of getRecordKeys(user, swim, ageGroupSettings)) {
+    const recordRef = db.collection(clubRecordsCollection).doc(key.id);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const recordDoc = await transaction.get(recordRef);
+      const previousRecord = recordDoc.exists ? recordDoc.data() : null;
+
+      if (previousRecord && swim.time >= previousRecord.time) {
+        return null;
+      }
+
+      const record = buildRecord(key, holder, swim);
+      transaction.set(recordRef, record);
+
+      // The first time for an event sets a record; only beating one is news
+      if (previousRecord) {
+        transaction.set(db.collection(recordBreaksCollection).doc(), {
+          recordId: key.id,
+          ...record,
+          previousTime: previousRecord.time,
+          previousHolderId: previousRecord.holderId,
+          previousHolderName: previousRecord.holderName,
+          previousDate: previousRecord.date,
+          ...describeRecordBreak(record, previousRecord),
+          newsArticleId: null,
+          createdAt: record.updatedAt,
+        });
+      }
+
+      return { id: key.id, ...record, broken: !!previousRecord };
+    });
+
+    if (result) {
+      newRecords.push(result);
+    }
+  }
+
+  return newRecords;
+};
+
+/**
+ * Update the records board whenever a swim is recorded
+ * This covers swims added by admins and swims from every kind of import.
+ */
+const onSwimRecorded = async (event) => {
+  const snapshot = event.data;
+  if (!snapshot) {
+    return;
+  }
+
+  try {
+    const newRecords = await checkSwimForRecords(event.params.userId, {
+      id: snapshot.id,
+      ...snapshot.data(),
+    });
+
+    newRecords
+      .filter((record) => record.broken)
+      .forEach((record) =>
+        logger.info(`Club record broken: ${record.id}`, {
+          holderId: record.holderId,
+          time: record.time,
+        })
+      );
+  } catch (error) {
+    logger.error('Error checking swim for club records:', error);
+  }
+};
+
+/**
+ * Get the club records, optionally filtered by course, gender, age group,
+ * stroke or distance
+ * Records are public, so no sign-in is required.
+ */
+const getClubRecords = async (request) => {
+  try {
+    const { course, gender, ageGroup, stroke, distance } = request.data || {};
+
+    let recordsQuery = db.collection(clubRecordsCollection);
+    if (course) {
+      recordsQuery = recordsQuery.where(
+        'course',
+        '==',
+        normalizeCourse(course)
+      );
+    }
+
+    const [recordsSnapshot, ageGroupSettings] = await Promise.all([
+      recordsQuery.get(),
+      loadAgeGroupSettings(),
+    ]);
+    const ageGroupOrder = [
+      ...ageGroupSettings.ageGroups.map((group) => group.label),
+      OPEN_AGE_GROUP,
+    ];
+
+    const records = recordsSnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .filter(
+        (record) =>
+          (!gender || record.gender === normalizeGender(gender)) &&
+          (!ageGroup || record.ageGroup === ageGroup) &&
+          (!stroke || record.stroke === stroke) &&
+          (!distance || record.distance === distance)
+      )
+      .sort(
+        (a, b) =>
+          ageGroupOrder.indexOf(a.ageGroup) -
+            ageGroupOrder.indexOf(b.ageGroup) ||
+          a.gender.localeCompare(b.gender) ||
+          a.course.localeCompare(b.course) ||
+          STROKE_ORDER.indexOf(a.stroke) - STROKE_ORDER.indexOf(b.stroke) ||
+          parseInt(a.distance, 10) - parseInt(b.distance, 10)
+      );
+
+    return {
+      success: true,
+      records,
+      ageGroups: ageGroupOrder,
+    };
+  } catch (error) {
+    logger.error('Error getting club records:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the most recently broken club records, newest first
+ */
+const getRecordBreaks = async (request) => {
+  try {
+    const { limit = 20 } = request.data || {};
+
+    const breaksSnapshot = await db
+      .collection(recordBreaksCollection)
+      .orderBy('createdAt', 'desc')
+      .limit(Math.min(parseInt(limit, 10) || 20, 100))
+      .get();
+
+    const recordBreaks = breaksSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    return {
+      success: true,
+      recordBreaks,
+    };
+  } catch (error) {
+    logger.error('Error getting record breaks:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Helper function to work out the records board from every swim on file
+ * @returns {Promise<Map<string, Object>>} Record documents by record ID
+ */
+const computeClubRecords = async () => {
+  const [usersSnapshot, ageGroupSettings] = await Promise.all([
+    db.collection(usersCollection).get(),
+    loadAgeGroupSettings(),
+  ]);
+  const users = new Map();
+  usersSnapshot.forEach((doc) => users.set(doc.id, doc.data()));
+
+  const swimsSnapshot = await db.collectionGroup(swimsCollection).get();
+  const records = new Map();
+
+  swimsSnapshot.forEach((doc) => {
+    const userId = doc.ref.parent.parent.id;
+    const user = users.get(userId);
+    const swim = { id: doc.id, ...doc.data() };
+
+    if (!user || typeof swim.time !== 'number') {
+      return;
+    }
+
+    getRecordKeys(user, swim, ageGroupSettings).forEach((key) => {
+      const current = records.get(key.id);
+      // On a tie the earlier swim keeps the record
+      if (
+        !current ||
+        swim.time < current.time ||
+        (swim.time === current.time &&
+          new Date(swim.date) < new Date(current.date))
+      ) {
+        records.set(
+          key.id,
+          buildRecord(key, { id: userId, name: getHolderName(user) }, swim)
+        );
+      }
+    });
+  });
+
+  return records;
+};
+
+/**
+ * Helper function to write records to the board
+ * Records with no remaining swims are removed.
+ * @param {Map<string, Object>} records - Record documents by record ID
+ * @param {Array<string>} recordIds - The records to write
+ * @returns {Promise<void>}
+ */
+const saveClubRecords = async (records, recordIds) => {
+  const writes = recordIds.map((id) => {
+    const recordRef = db.collection(clubRecordsCollection).doc(id);
+    return records.has(id)
+      ? (batch) => batch.set(recordRef, records.get(id))
+      : (batch) => batch.delete(recordRef);
+  });
+
+  // Firestore batches are limited to 500 writes
+  for (let i = 0; i < writes.length; i += 400) {
+    const batch = db.batch();
+    writes.slice(i, i + 400).forEach((write) => write(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Helper function to recompute the records a swimmer's swims count towards
+ * after their birthdate or gender changes
+ * Both the records the swims counted towards before the change and the
+ * ones they count towards now are worked out again from every swim on
+ * file. No record break entries are added.
+ * @param {string} userId - The swimmer's user ID
+ * @param {Object} previousUser - The swimmer's user data before the change
+ * @param {Object} user - The swimmer's user data after the change
+ * @returns {Promise<number>} The number of records recomputed
+ */
+const updateSwimmerRecords = async (userId, previousUser, user) => {
+  const [swimsSnapshot, ageGroupSettings] = await Promise.all([
+    db
+      .collection(usersCollection)
+      .doc(userId)
+      .collection(swimsCollection)
+      .get(),
+    loadAgeGroupSettings(),
+  ]);
+
+  const recordIds = new Set();
+  swimsSnapshot.forEach((doc) => {
+    const swim = { id: doc.id, ...doc.data() };
+    if (typeof swim.time !== 'number') {
+      return;
+    }
+    [previousUser, user].forEach((version) =>
+      getRecordKeys(version, swim, ageGroupSettings).forEach((key) =>
+        recordIds.add(key.id)
+      )
+    );
+  });
+
+  if (recordIds.size === 0) {
+    return 0;
+  }
+
+  const records = await computeClubRecords();
+  await saveClubRecords(records, [...recordIds]);
+
+  return recordIds.size;
+};
+
+/**
+ * Rebuild the records board from every swim on file (Admin only)
+ * Use this to seed the board, or after swims have been deleted. No record
+ * break entries are added.
+ */
+const rebuildClubRecords = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const records = await computeClubRecords();
+
+    // Replace the board; records with no remaining swims are removed
+    const existingSnapshot = await db.collection(clubRecordsCollection).get();
+    await saveClubRecords(records, [
+      ...new Set([
+        ...existingSnapshot.docs.map((doc) => doc.id),
+        ...records.keys(),
+      ]),
+    ]);
+
+    logger.info(`Rebuilt ${records.size} club records`);
+
+    return {
+      success: true,
+      message: `${records.size} club records rebuilt successfully`,
+      count: records.size,
+    };
+  } catch (error) {
+    logger.error('Error rebuilding club records:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.onSwimRecorded = onDocumentCreated(
+  {
+    document: `${usersCollection}/{userId}/${swimsCollection}/{swimId}`,
+    database: 'digby-dolphins',
+    region: 'us-central1',
+  },
+  onSwimRecorded
+);
+exports.getClubRecords = onCall(
+  { cors: true, region: 'us-central1' },
+  getClubRecords
+);
+exports.getRecordBreaks = onCall(
+  { cors: true, region: 'us-central1' },
+  getRecordBreaks
+);
+exports.rebuildClubRecords = onCall(
+  { cors: true, region: 'us-central1', memory: '512MiB', timeoutSeconds: 300 },
+  rebuildClubRecords
+);
+exports.updateSwimmerRecords = updateSwimmerRecords;
@@ -0,0 +1,180 @@
+/**
+ * Course conversion engine
+ * Converts swim times between short course meters (SCM), short course yards
+ * (SCY) and long course meters (LCM).
+ *
+ * Conversions pivot through SCM:
+ * - SCY <-> SCM scales the time by the yards-to-meters factor, adjusted for
+ *   events whose distances differ between courses (e.g. 500y <-> 400m).
+ * - SCM <-> LCM adds or removes the time gained from the extra walls in a
+ *   25m pool, which depends on the stroke.
+ * Converted times are estimates and should always be presented as such.
+ */
+
+const { normalizeCourse } = require('./courses');
+
+// SCM time = SCY time x factor, for events of the same nominal distance
+const YARDS_TO_METERS_FACTOR = 1.11;
+
+// Seconds per 50m an LCM swim is slower than the same SCM swim
+const LONG_COURSE_SECONDS_PER_50 = {
+  Freestyle: 0.8,
+  Backstroke: 0.6,
+  Breaststroke: 1.0,
+  Butterfly: 0.7,
+  'Individual Medley': 0.8,
+};
+
+// Yards distance -> equivalent meters distance, where they are not the same
+const YARDS_TO_METERS_DISTANCES = {
+  500: 400,
+  1000: 800,
+  1650: 1500,
+};
+
+/**
+ * Helper function to read the numeric length of a distance label
+ * @param {string|number} distance - Distance (e.g., "100m", "500y", 100)
+ * @returns {number} Distance length (e.g., 100)
+ */
+const parseDistance = (distance) => {
+  const value = parseInt(distance, 10);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid distance: ${distance}`);
+  }
+  return value;
+};
+
+/**
+ * Helper function to get the equivalent distance of an event in another course
+ * @param {number} value - Distance length in the source course
+ * @param {string} fromCourse - Source course code
+ * @param {string} toCourse - Target course code
+ * @returns {number} Distance length in the target course
+ */
+const getEquivalentDistance = (value, fromCourse, toCourse) => {
+  const fromYards = fromCourse === 'SCY';
+  const toYards = toCourse === 'SCY';
+
+  if (fromYards === toYards) {
+    return value;
+  }
+
+  if (fromYards) {
+    return YARDS_TO_METERS_DISTANCES[value] || value;
+  }
+
+  const yards = Object.keys(YARDS_TO_METERS_DISTANCES).find(
+    (yardsValue) => YARDS_TO_METERS_DISTANCES[yardsValue] === value
+  );
+  return yards ? parseInt(yards, 10) : value;
+};
+
+/**
+ * Convert a time from one pool course to another
+ * @param {Object} params - Conversion parameters
+ * @param {number} params.time - Time in seconds
+ * @param {string} params.stroke - Swimming stroke (e.g., "Freestyle")
+ * @param {string|number} params.distance - Distance in the source course (e.g., "100m")
+ * @param {string} params.fromCourse - Course the time was swum in
+ * @param {string} params.toCourse - Course to convert to
+ * @returns {Object} The converted time, distance and course, and whether it is an estimate
+ */
+const convertTime = ({ time, stroke, distance, fromCourse, toCourse }) => {
+  const from = normalizeCourse(fromCourse);
+  const to = normalizeCourse(toCourse);
+
+  const timeInSeconds = parseFloat(time);
+  if (!Number.isFinite(timeInSeconds) || timeInSeconds <= 0) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+
+  const longCourseIncrement = LONG_COURSE_SECONDS_PER_50[stroke];
+  if (longCourseIncrement === undefined) {
+    throw new Error(`Unsupported stroke: ${stroke}`);
+  }
+
+  const fromDistance = parseDistance(distance);
+  const metersDistance = getEquivalentDistance(fromDistance, from, 'SCM');
+  const toDistance = getEquivalentDistance(fromDistance, from, to);
+
+  // Convert to SCM
+  let scmTime = timeInSeconds;
+  if (from === 'SCY') {
+    scmTime =
+      timeInSeconds * YARDS_TO_METERS_FACTOR * (metersDistance / fromDistance);
+  } else if (from === 'LCM') {
+    scmTime = timeInSeconds - longCourseIncrement * (metersDistance / 50);
+  }
+
+  // Convert from SCM to the target course
+  let convertedTime = scmTime;
+  if (to === 'SCY') {
+    convertedTime =
+      (scmTime / YARDS_TO_METERS_FACTOR) * (toDistance / metersDistance);
+  } else if (to === 'LCM') {
+    convertedTime = scmTime + longCourseIncrement * (metersDistance / 50);
+  }
+
+  return {
+    time: Math.round(convertedTime * 100) / 100,
+    distance: `${toDistance}${to === 'SCY' ? 'y' : 'm'}`,
+    course: to,
+    isEstimate: from !== to,
+  };
+};
+
+/**
+ * Get a swimmer's time for an event in a given course
+ * The best time swum in that course is used when there is one; otherwise the
+ * fastest time converted from another course is returned as an estimate.
+ * @param {Array<Object>} bestTimes - The swimmer's best times
+ * @param {string} stroke - Event stroke
+ * @param {string} distance - Event distance label (e.g., "50m")
+ * @param {string} course - Event course
+ * @returns {Object|null} { time, isEstimate }, or null with no time
+ */
+const getCourseTime = (bestTimes, stroke, distance, course) => {
+  const exact = bestTimes.find(
+    (bestTime) =>
+      bestTime.stroke === stroke &&
+      bestTime.distance === distance &&
+      bestTime.course === course
+  );
+  if (exact) {
+    return { time: exact.time, isEstimate: false };
+  }
+
+  const estimates = bestTimes
+    .filter((bestTime) => bestTime.stroke === stroke)
+    .map((bestTime) => {
+      try {
+        return convertTime({
+          time: bestTime.time,
+          stroke,
+          distance: bestTime.distance,
+          fromCourse: bestTime.course,
+          toCourse: course,
+        });
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((converted) => converted && converted.distance === distance);
+
+  if (estimates.length === 0) {
+    return null;
+  }
+
+  return {
+    time: Math.min(...estimates.map((converted) => converted.time)),
+    isEstimate: true,
+  };
+};
+
+module.exports = {
+  convertTime,
+  getCourseTime,
+  parseDistance,
+  getEquivalentDistance,
+};
@@ -0,0 +1,43 @@
+/**
+ * Pool course definitions shared by the best times functions
+ *
+ * Times swum in different pool courses are not comparable, so every swim,
+ * best time and goal time belongs to exactly one course.
+ */
+
+const COURSES = {
+  SCM: { label: 'Short Course Meters', poolLength: 25, unit: 'm' },
+  SCY: { label: 'Short Course Yards', poolLength: 25, unit: 'y' },
+  LCM: { label: 'Long Course Meters', poolLength: 50, unit: 'm' },
+};
+
+// Times recorded before courses were tracked were all swum in a 25m pool
+const DEFAULT_COURSE = 'SCM';
+
+/**
+ * Helper function to validate and normalize a course code
+ * @param {string} [course] - Course code (e.g., "scm", "LCM")
+ * @returns {string} Normalized course code, or the default course if missing
+ */
+const normalizeCourse = (course) => {
+  if (!course) {
+    return DEFAULT_COURSE;
+  }
+
+  const code = String(course).trim().toUpperCase();
+  if (!COURSES[code]) {
+    throw new Error(
+      `Invalid course: ${course}. Expected one of ${Object.keys(COURSES).join(
+        ', '
+      )}`
+    );
+  }
+
+  return code;
+};
+
+module.exports = {
+  COURSES,
+  DEFAULT_COURSE,
+  normalizeCourse,
+};
@@ -0,0 +1,82 @@
+/**
+ * CSV helpers
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes,
+ * which is what spreadsheet exports produce.
+ */
+
+/**
+ * Parse CSV content into rows of fields
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} Rows of field values (blank lines removed)
+ */
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by some spreadsheet exports
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((field) => field.trim() !== ''));
+};
+
+/**
+ * Convert rows of values to CSV content
+ * @param {Array<Array<*>>} rows - Rows of field values
+ * @returns {string} CSV content
+ */
+const toCsv = (rows) =>
+  rows
+    .map((fields) =>
+      fields
+        .map((field) => {
+          const value =
+            field === null || field === undefined ? '' : String(field);
+          return /[",\r\n]/.test(value)
+            ? `"${value.replace(/"/g, '""')}"`
+            : value;
+        })
+        .join(',')
+    )
+    .join('\r\n');
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
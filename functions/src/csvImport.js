@@ -0,0 +1,428 @@
+/**
+ * Cloud Functions for importing best times from a CSV file
+ * Every row is validated and reported back: inserted (first time for the
+ * event), updated (faster than the best time), ignored (not faster, or
+ * already imported) or rejected (invalid). Slower swims are still kept in
+ * the swimmer's history, they just don't change the best time.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const crypto = require('crypto');
+const { parseCsv } = require('./csv');
+const { normalizeCourse } = require('./courses');
+const { parseTime, isValidTimeString } = require('./timeFormat');
+const { recordSwim, getEventId } = require('./bestTimes');
+const { validateSplits } = require('./splits');
+const { assertAdmin } = require('./auth');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+const bestTimesCollection = 'bestTimes';
+
+// Header names recognised for each field when no mapping is given
+const FIELD_ALIASES = {
+  userId: ['userid', 'athleteid', 'uid'],
+  email: ['email', 'emailaddress'],
+  eventName: ['eventname', 'event', 'meet', 'meetname'],
+  stroke: ['stroke'],
+  distance: ['distance', 'dist'],
+  course: ['course', 'pool'],
+  time: ['time', 'swimtime', 'finaltime'],
+  date: ['date', 'swimdate'],
+  splits: ['splits', 'splittimes'],
+  splitDistance: ['splitdistance', 'splitlength'],
+};
+
+// Stroke names and abbreviations used in spreadsheets
+const STROKE_ALIASES = {
+  free: 'Freestyle',
+  freestyle: 'Freestyle',
+  fr: 'Freestyle',
+  back: 'Backstroke',
+  backstroke: 'Backstroke',
+  bk: 'Backstroke',
+  breast: 'Breaststroke',
+  breaststroke: 'Breaststroke',
+  br: 'Breaststroke',
+  fly: 'Butterfly',
+  butterfly: 'Butterfly',
+  fl: 'Butterfly',
+  im: 'Individual Medley',
+  individualmedley: 'Individual Medley',
+  medley: 'Individual Medley',
+};
+
+/**
+ * Helper function to normalize a header or alias for comparison
+ * @param {string} value - The value
+ * @returns {string} Lowercase value without spaces or punctuation
+ */
+const normalizeKey = (value) =>
+  (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Helper function to detect the column mapping from the header row
+ * @param {Array<string>} headers - The header row
+ * @returns {Object} Field names mapped to header names
+ */
+const detectMapping = (headers) => {
+  const mapping = {};
+  Object.entries(FIELD_ALIASES).forEach(([fieldName, aliases]) => {
+    const header = headers.find((candidate) =>
+      aliases.includes(normalizeKey(candidate))
+    );
+    if (header) {
+      mapping[fieldName] = header;
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Helper function to validate a CSV row and turn it into a swim
+ * @param {Object} values - Field names mapped to the row's raw values
+ * @param {Object} users - Lookups of users by ID and by email
+ * @param {string} defaultEventName - Event name for rows without one
+ * @returns {Object} { swim, userId } or { errors }
+ */
+const validateRow = (values, users, defaultEventName) => {
+  const errors = [];
+
+  // Athlete
+  let user = null;
+  if (values.userId) {
+    user = users.byId.get(values.userId);
+    if (!user) {
+      errors.push(`Unknown athlete ID: ${values.userId}`);
+    }
+  } else if (values.email) {
+    user = users.byEmail.get(values.email.toLowerCase());
+    if (!user) {
+      errors.push(`No user with email: ${values.email}`);
+    }
+  } else {
+    errors.push('Missing athlete ID or email');
+  }
+
+  // Stroke
+  const stroke = STROKE_ALIASES[normalizeKey(values.stroke)];
+  if (!stroke) {
+    errors.push(`Unknown stroke: ${values.stroke || '(blank)'}`);
+  }
+
+  // Course; a yards distance implies short course yards
+  let course = null;
+  try {
+    course = normalizeCourse(
+      values.course || (/y/i.test(values.distance || '') ? 'SCY' : null)
+    );
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  // Distance
+  const distanceValue = parseInt(values.distance, 10);
+  if (!Number.isFinite(distanceValue) || distanceValue <= 0) {
+    errors.push(`Invalid distance: ${values.distance || '(blank)'}`);
+  }
+
+  // Time, using the same rules as the time entry form
+  if (!isValidTimeString(values.time)) {
+    errors.push(
+      `Invalid time: ${values.time || '(blank)'}. Use MM:SS.ss or SS.ss`
+    );
+  }
+
+  // Date
+  let date = null;
+  if (values.date) {
+    const parsedDate = new Date(values.date);
+    if (Number.isNaN(parsedDate.getTime())) {
+      errors.push(`Invalid date: ${values.date}`);
+    } else {
+      date = parsedDate.toISOString().split('T')[0];
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const swim = {
+    eventName: values.eventName || defaultEventName,
+    stroke,
+    distance: `${distanceValue}${course === 'SCY' ? 'y' : 'm'}`,
+    course,
+    time: parseTime(values.time.trim()),
+    date,
+    source: 'csv',
+  };
+
+  // Splits, separated by semicolons or spaces (e.g., "15.20; 16.05")
+  if (values.splits) {
+    const splitStrings = values.splits
+      .split(/[;|\s]+/)
+      .filter((split) => split);
+    const invalidSplit = splitStrings.find(
+      (split) => !isValidTimeString(split)
+    );
+
+    if (invalidSplit) {
+      return { errors: [`Invalid split: ${invalidSplit}`] };
+    }
+
+    try {
+      Object.assign(
+        swim,
+        validateSplits({
+          distance: swim.distance,
+          time: swim.time,
+          splits: splitStrings.map((split) => parseTime(split)),
+          splitDistance: values.splitDistance,
+        })
+      );
+    } catch (splitsError) {
+      return { errors: [splitsError.message] };
+    }
+  }
+
+  return {
+    userId: user.id,
+    swim,
+  };
+};
+
+/**
+ * Helper function to build a stable swim ID for an imported row
+ * Re-importing the same file then ignores rows that were already imported.
+ * @param {Object} swim - The validated swim
+ * @returns {string} Swim document ID
+ */
+const getImportedSwimId = (swim) => {
+  const key = [
+    getEventId(swim.stroke, swim.distance, swim.course),
+    swim.date,
+    swim.time,
+  ].join('|');
+  return `csv_${crypto
+    .createHash('sha1')
+    .update(key)
+    .digest('hex')
+    .substring(0, 20)}`;
+};
+
+/**
+ * Import best times from CSV content (Admin only)
+ * With `dryRun: true` nothing is written and the report shows what would
+ * happen. `mapping` maps field names (userId or email, eventName, stroke,
+ * distance, course, time, date, splits, splitDistance) to CSV headers; it is
+ * detected from the header row when omitted.
+ */
+const importBestTimesCsv = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const {
+      csvContent,
+      dryRun = true,
+      defaultEventName = 'Imported time',
+    } = request.data;
+
+    if (!csvContent) {
+      throw new Error('No CSV content provided');
+    }
+
+    const [headers, ...dataRows] = parseCsv(csvContent);
+    if (!headers || dataRows.length === 0) {
+      throw new Error('CSV must have a header row and at least one data row');
+    }
+
+    const mapping = request.data.mapping || detectMapping(headers);
+
+    // Check the mapping before looking at any rows
+    const missingFields = ['stroke', 'distance', 'time'].filter(
+      (fieldName) => !mapping[fieldName]
+    );
+    if (!mapping.userId && !mapping.email) {
+      missingFields.unshift('userId or email');
+    }
+    const unknownHeaders = Object.values(mapping).filter(
+      (header) => header && !headers.includes(header)
+    );
+    if (missingFields.length > 0 || unknownHeaders.length > 0) {
+      return {
+        success: false,
+        error: [
+          missingFields.length > 0
+            ? `Unmapped columns: ${missingFields.join(', ')}`
+            : null,
+          unknownHeaders.length > 0
+            ? `Unknown headers: ${unknownHeaders.join(', ')}`
+            : null,
+        ]
+          .filter((message) => message)
+          .join('. '),
+        headers,
+        mapping,
+      };
+    }
+
+    // Load users once so athletes can be found by ID or email
+    const usersSnapshot = await db.collection(usersCollection).get();
+    const users = { byId: new Map(), byEmail: new Map() };
+    usersSnapshot.forEach((doc) => {
+      const user = { id: doc.id, ...doc.data() };
+      users.byId.set(doc.id, user);
+      if (user.email) {
+        users.byEmail.set(user.email.toLowerCase(), user);
+      }
+    });
+
+    // Best times seen so far, so rows are also compared with earlier rows
+    const bestTimes = new Map();
+    const getCurrentBest = async (userId, eventId) => {
+      const key = `${userId}|${eventId}`;
+      if (!bestTimes.has(key)) {
+        const bestTimeDoc = await db
+          .collection(usersCollection)
+          .doc(userId)
+          .collection(bestTimesCollection)
+          .doc(eventId)
+          .get();
+        const time = bestTimeDoc.exists ? bestTimeDoc.data().time : null;
+        bestTimes.set(key, typeof time === 'number' ? time : null);
+      }
+      return bestTimes.get(key);
+    };
+
+    const rows = [];
+    // The first row of each swim in this file, so repeats are reported the
+    // same way in a dry run and on import
+    const seenSwims = new Map();
+
+    for (const [index, fields] of dataRows.entries()) {
+      // Row numbers match the spreadsheet, where the header is row 1
+      const rowNumber = index + 2;
+
+      const values = {};
+      Object.entries(mapping).forEach(([fieldName, header]) => {
+        if (header) {
+          const value = fields[headers.indexOf(header)];
+          values[fieldName] = value !== undefined ? value.trim() : '';
+        }
+      });
+
+      const { errors, userId, swim } = validateRow(
+        values,
+        users,
+        defaultEventName
+      );
+
+      if (errors) {
+        rows.push({ rowNumber, status: 'rejected', errors });
+        continue;
+      }
+
+      const eventId = getEventId(swim.stroke, swim.distance, swim.course);
+      const swimId = getImportedSwimId(swim);
+      const previousBestTime = await getCurrentBest(userId, eventId);
+      const row = {
+        rowNumber,
+        userId,
+        eventId,
+        time: swim.time,
+        date: swim.date,
+        previousBestTime,
+      };
+
+      const swimKey = `${userId}/${swimId}`;
+      if (seenSwims.has(swimKey)) {
+        rows.push({
+          ...row,
+          status: 'ignored',
+          reason: `Duplicate of row ${seenSwims.get(swimKey)}`,
+        });
+        continue;
+      }
+      seenSwims.set(swimKey, rowNumber);
+
+      if (dryRun) {
+        const existingSwimDoc = await db
+          .collection(usersCollection)
+          .doc(userId)
+          .collection(swimsCollection)
+          .doc(swimId)
+          .get();
+
+        if (existingSwimDoc.exists) {
+          rows.push({ ...row, status: 'ignored', reason: 'Already imported' });
+          continue;
+        }
+      } else {
+        const { duplicate } = await recordSwim(userId, swim, { swimId });
+
+        if (duplicate) {
+          rows.push({ ...row, status: 'ignored', reason: 'Already imported' });
+          continue;
+        }
+      }
+
+      if (previousBestTime === null) {
+        row.status = 'inserted';
+      } else if (swim.time < previousBestTime) {
+        row.status = 'updated';
+      } else {
+        row.status = 'ignored';
+        row.reason = 'Not faster than the best time; kept in swim history';
+      }
+
+      if (row.status !== 'ignored') {
+        bestTimes.set(`${userId}|${eventId}`, swim.time);
+      }
+
+      rows.push(row);
+    }
+
+    const countStatus = (status) =>
+      rows.filter((row) => row.status === status).length;
+
+    const summary = {
+      total: rows.length,
+      inserted: countStatus('inserted'),
+      updated: countStatus('updated'),
+      ignored: countStatus('ignored'),
+      rejected: countStatus('rejected'),
+    };
+
+    if (!dryRun) {
+      logger.info('Imported best times from CSV', summary);
+    }
+
+    return {
+      success: true,
+      dryRun,
+      headers,
+      mapping,
+      summary,
+      rows,
+    };
+  } catch (error) {
+    logger.error('Error importing best times CSV:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.importBestTimesCsv = onCall(
+  { cors: true, region: 'us-central1', memory: '512MiB', timeoutSeconds: 300 },
+  importBestTimesCsv
+);
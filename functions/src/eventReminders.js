@@ -0,0 +1,689 @@
+/**
+ * Scheduled reminder emails for club events
+ *
+ * Every hour, members are emailed about events starting soon and about
+ * registration deadlines closing soon. How far ahead is kept in
+ * `settings/eventReminders` as lists of hours, e.g. 48 and 2 hours before
+ * an event. When several are due at once, such as for an event added at
+ * short notice, only the nearest is sent.
+ *
+ * Event reminders go to the swimmers registered for the event (entered in
+ * the meet, or with a confirmed RSVP) and their parents and guardians, and
+ * to members subscribed to the event's category. Deadline reminders go to
+ * swimmers who answered "maybe" and their families, and to category
+ * subscribers who are not already registered. Members choose their
+ * categories and can turn either kind of reminder off in
+ * `reminderPreferences` on their user document.
+ *
+ * Every reminder is recorded in `sentEventReminders` before it is emailed,
+ * so a retried run never sends it twice. Failed emails are tried again on
+ * later runs, up to MAX_ATTEMPTS times.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, assertAdmin } = require('./auth');
+const { getDisplayName } = require('./trainingGroups');
+const { CLUB_TIME_ZONE, loadEventOccurrences } = require('./recurrence');
+const { sendEmail, getSiteUrl, renderEmail } = require('./mailer');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const eventsCollection = 'events';
+const eventRsvpsCollection = 'eventRsvps';
+const meetEntriesCollection = 'meetEntries';
+const sentEventRemindersCollection = 'sentEventReminders';
+const settingsCollection = 'settings';
+const eventRemindersDoc = 'eventReminders';
+
+// Reminders sent when an admin has not chosen their own
+const DEFAULT_REMINDER_SETTINGS = {
+  eventHours: [24],
+  deadlineHours: [48],
+};
+
+// Reminders can be sent up to four weeks ahead
+const MAX_REMINDER_HOURS = 28 * 24;
+
+// Emails that fail are tried this many times in all
+const MAX_ATTEMPTS = 3;
+
+// Kinds of reminder
+const EVENT_REMINDER = 'event';
+const DEADLINE_REMINDER = 'deadline';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Helper function to validate a list of reminder times
+ * @param {Array<number>} hours - Hours before the event or deadline
+ * @param {string} label - What the hours are for, for error messages
+ * @returns {Array<number>} The hours without duplicates, nearest first
+ */
+const normalizeReminderHours = (hours, label) => {
+  if (!Array.isArray(hours)) {
+    throw new Error(`${label} must be a list of hours`);
+  }
+
+  const normalized = hours.map(Number);
+  if (
+    normalized.some(
+      (value) =>
+        !Number.isFinite(value) || value <= 0 || value > MAX_REMINDER_HOURS
+    )
+  ) {
+    throw new Error(
+      `${label} must be between 0 and ${MAX_REMINDER_HOURS} hours ahead`
+    );
+  }
+
+  return [...new Set(normalized)].sort((a, b) => a - b);
+};
+
+/**
+ * Helper function to load the club's reminder times
+ * @returns {Promise<Object>} { eventHours, deadlineHours }
+ */
+const loadReminderSettings = async () => {
+  const settingsDoc = await db
+    .collection(settingsCollection)
+    .doc(eventRemindersDoc)
+    .get();
+  const settings = settingsDoc.exists ? settingsDoc.data() : {};
+
+  return {
+    eventHours: Array.isArray(settings.eventHours)
+      ? settings.eventHours
+      : DEFAULT_REMINDER_SETTINGS.eventHours,
+    deadlineHours: Array.isArray(settings.deadlineHours)
+      ? settings.deadlineHours
+      : DEFAULT_REMINDER_SETTINGS.deadlineHours,
+  };
+};
+
+/**
+ * Helper function to fill in a member's reminder preferences
+ * Reminders are on unless turned off; no categories are subscribed to.
+ * @param {Object} [preferences] - The stored preferences
+ * @returns {Object} { email, eventReminders, deadlineReminders,
+ *   categories }
+ */
+const normalizeReminderPreferences = (preferences = {}) => ({
+  email: preferences.email !== false,
+  eventReminders: preferences.eventReminders !== false,
+  deadlineReminders: preferences.deadlineReminders !== false,
+  categories: Array.isArray(preferences.categories)
+    ? [
+        ...new Set(
+          preferences.categories
+            .map((category) => String(category).trim())
+            .filter(Boolean)
+        ),
+      ]
+    : [],
+});
+
+/**
+ * Helper function to pick the reminder due for an event or deadline
+ * @param {Array<number>} reminderHours - Hours ahead, nearest first
+ * @param {Date} time - When the event starts or registration closes
+ * @param {Date} now - The current time
+ * @returns {number|null} The hours of the nearest reminder it is within,
+ *   or null if none is due
+ */
+const getDueHours = (reminderHours, time, now) => {
+  const hoursLeft = (time - now) / HOUR;
+  if (hoursLeft <= 0) {
+    return null;
+  }
+
+  const due = reminderHours.find((hours) => hours >= hoursLeft);
+  return due === undefined ? null : due;
+};
+
+/**
+ * Helper function to format a time in the club's time zone
+ * @param {Date} date - The time
+ * @returns {string} e.g. "Saturday, November 8 at 9:00 a.m.", which ends
+ *   a sentence
+ */
+const formatReminderTime = (date) =>
+  date.toLocaleString('en-CA', {
+    timeZone: CLUB_TIME_ZONE,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Helper function to load users by ID
+ * @param {Array<string>} userIds - The user IDs
+ * @returns {Promise<Map<string, Object>>} Users' data by user ID
+ */
+const loadUsers = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const userDocs = await db.getAll(
+    ...ids.map((id) => db.collection(usersCollection).doc(id))
+  );
+  return new Map(
+    userDocs.filter((doc) => doc.exists).map((doc) => [doc.id, doc.data()])
+  );
+};
+
+/**
+ * Helper function to load swimmers with their parents and guardians
+ * @param {Array<string>} swimmerIds - The swimmers' user IDs
+ * @returns {Promise<Map<string, Object>>} Users' data by user ID
+ */
+const loadFamilies = async (swimmerIds) => {
+  const swimmers = await loadUsers(swimmerIds);
+  const guardians = await loadUsers(
+    [...swimmers.values()].flatMap((swimmer) => swimmer.guardianIds || [])
+  );
+
+  return new Map([...swimmers, ...guardians]);
+};
+
+/**
+ * Helper function to find the swimmers registered for an event
+ * @param {Object} entry - The event or occurrence as `{ id, data }`
+ * @returns {Promise<Object>} { registered, maybe } swimmer IDs
+ */
+const loadRegistrations = async (entry) => {
+  const [entriesSnapshot, rsvpsSnapshot] = await Promise.all([
+    db
+      .collection(meetEntriesCollection)
+      .where('eventId', '==', entry.data.eventId || entry.id)
+      .get(),
+    db.collection(eventRsvpsCollection).where('eventId', '==', entry.id).get(),
+  ]);
+
+  const registered = new Set();
+  const maybe = new Set();
+  entriesSnapshot.forEach((doc) => {
+    if (doc.data().status !== 'rejected') {
+      registered.add(doc.data().swimmerId);
+    }
+  });
+  rsvpsSnapshot.forEach((doc) => {
+    const rsvp = doc.data();
+    if (rsvp.status === 'confirmed') {
+      registered.add(rsvp.swimmerId);
+    } else if (rsvp.response === 'maybe') {
+      maybe.add(rsvp.swimmerId);
+    }
+  });
+
+  return {
+    registered: [...registered],
+    maybe: [...maybe].filter((swimmerId) => !registered.has(swimmerId)),
+  };
+};
+
+/**
+ * Helper function to find who should get a reminder and why
+ * Members who turned off email or this kind of reminder, or have no email
+ * address, are left out.
+ * @param {Object} entry - The event or occurrence as `{ id, data }`
+ * @param {string} kind - EVENT_REMINDER or DEADLINE_REMINDER
+ * @returns {Promise<Array<Object>>} { id, user, reason } for each member
+ */
+const getRecipients = async (entry, kind) => {
+  const { category } = entry.data;
+  const [{ registered, maybe }, subscribersSnapshot] = await Promise.all([
+    loadRegistrations(entry),
+    category
+      ? db
+          .collection(usersCollection)
+          .where('reminderPreferences.categories', 'array-contains', category)
+          .get()
+      : null,
+  ]);
+  const registeredUsers = await loadFamilies(registered);
+
+  const recipients = new Map();
+  const add = (users, reason) => {
+    users.forEach((user, id) => {
+      if (!recipients.has(id)) {
+        recipients.set(id, { id, user, reason });
+      }
+    });
+  };
+
+  if (kind === EVENT_REMINDER) {
+    add(registeredUsers, 'registered');
+  } else {
+    add(await loadFamilies(maybe), 'maybe');
+  }
+  if (subscribersSnapshot) {
+    add(
+      new Map(
+        subscribersSnapshot.docs
+          .filter(
+            (doc) => kind === EVENT_REMINDER || !registeredUsers.has(doc.id)
+          )
+          .map((doc) => [doc.id, doc.data()])
+      ),
+      'subscribed'
+    );
+  }
+
+  return [...recipients.values()].filter(({ user }) => {
+    const preferences = normalizeReminderPreferences(user.reminderPreferences);
+    return (
+      user.email &&
+      preferences.email &&
+      (kind === EVENT_REMINDER
+        ? preferences.eventReminders
+        : preferences.deadlineReminders)
+    );
+  });
+};
+
+/**
+ * Helper function to write a reminder email
+ * @param {Object} entry - The event or occurrence as `{ id, data }`
+ * @param {string} kind - EVENT_REMINDER or DEADLINE_REMINDER
+ * @param {Object} recipient - { id, user, reason } from getRecipients
+ * @returns {Object} { subject, html, text }
+ */
+const buildReminderEmail = (entry, kind, recipient) => {
+  const { title, location, category } = entry.data;
+  const start = formatReminderTime(entry.data.startDate.toDate());
+  const siteUrl = getSiteUrl();
+  const name = getDisplayName(recipient.user);
+  const reasons = {
+    registered: 'you or your swimmer is registered',
+    maybe: 'you or your swimmer answered maybe',
+    subscribed: `you subscribed to ${category} reminders`,
+  };
+  const notes = [
+    `You're receiving this because ${reasons[recipient.reason]}.`,
+    'To change which reminders you get, visit ' +
+      `${siteUrl}/athlete-zone/calendar.`,
+  ];
+  const button = {
+    label: kind === EVENT_REMINDER ? 'View Events' : 'Respond Now',
+    href: `${siteUrl}/athlete-zone/events`,
+  };
+
+  if (kind === EVENT_REMINDER) {
+    return {
+      subject: `Reminder: ${title}, ${start}`,
+      ...renderEmail({
+        heading: 'Event Reminder',
+        paragraphs: [
+          name ? `Hello ${name},` : 'Hello,',
+          location
+            ? `${title} starts ${start} at ${location}.`
+            : `${title} starts ${start}`,
+        ],
+        button,
+        notes,
+      }),
+    };
+  }
+
+  const deadline = formatReminderTime(entry.data.registrationDeadline.toDate());
+  return {
+    subject: `Registration for ${title} closes ${deadline}`,
+    ...renderEmail({
+      heading: 'Registration Closing Soon',
+      paragraphs: [
+        name ? `Hello ${name},` : 'Hello,',
+        `Registration for ${title} (${start}) closes ${deadline}`,
+        "Let the club know if you're coming before then.",
+      ],
+      button,
+      notes,
+    }),
+  };
+};
+
+/**
+ * Helper function to record a reminder before sending it
+ * A reminder already sent or being sent is not claimed again; one that
+ * failed is, until it has been tried MAX_ATTEMPTS times.
+ * @param {Object} reminderRef - The reminder's document reference
+ * @param {Object} reminder - { eventId, kind, hoursBefore, userId, email }
+ * @returns {Promise<boolean>} Whether the reminder should be sent now
+ */
+const claimReminder = (reminderRef, reminder) =>
+  db.runTransaction(async (transaction) => {
+    const reminderDoc = await transaction.get(reminderRef);
+    const previous = reminderDoc.exists ? reminderDoc.data() : null;
+    if (
+      previous &&
+      (previous.status !== 'failed' || previous.attempts >= MAX_ATTEMPTS)
+    ) {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    transaction.set(reminderRef, {
+      ...reminder,
+      status: 'sending',
+      attempts: previous ? previous.attempts + 1 : 1,
+      error: null,
+      messageId: null,
+      sentAt: null,
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now,
+    });
+    return true;
+  });
+
+/**
+ * Helper function to send one member one reminder, at most once
+ * @param {Object} entry - The event or occurrence as `{ id, data }`
+ * @param {string} kind - EVENT_REMINDER or DEADLINE_REMINDER
+ * @param {number} hours - Which of the reminder times this is
+ * @param {Object} recipient - { id, user, reason } from getRecipients
+ * @returns {Promise<string>} "sent", "skipped" or "failed"
+ */
+const sendReminder = async (entry, kind, hours, recipient) => {
+  const reminderRef = db
+    .collection(sentEventRemindersCollection)
+    .doc(`${entry.id}_${kind}-${hours}h_${recipient.id}`);
+
+  const claimed = await claimReminder(reminderRef, {
+    eventId: entry.id,
+    kind,
+    hoursBefore: hours,
+    userId: recipient.id,
+    email: recipient.user.email,
+  });
+  if (!claimed) {
+    return 'skipped';
+  }
+
+  try {
+    const result = await sendEmail({
+      to: recipient.user.email,
+      ...buildReminderEmail(entry, kind, recipient),
+    });
+
+    const now = new Date().toISOString();
+    await reminderRef.update({
+      status: 'sent',
+      messageId: result.messageId || null,
+      sentAt: now,
+      updatedAt: now,
+    });
+    return 'sent';
+  } catch (error) {
+    logger.error(`Error sending ${kind} reminder for ${entry.id}:`, error);
+    await reminderRef.update({
+      status: 'failed',
+      error: error.message,
+      updatedAt: new Date().toISOString(),
+    });
+    return 'failed';
+  }
+};
+
+/**
+ * Helper function to send the reminders that are due
+ * @returns {Promise<Object>} Counts of reminders sent, skipped and failed
+ */
+const sendEventReminders = async () => {
+  const now = new Date();
+  const settings = await loadReminderSettings();
+  const aheadOf = (hours) =>
+    new Date(now.getTime() + Math.max(...hours) * HOUR);
+  const due = [];
+
+  if (settings.eventHours.length > 0) {
+    const entries = await loadEventOccurrences({
+      start: now,
+      end: aheadOf(settings.eventHours),
+    });
+    entries
+      .filter((entry) => !entry.data.cancelled)
+      .forEach((entry) => {
+        const hours = getDueHours(
+          settings.eventHours,
+          entry.data.startDate.toDate(),
+          now
+        );
+        if (hours) {
+          due.push({ entry, kind: EVENT_REMINDER, hours });
+        }
+      });
+  }
+
+  if (settings.deadlineHours.length > 0) {
+    const eventsSnapshot = await db
+      .collection(eventsCollection)
+      .where('registrationDeadline', '>', Timestamp.fromDate(now))
+      .where(
+        'registrationDeadline',
+        '<=',
+        Timestamp.fromDate(aheadOf(settings.deadlineHours))
+      )
+      .get();
+
+    // A series' deadline is for its first date only, see ./eventRsvps
+    eventsSnapshot.docs
+      .filter((doc) => !doc.data().isRecurring && !doc.data().cancelled)
+      .forEach((doc) => {
+        const entry = { id: doc.id, data: doc.data() };
+        const hours = getDueHours(
+          settings.deadlineHours,
+          entry.data.registrationDeadline.toDate(),
+          now
+        );
+        if (hours) {
+          due.push({ entry, kind: DEADLINE_REMINDER, hours });
+        }
+      });
+  }
+
+  const counts = { sent: 0, skipped: 0, failed: 0 };
+  for (const { entry, kind, hours } of due) {
+    const recipients = await getRecipients(entry, kind);
+    for (const recipient of recipients) {
+      counts[await sendReminder(entry, kind, hours, recipient)] += 1;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Get the caller's reminder email preferences (Authenticated users)
+ */
+const getReminderPreferences = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+
+    return {
+      success: true,
+      preferences: normalizeReminderPreferences(caller.reminderPreferences),
+    };
+  } catch (error) {
+    logger.error('Error getting reminder preferences:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Save the caller's reminder email preferences (Authenticated users)
+ * `email` turns all reminder emails on or off, `eventReminders` and
+ * `deadlineReminders` each kind, and `categories` lists the event
+ * categories to be reminded of even when not registered.
+ */
+const saveReminderPreferences = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const preferences = normalizeReminderPreferences(request.data);
+
+    await db.collection(usersCollection).doc(caller.id).update({
+      reminderPreferences: preferences,
+    });
+
+    return {
+      success: true,
+      message: 'Reminder preferences saved successfully',
+      preferences,
+    };
+  } catch (error) {
+    logger.error('Error saving reminder preferences:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get how far ahead reminders are sent (Authenticated users)
+ */
+const getEventReminderSettings = async (request) => {
+  try {
+    await getCaller(request.auth);
+
+    return {
+      success: true,
+      settings: await loadReminderSettings(),
+    };
+  } catch (error) {
+    logger.error('Error getting event reminder settings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Save how far ahead reminders are sent (Admin only)
+ * `eventHours` and `deadlineHours` are lists of hours before an event
+ * starts and before its registration deadline; an empty list turns that
+ * kind of reminder off.
+ */
+const saveEventReminderSettings = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const settings = {
+      eventHours: normalizeReminderHours(
+        request.data.eventHours,
+        'Event reminders'
+      ),
+      deadlineHours: normalizeReminderHours(
+        request.data.deadlineHours,
+        'Deadline reminders'
+      ),
+    };
+
+    await db
+      .collection(settingsCollection)
+      .doc(eventRemindersDoc)
+      .set({
+        ...settings,
+        updatedAt: new Date().toISOString(),
+        updatedBy: request.auth.uid,
+      });
+
+    return {
+      success: true,
+      message: 'Event reminder settings saved successfully',
+      settings,
+    };
+  } catch (error) {
+    logger.error('Error saving event reminder settings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send any reminders that are due now instead of waiting for the next
+ * scheduled run (Admin only)
+ * Reminders already sent are not sent again.
+ */
+const runEventReminders = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const counts = await sendEventReminders();
+    return {
+      success: true,
+      message: `Sent ${counts.sent} reminders`,
+      ...counts,
+    };
+  } catch (error) {
+    logger.error('Error running event reminders:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getReminderPreferences = onCall(
+  { cors: true, region: 'us-central1' },
+  getReminderPreferences
+);
+exports.saveReminderPreferences = onCall(
+  { cors: true, region: 'us-central1' },
+  saveReminderPreferences
+);
+exports.getEventReminderSettings = onCall(
+  { cors: true, region: 'us-central1' },
+  getEventReminderSettings
+);
+exports.saveEventReminderSettings = onCall(
+  { cors: true, region: 'us-central1' },
+  saveEventReminderSettings
+);
+exports.runEventReminders = onCall(
+  { cors: true, region: 'us-central1', timeoutSeconds: 300 },
+  runEventReminders
+);
+
+// Check for due reminders at the top of every hour
+exports.scheduledEventReminders = onSchedule(
+  {
+    schedule: '0 * * * *',
+    timeZone: CLUB_TIME_ZONE,
+    retryCount: 3, // Failed emails are retried; sent ones are skipped
+    memory: '256MiB',
+    region: 'us-central1',
+  },
+  async (event) => {
+    try {
+      logger.info('Running scheduled event reminders', {
+        scheduledTime: event.scheduleTime,
+      });
+
+      const counts = await sendEventReminders();
+      logger.info('Scheduled event reminders completed', counts);
+
+      if (counts.failed > 0) {
+        throw new Error(`${counts.failed} event reminders failed to send`);
+      }
+    } catch (error) {
+      logger.error('Scheduled event reminders failed:', error);
+      throw error;
+    }
+  }
+);
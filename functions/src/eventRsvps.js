@@ -0,0 +1,655 @@
+/**
+ * Cloud Functions for RSVPs to club events
+ *
+ * Swimmers respond to events for themselves, and parents and guardians for
+ * their linked swimmers: going, maybe or not going. Each document in
+ * `eventRsvps` is one swimmer's response to one event, or to one occurrence
+ * of a recurring event (see ./recurrence).
+ *
+ * Responses close at the event's registration deadline, or when it starts
+ * if it has none; saying "not going" is always allowed. Events with a
+ * `capacity` confirm that many swimmers who are going, in the order they
+ * said so, and waitlist the rest. When a confirmed swimmer drops out or the
+ * capacity is raised, the waitlist is promoted in order and the promoted
+ * swimmers and their guardians are notified.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, isGuardianOf } = require('./auth');
+const { getDisplayName } = require('./trainingGroups');
+const { notifyUsers } = require('./notifications');
+const { toCsv } = require('./csv');
+const {
+  toDate,
+  parseOccurrenceId,
+  expandOccurrence,
+} = require('./recurrence');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const eventsCollection = 'events';
+const eventRsvpsCollection = 'eventRsvps';
+
+const RESPONSES = ['going', 'maybe', 'notGoing'];
+
+const RESPONSE_LABELS = {
+  going: 'Going',
+  maybe: 'Maybe',
+  notGoing: 'Not going',
+};
+
+const STATUS_LABELS = {
+  confirmed: 'Confirmed',
+  waitlisted: 'Waitlisted',
+};
+
+// Notification sent when a waitlisted swimmer gets a spot
+const RSVP_PROMOTED = 'rsvpPromoted';
+
+/**
+ * Helper function to load the event an RSVP is for
+ * @param {string} eventId - An event ID, or an occurrence ID of a
+ *   recurring event
+ * @returns {Promise<Object>} The event, with dates as Date objects
+ */
+const loadRsvpEvent = async (eventId) => {
+  if (!eventId) {
+    throw new Error('Event ID is required');
+  }
+
+  const occurrenceId = parseOccurrenceId(eventId);
+  const eventDoc = await db
+    .collection(eventsCollection)
+    .doc(occurrenceId ? occurrenceId.eventId : eventId)
+    .get();
+  if (!eventDoc.exists) {
+    throw new Error('Event not found');
+  }
+
+  let data = eventDoc.data();
+  if (occurrenceId) {
+    const occurrence = data.isRecurring
+      ? expandOccurrence(eventDoc.id, data, occurrenceId.occurrenceDate)
+      : null;
+    if (!occurrence) {
+      throw new Error('Event not found');
+    }
+    data = occurrence.data;
+  } else if (data.isRecurring) {
+    throw new Error('Choose which date of the event to respond to');
+  }
+
+  const capacity = parseInt(data.capacity, 10);
+
+  return {
+    id: eventId,
+    seriesId: eventDoc.id,
+    title: data.title,
+    location: data.location || '',
+    startDate: toDate(data.startDate),
+    // The series' deadline is for its first date; later dates close when
+    // they start
+    registrationDeadline: occurrenceId
+      ? null
+      : toDate(data.registrationDeadline),
+    capacity: capacity > 0 ? capacity : null,
+    cancelled: Boolean(data.cancelled),
+  };
+};
+
+/**
+ * Helper function to check whether an event still takes responses
+ * Events without a registration deadline close when they start.
+ * @param {Object} event - The event from loadRsvpEvent
+ * @returns {boolean} Whether responses are open
+ */
+const isRsvpOpen = (event) => {
+  const closesAt = event.registrationDeadline || event.startDate;
+  return !event.cancelled && (!closesAt || new Date() <= closesAt);
+};
+
+/**
+ * Helper function to convert an event to its response shape
+ * @param {Object} event - The event from loadRsvpEvent
+ * @returns {Object} The event with ISO dates and whether it is open
+ */
+const toEventResponse = (event) => ({
+  ...event,
+  startDate: event.startDate ? event.startDate.toISOString() : null,
+  registrationDeadline: event.registrationDeadline
+    ? event.registrationDeadline.toISOString()
+    : null,
+  open: isRsvpOpen(event),
+});
+
+/**
+ * Helper function to get the ID of a swimmer's RSVP to an event
+ * @param {string} eventId - The event or occurrence ID
+ * @param {string} swimmerId - The swimmer's user ID
+ * @returns {string} The RSVP document ID
+ */
+const getRsvpId = (eventId, swimmerId) => `${eventId}_${swimmerId}`;
+
+/**
+ * Helper function to order RSVPs by when swimmers responded
+ * @param {Object} a - An RSVP
+ * @param {Object} b - Another RSVP
+ * @returns {number} Sort order
+ */
+const compareRsvps = (a, b) => a.respondedAt.localeCompare(b.respondedAt);
+
+/**
+ * Helper function to pick the waitlisted RSVPs that now have a spot
+ * @param {Array<Object>} rsvps - The event's RSVPs
+ * @param {number|null} capacity - The event's capacity (null if unlimited)
+ * @returns {Array<Object>} RSVPs to confirm, first on the waitlist first
+ */
+const getPromotions = (rsvps, capacity) => {
+  const waitlist = rsvps
+    .filter((rsvp) => rsvp.status === 'waitlisted')
+    .sort(compareRsvps);
+  if (!capacity) {
+    return waitlist;
+  }
+
+  const confirmed = rsvps.filter((rsvp) => rsvp.status === 'confirmed');
+  return waitlist.slice(0, Math.max(capacity - confirmed.length, 0));
+};
+
+/**
+ * Helper function to add waitlist positions to RSVPs
+ * @param {Array<Object>} rsvps - An event's RSVPs
+ * @returns {Array<Object>} The RSVPs with `waitlistPosition` (null unless
+ *   waitlisted), confirmed first, then the waitlist, maybe and not going
+ */
+const rankRsvps = (rsvps) => {
+  const order = (rsvp) => {
+    if (rsvp.response === 'going') {
+      return rsvp.status === 'confirmed' ? 0 : 1;
+    }
+    return rsvp.response === 'maybe' ? 2 : 3;
+  };
+
+  let position = 0;
+  return [...rsvps]
+    .sort((a, b) => order(a) - order(b) || compareRsvps(a, b))
+    .map((rsvp) => ({
+      ...rsvp,
+      waitlistPosition: rsvp.status === 'waitlisted' ? ++position : null,
+    }));
+};
+
+/**
+ * Helper function to count an event's responses
+ * @param {Array<Object>} rsvps - The event's RSVPs
+ * @param {number|null} capacity - The event's capacity (null if unlimited)
+ * @returns {Object} Counts of each response, and the spots left
+ */
+const summarizeRsvps = (rsvps, capacity) => {
+  const count = (test) => rsvps.filter(test).length;
+  const going = count((rsvp) => rsvp.status === 'confirmed');
+
+  return {
+    going,
+    waitlisted: count((rsvp) => rsvp.status === 'waitlisted'),
+    maybe: count((rsvp) => rsvp.response === 'maybe'),
+    notGoing: count((rsvp) => rsvp.response === 'notGoing'),
+    capacity,
+    spotsLeft: capacity ? Math.max(capacity - going, 0) : null,
+  };
+};
+
+/**
+ * Helper function to load an event's RSVPs
+ * @param {string} eventId - The event or occurrence ID
+ * @returns {Promise<Array<Object>>} The RSVPs
+ */
+const loadEventRsvps = async (eventId) => {
+  const rsvpsSnapshot = await db
+    .collection(eventRsvpsCollection)
+    .where('eventId', '==', eventId)
+    .get();
+
+  return rsvpsSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Helper function to tell promoted swimmers and their guardians they have
+ * a spot
+ * @param {Object} event - The event from loadRsvpEvent
+ * @param {Array<Object>} promoted - The promoted RSVPs
+ * @returns {Promise<void>}
+ */
+const notifyPromoted = async (event, promoted) => {
+  for (const rsvp of promoted) {
+    const swimmerDoc = await db
+      .collection(usersCollection)
+      .doc(rsvp.swimmerId)
+      .get();
+    const swimmer = swimmerDoc.exists ? swimmerDoc.data() : {};
+
+    await notifyUsers(
+      [rsvp.swimmerId, rsvp.respondedBy, ...(swimmer.guardianIds || [])],
+      {
+        type: RSVP_PROMOTED,
+        title: 'Off the waitlist!',
+        message:
+          `A spot opened up: ${rsvp.swimmerName} is now going to ` +
+          `${event.title}.`,
+        link: '/athlete-zone/events',
+        athleteId: rsvp.swimmerId,
+        data: {
+          eventId: event.id,
+        },
+      }
+    );
+  }
+};
+
+/**
+ * Helper function to promote an event's waitlist into free spots
+ * @param {string} eventId - The event or occurrence ID
+ * @returns {Promise<Array<Object>>} The promoted RSVPs
+ */
+const promoteEventWaitlist = async (eventId) => {
+  const event = await loadRsvpEvent(eventId);
+
+  const promoted = await db.runTransaction(async (transaction) => {
+    const rsvpsSnapshot = await transaction.get(
+      db.collection(eventRsvpsCollection).where('eventId', '==', eventId)
+    );
+    const rsvps = rsvpsSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    const now = new Date().toISOString();
+    const promotions = getPromotions(rsvps, event.capacity);
+    promotions.forEach((rsvp) => {
+      transaction.update(db.collection(eventRsvpsCollection).doc(rsvp.id), {
+        status: 'confirmed',
+        promotedAt: now,
+        updatedAt: now,
+      });
+    });
+    return promotions;
+  });
+
+  await notifyPromoted(event, promoted);
+  return promoted;
+};
+
+/**
+ * Helper function to promote waitlists after an event's capacity changes
+ * Every date of a recurring event with RSVPs is checked.
+ * @param {string} seriesId - The event ID
+ * @returns {Promise<number>} The number of swimmers promoted
+ */
+const promoteWaitlists = async (seriesId) => {
+  const waitlistSnapshot = await db
+    .collection(eventRsvpsCollection)
+    .where('seriesId', '==', seriesId)
+    .where('status', '==', 'waitlisted')
+    .get();
+
+  const eventIds = [
+    ...new Set(waitlistSnapshot.docs.map((doc) => doc.data().eventId)),
+  ];
+
+  let promotedCount = 0;
+  for (const eventId of eventIds) {
+    try {
+      const promoted = await promoteEventWaitlist(eventId);
+      promotedCount += promoted.length;
+    } catch (error) {
+      // A date removed from the series has nothing left to promote into
+      logger.warn(`Could not promote the waitlist of ${eventId}:`, error);
+    }
+  }
+
+  return promotedCount;
+};
+
+/**
+ * Helper function to summarize who is coming to an event
+ * Used by the assistant to answer questions like "who's coming to
+ * Saturday's meet?". The assistant is open to everyone, so swimmers' names
+ * are only listed when the assistant is used by a signed-in admin or coach;
+ * everyone else gets the counts.
+ * @param {string} eventId - The event or occurrence ID
+ * @param {Object} [auth] - The auth context of the assistant request
+ * @returns {Promise<Object>} The event, counts and, for admins and coaches,
+ *   swimmers' names by response
+ */
+const getEventAttendance = async (eventId, auth) => {
+  const [event, rsvps, caller] = await Promise.all([
+    loadRsvpEvent(eventId),
+    loadEventRsvps(eventId),
+    auth ? getCaller(auth).catch(() => null) : null,
+  ]);
+  const attendance = {
+    success: true,
+    event: toEventResponse(event),
+    summary: summarizeRsvps(rsvps, event.capacity),
+  };
+
+  if (!caller || (caller.role !== 'admin' && caller.role !== 'coach')) {
+    return attendance;
+  }
+
+  const ranked = rankRsvps(rsvps);
+  const names = (test) =>
+    ranked.filter(test).map((rsvp) => rsvp.swimmerName);
+
+  return {
+    ...attendance,
+    going: names((rsvp) => rsvp.status === 'confirmed'),
+    waitlist: names((rsvp) => rsvp.status === 'waitlisted'),
+    maybe: names((rsvp) => rsvp.response === 'maybe'),
+    notGoing: names((rsvp) => rsvp.response === 'notGoing'),
+  };
+};
+
+/**
+ * Helper function to require an admin or coach caller
+ * @param {Object} auth - The auth context of the callable request
+ * @returns {Promise<Object>} The caller's user data
+ */
+const assertCanViewAttendees = async (auth) => {
+  const caller = await getCaller(auth);
+  if (caller.role !== 'admin' && caller.role !== 'coach') {
+    throw new Error('Admin or coach access required');
+  }
+  return caller;
+};
+
+/**
+ * Respond to an event for yourself or one of your swimmers
+ * (Authenticated users)
+ * Saying "going" to a full event puts the swimmer on the waitlist. A
+ * confirmed swimmer changing their response frees their spot for the
+ * first swimmer on the waitlist.
+ */
+const saveEventRsvp = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const { eventId, response, note } = request.data;
+    const swimmerId = request.data.swimmerId || caller.id;
+
+    if (!RESPONSES.includes(response)) {
+      throw new Error(`Response must be ${RESPONSES.join(', ')}`);
+    }
+    if (
+      swimmerId !== caller.id &&
+      caller.role !== 'admin' &&
+      !isGuardianOf(caller, swimmerId)
+    ) {
+      throw new Error('You can only respond for yourself or your swimmers');
+    }
+
+    const event = await loadRsvpEvent(eventId);
+    if (response !== 'notGoing' && !isRsvpOpen(event)) {
+      throw new Error(
+        event.cancelled
+          ? 'This event has been cancelled'
+          : 'Registration for this event has closed'
+      );
+    }
+
+    let swimmer = caller;
+    if (swimmerId !== caller.id) {
+      const swimmerDoc = await db
+        .collection(usersCollection)
+        .doc(swimmerId)
+        .get();
+      if (!swimmerDoc.exists) {
+        throw new Error('Swimmer not found');
+      }
+      swimmer = swimmerDoc.data();
+    }
+
+    const rsvpId = getRsvpId(event.id, swimmerId);
+    const result = await db.runTransaction(async (transaction) => {
+      const rsvpsSnapshot = await transaction.get(
+        db.collection(eventRsvpsCollection).where('eventId', '==', event.id)
+      );
+      const rsvps = rsvpsSnapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+      const existing = rsvps.find((rsvp) => rsvp.id === rsvpId);
+      const others = rsvps.filter((rsvp) => rsvp.id !== rsvpId);
+      const now = new Date().toISOString();
+
+      const rsvp = {
+        eventId: event.id,
+        seriesId: event.seriesId,
+        swimmerId,
+        swimmerName: getDisplayName(swimmer),
+        respondedBy: caller.id,
+        respondedByName: getDisplayName(caller),
+        response,
+        note: note && String(note).trim() ? String(note).trim() : null,
+        status: null,
+        respondedAt: now,
+        promotedAt: null,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+      };
+
+      if (response === 'going' && existing && existing.response === 'going') {
+        // Keep their place when only the note changes
+        rsvp.status = existing.status;
+        rsvp.respondedAt = existing.respondedAt;
+        rsvp.promotedAt = existing.promotedAt || null;
+      } else if (response === 'going') {
+        const confirmed = others.filter(
+          (other) => other.status === 'confirmed'
+        );
+        rsvp.status =
+          !event.capacity || confirmed.length < event.capacity
+            ? 'confirmed'
+            : 'waitlisted';
+      }
+
+      transaction.set(db.collection(eventRsvpsCollection).doc(rsvpId), rsvp);
+
+      // A confirmed swimmer dropping out frees a spot
+      let promoted = [];
+      if (existing && existing.status === 'confirmed' && !rsvp.status) {
+        promoted = getPromotions(others, event.capacity);
+        promoted.forEach((other) => {
+          transaction.update(
+            db.collection(eventRsvpsCollection).doc(other.id),
+            { status: 'confirmed', promotedAt: now, updatedAt: now }
+          );
+        });
+      }
+
+      const ranked = rankRsvps([...others, { id: rsvpId, ...rsvp }]);
+      return {
+        rsvp: ranked.find((candidate) => candidate.id === rsvpId),
+        promoted,
+      };
+    });
+
+    await notifyPromoted(event, result.promoted);
+
+    const message =
+      result.rsvp.status === 'waitlisted'
+        ? `${event.title} is full; ${result.rsvp.swimmerName} is number ` +
+          `${result.rsvp.waitlistPosition} on the waitlist`
+        : `Response saved: ${RESPONSE_LABELS[response]}`;
+
+    return {
+      success: true,
+      message,
+      rsvp: result.rsvp,
+    };
+  } catch (error) {
+    logger.error('Error saving event RSVP:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get a swimmer's responses to events (Authenticated users)
+ * Swimmers get their own; guardians pass `swimmerId` for a linked swimmer.
+ * Waitlisted responses include the swimmer's place on the waitlist.
+ */
+const getEventRsvps = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const swimmerId = (request.data && request.data.swimmerId) || caller.id;
+
+    if (
+      swimmerId !== caller.id &&
+      caller.role !== 'admin' &&
+      !isGuardianOf(caller, swimmerId)
+    ) {
+      throw new Error('You do not have access to this swimmer');
+    }
+
+    const rsvpsSnapshot = await db
+      .collection(eventRsvpsCollection)
+      .where('swimmerId', '==', swimmerId)
+      .get();
+
+    const rsvps = [];
+    for (const doc of rsvpsSnapshot.docs) {
+      let rsvp = { id: doc.id, ...doc.data(), waitlistPosition: null };
+      if (rsvp.status === 'waitlisted') {
+        const ranked = rankRsvps(await loadEventRsvps(rsvp.eventId));
+        rsvp = ranked.find((candidate) => candidate.id === doc.id) || rsvp;
+      }
+      rsvps.push(rsvp);
+    }
+
+    return {
+      success: true,
+      rsvps,
+    };
+  } catch (error) {
+    logger.error('Error getting event RSVPs:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get everyone who has responded to an event (Admin or coach)
+ */
+const getEventAttendees = async (request) => {
+  try {
+    await assertCanViewAttendees(request.auth);
+    const { eventId } = request.data;
+
+    const [event, rsvps] = await Promise.all([
+      loadRsvpEvent(eventId),
+      loadEventRsvps(eventId),
+    ]);
+
+    return {
+      success: true,
+      event: toEventResponse(event),
+      summary: summarizeRsvps(rsvps, event.capacity),
+      attendees: rankRsvps(rsvps),
+    };
+  } catch (error) {
+    logger.error('Error getting event attendees:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Export an event's attendee list as CSV (Admin or coach)
+ */
+const exportEventAttendees = async (request) => {
+  try {
+    await assertCanViewAttendees(request.auth);
+    const { eventId } = request.data;
+
+    const [event, rsvps] = await Promise.all([
+      loadRsvpEvent(eventId),
+      loadEventRsvps(eventId),
+    ]);
+    const attendees = rankRsvps(rsvps);
+
+    const content = toCsv([
+      [
+        'Swimmer',
+        'Response',
+        'Status',
+        'Waitlist Position',
+        'Responded By',
+        'Responded At',
+        'Note',
+      ],
+      ...attendees.map((rsvp) => [
+        rsvp.swimmerName,
+        RESPONSE_LABELS[rsvp.response],
+        STATUS_LABELS[rsvp.status] || '',
+        rsvp.waitlistPosition,
+        rsvp.respondedByName,
+        rsvp.respondedAt,
+        rsvp.note,
+      ]),
+    ]);
+
+    const slug = event.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    const day = event.startDate
+      ? `-${event.startDate.toISOString().slice(0, 10)}`
+      : '';
+
+    return {
+      success: true,
+      filename: `${slug || 'event'}${day}-attendees.csv`,
+      content,
+      count: attendees.length,
+    };
+  } catch (error) {
+    logger.error('Error exporting event attendees:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.saveEventRsvp = onCall(
+  { cors: true, region: 'us-central1' },
+  saveEventRsvp
+);
+exports.getEventRsvps = onCall(
+  { cors: true, region: 'us-central1' },
+  getEventRsvps
+);
+exports.getEventAttendees = onCall(
+  { cors: true, region: 'us-central1' },
+  getEventAttendees
+);
+exports.exportEventAttendees = onCall(
+  { cors: true, region: 'us-central1' },
+  exportEventAttendees
+);
+
+// Export helpers for the events functions and the assistant
+exports.getEventAttendance = getEventAttendance;
+exports.promoteWaitlists = promoteWaitlists;
@@ -0,0 +1,458 @@
+/**
+ * Cloud Functions for swimmer goals
+ *
+ * Goals are kept as records in `users/{uid}/goals`, one per goal set, so a
+ * swimmer's past goals stay on file as their history. A goal is `active`
+ * until a swim beats it (`achieved`), its target date passes (`expired`) or
+ * a new goal is set for the same event (`replaced`). The event's best time
+ * document mirrors the current goal so best time lists can show it.
+ *
+ * Every new swim is checked against the swimmer's active goals as it is
+ * recorded; when one is achieved the swimmer and their guardians are sent a
+ * notification, which the athlete zone uses to celebrate.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { normalizeCourse } = require('./courses');
+const { formatTime } = require('./timeFormat');
+const { assertCanViewSwimmer, assertCanSetGoals } = require('./auth');
+const { getEventId } = require('./bestTimes');
+const { loadMeet } = require('./meetEntries');
+const { getDisplayName } = require('./trainingGroups');
+const { notifyUsers } = require('./notifications');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+const bestTimesCollection = 'bestTimes';
+const goalsCollection = 'goals';
+
+const GOAL_STATUSES = ['active', 'achieved', 'expired', 'replaced'];
+
+// Notification type sent when a goal is achieved
+const GOAL_ACHIEVED = 'goalAchieved';
+
+/**
+ * Helper function to get the calendar day of a date
+ * @param {string|Date} date - The date
+ * @returns {string} The day (YYYY-MM-DD)
+ */
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Helper function to check whether an active goal's target date has passed
+ * A goal can still be achieved on its target date.
+ * @param {Object} goal - The goal
+ * @param {Date} [now] - The current time
+ * @returns {boolean} Whether the goal has expired
+ */
+const isGoalExpired = (goal, now = new Date()) =>
+  goal.status === 'active' && !!goal.targetDate && goal.targetDate < toDay(now);
+
+/**
+ * Helper function to mirror a goal on its event's best time document
+ * @param {Object} goal - The goal, including its ID
+ * @returns {Object} Best time fields for the goal
+ */
+const toBestTimeGoal = (goal) => ({
+  goalId: goal.id,
+  goalTime: goal.goalTime,
+  goalStatus: goal.status,
+  goalTargetDate: goal.targetDate,
+  goalAchievedAt: goal.achievedAt || null,
+});
+
+/**
+ * Helper function to mark active goals whose target date has passed as
+ * expired
+ * @param {string} userId - The swimmer's user ID
+ * @param {Array<Object>} goals - The swimmer's goals, including their IDs
+ * @returns {Promise<Array<Object>>} The goals with up to date statuses
+ */
+const expireGoals = async (userId, goals) => {
+  const now = new Date();
+  const expired = goals.filter((goal) => isGoalExpired(goal, now));
+
+  if (expired.length === 0) {
+    return goals;
+  }
+
+  const userRef = db.collection(usersCollection).doc(userId);
+  const expiredAt = now.toISOString();
+  const batch = db.batch();
+
+  expired.forEach((goal) => {
+    batch.update(userRef.collection(goalsCollection).doc(goal.id), {
+      status: 'expired',
+      expiredAt,
+    });
+  });
+  await batch.commit();
+
+  // Best time documents are only updated while they still mirror the
+  // expired goal, since a newer goal may have been set for the event
+  await Promise.all(
+    expired.map((goal) =>
+      db.runTransaction(async (transaction) => {
+        const bestTimeRef = userRef
+          .collection(bestTimesCollection)
+          .doc(goal.eventId);
+        const bestTimeDoc = await transaction.get(bestTimeRef);
+        if (bestTimeDoc.exists && bestTimeDoc.data().goalId === goal.id) {
+          transaction.update(bestTimeRef, { goalStatus: 'expired' });
+        }
+      })
+    )
+  );
+
+  return goals.map((goal) =>
+    expired.includes(goal) ? { ...goal, status: 'expired', expiredAt } : goal
+  );
+};
+
+/**
+ * Helper function to check a new swim against a swimmer's active goals
+ * A swim achieves a goal when it equals or beats the goal time between the
+ * day the goal was set and the goal's target date.
+ * @param {string} userId - The swimmer's user ID
+ * @param {Object} swim - The swim, including its ID
+ * @returns {Promise<Array<Object>>} The goals the swim achieved
+ */
+const checkSwimForGoals = async (userId, swim) => {
+  if (typeof swim.time !== 'number' || !swim.eventId) {
+    return [];
+  }
+
+  const userRef = db.collection(usersCollection).doc(userId);
+  const goalsSnapshot = await userRef
+    .collection(goalsCollection)
+    .where('eventId', '==', swim.eventId)
+    .where('status', '==', 'active')
+    .get();
+
+  const swimDay = toDay(swim.date);
+  const candidates = goalsSnapshot.docs.filter((doc) => {
+    const goal = doc.data();
+    return (
+      swim.time <= goal.goalTime &&
+      (!goal.createdAt || swimDay >= toDay(goal.createdAt)) &&
+      (!goal.targetDate || swimDay <= goal.targetDate)
+    );
+  });
+
+  const achievedGoals = [];
+
+  for (const goalDoc of candidates) {
+    const result = await db.runTransaction(async (transaction) => {
+      const bestTimeRef = userRef
+        .collection(bestTimesCollection)
+        .doc(swim.eventId);
+      const [currentGoalDoc, bestTimeDoc] = await Promise.all([
+        transaction.get(goalDoc.ref),
+        transaction.get(bestTimeRef),
+      ]);
+
+      // Another swim may have achieved the goal in the meantime
+      if (
+        !currentGoalDoc.exists ||
+        currentGoalDoc.data().status !== 'active'
+      ) {
+        return null;
+      }
+
+      const goal = {
+        id: goalDoc.id,
+        ...currentGoalDoc.data(),
+        status: 'achieved',
+        achievedAt: new Date().toISOString(),
+        achievedSwimId: swim.id,
+        achievedTime: swim.time,
+        achievedDate: swim.date,
+      };
+
+      transaction.update(goalDoc.ref, {
+        status: goal.status,
+        achievedAt: goal.achievedAt,
+        achievedSwimId: goal.achievedSwimId,
+        achievedTime: goal.achievedTime,
+        achievedDate: goal.achievedDate,
+      });
+      if (bestTimeDoc.exists && bestTimeDoc.data().goalId === goal.id) {
+        transaction.update(bestTimeRef, toBestTimeGoal(goal));
+      }
+
+      return goal;
+    });
+
+    if (result) {
+      achievedGoals.push(result);
+    }
+  }
+
+  return achievedGoals;
+};
+
+/**
+ * Helper function to tell a swimmer and their guardians about an achieved
+ * goal
+ * @param {string} userId - The swimmer's user ID
+ * @param {Object} goal - The achieved goal
+ * @returns {Promise<number>} The number of notifications sent
+ */
+const notifyGoalAchieved = async (userId, goal) => {
+  const userDoc = await db.collection(usersCollection).doc(userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  const eventLabel = `${goal.distance} ${goal.stroke} (${goal.course})`;
+
+  return notifyUsers([userId, ...(user.guardianIds || [])], {
+    type: GOAL_ACHIEVED,
+    title: 'Goal achieved!',
+    message:
+      `${getDisplayName(user) || 'Your swimmer'} swam ` +
+      `${formatTime(goal.achievedTime)} in the ${eventLabel}, ` +
+      `reaching the goal of ${formatTime(goal.goalTime)}.`,
+    link: '/athlete-zone/best-times',
+    athleteId: userId,
+    data: {
+      goalId: goal.id,
+      eventId: goal.eventId,
+      goalTime: goal.goalTime,
+      time: goal.achievedTime,
+    },
+  });
+};
+
+/**
+ * Check goals whenever a swim is recorded
+ * This covers swims added by admins and coaches and every kind of import.
+ */
+const onSwimRecorded = async (event) => {
+  const snapshot = event.data;
+  if (!snapshot) {
+    return;
+  }
+
+  const { userId } = event.params;
+
+  try {
+    const achievedGoals = await checkSwimForGoals(userId, {
+      id: snapshot.id,
+      ...snapshot.data(),
+    });
+
+    for (const goal of achievedGoals) {
+      await notifyGoalAchieved(userId, goal);
+      logger.info(`Goal achieved: ${goal.eventId}`, {
+        userId,
+        goalId: goal.id,
+        time: goal.achievedTime,
+      });
+    }
+  } catch (error) {
+    logger.error('Error checking swim for goals:', error);
+  }
+};
+
+/**
+ * Set a goal time for a swimmer
+ * Pass `targetMeetId` to aim for a meet, or `targetDate` (YYYY-MM-DD) for a
+ * deadline; a meet's last day is its target date. Any active goal for the
+ * same event is replaced and kept in the goal history. Swimmers set their
+ * own goals; guardians, admins and coaches may pass `athleteId` to set a
+ * goal for a swimmer they are linked to or manage.
+ */
+const setGoalTime = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const { eventName, stroke, distance, targetMeetId } = request.data;
+
+    if (!eventName || !stroke || !distance || !request.data.goalTime) {
+      throw new Error('Missing required fields');
+    }
+
+    const goalTime = parseFloat(request.data.goalTime);
+    if (!Number.isFinite(goalTime) || goalTime <= 0) {
+      throw new Error(`Invalid goal time: ${request.data.goalTime}`);
+    }
+
+    const userId = request.data.athleteId || request.auth.uid;
+    if (userId !== request.auth.uid) {
+      await assertCanSetGoals(request.auth, userId);
+    }
+
+    let targetDate = request.data.targetDate || null;
+    let targetMeetName = null;
+    if (targetMeetId) {
+      const meet = await loadMeet(targetMeetId);
+      targetMeetName = meet.title;
+      const meetDate = meet.endDate || meet.startDate;
+      if (!targetDate && meetDate) {
+        targetDate = toDay(meetDate);
+      }
+    }
+
+    if (targetDate) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+        throw new Error('Target date must be YYYY-MM-DD');
+      }
+      if (targetDate < toDay(new Date())) {
+        throw new Error('The target date has already passed');
+      }
+    }
+
+    const course = normalizeCourse(request.data.course);
+    const eventId = getEventId(stroke, distance, course);
+    const now = new Date().toISOString();
+
+    const userRef = db.collection(usersCollection).doc(userId);
+    const goalsRef = userRef.collection(goalsCollection);
+    const goalRef = goalsRef.doc();
+    const bestTimeRef = userRef.collection(bestTimesCollection).doc(eventId);
+
+    const goal = {
+      id: goalRef.id,
+      eventId,
+      eventName,
+      stroke,
+      distance,
+      course,
+      goalTime,
+      targetDate,
+      targetMeetId: targetMeetId || null,
+      targetMeetName,
+      status: 'active',
+      createdAt: now,
+      createdBy: request.auth.uid,
+      achievedAt: null,
+    };
+
+    await db.runTransaction(async (transaction) => {
+      const activeSnapshot = await transaction.get(
+        goalsRef
+          .where('eventId', '==', eventId)
+          .where('status', '==', 'active')
+      );
+
+      activeSnapshot.docs.forEach((doc) => {
+        transaction.update(doc.ref, {
+          status: 'replaced',
+          replacedAt: now,
+          replacedByGoalId: goalRef.id,
+        });
+      });
+
+      const { id, ...goalData } = goal;
+      transaction.set(goalRef, goalData);
+
+      // The event fields let a goal exist before any swim of that event has
+      // been recorded
+      transaction.set(
+        bestTimeRef,
+        {
+          eventName,
+          stroke,
+          distance,
+          course,
+          ...toBestTimeGoal(goal),
+          updatedAt: now,
+        },
+        { merge: true }
+      );
+    });
+
+    return {
+      success: true,
+      message: 'Goal time set successfully',
+      goal,
+    };
+  } catch (error) {
+    logger.error('Error setting goal time:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get a swimmer's goals, newest first, optionally for a single event or
+ * status
+ * Active goals whose target date has passed are marked expired first.
+ * Guardians, admins and coaches may pass `athleteId` to view a swimmer they
+ * are linked to or manage.
+ */
+const getGoals = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const { eventId, status } = request.data || {};
+    const userId = (request.data && request.data.athleteId) || request.auth.uid;
+    if (userId !== request.auth.uid) {
+      await assertCanViewSwimmer(request.auth, userId);
+    }
+
+    if (status && !GOAL_STATUSES.includes(status)) {
+      throw new Error(`Invalid goal status: ${status}`);
+    }
+
+    let goalsQuery = db
+      .collection(usersCollection)
+      .doc(userId)
+      .collection(goalsCollection);
+
+    if (eventId) {
+      goalsQuery = goalsQuery.where('eventId', '==', eventId);
+    }
+
+    const goalsSnapshot = await goalsQuery.get();
+    const goals = await expireGoals(
+      userId,
+      goalsSnapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+    );
+
+    // Sorted here to avoid needing a composite index
+    return {
+      success: true,
+      goals: goals
+        .filter((goal) => !status || goal.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    };
+  } catch (error) {
+    logger.error('Error getting goals:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.onSwimRecordedForGoals = onDocumentCreated(
+  {
+    document: `${usersCollection}/{userId}/${swimsCollection}/{swimId}`,
+    database: 'digby-dolphins',
+    region: 'us-central1',
+  },
+  onSwimRecorded
+);
+exports.setGoalTime = onCall(
+  { cors: true, region: 'us-central1' },
+  setGoalTime
+);
+exports.getGoals = onCall({ cors: true, region: 'us-central1' }, getGoals);
@@ -0,0 +1,240 @@
+/**
+ * Parent and guardian links to swimmers
+ *
+ * A guardian's user document lists their swimmers in `athleteIds` and each
+ * swimmer lists their guardians in `guardianIds`, so either side can be found
+ * without a query. Links are made by admins or when a parent accepts an
+ * invitation sent for a specific swimmer.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, assertAdmin } = require('./auth');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+
+/**
+ * Helper function to summarize a user for the athlete switcher
+ * @param {string} id - The user ID
+ * @param {Object} user - The user's data
+ * @returns {Object} The user's ID and name
+ */
+const toAthleteSummary = (id, user) => ({
+  id,
+  displayName:
+    user.displayName ||
+    [user.preferredName || user.firstName, user.lastName]
+      .filter(Boolean)
+      .join(' '),
+  birthDate: user.birthDate || null,
+});
+
+/**
+ * Get a swimmer's ID and name
+ * @param {string} athleteId - The swimmer's user ID
+ * @returns {Promise<Object>} The swimmer summary
+ */
+const getAthleteSummary = async (athleteId) => {
+  const athleteDoc = await db.collection(usersCollection).doc(athleteId).get();
+  if (!athleteDoc.exists || athleteDoc.data().role !== 'athlete') {
+    throw new Error('Swimmer not found');
+  }
+
+  return toAthleteSummary(athleteDoc.id, athleteDoc.data());
+};
+
+/**
+ * Link a guardian to a swimmer
+ * @param {string} guardianId - The guardian's user ID
+ * @param {string} athleteId - The swimmer's user ID
+ */
+const linkGuardian = async (guardianId, athleteId) => {
+  if (guardianId === athleteId) {
+    throw new Error('A swimmer cannot be their own guardian');
+  }
+
+  await getAthleteSummary(athleteId);
+
+  const athleteRef = db.collection(usersCollection).doc(athleteId);
+  const batch = db.batch();
+  batch.set(
+    db.collection(usersCollection).doc(guardianId),
+    { athleteIds: FieldValue.arrayUnion(athleteId) },
+    { merge: true }
+  );
+  batch.update(athleteRef, { guardianIds: FieldValue.arrayUnion(guardianId) });
+  await batch.commit();
+};
+
+/**
+ * Get the swimmers the caller can switch between in the athlete zone
+ * Athletes get themselves first, followed by any linked swimmers.
+ */
+const getLinkedAthletes = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+
+    const athleteDocs = await Promise.all(
+      (caller.athleteIds || []).map((athleteId) =>
+        db.collection(usersCollection).doc(athleteId).get()
+      )
+    );
+
+    const athletes = athleteDocs
+      .filter((doc) => doc.exists)
+      .map((doc) => toAthleteSummary(doc.id, doc.data()));
+
+    if (caller.role === 'athlete') {
+      athletes.unshift({ ...toAthleteSummary(caller.id, caller), isSelf: true });
+    }
+
+    return {
+      success: true,
+      athletes,
+    };
+  } catch (error) {
+    logger.error('Error getting linked athletes:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the parents and guardians linked to a swimmer (Admin only)
+ */
+const getAthleteGuardians = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { athleteId } = request.data;
+
+    if (!athleteId) {
+      throw new Error('Swimmer ID is required');
+    }
+
+    const guardiansSnapshot = await db
+      .collection(usersCollection)
+      .where('athleteIds', 'array-contains', athleteId)
+      .get();
+
+    return {
+      success: true,
+      guardians: guardiansSnapshot.docs.map((doc) => ({
+        ...toAthleteSummary(doc.id, doc.data()),
+        email: doc.data().email || null,
+      })),
+    };
+  } catch (error) {
+    logger.error('Error getting guardians:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Link a parent or guardian to a swimmer (Admin only)
+ * The guardian is found by `guardianId` or `guardianEmail`.
+ */
+const linkGuardianToAthlete = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { athleteId, guardianEmail } = request.data;
+    let { guardianId } = request.data;
+
+    if (!athleteId || (!guardianId && !guardianEmail)) {
+      throw new Error('Missing required fields');
+    }
+
+    if (!guardianId) {
+      const guardianSnapshot = await db
+        .collection(usersCollection)
+        .where('email', '==', guardianEmail.trim())
+        .limit(1)
+        .get();
+      if (guardianSnapshot.empty) {
+        throw new Error('Guardian not found');
+      }
+      guardianId = guardianSnapshot.docs[0].id;
+    }
+
+    await linkGuardian(guardianId, athleteId);
+
+    return {
+      success: true,
+      message: 'Guardian linked successfully',
+    };
+  } catch (error) {
+    logger.error('Error linking guardian:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Remove the link between a parent or guardian and a swimmer (Admin only)
+ */
+const unlinkGuardianFromAthlete = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { guardianId, athleteId } = request.data;
+
+    if (!guardianId || !athleteId) {
+      throw new Error('Missing required fields');
+    }
+
+    const batch = db.batch();
+    batch.update(db.collection(usersCollection).doc(guardianId), {
+      athleteIds: FieldValue.arrayRemove(athleteId),
+    });
+    batch.update(db.collection(usersCollection).doc(athleteId), {
+      guardianIds: FieldValue.arrayRemove(guardianId),
+    });
+    await batch.commit();
+
+    return {
+      success: true,
+      message: 'Guardian unlinked successfully',
+    };
+  } catch (error) {
+    logger.error('Error unlinking guardian:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getLinkedAthletes = onCall(
+  { cors: true, region: 'us-central1' },
+  getLinkedAthletes
+);
+exports.getAthleteGuardians = onCall(
+  { cors: true, region: 'us-central1' },
+  getAthleteGuardians
+);
+exports.linkGuardianToAthlete = onCall(
+  { cors: true, region: 'us-central1' },
+  linkGuardianToAthlete
+);
+exports.unlinkGuardianFromAthlete = onCall(
+  { cors: true, region: 'us-central1' },
+  unlinkGuardianFromAthlete
+);
+
+// Export helpers for invitations
+exports.getAthleteSummary = getAthleteSummary;
+exports.linkGuardian = linkGuardian;
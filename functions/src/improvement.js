@@ -0,0 +1,309 @@
+/**
+ * Cloud Functions for the improvement leaderboard
+ *
+ * Swimmers are ranked by the time they dropped over a period, using their
+ * swim history in `users/{uid}/swims`. For each event swum in the period,
+ * the fastest swim in the period is compared with the swimmer's best time
+ * going into it, or, meet-to-meet, with their fastest swim at the earlier
+ * meet. A swimmer's improvement is the average percentage dropped across
+ * those events. Coaches use the board to pick the Swimmer of the Week (see
+ * ./swimmerOfWeek).
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, coachesSwimmer } = require('./auth');
+const { getDisplayName } = require('./trainingGroups');
+const { loadMeet } = require('./meetEntries');
+const { getCompetitionAge, getAgeGroup } = require('./ageGroups');
+const { loadAgeGroupSettings } = require('./ageGroupSettings');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+
+// Default number of swimmers returned by the leaderboard
+const DEFAULT_LEADERBOARD_LIMIT = 25;
+
+/**
+ * Helper function to parse a day of a date range
+ * @param {string} day - The day (YYYY-MM-DD)
+ * @param {boolean} endOfDay - Whether to use the end of the day
+ * @returns {Date} The start or end of the day
+ */
+const parseDay = (day, endOfDay) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(day || '')
+    ? new Date(`${day}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error('Dates must be YYYY-MM-DD');
+  }
+
+  return date;
+};
+
+/**
+ * Helper function to get the days a meet was swum on
+ * @param {Object} meet - The meet from loadMeet
+ * @returns {Object} { start, end } covering every day of the meet
+ */
+const getMeetWindow = (meet) => {
+  if (!meet.startDate) {
+    throw new Error(`${meet.title} has no start date`);
+  }
+
+  const lastDay = meet.endDate || meet.startDate;
+  return {
+    start: parseDay(meet.startDate.toISOString().slice(0, 10), false),
+    end: parseDay(lastDay.toISOString().slice(0, 10), true),
+  };
+};
+
+/**
+ * Helper function to work out the swims being compared
+ * Without meets, swims before the period are compared with swims in it.
+ * @param {Object} data - Request data ({ startDate, endDate } or
+ *   { fromMeetId, toMeetId })
+ * @returns {Promise<Object>} { baseline, period }, each { start, end }
+ */
+const getComparisonWindows = async (data) => {
+  if (data.fromMeetId || data.toMeetId) {
+    if (!data.fromMeetId || !data.toMeetId) {
+      throw new Error('Choose both meets to compare');
+    }
+
+    const [fromMeet, toMeet] = await Promise.all([
+      loadMeet(data.fromMeetId),
+      loadMeet(data.toMeetId),
+    ]);
+    const baseline = getMeetWindow(fromMeet);
+    const period = getMeetWindow(toMeet);
+    if (baseline.end >= period.start) {
+      throw new Error(`${fromMeet.title} must finish before ${toMeet.title}`);
+    }
+
+    return { baseline, period };
+  }
+
+  const start = parseDay(data.startDate, false);
+  const end = data.endDate ? parseDay(data.endDate, true) : new Date();
+  if (start > end) {
+    throw new Error('The start date must be before the end date');
+  }
+
+  return {
+    baseline: { start: new Date(0), end: new Date(start.getTime() - 1) },
+    period: { start, end },
+  };
+};
+
+/**
+ * Helper function to check whether a swim falls within a window
+ * @param {Object} swim - The swim
+ * @param {Object} window - { start, end }
+ * @returns {boolean} Whether the swim was swum in the window
+ */
+const isInWindow = (swim, window) => {
+  const date = new Date(swim.date);
+  return date >= window.start && date <= window.end;
+};
+
+/**
+ * Helper function to round a number to hundredths
+ * @param {number} value - The number
+ * @returns {number} The rounded number
+ */
+const roundHundredths = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Helper function to measure a swimmer's improvement between two windows
+ * @param {Array<Object>} swims - The swimmer's swims
+ * @param {Object} windows - { baseline, period } from getComparisonWindows
+ * @returns {Object} { swimCount, events, improvement, timeDropped }, where
+ *   improvement is the average percentage dropped, or null if no event was
+ *   swum in both windows
+ */
+const getSwimmerImprovement = (swims, windows) => {
+  const fastest = (candidates) =>
+    candidates.reduce(
+      (best, swim) => (!best || swim.time < best.time ? swim : best),
+      null
+    );
+
+  const periodSwims = swims.filter((swim) => isInWindow(swim, windows.period));
+  const eventIds = [...new Set(periodSwims.map((swim) => swim.eventId))];
+
+  const events = eventIds
+    .map((eventId) => {
+      const previous = fastest(
+        swims.filter(
+          (swim) =>
+            swim.eventId === eventId && isInWindow(swim, windows.baseline)
+        )
+      );
+      const latest = fastest(
+        periodSwims.filter((swim) => swim.eventId === eventId)
+      );
+      if (!previous) {
+        return null;
+      }
+
+      const timeDropped = previous.time - latest.time;
+      return {
+        eventId,
+        eventName: latest.eventName,
+        previousTime: previous.time,
+        time: latest.time,
+        timeDropped: roundHundredths(timeDropped),
+        percentDropped: roundHundredths((timeDropped / previous.time) * 100),
+      };
+    })
+    .filter((event) => event)
+    .sort((a, b) => b.percentDropped - a.percentDropped);
+
+  return {
+    swimCount: periodSwims.length,
+    events,
+    improvement:
+      events.length > 0
+        ? roundHundredths(
+            events.reduce((total, event) => total + event.percentDropped, 0) /
+              events.length
+          )
+        : null,
+    timeDropped: roundHundredths(
+      events.reduce((total, event) => total + event.timeDropped, 0)
+    ),
+  };
+};
+
+/**
+ * Helper function to rank swimmers by improvement
+ * Swimmers with the same improvement share a rank (1, 2, 2, 4).
+ * @param {Array<Object>} entries - Leaderboard entries with `improvement`
+ * @returns {Array<Object>} The entries, ranked
+ */
+const rankImprovements = (entries) => {
+  const sorted = [...entries].sort(
+    (a, b) =>
+      b.improvement - a.improvement ||
+      a.displayName.localeCompare(b.displayName)
+  );
+
+  return sorted.map((entry) => {
+    const tiedEntries = sorted.filter(
+      (candidate) => candidate.improvement === entry.improvement
+    );
+    return {
+      rank: sorted.indexOf(tiedEntries[0]) + 1,
+      tied: tiedEntries.length > 1,
+      ...entry,
+    };
+  });
+};
+
+/**
+ * Rank swimmers by the percentage of time they dropped (Admin or coach)
+ * Pass `startDate` and optionally `endDate` (YYYY-MM-DD) for a season,
+ * month or week, or `fromMeetId` and `toMeetId` to compare two meets. The
+ * board can be limited to a `trainingGroupId` or an `ageGroup` label, and
+ * to swimmers with at least `minSwims` swims in the period. Coaches only
+ * see the swimmers in their training groups.
+ */
+const getImprovementLeaderboard = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    if (caller.role !== 'admin' && caller.role !== 'coach') {
+      throw new Error('Admin or coach access required');
+    }
+
+    const data = request.data || {};
+    const minSwims = Math.max(parseInt(data.minSwims, 10) || 1, 1);
+    const limit = parseInt(data.limit, 10);
+
+    const windows = await getComparisonWindows(data);
+
+    const [usersSnapshot, swimsSnapshot, ageGroupSettings] = await Promise.all(
+      [
+        db.collection(usersCollection).get(),
+        db.collectionGroup(swimsCollection).get(),
+        loadAgeGroupSettings(),
+      ]
+    );
+
+    // Swimmers on the board, with their age group at the start of the period
+    const swimmers = new Map();
+    usersSnapshot.forEach((doc) => {
+      const user = doc.data();
+      const ageGroup = getAgeGroup(
+        getCompetitionAge(
+          user.birthDate,
+          ageGroupSettings,
+          windows.period.start
+        ),
+        ageGroupSettings
+      );
+
+      if (
+        (caller.role === 'coach' && !coachesSwimmer(caller, user)) ||
+        (data.trainingGroupId &&
+          user.trainingGroupId !== data.trainingGroupId) ||
+        (data.ageGroup && (!ageGroup || ageGroup.label !== data.ageGroup))
+      ) {
+        return;
+      }
+
+      swimmers.set(doc.id, {
+        athleteId: doc.id,
+        displayName: getDisplayName(user),
+        trainingGroupId: user.trainingGroupId || null,
+        ageGroup: ageGroup ? ageGroup.label : null,
+        swims: [],
+      });
+    });
+
+    swimsSnapshot.forEach((doc) => {
+      const swimmer = swimmers.get(doc.ref.parent.parent.id);
+      const swim = doc.data();
+      if (swimmer && typeof swim.time === 'number') {
+        swimmer.swims.push(swim);
+      }
+    });
+
+    const entries = [];
+    swimmers.forEach(({ swims, ...swimmer }) => {
+      const result = getSwimmerImprovement(swims, windows);
+      if (result.improvement !== null && result.swimCount >= minSwims) {
+        entries.push({ ...swimmer, ...result });
+      }
+    });
+
+    return {
+      success: true,
+      period: {
+        start: windows.period.start.toISOString(),
+        end: windows.period.end.toISOString(),
+      },
+      leaderboard: rankImprovements(entries).slice(
+        0,
+        limit > 0 ? limit : DEFAULT_LEADERBOARD_LIMIT
+      ),
+    };
+  } catch (error) {
+    logger.error('Error getting improvement leaderboard:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getImprovementLeaderboard = onCall(
+  { cors: true, region: 'us-central1', memory: '512MiB', timeoutSeconds: 120 },
+  getImprovementLeaderboard
+);
@@ -0,0 +1,140 @@
+/**
+ * Email shared by the functions that write to members
+ *
+ * Emails are sent through the club's Gmail account in production when
+ * EMAIL_USER and EMAIL_PASSWORD are set. Everywhere else they are logged
+ * instead, so development never emails real members.
+ */
+
+const nodemailer = require('nodemailer');
+const logger = require('firebase-functions/logger');
+
+const FROM_ADDRESS = '"Digby Dolphins Swim Team" <noreply@digbydolphins.com>';
+
+let transporter;
+
+// Check if we're in development or production
+if (
+  process.env.NODE_ENV === 'production' &&
+  process.env.EMAIL_USER &&
+  process.env.EMAIL_PASSWORD
+) {
+  // Use real email service in production
+  transporter = nodemailer.createTransport({
+    host: 'smtp.gmail.com',
+    port: 587,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD,
+    },
+  });
+} else {
+  // In development, just log the email content
+  transporter = {
+    sendMail: (mailOptions) => {
+      logger.info('Email would be sent with the following details:');
+      logger.info(`From: ${mailOptions.from}`);
+      logger.info(`To: ${mailOptions.to}`);
+      logger.info(`Subject: ${mailOptions.subject}`);
+      logger.info('HTML content would be sent...');
+
+      const link = (mailOptions.html || '').match(/href="([^"]+)"/);
+      if (link) {
+        logger.info(`Link: ${link[1]}`);
+      }
+      return Promise.resolve({ messageId: 'mock-email-id-' + Date.now() });
+    },
+  };
+}
+
+/**
+ * Send an email from the club
+ * @param {Object} mailOptions - Nodemailer options: to, subject, html and
+ *   optionally text and from
+ * @returns {Promise<Object>} The send result, including `messageId`
+ */
+const sendEmail = (mailOptions) =>
+  transporter.sendMail({ from: FROM_ADDRESS, ...mailOptions });
+
+/**
+ * Get the address of the club website, for links in emails
+ * @returns {string} The site's base URL without a trailing slash
+ */
+const getSiteUrl = () =>
+  process.env.NODE_ENV === 'production'
+    ? 'https://digbydolphins.com'
+    : 'http://localhost:3336';
+
+/**
+ * Helper function to escape text for use in an email's HTML
+ * @param {string} text - Plain text
+ * @returns {string} The escaped text
+ */
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Lay out an email in the club's style
+ * Text is escaped, so pass plain text rather than HTML.
+ * @param {Object} content - The email content
+ * @param {string} content.heading - Heading under the logo
+ * @param {Array<string>} content.paragraphs - Body paragraphs
+ * @param {Object} [content.button] - { label, href } call to action
+ * @param {Array<string>} [content.notes] - Small print under the button
+ * @returns {Object} { html, text } versions of the email
+ */
+const renderEmail = ({ heading, paragraphs, button, notes = [] }) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: #f0f0f0; padding: 20px; text-align: center;">
+        <img src="https://digbydolphins.com/dolphins-logo.png" alt="Digby Dolphins Logo" style="max-width: 150px;">
+        <h1 style="color: #333;">${escapeHtml(heading)}</h1>
+      </div>
+      <div style="padding: 20px; border: 1px solid #ddd; background-color: #fff;">
+        ${paragraphs.map((text) => `<p>${escapeHtml(text)}</p>`).join('')}
+        ${
+          button
+            ? `<div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(button.href)}" style="background-color: #ffd700; color: #333; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
+            ${escapeHtml(button.label)}
+          </a>
+        </div>`
+            : ''
+        }
+        ${notes
+          .map(
+            (text) =>
+              `<p style="font-size: 0.9em; color: #666;">${escapeHtml(
+                text
+              )}</p>`
+          )
+          .join('')}
+      </div>
+      <div style="background-color: #333; color: #fff; padding: 15px; text-align: center; font-size: 0.8em;">
+        <p>&copy; ${new Date().getFullYear()} Digby Dolphins Swim Team. All rights reserved.</p>
+      </div>
+    </div>
+  `;
+
+  const text = [
+    ...paragraphs,
+    ...(button ? [`${button.label}: ${button.href}`] : []),
+    ...notes,
+  ].join('\n\n');
+
+  return { html, text };
+};
+
+module.exports = {
+  FROM_ADDRESS,
+  sendEmail,
+  getSiteUrl,
+  escapeHtml,
+  renderEmail,
+};
@@ -0,0 +1,891 @@
+/**
+ * Cloud Functions for meet entries
+ *
+ * A meet is a club event (see createEvent) with a list of meet events, each
+ * a stroke, distance and course for one gender and age group. Swimmers and
+ * their parents choose entries before the event's registration deadline,
+ * with seed times filled in from best times. Coaches approve the entries of
+ * the swimmers they coach, and approved entries are exported as an SDIF
+ * entries file or CSV for the host meet to import.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const {
+  getCaller,
+  assertAdmin,
+  coachesSwimmer,
+  isGuardianOf,
+  assertCanViewSwimmer,
+} = require('./auth');
+const { COURSES, normalizeCourse } = require('./courses');
+const { getCourseTime } = require('./courseConversion');
+const { normalizeGender } = require('./timeStandards');
+const {
+  parseAgeLimit,
+  formatAgeGroupLabel,
+  isInAgeRange,
+  getCompetitionAge,
+} = require('./ageGroups');
+const { loadAgeGroupSettings } = require('./ageGroupSettings');
+const { STROKES } = require('./sdifParser');
+const { buildSdifEntries } = require('./sdifWriter');
+const { toCsv } = require('./csv');
+const { formatTime } = require('./timeFormat');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const bestTimesCollection = 'bestTimes';
+const eventsCollection = 'events';
+const meetEntriesCollection = 'meetEntries';
+
+// The team entries are submitted for
+const TEAM = {
+  code: 'DIGBY',
+  name: 'Digby Dolphins Swim Team',
+  abbreviation: 'Digby Dolphins',
+};
+
+const ENTRY_STATUSES = ['pending', 'approved', 'rejected'];
+
+const GENDER_LABELS = {
+  M: 'Boys',
+  F: 'Girls',
+  X: 'Mixed',
+};
+
+const EXPORT_FORMATS = ['sdif', 'csv'];
+
+// Fields that define a meet event
+const MEET_EVENT_FIELDS = [
+  'number',
+  'stroke',
+  'distance',
+  'course',
+  'gender',
+  'minAge',
+  'maxAge',
+];
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+/**
+ * Helper function to get a swimmer's display name
+ * @param {Object} user - The swimmer's user data
+ * @returns {string} Display name
+ */
+const getSwimmerName = (user) =>
+  user.displayName ||
+  [user.preferredName || user.firstName, user.lastName]
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Helper function to name a meet event (e.g., "Girls 11-12 50m Freestyle")
+ * @param {Object} meetEvent - The meet event
+ * @returns {string} Event name
+ */
+const getMeetEventName = (meetEvent) =>
+  `${GENDER_LABELS[meetEvent.gender]} ${formatAgeGroupLabel(
+    meetEvent.minAge,
+    meetEvent.maxAge
+  )} ${meetEvent.distance} ${meetEvent.stroke}`;
+
+/**
+ * Helper function to validate a meet event
+ * @param {Object} meetEvent - The meet event
+ *   ({ number, stroke, distance, course, gender, minAge, maxAge })
+ * @param {number} index - Position in the event list, used when unnumbered
+ * @returns {Object} The normalized meet event
+ */
+const buildMeetEvent = (meetEvent, index) => {
+  const number = parseInt(meetEvent.number, 10) || index + 1;
+
+  if (!Object.values(STROKES).includes(meetEvent.stroke)) {
+    throw new Error(`Event ${number}: invalid stroke ${meetEvent.stroke}`);
+  }
+
+  const distanceValue = parseInt(meetEvent.distance, 10);
+  if (!Number.isFinite(distanceValue) || distanceValue <= 0) {
+    throw new Error(`Event ${number}: invalid distance ${meetEvent.distance}`);
+  }
+
+  const course = normalizeCourse(meetEvent.course);
+  const minAge = parseAgeLimit(meetEvent.minAge);
+  const maxAge = parseAgeLimit(meetEvent.maxAge);
+  if (minAge !== null && maxAge !== null && minAge > maxAge) {
+    throw new Error(`Event ${number}: minimum age is above maximum age`);
+  }
+
+  return {
+    number,
+    stroke: meetEvent.stroke,
+    distance: `${distanceValue}${COURSES[course].unit}`,
+    course,
+    gender: normalizeGender(meetEvent.gender),
+    minAge,
+    maxAge,
+  };
+};
+
+/**
+ * Helper function to convert a club event document to a meet
+ * @param {Object} doc - The event document
+ * @returns {Object} The meet, with dates as Date objects
+ */
+const toMeet = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    title: data.title,
+    location: data.location || null,
+    startDate: data.startDate ? data.startDate.toDate() : null,
+    endDate: data.endDate ? data.endDate.toDate() : null,
+    registrationDeadline: data.registrationDeadline
+      ? data.registrationDeadline.toDate()
+      : null,
+    meetEvents: data.meetEvents || [],
+    laneCount: data.laneCount || null,
+    circleSeededHeats: data.circleSeededHeats ?? null,
+    scoring: data.scoring || null,
+  };
+};
+
+/**
+ * Helper function to load a meet
+ * @param {string} eventId - The club event ID
+ * @returns {Promise<Object>} The meet, with dates as Date objects
+ */
+const loadMeet = async (eventId) => {
+  if (!eventId) {
+    throw new Error('Event ID is required');
+  }
+
+  const eventDoc = await db.collection(eventsCollection).doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new Error('Event not found');
+  }
+
+  return toMeet(eventDoc);
+};
+
+/**
+ * Helper function to check whether a meet still takes entries
+ * Meets without a registration deadline close when they start.
+ * @param {Object} meet - The meet from loadMeet
+ * @returns {boolean} Whether entries are open
+ */
+const isEntryOpen = (meet) => {
+  const closesAt = meet.registrationDeadline || meet.startDate;
+  return !closesAt || new Date() <= closesAt;
+};
+
+/**
+ * Helper function to convert a meet to its response shape
+ * @param {Object} meet - The meet from loadMeet
+ * @returns {Object} The meet with ISO dates and named meet events
+ */
+const toMeetResponse = (meet) => ({
+  ...meet,
+  startDate: meet.startDate ? meet.startDate.toISOString() : null,
+  endDate: meet.endDate ? meet.endDate.toISOString() : null,
+  registrationDeadline: meet.registrationDeadline
+    ? meet.registrationDeadline.toISOString()
+    : null,
+  meetEvents: meet.meetEvents.map((meetEvent) => ({
+    ...meetEvent,
+    name: getMeetEventName(meetEvent),
+  })),
+  isOpen: isEntryOpen(meet),
+});
+
+/**
+ * Helper function to check whether a swimmer may swim a meet event
+ * Swimmers whose age or gender is unknown only fit open events.
+ * @param {Object} meetEvent - The meet event
+ * @param {Object} swimmer - The swimmer ({ gender, age })
+ * @returns {boolean} Whether the swimmer is eligible
+ */
+const isEligible = (meetEvent, swimmer) =>
+  (meetEvent.gender === 'X' || meetEvent.gender === swimmer.gender) &&
+  isInAgeRange(swimmer.age, meetEvent.minAge, meetEvent.maxAge);
+
+/**
+ * Helper function to load a swimmer with their competition age at the meet
+ * and their best times
+ * @param {string} swimmerId - The swimmer's user ID
+ * @param {Object} meet - The meet from loadMeet
+ * @returns {Promise<Object>} The swimmer's user data, age and best times
+ */
+const loadEntrant = async (swimmerId, meet) => {
+  const userDoc = await db.collection(usersCollection).doc(swimmerId).get();
+  if (!userDoc.exists) {
+    throw new Error('Swimmer not found');
+  }
+
+  const user = { id: userDoc.id, ...userDoc.data() };
+  let gender = null;
+  try {
+    gender = normalizeGender(user.gender);
+  } catch (error) {
+    // Unrecognized genders only fit mixed events
+  }
+
+  const [bestTimesSnapshot, ageGroupSettings] = await Promise.all([
+    db
+      .collection(usersCollection)
+      .doc(swimmerId)
+      .collection(bestTimesCollection)
+      .get(),
+    loadAgeGroupSettings(),
+  ]);
+
+  return {
+    user,
+    name: getSwimmerName(user),
+    gender,
+    age: getCompetitionAge(
+      user.birthDate,
+      ageGroupSettings,
+      meet.startDate || new Date()
+    ),
+    bestTimes: bestTimesSnapshot.docs.map((doc) => doc.data()),
+  };
+};
+
+/**
+ * Helper function to get the ID of a swimmer's entry in a meet event
+ * @param {string} eventId - The club event ID
+ * @param {number} number - The meet event number
+ * @param {string} swimmerId - The swimmer's user ID
+ * @returns {string} Entry ID
+ */
+const getEntryId = (eventId, number, swimmerId) =>
+  `${eventId}_${number}_${swimmerId}`;
+
+/**
+ * Helper function to load a meet's entries, limited to a coach's swimmers
+ * @param {Object} caller - The caller's user data (admin or coach)
+ * @param {string} eventId - The club event ID
+ * @returns {Promise<Object>} The entries and their swimmers' user data by ID
+ */
+const loadManagedEntries = async (caller, eventId) => {
+  const entriesSnapshot = await db
+    .collection(meetEntriesCollection)
+    .where('eventId', '==', eventId)
+    .get();
+  const entries = entriesSnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+  const swimmerIds = [...new Set(entries.map((entry) => entry.swimmerId))];
+  const swimmers = {};
+  if (swimmerIds.length > 0) {
+    const swimmerDocs = await db.getAll(
+      ...swimmerIds.map((id) => db.collection(usersCollection).doc(id))
+    );
+    swimmerDocs
+      .filter((doc) => doc.exists)
+      .forEach((doc) => {
+        swimmers[doc.id] = { id: doc.id, ...doc.data() };
+      });
+  }
+
+  return {
+    entries: entries.filter(
+      (entry) =>
+        caller.role === 'admin' ||
+        (swimmers[entry.swimmerId] &&
+          coachesSwimmer(caller, swimmers[entry.swimmerId]))
+    ),
+    swimmers,
+  };
+};
+
+/**
+ * Helper function to sort entries by event number, then swimmer name
+ * @param {Object} a - An entry
+ * @param {Object} b - Another entry
+ * @returns {number} Sort order
+ */
+const compareEntries = (a, b) =>
+  a.eventNumber - b.eventNumber || a.swimmerName.localeCompare(b.swimmerName);
+
+/**
+ * Helper function to require an admin or coach caller
+ * @param {Object} auth - The auth context of the callable request
+ * @returns {Promise<Object>} The caller's user data
+ */
+const assertCanManageEntries = async (auth) => {
+  const caller = await getCaller(auth);
+  if (caller.role !== 'admin' && caller.role !== 'coach') {
+    throw new Error('Admin or coach access required');
+  }
+  return caller;
+};
+
+/**
+ * Set the list of meet events for a club event (Admin only)
+ * Entries in events that are removed or changed are deleted, since their
+ * eligibility and seed times no longer apply.
+ */
+const saveMeetEvents = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { eventId, meetEvents } = request.data;
+    const meet = await loadMeet(eventId);
+
+    if (!Array.isArray(meetEvents)) {
+      throw new Error('Meet events are required');
+    }
+
+    const events = meetEvents
+      .map(buildMeetEvent)
+      .sort((a, b) => a.number - b.number);
+    events.forEach((meetEvent, index) => {
+      if (index > 0 && events[index - 1].number === meetEvent.number) {
+        throw new Error(`Event number ${meetEvent.number} is used twice`);
+      }
+    });
+
+    // Events whose definition is unchanged keep their entries
+    const unchanged = new Set(
+      events
+        .filter((meetEvent) =>
+          meet.meetEvents.some((previous) =>
+            MEET_EVENT_FIELDS.every(
+              (field) => previous[field] === meetEvent[field]
+            )
+          )
+        )
+        .map((meetEvent) => meetEvent.number)
+    );
+
+    const entriesSnapshot = await db
+      .collection(meetEntriesCollection)
+      .where('eventId', '==', eventId)
+      .get();
+    const staleEntries = entriesSnapshot.docs.filter(
+      (doc) => !unchanged.has(doc.data().eventNumber)
+    );
+
+    for (let i = 0; i < staleEntries.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      staleEntries
+        .slice(i, i + BATCH_SIZE)
+        .forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    await db.collection(eventsCollection).doc(eventId).update({
+      meetEvents: events,
+      updatedAt: Timestamp.now(),
+    });
+
+    return {
+      success: true,
+      message: 'Meet events saved successfully',
+      meet: toMeetResponse({ ...meet, meetEvents: events }),
+      removedEntries: staleEntries.length,
+    };
+  } catch (error) {
+    logger.error('Error saving meet events:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get upcoming meets (Authenticated users)
+ * A meet is a club event with a list of meet events. Pass `pastDays` to
+ * also include meets that started in the last few days, so they can still
+ * be run and have their results published.
+ */
+const getMeets = async (request) => {
+  try {
+    await getCaller(request.auth);
+
+    const pastDays = parseInt(request.data?.pastDays, 10) || 0;
+    const since = new Date();
+    since.setDate(since.getDate() - pastDays);
+
+    const eventsSnapshot = await db
+      .collection(eventsCollection)
+      .where('startDate', '>=', Timestamp.fromDate(since))
+      .orderBy('startDate', 'asc')
+      .get();
+
+    const meets = eventsSnapshot.docs
+      .filter((doc) => (doc.data().meetEvents || []).length > 0)
+      .map((doc) => toMeetResponse(toMeet(doc)));
+
+    return {
+      success: true,
+      meets,
+    };
+  } catch (error) {
+    logger.error('Error getting meets:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the meet events a swimmer can enter (Authenticated users)
+ * Swimmers see their own, guardians their linked swimmers' and coaches
+ * those of the swimmers they coach. Seed times come from the swimmer's best
+ * time in the meet event's course, or an estimate converted from another
+ * course.
+ */
+const getMeetEntryOptions = async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const { eventId } = request.data;
+    const athleteId = request.data.athleteId || request.auth.uid;
+    if (athleteId !== request.auth.uid) {
+      await assertCanViewSwimmer(request.auth, athleteId);
+    }
+
+    const meet = await loadMeet(eventId);
+    const entrant = await loadEntrant(athleteId, meet);
+
+    const entriesSnapshot = await db
+      .collection(meetEntriesCollection)
+      .where('eventId', '==', eventId)
+      .where('swimmerId', '==', athleteId)
+      .get();
+    const entries = entriesSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    const events = meet.meetEvents
+      .filter((meetEvent) => isEligible(meetEvent, entrant))
+      .map((meetEvent) => {
+        const seed = getCourseTime(
+          entrant.bestTimes,
+          meetEvent.stroke,
+          meetEvent.distance,
+          meetEvent.course
+        );
+        return {
+          ...meetEvent,
+          name: getMeetEventName(meetEvent),
+          seedTime: seed ? seed.time : null,
+          seedTimeIsEstimate: seed ? seed.isEstimate : false,
+          entry:
+            entries.find((entry) => entry.eventNumber === meetEvent.number) ||
+            null,
+        };
+      });
+
+    return {
+      success: true,
+      meet: toMeetResponse(meet),
+      swimmer: {
+        id: athleteId,
+        name: entrant.name,
+        gender: entrant.gender,
+        age: entrant.age,
+      },
+      events,
+    };
+  } catch (error) {
+    logger.error('Error getting meet entry options:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Set a swimmer's entries for a meet (Authenticated users)
+ * `eventNumbers` is the full list of meet events to be entered in; entries
+ * in other events are withdrawn. Swimmers and guardians can only change
+ * entries before the registration deadline, and their new entries wait for
+ * a coach's approval. Admins and coaches can also make late changes, and
+ * their entries are approved straight away.
+ */
+const saveMeetEntries = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const { eventId, eventNumbers } = request.data;
+    const athleteId = request.data.athleteId || caller.id;
+
+    if (!Array.isArray(eventNumbers)) {
+      throw new Error('Event numbers are required');
+    }
+
+    const meet = await loadMeet(eventId);
+    const entrant = await loadEntrant(athleteId, meet);
+
+    const canManage =
+      caller.role === 'admin' || coachesSwimmer(caller, entrant.user);
+    if (
+      !canManage &&
+      caller.id !== athleteId &&
+      !isGuardianOf(caller, athleteId)
+    ) {
+      throw new Error('You do not have access to this swimmer');
+    }
+    if (!canManage && !isEntryOpen(meet)) {
+      throw new Error('Entries for this meet are closed');
+    }
+
+    const numbers = [
+      ...new Set(eventNumbers.map((number) => parseInt(number, 10))),
+    ];
+    const selectedEvents = numbers.map((number) => {
+      const meetEvent = meet.meetEvents.find(
+        (candidate) => candidate.number === number
+      );
+      if (!meetEvent) {
+        throw new Error(`Event ${number} is not part of this meet`);
+      }
+      if (!isEligible(meetEvent, entrant)) {
+        throw new Error(
+          `${entrant.name} is not eligible for ${getMeetEventName(meetEvent)}`
+        );
+      }
+      return meetEvent;
+    });
+
+    const existingSnapshot = await db
+      .collection(meetEntriesCollection)
+      .where('eventId', '==', eventId)
+      .where('swimmerId', '==', athleteId)
+      .get();
+
+    const now = new Date().toISOString();
+    const batch = db.batch();
+    let withdrawn = 0;
+
+    existingSnapshot.docs.forEach((doc) => {
+      if (!numbers.includes(doc.data().eventNumber)) {
+        batch.delete(doc.ref);
+        withdrawn++;
+      }
+    });
+
+    const entries = selectedEvents.map((meetEvent) => {
+      const existing = existingSnapshot.docs.find(
+        (doc) => doc.data().eventNumber === meetEvent.number
+      );
+      const seed = getCourseTime(
+        entrant.bestTimes,
+        meetEvent.stroke,
+        meetEvent.distance,
+        meetEvent.course
+      );
+      const entryRef = db
+        .collection(meetEntriesCollection)
+        .doc(getEntryId(eventId, meetEvent.number, athleteId));
+
+      // Reviewed entries keep their seed time and status
+      if (existing && existing.data().status !== 'pending') {
+        return { id: existing.id, ...existing.data() };
+      }
+
+      const entryData = {
+        eventId,
+        eventNumber: meetEvent.number,
+        eventName: getMeetEventName(meetEvent),
+        stroke: meetEvent.stroke,
+        distance: meetEvent.distance,
+        course: meetEvent.course,
+        swimmerId: athleteId,
+        swimmerName: entrant.name,
+        gender: entrant.gender,
+        age: entrant.age,
+        seedTime: seed ? seed.time : null,
+        seedTimeIsEstimate: seed ? seed.isEstimate : false,
+        status: canManage ? 'approved' : 'pending',
+        updatedAt: now,
+        ...(canManage ? { reviewedBy: caller.id, reviewedAt: now } : {}),
+        ...(existing ? {} : { enteredBy: caller.id, createdAt: now }),
+      };
+      batch.set(entryRef, entryData, { merge: true });
+
+      return {
+        id: entryRef.id,
+        ...(existing ? existing.data() : {}),
+        ...entryData,
+      };
+    });
+
+    await batch.commit();
+
+    return {
+      success: true,
+      message: `${entrant.name} is entered in ${entries.length} event${
+        entries.length === 1 ? '' : 's'
+      }`,
+      entries: entries.sort(compareEntries),
+      withdrawn,
+    };
+  } catch (error) {
+    logger.error('Error saving meet entries:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the entries for a meet (Admin or coach)
+ * Coaches only see the entries of the swimmers they coach.
+ */
+const getMeetEntries = async (request) => {
+  try {
+    const caller = await assertCanManageEntries(request.auth);
+    const { eventId, status } = request.data;
+
+    const meet = await loadMeet(eventId);
+    const { entries } = await loadManagedEntries(caller, eventId);
+
+    return {
+      success: true,
+      meet: toMeetResponse(meet),
+      entries: entries
+        .filter((entry) => !status || entry.status === status)
+        .sort(compareEntries),
+    };
+  } catch (error) {
+    logger.error('Error getting meet entries:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Approve or reject meet entries (Admin or coach)
+ * Coaches can only review the entries of the swimmers they coach.
+ */
+const reviewMeetEntries = async (request) => {
+  try {
+    const caller = await assertCanManageEntries(request.auth);
+    const { eventId, entryIds, status } = request.data;
+
+    if (!ENTRY_STATUSES.includes(status)) {
+      throw new Error(`Status must be ${ENTRY_STATUSES.join(', ')}`);
+    }
+    if (!Array.isArray(entryIds) || entryIds.length === 0) {
+      throw new Error('Entry IDs are required');
+    }
+
+    const { entries } = await loadManagedEntries(caller, eventId);
+    const reviewed = entryIds.map((entryId) => {
+      const entry = entries.find((candidate) => candidate.id === entryId);
+      if (!entry) {
+        throw new Error('Entry not found or not one of your swimmers');
+      }
+      return entry;
+    });
+
+    const now = new Date().toISOString();
+    for (let i = 0; i < reviewed.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      reviewed.slice(i, i + BATCH_SIZE).forEach((entry) => {
+        batch.update(db.collection(meetEntriesCollection).doc(entry.id), {
+          status,
+          reviewedBy: caller.id,
+          reviewedAt: now,
+          updatedAt: now,
+        });
+      });
+      await batch.commit();
+    }
+
+    return {
+      success: true,
+      message: `${reviewed.length} entr${
+        reviewed.length === 1 ? 'y' : 'ies'
+      } marked ${status}`,
+    };
+  } catch (error) {
+    logger.error('Error reviewing meet entries:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Export a meet's approved entries (Admin or coach)
+ * `format` is "sdif" for an SDIF (.sd3) entries file that Meet Manager can
+ * import, or "csv". Coaches export the entries of the swimmers they coach.
+ */
+const exportMeetEntries = async (request) => {
+  try {
+    const caller = await assertCanManageEntries(request.auth);
+    const { eventId } = request.data;
+    const format = request.data.format || 'sdif';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Format must be ${EXPORT_FORMATS.join(' or ')}`);
+    }
+
+    const [meet, ageGroupSettings] = await Promise.all([
+      loadMeet(eventId),
+      loadAgeGroupSettings(),
+    ]);
+    const { entries, swimmers } = await loadManagedEntries(caller, eventId);
+
+    const rows = entries
+      .filter((entry) => entry.status === 'approved')
+      .sort(compareEntries)
+      .map((entry) => {
+        const meetEvent = meet.meetEvents.find(
+          (candidate) => candidate.number === entry.eventNumber
+        );
+        const swimmer = swimmers[entry.swimmerId] || {};
+        let gender = '';
+        try {
+          gender = normalizeGender(swimmer.gender);
+        } catch (error) {
+          // Left blank for the host meet to fill in
+        }
+
+        return {
+          ...entry,
+          meetEvent,
+          firstName: swimmer.preferredName || swimmer.firstName || '',
+          lastName: swimmer.lastName || '',
+          registrationId: swimmer.registrationId || '',
+          birthDate: swimmer.birthDate || '',
+          age: getCompetitionAge(
+            swimmer.birthDate,
+            ageGroupSettings,
+            meet.startDate || new Date()
+          ),
+          gender: gender === 'X' ? '' : gender,
+        };
+      })
+      .filter((row) => row.meetEvent);
+
+    const slug = meet.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    let content;
+    if (format === 'sdif') {
+      content = buildSdifEntries({
+        meet: {
+          name: meet.title,
+          location: meet.location,
+          startDate: meet.startDate ? meet.startDate.toISOString() : null,
+          endDate: meet.endDate ? meet.endDate.toISOString() : null,
+          course: meet.meetEvents.length > 0 ? meet.meetEvents[0].course : null,
+        },
+        team: TEAM,
+        entries: rows.map((row) => ({
+          ...row,
+          eventGender: row.meetEvent.gender,
+          distanceValue: parseInt(row.meetEvent.distance, 10),
+          minAge: row.meetEvent.minAge,
+          maxAge: row.meetEvent.maxAge,
+        })),
+      });
+    } else {
+      content = toCsv([
+        [
+          'Event',
+          'Event Name',
+          'Last Name',
+          'First Name',
+          'Registration ID',
+          'Birth Date',
+          'Age',
+          'Gender',
+          'Seed Time',
+          'Course',
+          'Estimated',
+          'Team',
+        ],
+        ...rows.map((row) => [
+          row.eventNumber,
+          row.eventName,
+          row.lastName,
+          row.firstName,
+          row.registrationId,
+          row.birthDate,
+          row.age,
+          row.gender,
+          row.seedTime ? formatTime(row.seedTime) : 'NT',
+          row.course,
+          row.seedTimeIsEstimate ? 'Yes' : 'No',
+          TEAM.code,
+        ]),
+      ]);
+    }
+
+    const extension = format === 'sdif' ? 'sd3' : 'csv';
+
+    return {
+      success: true,
+      filename: `${slug || 'meet'}-entries.${extension}`,
+      content,
+      count: rows.length,
+    };
+  } catch (error) {
+    logger.error('Error exporting meet entries:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.saveMeetEvents = onCall(
+  { cors: true, region: 'us-central1' },
+  saveMeetEvents
+);
+exports.getMeets = onCall({ cors: true, region: 'us-central1' }, getMeets);
+exports.getMeetEntryOptions = onCall(
+  { cors: true, region: 'us-central1' },
+  getMeetEntryOptions
+);
+exports.saveMeetEntries = onCall(
+  { cors: true, region: 'us-central1' },
+  saveMeetEntries
+);
+exports.getMeetEntries = onCall(
+  { cors: true, region: 'us-central1' },
+  getMeetEntries
+);
+exports.reviewMeetEntries = onCall(
+  { cors: true, region: 'us-central1' },
+  reviewMeetEntries
+);
+exports.exportMeetEntries = onCall(
+  { cors: true, region: 'us-central1' },
+  exportMeetEntries
+);
+
+// Export helpers for the meet running and scoring functions
+exports.TEAM = TEAM;
+exports.GENDER_LABELS = GENDER_LABELS;
+exports.loadMeet = loadMeet;
+exports.toMeetResponse = toMeetResponse;
+exports.assertCanManageEntries = assertCanManageEntries;
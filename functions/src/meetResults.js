@@ -0,0 +1,308 @@
+/**
+ * Cloud Functions for importing meet results from Meet Manager
+ * Reads SDIF (.sd3) and Hy-Tek (.cl2) result files, matches each swimmer to
+ * a `users` document and records their swims in the best times history.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const crypto = require('crypto');
+const { parseSdif } = require('./sdifParser');
+const { recordSwim } = require('./bestTimes');
+const { assertAdmin } = require('./auth');
+const { validateSplits } = require('./splits');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+
+/**
+ * Helper function to normalize a name for comparison
+ * @param {string} name - The name
+ * @returns {string} Lowercase name without spaces or punctuation
+ */
+const normalizeName = (name) =>
+  (name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Helper function to get the names an athlete may appear under in results
+ * @param {Object} athlete - The athlete's user document
+ * @returns {Array<string>} Normalized full names
+ */
+const getAthleteNames = (athlete) => {
+  const names = [normalizeName(athlete.displayName)];
+  if (athlete.firstName || athlete.lastName) {
+    names.push(normalizeName(`${athlete.firstName}${athlete.lastName}`));
+  }
+  if (athlete.preferredName && athlete.lastName) {
+    names.push(normalizeName(`${athlete.preferredName}${athlete.lastName}`));
+  }
+  return names.filter((name) => name);
+};
+
+/**
+ * Helper function to match a result's swimmer to an athlete
+ * Registration IDs are trusted first, then name and birthdate.
+ * @param {Object} result - A parsed result
+ * @param {Array<Object>} athletes - Athlete user documents
+ * @returns {Object} { status, userId, matchedBy, candidates }
+ */
+const matchSwimmer = (result, athletes) => {
+  if (result.registrationId) {
+    const byRegistration = athletes.filter(
+      (athlete) => athlete.registrationId === result.registrationId
+    );
+    if (byRegistration.length === 1) {
+      return {
+        status: 'matched',
+        userId: byRegistration[0].id,
+        matchedBy: 'registrationId',
+        candidates: byRegistration,
+      };
+    }
+  }
+
+  const resultName = normalizeName(`${result.firstName}${result.lastName}`);
+  const byName = athletes.filter((athlete) =>
+    getAthleteNames(athlete).includes(resultName)
+  );
+
+  const byNameAndBirthDate = byName.filter(
+    (athlete) => result.birthDate && athlete.birthDate === result.birthDate
+  );
+
+  if (byNameAndBirthDate.length === 1) {
+    return {
+      status: 'matched',
+      userId: byNameAndBirthDate[0].id,
+      matchedBy: 'name+birthDate',
+      candidates: byNameAndBirthDate,
+    };
+  }
+
+  if (byNameAndBirthDate.length > 1) {
+    return { status: 'ambiguous', candidates: byNameAndBirthDate };
+  }
+
+  // A single name match is only trusted when the birthdates don't disagree
+  if (
+    byName.length === 1 &&
+    (!result.birthDate || !byName[0].birthDate)
+  ) {
+    return {
+      status: 'matched',
+      userId: byName[0].id,
+      matchedBy: 'name',
+      candidates: byName,
+    };
+  }
+
+  if (byName.length > 0) {
+    return { status: 'ambiguous', candidates: byName };
+  }
+
+  return { status: 'unmatched', candidates: [] };
+};
+
+/**
+ * Helper function to build a stable swim ID for an imported result
+ * Re-importing the same file then updates nothing instead of adding swims.
+ * @param {Object} meet - The parsed meet
+ * @param {Object} row - The preview row
+ * @returns {string} Swim document ID
+ */
+const getImportedSwimId = (meet, row) => {
+  const key = [
+    meet.name,
+    row.date,
+    row.stroke,
+    row.distance,
+    row.course,
+    row.round,
+  ].join('|');
+  return `sdif_${crypto
+    .createHash('sha1')
+    .update(key)
+    .digest('hex')
+    .substring(0, 20)}`;
+};
+
+/**
+ * Import meet results from an SDIF or Hy-Tek file (Admin only)
+ * Runs as a dry run by default, returning matched, unmatched and ambiguous
+ * rows. Call again with `dryRun: false` to record the matched swims;
+ * `assignments` maps row IDs to user IDs to resolve rows by hand.
+ */
+const importMeetResults = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const {
+      fileContent,
+      fileName,
+      dryRun = true,
+      assignments = {},
+    } = request.data;
+
+    if (!fileContent) {
+      throw new Error('No file content provided');
+    }
+
+    const { meet, results, warnings } = parseSdif(fileContent);
+
+    if (results.length === 0) {
+      throw new Error('No individual results found in file');
+    }
+
+    // Load the athletes results can be matched against
+    const athletesSnapshot = await db
+      .collection(usersCollection)
+      .where('role', '==', 'athlete')
+      .get();
+    const athletes = athletesSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    const rows = [];
+    results.forEach((result) => {
+      const match = matchSwimmer(result, athletes);
+
+      result.swims.forEach((swim) => {
+        const rowId = `${result.lineNumber}-${swim.round}`;
+
+        // Incomplete or mistimed splits are dropped; the swim is still imported
+        let splits = [];
+        let splitDistance = null;
+        if (swim.splits && swim.splits.length > 0) {
+          try {
+            ({ splits, splitDistance } = validateSplits(swim));
+          } catch (splitsError) {
+            warnings.push({
+              lineNumber: result.lineNumber,
+              reason: `Splits ignored: ${splitsError.message}`,
+            });
+          }
+        }
+
+        const row = {
+          rowId,
+          swimmerName: `${result.firstName} ${result.lastName}`,
+          registrationId: result.registrationId || null,
+          birthDate: result.birthDate,
+          stroke: result.stroke,
+          distance: swim.distance,
+          course: swim.course,
+          time: swim.time,
+          round: swim.round,
+          place: swim.place,
+          date: result.date,
+          splits,
+          splitDistance,
+          status: match.status,
+          userId: match.userId || null,
+          matchedBy: match.matchedBy || null,
+          candidates: match.candidates.map((athlete) => ({
+            userId: athlete.id,
+            displayName: athlete.displayName,
+            birthDate: athlete.birthDate || null,
+          })),
+        };
+
+        // Rows resolved by hand in the preview
+        if (assignments[rowId]) {
+          const athlete = athletes.find(
+            (candidate) => candidate.id === assignments[rowId]
+          );
+          if (!athlete) {
+            throw new Error(`Unknown athlete assigned to row ${rowId}`);
+          }
+          row.status = 'matched';
+          row.userId = athlete.id;
+          row.matchedBy = 'assignment';
+        }
+
+        rows.push(row);
+      });
+    });
+
+    const matched = rows.filter((row) => row.status === 'matched');
+    const unmatched = rows.filter((row) => row.status === 'unmatched');
+    const ambiguous = rows.filter((row) => row.status === 'ambiguous');
+
+    const imported = [];
+    let duplicates = 0;
+
+    if (!dryRun) {
+      for (const row of matched) {
+        const { swim, isBestTime, duplicate } = await recordSwim(
+          row.userId,
+          {
+            eventName: meet.name || fileName || 'Meet results',
+            stroke: row.stroke,
+            distance: row.distance,
+            course: row.course,
+            time: row.time,
+            date: row.date,
+            meetName: meet.name,
+            round: row.round,
+            place: row.place,
+            splits: row.splits.length > 0 ? row.splits : null,
+            splitDistance: row.splits.length > 0 ? row.splitDistance : null,
+            source: 'sdif',
+          },
+          { swimId: getImportedSwimId(meet, row) }
+        );
+
+        if (duplicate) {
+          duplicates++;
+          continue;
+        }
+
+        imported.push({
+          rowId: row.rowId,
+          userId: row.userId,
+          swimId: swim.id,
+          isBestTime,
+        });
+      }
+
+      logger.info(
+        `Imported ${imported.length} swims from ${fileName || 'meet file'}`
+      );
+    }
+
+    return {
+      success: true,
+      dryRun,
+      meet,
+      summary: {
+        matched: matched.length,
+        unmatched: unmatched.length,
+        ambiguous: ambiguous.length,
+        imported: imported.length,
+        duplicates,
+      },
+      matched,
+      unmatched,
+      ambiguous,
+      imported,
+      warnings,
+    };
+  } catch (error) {
+    logger.error('Error importing meet results:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.importMeetResults = onCall(
+  { cors: true, region: 'us-central1', memory: '512MiB', timeoutSeconds: 300 },
+  importMeetResults
+);
@@ -0,0 +1,521 @@
+/**
+ * Cloud Functions for running the meets we host
+ *
+ * Approved meet entries are seeded into heats and lanes, officials enter
+ * each lane's time (or a DQ, no-show or scratch) from the timing table, and
+ * the official results are then published as swims in each athlete's best
+ * times history. Heats, lanes and results are stored on the meet entries,
+ * and relay results on the relays saved to the meet, so everything runs
+ * against Firestore without timing hardware.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { seedHeats } = require('./seeding');
+const { recordSwim } = require('./bestTimes');
+const { parseTime, isValidTimeString } = require('./timeFormat');
+const {
+  loadMeet,
+  toMeetResponse,
+  assertCanManageEntries,
+} = require('./meetEntries');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const eventsCollection = 'events';
+const meetEntriesCollection = 'meetEntries';
+const relaysCollection = 'relays';
+
+// Lane result statuses; a final result has a time that counts
+const RESULT_STATUSES = ['final', 'dq', 'ns', 'scratch'];
+
+const DEFAULT_LANE_COUNT = 6;
+const DEFAULT_CIRCLE_SEEDED_HEATS = 3;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+/**
+ * Helper function to load a meet's entries
+ * @param {string} eventId - The club event ID
+ * @returns {Promise<Array<Object>>} Entries with their IDs
+ */
+const loadEntries = async (eventId) => {
+  const entriesSnapshot = await db
+    .collection(meetEntriesCollection)
+    .where('eventId', '==', eventId)
+    .get();
+
+  return entriesSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Helper function to load the relays saved to a meet
+ * @param {string} eventId - The club event ID
+ * @returns {Promise<Array<Object>>} Relays with their IDs
+ */
+const loadRelays = async (eventId) => {
+  const relaysSnapshot = await db
+    .collection(relaysCollection)
+    .where('eventId', '==', eventId)
+    .get();
+
+  return relaysSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Helper function to commit entry updates in batches
+ * @param {Array<Object>} updates - [{ id, data }] for each entry
+ */
+const commitEntryUpdates = async (updates) => {
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ id, data }) => {
+      batch.update(db.collection(meetEntriesCollection).doc(id), data);
+    });
+    await batch.commit();
+  }
+};
+
+/**
+ * Helper function to check whether an entry has a result that was swum
+ * Scratches are not results, so events with only scratches can be re-seeded.
+ * @param {Object} entry - The entry
+ * @returns {boolean} Whether the entry has a time, DQ or no-show
+ */
+const hasResult = (entry) =>
+  !!entry.resultStatus && entry.resultStatus !== 'scratch';
+
+/**
+ * Helper function to validate a result from the timing table
+ * A final result needs a time; a DQ keeps its time if one is given. A null
+ * status clears the result.
+ * @param {Object} result - The result ({ status, time, dqReason })
+ * @param {string} name - Swimmer or relay name, for error messages
+ * @returns {Object} { resultStatus, resultTime, dqReason }
+ */
+const parseResult = (result, name) => {
+  const status = result.status || null;
+  if (status !== null && !RESULT_STATUSES.includes(status)) {
+    throw new Error(`Status must be ${RESULT_STATUSES.join(', ')}`);
+  }
+
+  let time = null;
+  if (typeof result.time === 'number' && result.time > 0) {
+    time = Math.round(result.time * 100) / 100;
+  } else if (result.time) {
+    if (!isValidTimeString(result.time)) {
+      throw new Error(`Invalid time for ${name}: ${result.time}`);
+    }
+    time = parseTime(String(result.time).trim());
+  }
+  if (status === 'final' && time === null) {
+    throw new Error(`${name} needs a time`);
+  }
+
+  return {
+    resultStatus: status,
+    resultTime: status === 'final' || status === 'dq' ? time : null,
+    dqReason: status === 'dq' ? result.dqReason || null : null,
+  };
+};
+
+/**
+ * Rank an event's final results
+ * Swimmers with the same time share a place.
+ * @param {Array<Object>} entries - The event's entries
+ * @returns {Object} Place by entry ID, for entries with a final time
+ */
+const getPlaces = (entries) => {
+  const finals = entries
+    .filter(
+      (entry) =>
+        entry.resultStatus === 'final' && typeof entry.resultTime === 'number'
+    )
+    .sort((a, b) => a.resultTime - b.resultTime);
+
+  const places = {};
+  finals.forEach((entry, index) => {
+    places[entry.id] =
+      index > 0 && finals[index - 1].resultTime === entry.resultTime
+        ? places[finals[index - 1].id]
+        : index + 1;
+  });
+  return places;
+};
+
+/**
+ * Helper function to build a meet's heat sheet
+ * @param {Object} meet - The meet from loadMeet
+ * @param {Array<Object>} entries - The meet's entries
+ * @returns {Array<Object>} Meet events with their heats and lanes
+ */
+const buildHeatSheet = (meet, entries) =>
+  toMeetResponse(meet).meetEvents.map((meetEvent) => {
+    const eventEntries = entries.filter(
+      (entry) => entry.eventNumber === meetEvent.number
+    );
+    const places = getPlaces(eventEntries);
+    const heats = {};
+
+    eventEntries
+      .filter((entry) => entry.heat && entry.lane)
+      .forEach((entry) => {
+        heats[entry.heat] = heats[entry.heat] || [];
+        heats[entry.heat].push({
+          entryId: entry.id,
+          lane: entry.lane,
+          swimmerId: entry.swimmerId,
+          swimmerName: entry.swimmerName,
+          age: entry.age,
+          seedTime: entry.seedTime,
+          resultTime: entry.resultTime ?? null,
+          resultStatus: entry.resultStatus || null,
+          dqReason: entry.dqReason || null,
+          place: places[entry.id] || null,
+          published: !!entry.publishedAt,
+        });
+      });
+
+    return {
+      ...meetEvent,
+      heats: Object.keys(heats)
+        .map((heat) => ({
+          heat: parseInt(heat, 10),
+          lanes: heats[heat].sort((a, b) => a.lane - b.lane),
+        }))
+        .sort((a, b) => a.heat - b.heat),
+    };
+  });
+
+/**
+ * Seed a meet's approved entries into heats and lanes (Admin or coach)
+ * Pass `eventNumbers` to seed only some events. Events that already have
+ * results are left as they are. Scratched entries are not seeded.
+ */
+const seedMeet = async (request) => {
+  try {
+    await assertCanManageEntries(request.auth);
+
+    const { eventId, eventNumbers } = request.data;
+    const meet = await loadMeet(eventId);
+    const laneCount =
+      parseInt(request.data.laneCount, 10) ||
+      meet.laneCount ||
+      DEFAULT_LANE_COUNT;
+    const circleSeededHeats = parseInt(
+      request.data.circleSeededHeats ??
+        meet.circleSeededHeats ??
+        DEFAULT_CIRCLE_SEEDED_HEATS,
+      10
+    );
+
+    const entries = await loadEntries(eventId);
+    const updates = [];
+    const seededEvents = [];
+    const skippedEvents = [];
+
+    meet.meetEvents
+      .filter(
+        (meetEvent) =>
+          !Array.isArray(eventNumbers) ||
+          eventNumbers.map(Number).includes(meetEvent.number)
+      )
+      .forEach((meetEvent) => {
+        const eventEntries = entries.filter(
+          (entry) => entry.eventNumber === meetEvent.number
+        );
+        if (eventEntries.some(hasResult)) {
+          skippedEvents.push(meetEvent.number);
+          return;
+        }
+
+        const seeded = eventEntries.filter(
+          (entry) => entry.status === 'approved' && !entry.resultStatus
+        );
+        const lanes = {};
+        seedHeats(seeded, { laneCount, circleSeededHeats }).forEach(
+          ({ heat, lanes: heatLanes }) =>
+            heatLanes.forEach(({ id, lane }) => {
+              lanes[id] = { heat, lane };
+            })
+        );
+
+        eventEntries.forEach((entry) => {
+          const placement = lanes[entry.id] || { heat: null, lane: null };
+          if (
+            (entry.heat || null) !== placement.heat ||
+            (entry.lane || null) !== placement.lane
+          ) {
+            updates.push({ id: entry.id, data: placement });
+            Object.assign(entry, placement);
+          }
+        });
+        seededEvents.push(meetEvent.number);
+      });
+
+    await commitEntryUpdates(updates);
+    await db
+      .collection(eventsCollection)
+      .doc(eventId)
+      .update({ laneCount, circleSeededHeats });
+
+    return {
+      success: true,
+      message: `Seeded ${seededEvents.length} event${
+        seededEvents.length === 1 ? '' : 's'
+      }`,
+      seededEvents,
+      skippedEvents,
+      meet: toMeetResponse({ ...meet, laneCount, circleSeededHeats }),
+      events: buildHeatSheet(meet, entries),
+    };
+  } catch (error) {
+    logger.error('Error seeding meet:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get a meet's heat sheet, with any results (Authenticated users)
+ */
+const getHeatSheet = async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const meet = await loadMeet(request.data.eventId);
+    const entries = await loadEntries(meet.id);
+
+    return {
+      success: true,
+      meet: toMeetResponse(meet),
+      events: buildHeatSheet(meet, entries),
+    };
+  } catch (error) {
+    logger.error('Error getting heat sheet:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Record the results of a heat from the timing table (Admin or coach)
+ * Each result is { entryId, status, time, dqReason }. A null status clears
+ * the lane's result. Published results can no longer be changed.
+ */
+const recordHeatResults = async (request) => {
+  try {
+    const caller = await assertCanManageEntries(request.auth);
+
+    const { eventId, results } = request.data;
+    if (!Array.isArray(results) || results.length === 0) {
+      throw new Error('Results are required');
+    }
+
+    const entries = await loadEntries(eventId);
+    const now = new Date().toISOString();
+
+    const updates = results.map((result) => {
+      const entry = entries.find(
+        (candidate) => candidate.id === result.entryId
+      );
+      if (!entry) {
+        throw new Error('Entry not found');
+      }
+      if (entry.publishedAt) {
+        throw new Error(`${entry.swimmerName}'s result is already published`);
+      }
+
+      return {
+        id: entry.id,
+        data: {
+          ...parseResult(result, entry.swimmerName),
+          resultRecordedBy: caller.id,
+          resultRecordedAt: now,
+        },
+      };
+    });
+
+    await commitEntryUpdates(updates);
+
+    return {
+      success: true,
+      message: `Saved ${updates.length} result${
+        updates.length === 1 ? '' : 's'
+      }`,
+    };
+  } catch (error) {
+    logger.error('Error recording heat results:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Record the results of the relays saved to a meet (Admin or coach)
+ * Each result is { relayId, status, time, dqReason }. Relay results count
+ * towards team scores only, so they are not published as swims.
+ */
+const recordRelayResults = async (request) => {
+  try {
+    const caller = await assertCanManageEntries(request.auth);
+
+    const { eventId, results } = request.data;
+    if (!Array.isArray(results) || results.length === 0) {
+      throw new Error('Results are required');
+    }
+
+    const relays = await loadRelays(eventId);
+    const now = new Date().toISOString();
+
+    const batch = db.batch();
+    results.forEach((result) => {
+      const relay = relays.find((candidate) => candidate.id === result.relayId);
+      if (!relay) {
+        throw new Error('Relay not found');
+      }
+
+      batch.update(db.collection(relaysCollection).doc(relay.id), {
+        ...parseResult(result, relay.name),
+        resultRecordedBy: caller.id,
+        resultRecordedAt: now,
+      });
+    });
+    await batch.commit();
+
+    return {
+      success: true,
+      message: `Saved ${results.length} relay result${
+        results.length === 1 ? '' : 's'
+      }`,
+    };
+  } catch (error) {
+    logger.error('Error recording relay results:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Publish official results as swims in each athlete's history (Admin or coach)
+ * Only final times are published. Pass `eventNumbers` to publish only some
+ * events. Each result is written once, so publishing again only adds
+ * results entered since.
+ */
+const publishMeetResults = async (request) => {
+  try {
+    await assertCanManageEntries(request.auth);
+
+    const { eventId, eventNumbers } = request.data;
+    const meet = await loadMeet(eventId);
+    const entries = await loadEntries(eventId);
+    const date = (meet.startDate || new Date()).toISOString().substring(0, 10);
+
+    const updates = [];
+    let newBests = 0;
+    let duplicates = 0;
+
+    for (const meetEvent of meet.meetEvents) {
+      if (
+        Array.isArray(eventNumbers) &&
+        !eventNumbers.map(Number).includes(meetEvent.number)
+      ) {
+        continue;
+      }
+
+      const eventEntries = entries.filter(
+        (entry) => entry.eventNumber === meetEvent.number
+      );
+      const places = getPlaces(eventEntries);
+
+      for (const entry of eventEntries) {
+        if (entry.resultStatus !== 'final' || entry.publishedAt) {
+          continue;
+        }
+
+        const { isBestTime, duplicate } = await recordSwim(
+          entry.swimmerId,
+          {
+            eventName: meet.title,
+            stroke: meetEvent.stroke,
+            distance: meetEvent.distance,
+            course: meetEvent.course,
+            time: entry.resultTime,
+            date,
+            meetName: meet.title,
+            place: places[entry.id],
+            source: 'meet',
+          },
+          { swimId: `meet_${eventId}_${meetEvent.number}` }
+        );
+
+        if (duplicate) {
+          duplicates++;
+        } else if (isBestTime) {
+          newBests++;
+        }
+        updates.push({
+          id: entry.id,
+          data: { publishedAt: new Date().toISOString() },
+        });
+      }
+    }
+
+    await commitEntryUpdates(updates);
+    logger.info(`Published ${updates.length} results for ${meet.title}`);
+
+    return {
+      success: true,
+      message: `Published ${updates.length} result${
+        updates.length === 1 ? '' : 's'
+      }, ${newBests} new best time${newBests === 1 ? '' : 's'}`,
+      published: updates.length,
+      newBests,
+      duplicates,
+    };
+  } catch (error) {
+    logger.error('Error publishing meet results:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.seedMeet = onCall({ cors: true, region: 'us-central1' }, seedMeet);
+exports.getHeatSheet = onCall(
+  { cors: true, region: 'us-central1' },
+  getHeatSheet
+);
+exports.recordHeatResults = onCall(
+  { cors: true, region: 'us-central1' },
+  recordHeatResults
+);
+exports.recordRelayResults = onCall(
+  { cors: true, region: 'us-central1' },
+  recordRelayResults
+);
+exports.publishMeetResults = onCall(
+  { cors: true, region: 'us-central1' },
+  publishMeetResults
+);
+
+// Export helpers for the meet scoring functions
+exports.getPlaces = getPlaces;
+exports.loadEntries = loadEntries;
+exports.loadRelays = loadRelays;
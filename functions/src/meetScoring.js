@@ -0,0 +1,458 @@
+/**
+ * Cloud Functions for meet scoring and team standings
+ *
+ * Standings are worked out from the results recorded for a meet we host:
+ * the lane results on its entries and the results of the relays saved to
+ * it. Each place scores the points in the meet's scoring table, with
+ * separate tables for individual and relay events, and swimmers who tie
+ * share the points of the places they cover. Meets can score each age
+ * group on its own, so an open event places its swimmers within their age
+ * groups. Individual points count towards swimmers' high-point awards and
+ * their team's total; relay points count for the team only. Entries carry
+ * the team they swim for, and entries without one swim for the club.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getPlaces, loadEntries, loadRelays } = require('./meetRunning');
+const {
+  TEAM,
+  GENDER_LABELS,
+  loadMeet,
+  toMeetResponse,
+  assertCanManageEntries,
+} = require('./meetEntries');
+const { formatAgeGroupLabel, getAgeGroup } = require('./ageGroups');
+const { loadAgeGroupSettings } = require('./ageGroupSettings');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const eventsCollection = 'events';
+
+// Points for first place onwards, used until a meet has its own table
+const DEFAULT_SCORING = {
+  individualPoints: [9, 7, 6, 5, 4, 3, 2, 1],
+  relayPoints: [18, 14, 12, 10, 8, 6, 4, 2],
+  scoreByAgeGroup: false,
+};
+
+const MAX_SCORING_PLACES = 20;
+
+/**
+ * Helper function to round points to hundredths
+ * @param {number} points - Points
+ * @returns {number} Rounded points
+ */
+const roundPoints = (points) => Math.round(points * 100) / 100;
+
+/**
+ * Helper function to validate a table of points by place
+ * @param {Array<number>|string} points - Points, or a comma separated list
+ * @param {string} label - Table name, for error messages
+ * @returns {Array<number>} Points for first place onwards
+ */
+const parsePoints = (points, label) => {
+  const values = (Array.isArray(points) ? points : String(points).split(','))
+    .map((value) => String(value).trim())
+    .filter((value) => value !== '')
+    .map(Number);
+
+  if (values.length === 0) {
+    throw new Error(`${label} points are required`);
+  }
+  if (values.length > MAX_SCORING_PLACES) {
+    throw new Error(
+      `${label} points can score up to ${MAX_SCORING_PLACES} places`
+    );
+  }
+  if (values.some((value) => !Number.isFinite(value) || value < 0)) {
+    throw new Error(`${label} points must be zero or more`);
+  }
+
+  return values;
+};
+
+/**
+ * Helper function to award the points of each final result
+ * Results with the same time share the points of the places they cover.
+ * @param {Array<Object>} results - Entries or relays with their results
+ * @param {Array<number>} points - Points for first place onwards
+ * @returns {Object} { places, points } by result ID
+ */
+const scoreResults = (results, points) => {
+  const places = getPlaces(results);
+  const tied = {};
+  Object.values(places).forEach((place) => {
+    tied[place] = (tied[place] || 0) + 1;
+  });
+
+  const awarded = {};
+  Object.keys(places).forEach((id) => {
+    const place = places[id];
+    const covered = points.slice(place - 1, place - 1 + tied[place]);
+    awarded[id] = roundPoints(
+      covered.reduce((total, value) => total + value, 0) / tied[place]
+    );
+  });
+
+  return { places, points: awarded };
+};
+
+/**
+ * Helper function to order age group labels
+ * Club age groups come youngest first, then any others by name.
+ * @param {Array<string>} labels - Age group labels
+ * @param {Object} ageGroupSettings - The club's age group settings
+ * @returns {Array<string>} Sorted labels
+ */
+const sortAgeGroups = (labels, ageGroupSettings) => {
+  const order = ageGroupSettings.ageGroups.map((group) => group.label);
+  return [...new Set(labels)].sort((a, b) => {
+    const aIndex = order.includes(a) ? order.indexOf(a) : order.length;
+    const bIndex = order.includes(b) ? order.indexOf(b) : order.length;
+    return aIndex - bIndex || a.localeCompare(b);
+  });
+};
+
+/**
+ * Helper function to name a relay event (e.g., "Girls 11-12 4x50m Medley")
+ * @param {Object} relay - The saved relay
+ * @returns {string} Relay event name
+ */
+const getRelayEventName = (relay) =>
+  `${GENDER_LABELS[relay.gender]} ${formatAgeGroupLabel(
+    relay.minAge ?? null,
+    relay.maxAge ?? null
+  )} 4x${relay.legDistance} ${
+    relay.relayType === 'medley' ? 'Medley' : 'Freestyle'
+  } Relay`;
+
+/**
+ * Helper function to order an event's results by place
+ * Unplaced results (DQs and no-shows) come last.
+ * @param {Array<Object>} results - Scored results
+ * @returns {Array<Object>} Sorted results
+ */
+const sortResults = (results) =>
+  results.sort(
+    (a, b) =>
+      (a.place || Infinity) - (b.place || Infinity) ||
+      a.name.localeCompare(b.name)
+  );
+
+/**
+ * Score a meet from its results
+ * @param {Object} meet - The meet from loadMeet
+ * @param {Array<Object>} entries - The meet's entries with their results
+ * @param {Array<Object>} relays - The relays saved to the meet
+ * @param {Object} scoring - The scoring table
+ * @param {Object} ageGroupSettings - The club's age group settings
+ * @returns {Object} Team totals, swimmer points, high-point awards and the
+ *   scored results of each event
+ */
+const scoreMeet = (meet, entries, relays, scoring, ageGroupSettings) => {
+  // Entries carry the swimmer's competition age at the meet
+  const getEntryAgeGroup = (entry, eventAgeGroup) => {
+    const ageGroup = getAgeGroup(entry.age ?? null, ageGroupSettings);
+    return ageGroup ? ageGroup.label : eventAgeGroup;
+  };
+
+  const teams = {};
+  const swimmers = {};
+  const events = [];
+
+  const addTeamPoints = (team, ageGroup, points, field) => {
+    teams[team] = teams[team] || {
+      team,
+      points: 0,
+      individualPoints: 0,
+      relayPoints: 0,
+      ageGroups: {},
+    };
+    teams[team].points += points;
+    teams[team][field] += points;
+    teams[team].ageGroups[ageGroup] =
+      (teams[team].ageGroups[ageGroup] || 0) + points;
+  };
+
+  // Individual events, scored within each age group if the meet asks
+  meet.meetEvents.forEach((meetEvent) => {
+    const eventAgeGroup = formatAgeGroupLabel(
+      meetEvent.minAge,
+      meetEvent.maxAge
+    );
+    const eventEntries = entries.filter(
+      (entry) =>
+        entry.eventNumber === meetEvent.number &&
+        entry.resultStatus &&
+        entry.resultStatus !== 'scratch'
+    );
+
+    const groups = {};
+    eventEntries.forEach((entry) => {
+      const ageGroup = scoring.scoreByAgeGroup
+        ? getEntryAgeGroup(entry, eventAgeGroup)
+        : eventAgeGroup;
+      groups[ageGroup] = groups[ageGroup] || [];
+      groups[ageGroup].push(entry);
+    });
+
+    const ageGroups = sortAgeGroups(Object.keys(groups), ageGroupSettings);
+    ageGroups.forEach((ageGroup) => {
+      const scored = scoreResults(groups[ageGroup], scoring.individualPoints);
+
+      const results = groups[ageGroup].map((entry) => {
+        const team = entry.team || TEAM.abbreviation;
+        const points = scored.points[entry.id] || 0;
+        const gender =
+          entry.gender || (meetEvent.gender !== 'X' ? meetEvent.gender : null);
+
+        if (points > 0) {
+          addTeamPoints(team, ageGroup, points, 'individualPoints');
+        }
+
+        swimmers[entry.swimmerId] = swimmers[entry.swimmerId] || {
+          swimmerId: entry.swimmerId,
+          swimmerName: entry.swimmerName,
+          team,
+          gender,
+          ageGroup: getEntryAgeGroup(entry, eventAgeGroup),
+          points: 0,
+          events: 0,
+        };
+        swimmers[entry.swimmerId].points += points;
+        swimmers[entry.swimmerId].events += 1;
+
+        return {
+          id: entry.id,
+          name: entry.swimmerName,
+          team,
+          age: entry.age ?? null,
+          resultStatus: entry.resultStatus,
+          resultTime: entry.resultTime ?? null,
+          place: scored.places[entry.id] || null,
+          points,
+        };
+      });
+
+      events.push({
+        number: meetEvent.number,
+        name: `${GENDER_LABELS[meetEvent.gender]} ${ageGroup} ${
+          meetEvent.distance
+        } ${meetEvent.stroke}`,
+        relay: false,
+        ageGroup,
+        results: sortResults(results),
+      });
+    });
+  });
+
+  // Relay events, one for each relay type, distance, gender and age group
+  const relayEvents = {};
+  relays
+    .filter(
+      (relay) => relay.resultStatus && relay.resultStatus !== 'scratch'
+    )
+    .forEach((relay) => {
+      const name = getRelayEventName(relay);
+      relayEvents[name] = relayEvents[name] || [];
+      relayEvents[name].push(relay);
+    });
+
+  Object.keys(relayEvents)
+    .sort()
+    .forEach((name) => {
+      const eventRelays = relayEvents[name];
+      const ageGroup = formatAgeGroupLabel(
+        eventRelays[0].minAge ?? null,
+        eventRelays[0].maxAge ?? null
+      );
+      const scored = scoreResults(eventRelays, scoring.relayPoints);
+
+      const results = eventRelays.map((relay) => {
+        const team = relay.team || TEAM.abbreviation;
+        const points = scored.points[relay.id] || 0;
+
+        if (points > 0) {
+          addTeamPoints(team, ageGroup, points, 'relayPoints');
+        }
+
+        return {
+          id: relay.id,
+          name: relay.name,
+          team,
+          age: null,
+          resultStatus: relay.resultStatus,
+          resultTime: relay.resultTime ?? null,
+          place: scored.places[relay.id] || null,
+          points,
+        };
+      });
+
+      events.push({
+        number: null,
+        name,
+        relay: true,
+        ageGroup,
+        results: sortResults(results),
+      });
+    });
+
+  // High-point awards go to the top scorers of each age group and gender
+  const awards = {};
+  Object.values(swimmers)
+    .filter((swimmer) => swimmer.points > 0)
+    .forEach((swimmer) => {
+      const key = `${swimmer.ageGroup}_${swimmer.gender || ''}`;
+      const award = awards[key];
+      if (!award || swimmer.points > award.points) {
+        awards[key] = {
+          ageGroup: swimmer.ageGroup,
+          gender: swimmer.gender,
+          points: swimmer.points,
+          swimmers: [swimmer],
+        };
+      } else if (swimmer.points === award.points) {
+        award.swimmers.push(swimmer);
+      }
+    });
+
+  const ageGroups = sortAgeGroups(
+    Object.values(teams).flatMap((team) => Object.keys(team.ageGroups)),
+    ageGroupSettings
+  );
+
+  return {
+    ageGroups,
+    teams: Object.values(teams)
+      .map((team) => ({
+        ...team,
+        points: roundPoints(team.points),
+        individualPoints: roundPoints(team.individualPoints),
+        relayPoints: roundPoints(team.relayPoints),
+        ageGroups: Object.fromEntries(
+          Object.entries(team.ageGroups).map(([label, points]) => [
+            label,
+            roundPoints(points),
+          ])
+        ),
+      }))
+      .sort((a, b) => b.points - a.points || a.team.localeCompare(b.team)),
+    swimmers: Object.values(swimmers)
+      .map((swimmer) => ({ ...swimmer, points: roundPoints(swimmer.points) }))
+      .sort(
+        (a, b) =>
+          b.points - a.points || a.swimmerName.localeCompare(b.swimmerName)
+      ),
+    highPoint: Object.values(awards)
+      .map((award) => ({
+        ageGroup: award.ageGroup,
+        gender: award.gender,
+        points: roundPoints(award.points),
+        swimmers: award.swimmers.map(({ swimmerId, swimmerName, team }) => ({
+          swimmerId,
+          swimmerName,
+          team,
+        })),
+      }))
+      .sort(
+        (a, b) =>
+          ageGroups.indexOf(a.ageGroup) - ageGroups.indexOf(b.ageGroup) ||
+          (a.gender || '').localeCompare(b.gender || '')
+      ),
+    events,
+  };
+};
+
+/**
+ * Helper function to get a meet's scoring table, with defaults filled in
+ * @param {Object} meet - The meet from loadMeet
+ * @returns {Object} The scoring table
+ */
+const getScoring = (meet) => ({
+  ...DEFAULT_SCORING,
+  ...(meet.scoring || {}),
+});
+
+/**
+ * Save a meet's scoring table (Admin or coach)
+ */
+const saveMeetScoring = async (request) => {
+  try {
+    const caller = await assertCanManageEntries(request.auth);
+
+    const { eventId } = request.data;
+    const meet = await loadMeet(eventId);
+
+    const scoring = {
+      individualPoints: parsePoints(
+        request.data.individualPoints,
+        'Individual'
+      ),
+      relayPoints: parsePoints(request.data.relayPoints, 'Relay'),
+      scoreByAgeGroup: !!request.data.scoreByAgeGroup,
+      updatedBy: caller.id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await db.collection(eventsCollection).doc(meet.id).update({ scoring });
+
+    return {
+      success: true,
+      message: 'Scoring saved successfully',
+      scoring,
+    };
+  } catch (error) {
+    logger.error('Error saving meet scoring:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get a meet's team standings, high-point awards and swimmer points
+ * (Authenticated users)
+ */
+const getMeetStandings = async (request) => {
+  try {
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const meet = await loadMeet(request.data.eventId);
+    const [entries, relays, ageGroupSettings] = await Promise.all([
+      loadEntries(meet.id),
+      loadRelays(meet.id),
+      loadAgeGroupSettings(),
+    ]);
+    const scoring = getScoring(meet);
+
+    return {
+      success: true,
+      meet: toMeetResponse(meet),
+      scoring,
+      ...scoreMeet(meet, entries, relays, scoring, ageGroupSettings),
+    };
+  } catch (error) {
+    logger.error('Error getting meet standings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.saveMeetScoring = onCall(
+  { cors: true, region: 'us-central1' },
+  saveMeetScoring
+);
+exports.getMeetStandings = onCall(
+  { cors: true, region: 'us-central1' },
+  getMeetStandings
+);
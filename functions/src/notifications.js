@@ -0,0 +1,169 @@
+/**
+ * Cloud Functions for in-app notifications
+ *
+ * Notifications are kept per user in `users/{uid}/notifications` and are
+ * shown in the athlete zone until the user has seen them. Other modules add
+ * them with `notifyUsers`, e.g. when a swimmer achieves a goal.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const notificationsCollection = 'notifications';
+
+// Most recent notifications returned by getNotifications
+const MAX_NOTIFICATIONS = 50;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+/**
+ * Helper function to send the same notification to several users
+ * @param {Array<string>} userIds - The users to notify
+ * @param {Object} notification - { type, title, message, link, athleteId,
+ *   data }
+ * @returns {Promise<number>} The number of notifications added
+ */
+const notifyUsers = async (userIds, notification) => {
+  const recipients = [...new Set(userIds.filter(Boolean))];
+  const createdAt = new Date().toISOString();
+
+  for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    recipients.slice(i, i + BATCH_SIZE).forEach((userId) => {
+      batch.set(
+        db
+          .collection(usersCollection)
+          .doc(userId)
+          .collection(notificationsCollection)
+          .doc(),
+        {
+          type: notification.type,
+          title: notification.title,
+          message: notification.message || '',
+          link: notification.link || null,
+          athleteId: notification.athleteId || null,
+          data: notification.data || {},
+          read: false,
+          readAt: null,
+          createdAt,
+        }
+      );
+    });
+    await batch.commit();
+  }
+
+  return recipients.length;
+};
+
+/**
+ * Get the caller's notifications, newest first
+ * Pass `unreadOnly` to leave out notifications already seen, and `type` to
+ * only return one kind (e.g., "goalAchieved").
+ */
+const getNotifications = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const { unreadOnly, type } = request.data || {};
+
+    let notificationsQuery = db
+      .collection(usersCollection)
+      .doc(request.auth.uid)
+      .collection(notificationsCollection);
+
+    if (unreadOnly) {
+      notificationsQuery = notificationsQuery.where('read', '==', false);
+    }
+    if (type) {
+      notificationsQuery = notificationsQuery.where('type', '==', type);
+    }
+
+    const notificationsSnapshot = await notificationsQuery.get();
+
+    // Sorted here to avoid needing a composite index
+    const notifications = notificationsSnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, MAX_NOTIFICATIONS);
+
+    return {
+      success: true,
+      notifications,
+    };
+  } catch (error) {
+    logger.error('Error getting notifications:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Mark some of the caller's notifications as read
+ */
+const markNotificationsRead = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const { notificationIds } = request.data;
+
+    if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+      throw new Error('Notification IDs are required');
+    }
+
+    const notificationsRef = db
+      .collection(usersCollection)
+      .doc(request.auth.uid)
+      .collection(notificationsCollection);
+    const readAt = new Date().toISOString();
+
+    for (let i = 0; i < notificationIds.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      notificationIds.slice(i, i + BATCH_SIZE).forEach((id) => {
+        batch.update(notificationsRef.doc(id), { read: true, readAt });
+      });
+      await batch.commit();
+    }
+
+    return {
+      success: true,
+      message: 'Notifications marked as read',
+    };
+  } catch (error) {
+    logger.error('Error marking notifications as read:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getNotifications = onCall(
+  { cors: true, region: 'us-central1' },
+  getNotifications
+);
+exports.markNotificationsRead = onCall(
+  { cors: true, region: 'us-central1' },
+  markNotificationsRead
+);
+
+// Export helpers for the goal functions
+exports.notifyUsers = notifyUsers;
@@ -0,0 +1,10 @@
+/**
+ * Firestore query limits shared by the functions
+ */
+
+// Firestore `in` queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+module.exports = {
+  IN_QUERY_LIMIT,
+};
@@ -0,0 +1,741 @@
+/**
+ * Recurring club events
+ *
+ * A recurring event is one `events` document with an iCalendar (RFC 5545)
+ * style `recurrenceRule`, e.g. `FREQ=WEEKLY;BYDAY=MO,WE,FR` for practices
+ * three times a week. The rule supports FREQ (DAILY, WEEKLY or MONTHLY),
+ * INTERVAL, BYDAY (daily and weekly rules), COUNT and UNTIL; the series also
+ * ends on its `recurringEndDate`.
+ *
+ * Each occurrence is identified by its day in the club's time zone
+ * (YYYY-MM-DD), so practices stay at the same local time across daylight
+ * saving changes:
+ * - `exceptionDates` lists days the series skips, such as holidays
+ * - `occurrenceOverrides` maps a day to changes for that occurrence only:
+ *   `cancelled` (with a `cancellationReason`), or a new `startDate`,
+ *   `endDate`, `title`, `description` or `location`
+ *
+ * Occurrences are returned with the ID `<eventId>_<YYYY-MM-DD>`, alongside
+ * the `eventId` of the series and their `occurrenceDate`.
+ */
+
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const eventsCollection = 'events';
+
+// Occurrences are scheduled in the club's local time
+const CLUB_TIME_ZONE = 'America/Halifax';
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// RFC 5545 weekday codes, Monday first as weeks start on Monday
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Stop looking for occurrences ten years after the first day scanned
+const MAX_SCAN_DAYS = 3660;
+
+// Searches without an end list a year of occurrences
+const DEFAULT_WINDOW_DAYS = 366;
+
+// Fields of an occurrence that can be changed on its own
+const OVERRIDE_FIELDS = ['title', 'description', 'location'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OCCURRENCE_ID_PATTERN = /^(.+)_(\d{4}-\d{2}-\d{2})$/;
+
+const zonedFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: CLUB_TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+/**
+ * Helper function to convert a Timestamp, Date or date string to a Date
+ * @param {Object|Date|string} value - The date
+ * @returns {Date|null} The date, or null if there is none
+ */
+const toDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+/**
+ * Helper function to get the club's local date and time of an instant
+ * @param {Date} date - The instant
+ * @returns {Object} Year, month (1-12), day, hour, minute and second
+ */
+const getZonedParts = (date) => {
+  const parts = {};
+  zonedFormat.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Helper function to get the club's offset from UTC at an instant
+ * @param {number} time - The instant in milliseconds
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+const getZoneOffset = (time) => {
+  const wholeSeconds = Math.floor(time / 1000) * 1000;
+  const parts = getZonedParts(new Date(wholeSeconds));
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - wholeSeconds;
+};
+
+/**
+ * Helper function to get the instant of a local date and time at the club
+ * @param {Object} parts - Year, month (1-12), day, hour, minute and second
+ * @returns {Date} The instant
+ */
+const fromZonedParts = (parts) => {
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  // Guess with the offset at the wall-clock time, then correct for a
+  // daylight saving change between the guess and the wall-clock time
+  const guess = wallClock - getZoneOffset(wallClock);
+  return new Date(wallClock - getZoneOffset(guess));
+};
+
+/**
+ * Helper function to move a calendar day by a number of days
+ * @param {Object} day - Year, month (1-12) and day
+ * @param {number} days - Days to move (negative to move back)
+ * @returns {Object} The new year, month and day
+ */
+const addDays = (day, days) => {
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+/**
+ * Helper function to count the days from one calendar day to another
+ * @param {Object} from - Year, month (1-12) and day
+ * @param {Object} to - Year, month (1-12) and day
+ * @returns {number} Days between them (negative if `to` is earlier)
+ */
+const daysBetween = (from, to) =>
+  Math.round(
+    (Date.UTC(to.year, to.month - 1, to.day) -
+      Date.UTC(from.year, from.month - 1, from.day)) /
+      (24 * 60 * 60 * 1000)
+  );
+
+/**
+ * Helper function to get the weekday of a calendar day
+ * @param {Object} day - Year, month (1-12) and day
+ * @returns {number} Index into WEEKDAYS (0 for Monday)
+ */
+const getWeekday = (day) =>
+  (new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay() + 6) % 7;
+
+/**
+ * Helper function to format a calendar day
+ * @param {Object} day - Year, month (1-12) and day
+ * @returns {string} The day (YYYY-MM-DD)
+ */
+const formatDay = (day) =>
+  [
+    String(day.year).padStart(4, '0'),
+    String(day.month).padStart(2, '0'),
+    String(day.day).padStart(2, '0'),
+  ].join('-');
+
+/**
+ * Helper function to get the club's local day of an instant
+ * @param {Object|Date|string} value - The instant
+ * @returns {string} The day (YYYY-MM-DD)
+ */
+const getLocalDay = (value) => formatDay(getZonedParts(toDate(value)));
+
+/**
+ * Helper function to parse a recurrence rule's UNTIL value
+ * A date without a time includes the whole of that day at the club.
+ * @param {string} value - YYYYMMDD, YYYYMMDDTHHMMSS or YYYYMMDDTHHMMSSZ
+ * @returns {Date} The last instant an occurrence can start
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(
+    value
+  );
+  if (!match) {
+    throw new Error(`Invalid recurrence end: ${value}`);
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: hour ? Number(hour) : 23,
+    minute: hour ? Number(minute) : 59,
+    second: hour ? Number(second) : 59,
+  };
+  if (utc) {
+    return new Date(
+      Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      )
+    );
+  }
+  return fromZonedParts(parts);
+};
+
+/**
+ * Helper function to parse a recurrence rule
+ * @param {string} recurrenceRule - e.g. `FREQ=WEEKLY;BYDAY=MO,WE,FR`, with
+ *   or without an `RRULE:` prefix
+ * @returns {Object} The frequency, interval, weekdays, count and end
+ */
+const parseRecurrenceRule = (recurrenceRule) => {
+  const text = String(recurrenceRule || '')
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .toUpperCase();
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    count: null,
+    until: null,
+  };
+
+  text
+    .split(';')
+    .filter((part) => part)
+    .forEach((part) => {
+      const [key, value = ''] = part.split('=');
+      switch (key) {
+        case 'FREQ':
+          if (!FREQUENCIES.includes(value)) {
+            throw new Error(`Unsupported recurrence frequency: ${value}`);
+          }
+          rule.freq = value;
+          break;
+        case 'INTERVAL':
+          rule.interval = Number(value);
+          if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+            throw new Error(`Invalid recurrence interval: ${value}`);
+          }
+          break;
+        case 'BYDAY':
+          rule.byDay = value.split(',').map((code) => {
+            if (!WEEKDAYS.includes(code)) {
+              throw new Error(`Unsupported recurrence day: ${code}`);
+            }
+            return WEEKDAYS.indexOf(code);
+          });
+          break;
+        case 'COUNT':
+          rule.count = Number(value);
+          if (!Number.isInteger(rule.count) || rule.count < 1) {
+            throw new Error(`Invalid recurrence count: ${value}`);
+          }
+          break;
+        case 'UNTIL':
+          rule.until = parseUntil(value);
+          break;
+        case 'WKST':
+          if (value !== 'MO') {
+            throw new Error('Recurring weeks must start on Monday');
+          }
+          break;
+        default:
+          throw new Error(`Unsupported recurrence rule part: ${key}`);
+      }
+    });
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must have a FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+  }
+  if (rule.byDay.length > 0 && rule.freq === 'MONTHLY') {
+    throw new Error('BYDAY is only supported for daily and weekly rules');
+  }
+
+  rule.byDay.sort((a, b) => a - b);
+  return rule;
+};
+
+/**
+ * Helper function to validate and tidy a recurrence rule for storage
+ * @param {string} recurrenceRule - The rule as entered
+ * @returns {string|null} The rule without an `RRULE:` prefix, or null
+ */
+const normalizeRecurrenceRule = (recurrenceRule) => {
+  if (!recurrenceRule || !String(recurrenceRule).trim()) {
+    return null;
+  }
+
+  parseRecurrenceRule(recurrenceRule);
+  return String(recurrenceRule)
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .toUpperCase();
+};
+
+/**
+ * Helper function to validate and tidy the days a series skips
+ * @param {Array<string>} exceptionDates - Days (YYYY-MM-DD) or date strings
+ * @returns {Array<string>} Unique days (YYYY-MM-DD), earliest first
+ */
+const normalizeExceptionDates = (exceptionDates) => {
+  const days = (exceptionDates || []).map((value) => {
+    if (!value || Number.isNaN(toDate(value).getTime())) {
+      throw new Error(`Invalid exception date: ${value}`);
+    }
+    return DAY_PATTERN.test(value) ? value : getLocalDay(value);
+  });
+
+  return [...new Set(days)].sort();
+};
+
+/**
+ * Helper function to check whether a rule repeats on a day
+ * @param {Object} rule - The parsed rule
+ * @param {Object} first - The first day of the series
+ * @param {Object} day - The day to check
+ * @returns {boolean} Whether the series has an occurrence that day
+ */
+const repeatsOn = (rule, first, day) => {
+  const offset = daysBetween(first, day);
+  if (offset < 0) {
+    return false;
+  }
+
+  const weekday = getWeekday(day);
+  switch (rule.freq) {
+    case 'DAILY':
+      return (
+        offset % rule.interval === 0 &&
+        (rule.byDay.length === 0 || rule.byDay.includes(weekday))
+      );
+    case 'WEEKLY': {
+      // Weeks are counted from the Monday of the first week
+      const weeks = Math.floor((offset + getWeekday(first)) / 7);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay : [getWeekday(first)];
+      return weeks % rule.interval === 0 && weekdays.includes(weekday);
+    }
+    case 'MONTHLY': {
+      // Months without the first day's date are skipped, as in RFC 5545
+      const months = (day.year - first.year) * 12 + day.month - first.month;
+      return months % rule.interval === 0 && day.day === first.day;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Helper function to parse a calendar day
+ * @param {string} occurrenceDate - The day (YYYY-MM-DD)
+ * @returns {Object} Year, month (1-12) and day
+ */
+const parseDay = (occurrenceDate) => {
+  const [year, month, day] = occurrenceDate.split('-').map(Number);
+  return { year, month, day };
+};
+
+/**
+ * Helper function to list the occurrences of a recurring event
+ * Occurrences are listed by the time they start; skipped days are left
+ * out, cancelled occurrences are included and marked. Moved occurrences
+ * are listed by their new start, however far they were moved.
+ * @param {Object} event - The event data
+ * @param {Object} [window] - The occurrences wanted
+ * @param {Date} [window.start] - Earliest start (defaults to the first)
+ * @param {Date} [window.end] - Latest start (defaults to a year after the
+ *   window's start or today, whichever is later)
+ * @param {number} [window.limit] - Most occurrences to list
+ * @returns {Array<Object>} Occurrences with their `occurrenceDate`,
+ *   `startDate`, `endDate` (Dates) and `override`
+ */
+const getOccurrences = (event, { start, end, limit } = {}) => {
+  const rule = parseRecurrenceRule(event.recurrenceRule);
+  const seriesStart = toDate(event.startDate);
+  const seriesEnd = toDate(event.endDate);
+  const duration = seriesEnd ? Math.max(seriesEnd - seriesStart, 0) : null;
+  const time = getZonedParts(seriesStart);
+  const first = {
+    year: time.year,
+    month: time.month,
+    day: time.day,
+  };
+  const windowEnd =
+    end ||
+    new Date(
+      Math.max(start ? start.getTime() : 0, Date.now()) +
+        DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    );
+
+  // `recurringEndDate` is the last day of the series at the club
+  const lastDay = event.recurringEndDate
+    ? getLocalDay(event.recurringEndDate)
+    : null;
+  const exceptions = new Set(event.exceptionDates || []);
+  const overrides = event.occurrenceOverrides || {};
+
+  const getScheduledStart = (day) =>
+    fromZonedParts({
+      ...day,
+      hour: time.hour,
+      minute: time.minute,
+      second: time.second,
+    });
+  const isPastSeriesEnd = (day, scheduledStart) =>
+    Boolean(
+      (rule.until && scheduledStart > rule.until) ||
+      (lastDay && formatDay(day) > lastDay)
+    );
+  const isMoved = (occurrenceDate) =>
+    Boolean(overrides[occurrenceDate] && overrides[occurrenceDate].startDate);
+
+  // Whether the series has an occurrence on a day, counting from the first
+  // for counted series
+  const isSeriesDay = (day) => {
+    if (
+      !repeatsOn(rule, first, day) ||
+      isPastSeriesEnd(day, getScheduledStart(day))
+    ) {
+      return false;
+    }
+    if (!rule.count) {
+      return true;
+    }
+
+    let count = 0;
+    for (
+      let scanned = first;
+      daysBetween(scanned, day) >= 0 && count <= rule.count;
+      scanned = addDays(scanned, 1)
+    ) {
+      if (repeatsOn(rule, first, scanned)) {
+        count++;
+      }
+    }
+    return count <= rule.count;
+  };
+
+  // Builds the occurrence scheduled on a day, or null if it starts outside
+  // the window
+  const toOccurrence = (occurrenceDate, scheduledStart) => {
+    const override = overrides[occurrenceDate] || null;
+    const movedStart = override && toDate(override.startDate);
+    const occurrenceStart = movedStart || scheduledStart;
+    let occurrenceEnd =
+      duration === null ? null : new Date(occurrenceStart.getTime() + duration);
+    if (override && override.endDate) {
+      occurrenceEnd = toDate(override.endDate);
+    }
+
+    if ((start && occurrenceStart < start) || occurrenceStart > windowEnd) {
+      return null;
+    }
+
+    return {
+      occurrenceDate,
+      startDate: occurrenceStart,
+      endDate: occurrenceEnd,
+      override,
+    };
+  };
+
+  // Counted series have to be scanned from the start; others can begin on
+  // the window's first day
+  let day = first;
+  if (!rule.count && start && start > seriesStart) {
+    const windowStart = getZonedParts(start);
+    day = {
+      year: windowStart.year,
+      month: windowStart.month,
+      day: windowStart.day,
+    };
+  }
+
+  const occurrences = [];
+  let count = 0;
+  for (let scanned = 0; scanned < MAX_SCAN_DAYS; scanned++) {
+    if (scanned > 0) {
+      day = addDays(day, 1);
+    }
+    if (!repeatsOn(rule, first, day)) {
+      continue;
+    }
+
+    const occurrenceDate = formatDay(day);
+    const scheduledStart = getScheduledStart(day);
+    if (scheduledStart > windowEnd || isPastSeriesEnd(day, scheduledStart)) {
+      break;
+    }
+
+    count++;
+    if (rule.count && count > rule.count) {
+      break;
+    }
+    if (exceptions.has(occurrenceDate) || isMoved(occurrenceDate)) {
+      continue;
+    }
+
+    const occurrence = toOccurrence(occurrenceDate, scheduledStart);
+    if (occurrence) {
+      occurrences.push(occurrence);
+      // The occurrences scanned so far start before any later ones
+      if (limit && occurrences.length >= limit) {
+        break;
+      }
+    }
+  }
+
+  // Moved occurrences are added by their new start, as they can be moved
+  // into the window from a day outside it, or out of it
+  Object.keys(overrides)
+    .filter(
+      (occurrenceDate) =>
+        DAY_PATTERN.test(occurrenceDate) &&
+        isMoved(occurrenceDate) &&
+        !exceptions.has(occurrenceDate) &&
+        isSeriesDay(parseDay(occurrenceDate))
+    )
+    .forEach((occurrenceDate) => {
+      const occurrence = toOccurrence(
+        occurrenceDate,
+        getScheduledStart(parseDay(occurrenceDate))
+      );
+      if (occurrence) {
+        occurrences.push(occurrence);
+      }
+    });
+
+  occurrences.sort((a, b) => a.startDate - b.startDate);
+  return limit ? occurrences.slice(0, limit) : occurrences;
+};
+
+/**
+ * Helper function to get the first and last instants of a day at the club
+ * @param {string} occurrenceDate - The day (YYYY-MM-DD)
+ * @returns {Array<Date>} The start and end of the day
+ */
+const getDayBounds = (occurrenceDate) => {
+  const day = parseDay(occurrenceDate);
+  return [
+    fromZonedParts({ ...day, hour: 0, minute: 0, second: 0 }),
+    fromZonedParts({ ...day, hour: 23, minute: 59, second: 59 }),
+  ];
+};
+
+/**
+ * Helper function to check whether a recurring event has an occurrence on
+ * a day, before any exceptions or overrides
+ * @param {Object} event - The event data
+ * @param {string} occurrenceDate - The day (YYYY-MM-DD)
+ * @returns {boolean} Whether the series repeats that day
+ */
+const isOccurrenceDate = (event, occurrenceDate) => {
+  if (!DAY_PATTERN.test(String(occurrenceDate))) {
+    return false;
+  }
+
+  const { exceptionDates, occurrenceOverrides, ...series } = event;
+  const [start, end] = getDayBounds(occurrenceDate);
+
+  return getOccurrences(series, { start, end }).some(
+    (occurrence) => occurrence.occurrenceDate === occurrenceDate
+  );
+};
+
+/**
+ * Helper function to split an occurrence ID into its event and day
+ * @param {string} id - An event ID, or an occurrence ID
+ * @returns {Object|null} The `eventId` and `occurrenceDate`, or null if the
+ *   ID is not an occurrence ID
+ */
+const parseOccurrenceId = (id) => {
+  const match = OCCURRENCE_ID_PATTERN.exec(String(id));
+  return match ? { eventId: match[1], occurrenceDate: match[2] } : null;
+};
+
+/**
+ * Helper function to expand a recurring event into its occurrences
+ * Each occurrence has the series' data with its own dates and changes.
+ * @param {string} id - The event ID
+ * @param {Object} data - The event data
+ * @param {Object} [window] - The occurrences wanted (see getOccurrences)
+ * @returns {Array<Object>} Occurrences as `{ id, data }`
+ */
+const expandEvent = (id, data, window) => {
+  const { occurrenceOverrides, ...series } = data;
+
+  return getOccurrences(data, window).map((occurrence) => {
+    const override = occurrence.override || {};
+    const changes = {};
+    OVERRIDE_FIELDS.forEach((field) => {
+      if (override[field]) {
+        changes[field] = override[field];
+      }
+    });
+
+    return {
+      id: `${id}_${occurrence.occurrenceDate}`,
+      data: {
+        ...series,
+        ...changes,
+        eventId: id,
+        occurrenceDate: occurrence.occurrenceDate,
+        startDate: Timestamp.fromDate(occurrence.startDate),
+        endDate: occurrence.endDate
+          ? Timestamp.fromDate(occurrence.endDate)
+          : null,
+        cancelled: Boolean(override.cancelled),
+        cancellationReason: override.cancellationReason || null,
+      },
+    };
+  });
+};
+
+/**
+ * Helper function to get one occurrence of a recurring event
+ * @param {string} id - The event ID
+ * @param {Object} data - The event data
+ * @param {string} occurrenceDate - The day of the occurrence (YYYY-MM-DD)
+ * @returns {Object|null} The occurrence as `{ id, data }`, or null if the
+ *   series skips that day or does not repeat on it
+ */
+const expandOccurrence = (id, data, occurrenceDate) => {
+  if (!isOccurrenceDate(data, occurrenceDate)) {
+    return null;
+  }
+
+  // A moved occurrence can start outside its own day
+  const override = (data.occurrenceOverrides || {})[occurrenceDate];
+  const times = getDayBounds(occurrenceDate);
+  if (override && override.startDate) {
+    times.push(toDate(override.startDate));
+  }
+
+  const occurrence = expandEvent(id, data, {
+    start: new Date(Math.min(...times)),
+    end: new Date(Math.max(...times)),
+  }).find((entry) => entry.data.occurrenceDate === occurrenceDate);
+  return occurrence || null;
+};
+
+/**
+ * Helper function to load events and recurring event occurrences
+ * @param {Object} [options] - Filters
+ * @param {string} [options.category] - Only load events in this category
+ * @param {Date} [options.start] - Earliest start
+ * @param {Date} [options.end] - Latest start
+ * @param {number} [options.limit] - Most events to load
+ * @returns {Promise<Array<Object>>} Events and occurrences as
+ *   `{ id, data }`, soonest first
+ */
+const loadEventOccurrences = async ({ category, start, end, limit } = {}) => {
+  // Recurring events are expanded here, so they are loaded whenever they
+  // started, and left out of the date-ordered query below
+  let recurringQuery = db
+    .collection(eventsCollection)
+    .where('isRecurring', '==', true);
+  if (category) {
+    recurringQuery = recurringQuery.where('category', '==', category);
+  }
+  const recurringSnapshot = await recurringQuery.get();
+
+  let eventsQuery = db.collection(eventsCollection);
+  if (category) {
+    eventsQuery = eventsQuery.where('category', '==', category);
+  }
+  if (start) {
+    eventsQuery = eventsQuery.where(
+      'startDate',
+      '>=',
+      Timestamp.fromDate(start)
+    );
+  }
+  if (end) {
+    eventsQuery = eventsQuery.where(
+      'startDate',
+      '<=',
+      Timestamp.fromDate(end)
+    );
+  }
+  eventsQuery = eventsQuery.orderBy('startDate', 'asc');
+  if (limit) {
+    eventsQuery = eventsQuery.limit(limit + recurringSnapshot.size);
+  }
+  const eventsSnapshot = await eventsQuery.get();
+
+  const events = eventsSnapshot.docs
+    .filter((doc) => !doc.data().isRecurring)
+    .map((doc) => ({ id: doc.id, data: doc.data() }));
+
+  recurringSnapshot.forEach((doc) => {
+    events.push(...expandEvent(doc.id, doc.data(), { start, end, limit }));
+  });
+
+  events.sort(
+    (a, b) => a.data.startDate.toMillis() - b.data.startDate.toMillis()
+  );
+  return limit ? events.slice(0, limit) : events;
+};
+
+// Export helpers for the events functions and the calendar feed
+module.exports = {
+  CLUB_TIME_ZONE,
+  toDate,
+  getLocalDay,
+  parseRecurrenceRule,
+  normalizeRecurrenceRule,
+  normalizeExceptionDates,
+  getOccurrences,
+  isOccurrenceDate,
+  parseOccurrenceId,
+  expandEvent,
+  expandOccurrence,
+  loadEventOccurrences,
+};
@@ -0,0 +1,526 @@
+/**
+ * Relay team builder
+ *
+ * Proposes the fastest legal relay line-ups from swimmers' best times. A
+ * swimmer can swim only one leg; free relays use freestyle times for every
+ * leg and medley relays use backstroke, breaststroke, butterfly and
+ * freestyle times in that order. Mixed relays need two boys and two girls.
+ * Saved relays are attached to a club event.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, coachesSwimmer } = require('./auth');
+const { normalizeCourse, COURSES } = require('./courses');
+const { getCourseTime } = require('./courseConversion');
+const { normalizeGender } = require('./timeStandards');
+const {
+  parseAgeLimit,
+  isInAgeRange,
+  getCompetitionAge,
+} = require('./ageGroups');
+const { loadAgeGroupSettings } = require('./ageGroupSettings');
+const { getDisplayName } = require('./trainingGroups');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const bestTimesCollection = 'bestTimes';
+const relaysCollection = 'relays';
+const eventsCollection = 'events';
+
+const RELAY_TYPES = {
+  free: {
+    label: 'Freestyle Relay',
+    strokes: ['Freestyle', 'Freestyle', 'Freestyle', 'Freestyle'],
+  },
+  medley: {
+    label: 'Medley Relay',
+    strokes: ['Backstroke', 'Breaststroke', 'Butterfly', 'Freestyle'],
+  },
+};
+
+const LEG_DISTANCES = [25, 50, 100, 200];
+
+// Fastest swimmers per leg considered when searching for line-ups
+const CANDIDATES_PER_LEG = 8;
+
+// Line-ups proposed when no limit is given, and the most allowed
+const DEFAULT_LINEUPS = 3;
+const MAX_LINEUPS = 10;
+
+/**
+ * Helper function to round a time to hundredths
+ * @param {number} time - Time in seconds
+ * @returns {number} Rounded time
+ */
+const roundTime = (time) => Math.round(time * 100) / 100;
+
+/**
+ * Helper function to validate and normalize the relay settings
+ * @param {Object} data - Request data
+ * @returns {Object} Relay type, leg distance label, course, gender and ages
+ */
+const parseRelaySettings = (data) => {
+  const relayType = RELAY_TYPES[data.relayType] ? data.relayType : null;
+  if (!relayType) {
+    throw new Error(
+      `Invalid relay type: ${data.relayType}. Use ${Object.keys(
+        RELAY_TYPES
+      ).join(' or ')}`
+    );
+  }
+
+  const legLength = parseInt(data.legDistance, 10);
+  if (!LEG_DISTANCES.includes(legLength)) {
+    throw new Error(`Leg distance must be ${LEG_DISTANCES.join(', ')}`);
+  }
+
+  const course = normalizeCourse(data.course);
+  return {
+    relayType,
+    legDistance: `${legLength}${COURSES[course].unit}`,
+    course,
+    gender: normalizeGender(data.gender),
+    minAge: parseAgeLimit(data.minAge),
+    maxAge: parseAgeLimit(data.maxAge),
+    ageDate: data.ageDate ? new Date(data.ageDate) : new Date(),
+  };
+};
+
+/**
+ * Helper function to load the swimmers a coach or admin can put in a relay
+ * Each swimmer carries their leg time for every stroke of the relay.
+ * @param {Object} caller - The caller's user data
+ * @param {Object} settings - Relay settings from parseRelaySettings
+ * @returns {Promise<Array<Object>>} Eligible swimmers
+ */
+const loadRelayPool = async (caller, settings) => {
+  const [usersSnapshot, ageGroupSettings] = await Promise.all([
+    db.collection(usersCollection).where('role', '==', 'athlete').get(),
+    loadAgeGroupSettings(),
+  ]);
+
+  const swimmers = usersSnapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter(
+      (user) => caller.role === 'admin' || coachesSwimmer(caller, user)
+    )
+    .map((user) => {
+      let gender = null;
+      try {
+        gender = normalizeGender(user.gender);
+      } catch (error) {
+        // Unrecognized genders only fit open relays
+      }
+
+      return {
+        id: user.id,
+        name: getDisplayName(user),
+        gender,
+        age: getCompetitionAge(
+          user.birthDate,
+          ageGroupSettings,
+          settings.ageDate
+        ),
+      };
+    })
+    .filter(
+      (swimmer) =>
+        (settings.gender === 'X' || swimmer.gender === settings.gender) &&
+        isInAgeRange(swimmer.age, settings.minAge, settings.maxAge)
+    );
+
+  const strokes = [...new Set(RELAY_TYPES[settings.relayType].strokes)];
+  await Promise.all(
+    swimmers.map(async (swimmer) => {
+      const bestTimesSnapshot = await db
+        .collection(usersCollection)
+        .doc(swimmer.id)
+        .collection(bestTimesCollection)
+        .get();
+      const bestTimes = bestTimesSnapshot.docs.map((doc) => doc.data());
+
+      swimmer.times = {};
+      strokes.forEach((stroke) => {
+        const legTime = getCourseTime(
+          bestTimes,
+          stroke,
+          settings.legDistance,
+          settings.course
+        );
+        if (legTime) {
+          swimmer.times[stroke] = legTime;
+        }
+      });
+    })
+  );
+
+  return swimmers.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Helper function to build a line-up from swimmers in leg order
+ * @param {Array<string>} strokes - Leg strokes
+ * @param {Array<Object>} swimmers - One swimmer per leg
+ * @returns {Object} Legs and the predicted aggregate time
+ */
+const toLineup = (strokes, swimmers) => {
+  const legs = strokes.map((stroke, index) => ({
+    stroke,
+    swimmerId: swimmers[index].id,
+    swimmerName: swimmers[index].name,
+    time: swimmers[index].times[stroke].time,
+    isEstimate: swimmers[index].times[stroke].isEstimate,
+  }));
+
+  return {
+    legs,
+    predictedTime: roundTime(legs.reduce((total, leg) => total + leg.time, 0)),
+    hasEstimates: legs.some((leg) => leg.isEstimate),
+  };
+};
+
+/**
+ * Helper function to check the genders of a mixed relay
+ * @param {Array<Object>} swimmers - The line-up's swimmers
+ * @returns {boolean} Whether there are two boys and two girls
+ */
+const isMixedLegal = (swimmers) =>
+  swimmers.filter((swimmer) => swimmer.gender === 'M').length === 2 &&
+  swimmers.filter((swimmer) => swimmer.gender === 'F').length === 2;
+
+/**
+ * Propose the fastest legal line-ups for a relay
+ * @param {Array<Object>} pool - Eligible swimmers with leg times
+ * @param {Object} settings - Relay settings from parseRelaySettings
+ * @param {Object} options - Line-up options
+ * @param {Array<string|null>} options.lockedSwimmerIds - Swimmer locked into
+ *   each leg, or null to let the builder choose
+ * @param {Array<string>} options.excludedSwimmerIds - Swimmers to leave out
+ * @param {number} options.limit - Number of line-ups to propose
+ * @returns {Array<Object>} Line-ups, fastest first
+ */
+const proposeLineups = (pool, settings, options = {}) => {
+  const { strokes } = RELAY_TYPES[settings.relayType];
+  const locked = options.lockedSwimmerIds || [];
+  const excluded = new Set(options.excludedSwimmerIds || []);
+  const limit = options.limit || DEFAULT_LINEUPS;
+  const mixed = settings.gender === 'X';
+
+  // A locked swimmer counts as used for every other leg
+  const lockedIds = new Set(locked.filter(Boolean));
+
+  const candidates = strokes.map((stroke, index) => {
+    if (locked[index]) {
+      const swimmer = pool.find((member) => member.id === locked[index]);
+      if (!swimmer) {
+        throw new Error(`Locked swimmer for leg ${index + 1} is not eligible`);
+      }
+      if (!swimmer.times[stroke]) {
+        throw new Error(
+          `${swimmer.name} has no ${settings.legDistance} ${stroke} time`
+        );
+      }
+      return [swimmer];
+    }
+
+    const withTimes = pool
+      .filter(
+        (swimmer) =>
+          swimmer.times[stroke] &&
+          !excluded.has(swimmer.id) &&
+          !lockedIds.has(swimmer.id)
+      )
+      .sort((a, b) => a.times[stroke].time - b.times[stroke].time);
+
+    if (!mixed) {
+      return withTimes.slice(0, CANDIDATES_PER_LEG);
+    }
+
+    // Mixed relays may need slower swimmers of one gender to be legal
+    return ['M', 'F']
+      .flatMap((gender) =>
+        withTimes
+          .filter((swimmer) => swimmer.gender === gender)
+          .slice(0, CANDIDATES_PER_LEG)
+      )
+      .sort((a, b) => a.times[stroke].time - b.times[stroke].time);
+  });
+
+  const lineups = [];
+  const seen = new Set();
+
+  // Depth-first search over legs, keeping the fastest line-ups found
+  const search = (legIndex, chosen, total) => {
+    const slowestKept =
+      lineups.length === limit ? lineups[lineups.length - 1].total : Infinity;
+    if (total >= slowestKept) {
+      return;
+    }
+
+    if (legIndex === strokes.length) {
+      if (mixed && !isMixedLegal(chosen)) {
+        return;
+      }
+
+      // Free relay legs are interchangeable, so only the squad matters
+      const key =
+        settings.relayType === 'free'
+          ? chosen
+              .map((swimmer) => swimmer.id)
+              .sort()
+              .join()
+          : chosen.map((swimmer) => swimmer.id).join();
+      if (seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+
+      lineups.push({ swimmers: [...chosen], total });
+      lineups.sort((a, b) => a.total - b.total);
+      lineups.splice(limit);
+      return;
+    }
+
+    const stroke = strokes[legIndex];
+    candidates[legIndex].forEach((swimmer) => {
+      if (chosen.some((other) => other.id === swimmer.id)) {
+        return;
+      }
+      chosen.push(swimmer);
+      search(legIndex + 1, chosen, total + swimmer.times[stroke].time);
+      chosen.pop();
+    });
+  };
+
+  search(0, [], 0);
+
+  return lineups.map(({ swimmers }) => toLineup(strokes, swimmers));
+};
+
+/**
+ * Helper function to require an admin or coach caller
+ * @param {Object} auth - The auth context of the callable request
+ * @returns {Promise<Object>} The caller's user data
+ */
+const assertCanBuildRelays = async (auth) => {
+  const caller = await getCaller(auth);
+  if (caller.role !== 'admin' && caller.role !== 'coach') {
+    throw new Error('Admin or coach access required');
+  }
+  return caller;
+};
+
+/**
+ * Propose the fastest relay line-ups (Admin or coach)
+ * Coaches choose from the swimmers in their training groups. Pass
+ * `lockedSwimmerIds` (one entry per leg, null for open legs) to keep
+ * swimmers in place and `excludedSwimmerIds` to leave swimmers out.
+ */
+const buildRelay = async (request) => {
+  try {
+    const caller = await assertCanBuildRelays(request.auth);
+    const settings = parseRelaySettings(request.data);
+    const limit = Math.min(
+      parseInt(request.data.limit, 10) || DEFAULT_LINEUPS,
+      MAX_LINEUPS
+    );
+
+    const pool = await loadRelayPool(caller, settings);
+    const lineups = proposeLineups(pool, settings, {
+      lockedSwimmerIds: request.data.lockedSwimmerIds,
+      excludedSwimmerIds: request.data.excludedSwimmerIds,
+      limit,
+    });
+
+    return {
+      success: true,
+      relay: {
+        ...settings,
+        ageDate: settings.ageDate.toISOString(),
+        strokes: RELAY_TYPES[settings.relayType].strokes,
+        label: RELAY_TYPES[settings.relayType].label,
+      },
+      lineups,
+      // Every eligible swimmer and their leg times, for swapping
+      swimmers: pool,
+    };
+  } catch (error) {
+    logger.error('Error building relay:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Save a relay line-up to a club event (Admin or coach)
+ * The predicted time is worked out again from the swimmers' best times.
+ * Pass `id` to update a saved relay.
+ */
+const saveRelay = async (request) => {
+  try {
+    const caller = await assertCanBuildRelays(request.auth);
+    const settings = parseRelaySettings(request.data);
+    const { id, eventId, swimmerIds } = request.data;
+    const { strokes } = RELAY_TYPES[settings.relayType];
+
+    if (!eventId) {
+      throw new Error('Event ID is required');
+    }
+    if (!Array.isArray(swimmerIds) || swimmerIds.length !== strokes.length) {
+      throw new Error(`A relay needs ${strokes.length} swimmers`);
+    }
+    if (new Set(swimmerIds).size !== swimmerIds.length) {
+      throw new Error('A swimmer can only swim one leg');
+    }
+
+    const eventDoc = await db.collection(eventsCollection).doc(eventId).get();
+    if (!eventDoc.exists) {
+      throw new Error('Event not found');
+    }
+
+    const pool = await loadRelayPool(caller, settings);
+    const swimmers = swimmerIds.map((swimmerId, index) => {
+      const swimmer = pool.find((member) => member.id === swimmerId);
+      if (!swimmer) {
+        throw new Error(`Swimmer for leg ${index + 1} is not eligible`);
+      }
+      if (!swimmer.times[strokes[index]]) {
+        throw new Error(
+          `${swimmer.name} has no ${settings.legDistance} ${strokes[index]} time`
+        );
+      }
+      return swimmer;
+    });
+    if (settings.gender === 'X' && !isMixedLegal(swimmers)) {
+      throw new Error('A mixed relay needs two boys and two girls');
+    }
+
+    const now = new Date().toISOString();
+    const relayData = {
+      eventId,
+      eventTitle: eventDoc.data().title || null,
+      name:
+        request.data.name ||
+        `${RELAY_TYPES[settings.relayType].label} ${settings.legDistance}`,
+      relayType: settings.relayType,
+      legDistance: settings.legDistance,
+      course: settings.course,
+      gender: settings.gender,
+      minAge: settings.minAge,
+      maxAge: settings.maxAge,
+      ...toLineup(strokes, swimmers),
+      updatedBy: caller.id,
+      updatedAt: now,
+    };
+
+    let relayRef;
+    if (id) {
+      relayRef = db.collection(relaysCollection).doc(id);
+      const relayDoc = await relayRef.get();
+      if (!relayDoc.exists) {
+        throw new Error('Relay not found');
+      }
+      await relayRef.update(relayData);
+    } else {
+      relayRef = db.collection(relaysCollection).doc();
+      await relayRef.set({
+        ...relayData,
+        createdBy: caller.id,
+        createdAt: now,
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Relay saved successfully',
+      relay: {
+        id: relayRef.id,
+        ...relayData,
+      },
+    };
+  } catch (error) {
+    logger.error('Error saving relay:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the relays saved to an event (Admin or coach)
+ */
+const getRelays = async (request) => {
+  try {
+    await assertCanBuildRelays(request.auth);
+
+    const { eventId } = request.data || {};
+
+    let relaysQuery = db.collection(relaysCollection);
+    if (eventId) {
+      relaysQuery = relaysQuery.where('eventId', '==', eventId);
+    }
+
+    const relaysSnapshot = await relaysQuery.get();
+
+    return {
+      success: true,
+      relays: relaysSnapshot.docs
+        .map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    };
+  } catch (error) {
+    logger.error('Error getting relays:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Delete a saved relay (Admin or coach)
+ */
+const deleteRelay = async (request) => {
+  try {
+    await assertCanBuildRelays(request.auth);
+
+    const { id } = request.data;
+
+    if (!id) {
+      throw new Error('Relay ID is required');
+    }
+
+    await db.collection(relaysCollection).doc(id).delete();
+
+    return {
+      success: true,
+      message: 'Relay deleted successfully',
+    };
+  } catch (error) {
+    logger.error('Error deleting relay:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.buildRelay = onCall({ cors: true, region: 'us-central1' }, buildRelay);
+exports.saveRelay = onCall({ cors: true, region: 'us-central1' }, saveRelay);
+exports.getRelays = onCall({ cors: true, region: 'us-central1' }, getRelays);
+exports.deleteRelay = onCall(
+  { cors: true, region: 'us-central1' },
+  deleteRelay
+);
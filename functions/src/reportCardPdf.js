@@ -0,0 +1,390 @@
+/**
+ * Report card PDF renderer
+ *
+ * Lays out a swimmer's season report card with the club branding used in
+ * the invitation emails: a light grey header with the logo, gold accents
+ * and a dark footer. The report card data comes from ./reportCards.
+ */
+
+const PDFDocument = require('pdfkit');
+const { formatTime } = require('./timeFormat');
+
+const LOGO_URL = 'https://digbydolphins.com/dolphins-logo.png';
+
+const COLORS = {
+  header: '#f0f0f0',
+  text: '#333333',
+  muted: '#666666',
+  border: '#dddddd',
+  accent: '#ffd700',
+  footer: '#333333',
+};
+
+const MARGIN = 50;
+const HEADER_HEIGHT = 100;
+const FOOTER_HEIGHT = 30;
+const ROW_HEIGHT = 18;
+
+// The logo is fetched once per instance; report cards render without it
+// if it can't be loaded
+let logoPromise = null;
+
+/**
+ * Helper function to load the club logo
+ * @returns {Promise<Buffer|null>} The logo image, or null if unavailable
+ */
+const loadLogo = () => {
+  if (!logoPromise) {
+    logoPromise = fetch(LOGO_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Logo request failed: ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then((data) => Buffer.from(data))
+      .catch(() => null);
+  }
+  return logoPromise;
+};
+
+/**
+ * Helper function to format a date for the report card (e.g., "Sep 1, 2024")
+ * @param {string|Date} date - The date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-CA', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * Helper function to draw the branded header
+ * @param {PDFDocument} doc - The PDF document
+ * @param {Object} card - The report card data
+ * @param {Buffer|null} logo - The club logo
+ */
+const drawHeader = (doc, card, logo) => {
+  const { width } = doc.page;
+
+  doc.rect(0, 0, width, HEADER_HEIGHT).fill(COLORS.header);
+  doc.rect(0, HEADER_HEIGHT, width, 4).fill(COLORS.accent);
+
+  let textX = MARGIN;
+  if (logo) {
+    try {
+      doc.image(logo, MARGIN, 15, { fit: [70, 70] });
+      textX = MARGIN + 85;
+    } catch (error) {
+      // Unsupported image formats leave the header text-only
+    }
+  }
+
+  doc
+    .fillColor(COLORS.text)
+    .font('Helvetica-Bold')
+    .fontSize(20)
+    .text('Digby Dolphins Swim Team', textX, 28)
+    .font('Helvetica')
+    .fontSize(13)
+    .text(`Season Report Card · ${card.season.label}`, textX, 55);
+
+  doc.y = HEADER_HEIGHT + 25;
+};
+
+/**
+ * Helper function to draw the footer on the current page
+ * @param {PDFDocument} doc - The PDF document
+ */
+const drawFooter = (doc) => {
+  const { width, height } = doc.page;
+  const bottomMargin = doc.page.margins.bottom;
+  const { x, y } = doc;
+
+  // Let the footer sit inside the bottom margin without adding a page
+  doc.page.margins.bottom = 0;
+  doc
+    .rect(0, height - FOOTER_HEIGHT, width, FOOTER_HEIGHT)
+    .fill(COLORS.footer);
+  doc
+    .fillColor('#ffffff')
+    .font('Helvetica')
+    .fontSize(8)
+    .text(
+      `© ${new Date().getFullYear()} Digby Dolphins Swim Team`,
+      MARGIN,
+      height - FOOTER_HEIGHT + 11,
+      { width: width - MARGIN * 2, align: 'center', lineBreak: false }
+    );
+  doc.page.margins.bottom = bottomMargin;
+  doc.x = x;
+  doc.y = y;
+};
+
+/**
+ * Helper function to start a new page if the next block won't fit
+ * @param {PDFDocument} doc - The PDF document
+ * @param {number} height - Height of the next block
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - FOOTER_HEIGHT - MARGIN) {
+    doc.addPage();
+    doc.y = MARGIN;
+  }
+};
+
+/**
+ * Helper function to draw a section title
+ * @param {PDFDocument} doc - The PDF document
+ * @param {string} title - The section title
+ */
+const drawSectionTitle = (doc, title) => {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  const y = doc.y + 10;
+
+  doc
+    .fillColor(COLORS.text)
+    .font('Helvetica-Bold')
+    .fontSize(13)
+    .text(title, MARGIN, y);
+  doc
+    .moveTo(MARGIN, doc.y + 2)
+    .lineTo(doc.page.width - MARGIN, doc.y + 2)
+    .strokeColor(COLORS.accent)
+    .lineWidth(1.5)
+    .stroke();
+  doc.y += 8;
+};
+
+/**
+ * Helper function to draw a table
+ * @param {PDFDocument} doc - The PDF document
+ * @param {Array<Object>} columns - [{ label, width, align }]
+ * @param {Array<Array<string>>} rows - Cell text for each row
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font, color) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    let x = MARGIN;
+
+    doc.font(font).fontSize(9).fillColor(color);
+    cells.forEach((cell, index) => {
+      const { width, align } = columns[index];
+      doc.text(cell, x, y + 4, {
+        width: width - 6,
+        align: align || 'left',
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += width;
+    });
+
+    doc
+      .moveTo(MARGIN, y + ROW_HEIGHT)
+      .lineTo(x, y + ROW_HEIGHT)
+      .strokeColor(COLORS.border)
+      .lineWidth(0.5)
+      .stroke();
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(
+    columns.map((column) => column.label),
+    'Helvetica-Bold',
+    COLORS.muted
+  );
+  rows.forEach((row) => drawRow(row, 'Helvetica', COLORS.text));
+};
+
+/**
+ * Helper function to draw a muted line of text
+ * @param {PDFDocument} doc - The PDF document
+ * @param {string} text - The text
+ */
+const drawNote = (doc, text) => {
+  ensureSpace(doc, ROW_HEIGHT);
+  doc
+    .font('Helvetica-Oblique')
+    .fontSize(9)
+    .fillColor(COLORS.muted)
+    .text(text, MARGIN, doc.y + 4);
+};
+
+/**
+ * Helper function to format an improvement percentage
+ * @param {number|null} improvement - Percentage faster, or null
+ * @returns {string} Formatted percentage
+ */
+const formatImprovement = (improvement) => {
+  if (improvement === null) {
+    return '-';
+  }
+  return improvement > 0 ? `${improvement.toFixed(1)}% faster` : 'No change';
+};
+
+/**
+ * Render a report card as a PDF
+ * @param {Object} card - Report card data from ./reportCards
+ * @returns {Promise<Buffer>} The PDF file
+ */
+const renderReportCard = async (card) => {
+  const logo = await loadLogo();
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: MARGIN,
+      info: {
+        Title: `${card.swimmer.name} - Season Report Card`,
+        Author: 'Digby Dolphins Swim Team',
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.on('pageAdded', () => drawFooter(doc));
+
+    drawHeader(doc, card, logo);
+    drawFooter(doc);
+
+    // Swimmer summary
+    doc
+      .fillColor(COLORS.text)
+      .font('Helvetica-Bold')
+      .fontSize(18)
+      .text(card.swimmer.name, MARGIN, doc.y);
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(COLORS.muted)
+      .text(
+        [
+          card.swimmer.trainingGroup,
+          card.swimmer.age !== null ? `Age ${card.swimmer.age}` : null,
+          `${formatDate(card.season.start)} to ${formatDate(card.season.end)}`,
+        ]
+          .filter(Boolean)
+          .join('  ·  ')
+      );
+    doc
+      .moveDown(0.5)
+      .fillColor(COLORS.text)
+      .text(
+        `${card.summary.swims} swims this season, ${
+          card.summary.bestTimes
+        } best times, ${card.summary.goalsAchieved} goal${
+          card.summary.goalsAchieved === 1 ? '' : 's'
+        } achieved and ${card.summary.standardsAchieved} standard${
+          card.summary.standardsAchieved === 1 ? '' : 's'
+        } achieved.`
+      );
+
+    drawSectionTitle(doc, 'Season Best Times');
+    if (card.events.length > 0) {
+      drawTable(
+        doc,
+        [
+          { label: 'Event', width: 170 },
+          { label: 'Swims', width: 45, align: 'right' },
+          { label: 'Start', width: 70, align: 'right' },
+          { label: 'Season Best', width: 80, align: 'right' },
+          { label: 'Improvement', width: 80, align: 'right' },
+          { label: 'Standard', width: 67 },
+        ],
+        card.events.map((event) => [
+          `${event.distance} ${event.stroke} ${event.course}`,
+          String(event.swims),
+          event.startTime !== null ? formatTime(event.startTime) : '-',
+          `${formatTime(event.seasonBest)}${event.isBestTime ? ' PB' : ''}`,
+          formatImprovement(event.improvement),
+          event.standard || '',
+        ])
+      );
+    } else {
+      drawNote(doc, 'No swims recorded this season.');
+    }
+
+    drawSectionTitle(doc, 'Goals');
+    if (card.goals.length > 0) {
+      drawTable(
+        doc,
+        [
+          { label: 'Event', width: 170 },
+          { label: 'Goal', width: 80, align: 'right' },
+          { label: 'Best', width: 80, align: 'right' },
+          { label: 'Result', width: 182 },
+        ],
+        card.goals.map((goal) => [
+          `${goal.distance} ${goal.stroke} ${goal.course}`,
+          formatTime(goal.goalTime),
+          goal.time !== null ? formatTime(goal.time) : '-',
+          goal.achieved
+            ? 'Achieved'
+            : goal.time !== null
+            ? `${formatTime(goal.time - goal.goalTime)} to go`
+            : 'Not yet swum',
+        ])
+      );
+    } else {
+      drawNote(doc, 'No goals set.');
+    }
+
+    drawSectionTitle(doc, 'Standards Achieved');
+    if (card.standards.length > 0) {
+      drawTable(
+        doc,
+        [
+          { label: 'Event', width: 170 },
+          { label: 'Standard', width: 182 },
+          { label: 'Standard Time', width: 80, align: 'right' },
+          { label: 'Best', width: 80, align: 'right' },
+        ],
+        card.standards.map((standard) => [
+          `${standard.distance} ${standard.stroke} ${standard.course}`,
+          standard.standardName,
+          formatTime(standard.standardTime),
+          formatTime(standard.time),
+        ])
+      );
+    } else {
+      drawNote(doc, 'No standards achieved yet.');
+    }
+
+    drawSectionTitle(doc, 'Coach Comments');
+    if (card.comments.length > 0) {
+      card.comments.forEach((comment) => {
+        ensureSpace(doc, ROW_HEIGHT * 3);
+        doc
+          .font('Helvetica')
+          .fontSize(10)
+          .fillColor(COLORS.text)
+          .text(comment.text, MARGIN, doc.y + 6, {
+            width: doc.page.width - MARGIN * 2,
+          });
+        doc
+          .font('Helvetica-Oblique')
+          .fontSize(8)
+          .fillColor(COLORS.muted)
+          .text(
+            [comment.authorName, comment.date ? formatDate(comment.date) : null]
+              .filter(Boolean)
+              .join(', ')
+          );
+      });
+    } else {
+      drawNote(doc, 'No comments this season.');
+    }
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderReportCard,
+};
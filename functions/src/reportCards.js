@@ -0,0 +1,356 @@
+/**
+ * Cloud Functions for end-of-season report cards
+ *
+ * A report card sums up a swimmer's season from their swim history: each
+ * event's season best and how much faster it is than where the swimmer
+ * started the season, the goals they have reached, the time standards their
+ * best times have achieved and their coaches' notes from the season. Cards
+ * are rendered as PDFs (see ./reportCardPdf); admins can generate a whole
+ * training group's cards at once as a zip file.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const JSZip = require('jszip');
+const { assertAdmin, assertCanManageSwimmer } = require('./auth');
+const {
+  getSwimmerStandards,
+  getStandardsProgress,
+} = require('./timeStandards');
+const { getAge } = require('./ageGroups');
+const { getDisplayName } = require('./trainingGroups');
+const { getSeason } = require('./seasons');
+const { renderReportCard } = require('./reportCardPdf');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+const bestTimesCollection = 'bestTimes';
+const notesCollection = 'notes';
+const trainingGroupsCollection = 'trainingGroups';
+
+const MAX_COMMENTS = 5;
+
+/**
+ * Helper function to get the fastest standard a time achieves
+ * @param {Object} bestTime - Best time ({ stroke, distance, course, time })
+ * @param {Array<Object>} standards - Time standards that apply to the swimmer
+ * @returns {Object|null} The standard, or null if none is achieved
+ */
+const getTopStandard = (bestTime, standards) => {
+  const { achieved } = getStandardsProgress(bestTime, standards);
+  return achieved.length > 0 ? achieved[achieved.length - 1] : null;
+};
+
+/**
+ * Helper function to gather a swimmer's report card
+ * @param {string} swimmerId - The swimmer's user ID
+ * @param {Object} season - The season from getSeason
+ * @returns {Promise<Object>} Report card data for renderReportCard
+ */
+const buildReportCard = async (swimmerId, season) => {
+  const userRef = db.collection(usersCollection).doc(swimmerId);
+  const [userDoc, swimsSnapshot, bestTimesSnapshot, notesSnapshot] =
+    await Promise.all([
+      userRef.get(),
+      userRef.collection(swimsCollection).get(),
+      userRef.collection(bestTimesCollection).get(),
+      userRef.collection(notesCollection).orderBy('createdAt', 'desc').get(),
+    ]);
+
+  if (!userDoc.exists) {
+    throw new Error('Swimmer not found');
+  }
+
+  const user = userDoc.data();
+  const standards = await getSwimmerStandards(user);
+
+  let trainingGroup = null;
+  if (user.trainingGroupId) {
+    const groupDoc = await db
+      .collection(trainingGroupsCollection)
+      .doc(user.trainingGroupId)
+      .get();
+    trainingGroup = groupDoc.exists ? groupDoc.data().name : null;
+  }
+
+  const bestTimes = bestTimesSnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+  // Group the swims by event, splitting off those before the season
+  const swimsByEvent = {};
+  swimsSnapshot.docs.forEach((doc) => {
+    const swim = doc.data();
+    const date = new Date(swim.date);
+    if (date > season.end) {
+      return;
+    }
+
+    swimsByEvent[swim.eventId] = swimsByEvent[swim.eventId] || {
+      stroke: swim.stroke,
+      distance: swim.distance,
+      course: swim.course,
+      before: [],
+      season: [],
+    };
+    swimsByEvent[swim.eventId][date < season.start ? 'before' : 'season'].push(
+      { ...swim, date }
+    );
+  });
+
+  const events = Object.keys(swimsByEvent)
+    .filter((eventId) => swimsByEvent[eventId].season.length > 0)
+    .map((eventId) => {
+      const event = swimsByEvent[eventId];
+      const seasonSwims = event.season.sort((a, b) => a.date - b.date);
+      const seasonBest = Math.min(...seasonSwims.map((swim) => swim.time));
+
+      // Progress is measured from the best time going into the season, or
+      // the first swim of the season for new events
+      const startTime =
+        event.before.length > 0
+          ? Math.min(...event.before.map((swim) => swim.time))
+          : seasonSwims[0].time;
+      const bestTime = bestTimes.find((candidate) => candidate.id === eventId);
+      const standard = getTopStandard(
+        { ...event, time: seasonBest },
+        standards
+      );
+
+      return {
+        eventId,
+        stroke: event.stroke,
+        distance: event.distance,
+        course: event.course,
+        swims: seasonSwims.length,
+        startTime,
+        seasonBest,
+        improvement:
+          startTime > seasonBest
+            ? Math.round(((startTime - seasonBest) / startTime) * 1000) / 10
+            : 0,
+        isBestTime: !!bestTime && bestTime.time === seasonBest,
+        standard: standard ? standard.standardName : null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.course.localeCompare(b.course) ||
+        a.stroke.localeCompare(b.stroke) ||
+        parseInt(a.distance, 10) - parseInt(b.distance, 10)
+    );
+
+  const goals = bestTimes
+    .filter((bestTime) => typeof bestTime.goalTime === 'number')
+    .map((bestTime) => {
+      const time = typeof bestTime.time === 'number' ? bestTime.time : null;
+      return {
+        stroke: bestTime.stroke,
+        distance: bestTime.distance,
+        course: bestTime.course,
+        goalTime: bestTime.goalTime,
+        time,
+        achieved: time !== null && time <= bestTime.goalTime,
+      };
+    })
+    .sort((a, b) => Number(b.achieved) - Number(a.achieved));
+
+  const achievedStandards = bestTimes
+    .filter((bestTime) => typeof bestTime.time === 'number')
+    .map((bestTime) => {
+      const standard = getTopStandard(bestTime, standards);
+      return standard
+        ? {
+            stroke: bestTime.stroke,
+            distance: bestTime.distance,
+            course: bestTime.course,
+            standardName: standard.standardName,
+            standardTime: standard.time,
+            time: bestTime.time,
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+  const comments = notesSnapshot.docs
+    .map((doc) => doc.data())
+    .filter((note) => {
+      const createdAt = new Date(note.createdAt);
+      return createdAt >= season.start && createdAt <= season.end;
+    })
+    .slice(0, MAX_COMMENTS)
+    .map((note) => ({
+      text: note.text,
+      authorName: note.authorName || null,
+      date: note.createdAt,
+    }));
+
+  return {
+    swimmer: {
+      id: swimmerId,
+      name: getDisplayName(user),
+      age: getAge(user.birthDate, season.end),
+      trainingGroup,
+    },
+    season: {
+      start: season.start.toISOString(),
+      end: season.end.toISOString(),
+      label: season.label,
+    },
+    summary: {
+      swims: events.reduce((total, event) => total + event.swims, 0),
+      bestTimes: events.filter((event) => event.isBestTime).length,
+      goalsAchieved: goals.filter((goal) => goal.achieved).length,
+      standardsAchieved: achievedStandards.length,
+    },
+    events,
+    goals,
+    standards: achievedStandards,
+    comments,
+  };
+};
+
+/**
+ * Helper function to name a report card file
+ * @param {string} name - Swimmer or group name
+ * @param {Object} season - The season from getSeason
+ * @param {string} extension - File extension
+ * @returns {string} File name (e.g., "jane-doe-report-card-2024-25.pdf")
+ */
+const getReportCardFilename = (name, season, extension) =>
+  `${
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'swimmer'
+  }-report-card-${season.label}.${extension}`;
+
+/**
+ * Generate a swimmer's report card PDF (Admin or the swimmer's coach)
+ * Pass `seasonStart` and `seasonEnd` (YYYY-MM-DD) to choose the season;
+ * it defaults to the one running since September 1. The PDF is returned
+ * base64 encoded.
+ */
+const generateReportCard = async (request) => {
+  try {
+    const { athleteId, seasonStart, seasonEnd } = request.data;
+
+    if (!athleteId) {
+      throw new Error('Athlete ID is required');
+    }
+
+    await assertCanManageSwimmer(request.auth, athleteId);
+
+    const season = getSeason(seasonStart, seasonEnd);
+    const card = await buildReportCard(athleteId, season);
+    const pdf = await renderReportCard(card);
+
+    return {
+      success: true,
+      filename: getReportCardFilename(card.swimmer.name, season, 'pdf'),
+      content: pdf.toString('base64'),
+    };
+  } catch (error) {
+    logger.error('Error generating report card:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Generate the report cards of a training group as a zip file (Admin only)
+ * Takes the same season options as generateReportCard. The zip is returned
+ * base64 encoded.
+ */
+const generateGroupReportCards = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { trainingGroupId, seasonStart, seasonEnd } = request.data;
+
+    if (!trainingGroupId) {
+      throw new Error('Training group ID is required');
+    }
+
+    const groupDoc = await db
+      .collection(trainingGroupsCollection)
+      .doc(trainingGroupId)
+      .get();
+    if (!groupDoc.exists) {
+      throw new Error('Training group not found');
+    }
+
+    const swimmersSnapshot = await db
+      .collection(usersCollection)
+      .where('trainingGroupId', '==', trainingGroupId)
+      .get();
+    if (swimmersSnapshot.empty) {
+      throw new Error('This training group has no swimmers');
+    }
+
+    const season = getSeason(seasonStart, seasonEnd);
+    const zip = new JSZip();
+    const filenames = new Set();
+
+    // One at a time to keep memory use down for large groups
+    for (const swimmerDoc of swimmersSnapshot.docs) {
+      const card = await buildReportCard(swimmerDoc.id, season);
+      const pdf = await renderReportCard(card);
+
+      let filename = getReportCardFilename(card.swimmer.name, season, 'pdf');
+      if (filenames.has(filename)) {
+        filename = filename.replace('.pdf', `-${swimmerDoc.id}.pdf`);
+      }
+      filenames.add(filename);
+      zip.file(filename, pdf);
+    }
+
+    const content = await zip.generateAsync({
+      type: 'base64',
+      compression: 'DEFLATE',
+    });
+    logger.info(
+      `Generated ${filenames.size} report cards for ${groupDoc.data().name}`
+    );
+
+    return {
+      success: true,
+      filename: getReportCardFilename(groupDoc.data().name, season, 'zip'),
+      content,
+      count: filenames.size,
+    };
+  } catch (error) {
+    logger.error('Error generating group report cards:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.generateReportCard = onCall(
+  {
+    cors: true,
+    region: 'us-central1',
+    memory: '512MiB',
+  },
+  generateReportCard
+);
+exports.generateGroupReportCards = onCall(
+  {
+    cors: true,
+    region: 'us-central1',
+    memory: '1GiB',
+    timeoutSeconds: 300,
+  },
+  generateGroupReportCards
+);
@@ -0,0 +1,287 @@
+/**
+ * Parser for SDIF v3 meet result files (.sd3) and the Hy-Tek .cl2 files
+ * exported by Meet Manager, which use the same fixed-width record layout.
+ *
+ * Only the records needed to build swims are read:
+ * - B1: meet name, start date and course
+ * - D0: an individual event result for a swimmer
+ * - G0: splits for the preceding D0 result
+ * Relay results (stroke codes 6 and 7) are skipped since their legs can't
+ * be attributed to an individual swim.
+ */
+
+const { parseTime } = require('./timeFormat');
+
+// SDIF stroke codes
+const STROKES = {
+  1: 'Freestyle',
+  2: 'Backstroke',
+  3: 'Breaststroke',
+  4: 'Butterfly',
+  5: 'Individual Medley',
+};
+const RELAY_STROKES = ['6', '7'];
+
+// SDIF course codes
+const COURSE_CODES = {
+  1: 'SCM',
+  S: 'SCM',
+  2: 'SCY',
+  Y: 'SCY',
+  3: 'LCM',
+  L: 'LCM',
+};
+
+/**
+ * Helper function to read a fixed-width field
+ * Positions are 1-based and inclusive, as in the SDIF specification.
+ * @param {string} line - The record
+ * @param {number} start - First column of the field
+ * @param {number} end - Last column of the field
+ * @returns {string} Trimmed field value
+ */
+const field = (line, start, end) => line.substring(start - 1, end).trim();
+
+/**
+ * Helper function to convert an SDIF date (MMDDYYYY) to an ISO date string
+ * @param {string} value - SDIF date
+ * @returns {string|null} Date as YYYY-MM-DD, or null if missing/invalid
+ */
+const parseSdifDate = (value) => {
+  if (!/^\d{8}$/.test(value)) {
+    return null;
+  }
+  return `${value.substring(4, 8)}-${value.substring(0, 2)}-${value.substring(
+    2,
+    4
+  )}`;
+};
+
+/**
+ * Helper function to convert an SDIF time to seconds
+ * Non-times such as NT, NS, DQ, DNF and SCR return null.
+ * @param {string} value - SDIF time (e.g., "1:05.23" or "25.23")
+ * @returns {number|null} Time in seconds
+ */
+const parseSdifTime = (value) => {
+  if (!/^(\d{1,2}:)?\d{1,2}\.\d{2}$/.test(value)) {
+    return null;
+  }
+  return parseTime(value);
+};
+
+/**
+ * Helper function to split an SDIF swimmer name ("Last, First Middle")
+ * @param {string} value - SDIF name
+ * @returns {Object} { firstName, lastName, middleInitial }
+ */
+const parseSdifName = (value) => {
+  const [lastName, rest = ''] = value.split(',').map((part) => part.trim());
+  const [firstName = '', ...middle] = rest.split(/\s+/);
+  return {
+    firstName,
+    lastName,
+    middleInitial: middle.join(' '),
+  };
+};
+
+/**
+ * Helper function to read a G0 splits record
+ * @param {string} line - The G0 record
+ * @returns {Object} { round, splitDistance, splitCode, times }
+ */
+const parseSplitsRecord = (line) => {
+  const times = [];
+  // Up to 10 splits of 8 columns each, starting at column 64
+  for (let start = 64; start < 144; start += 8) {
+    const time = parseSdifTime(field(line, start, start + 7));
+    if (time !== null) {
+      times.push(time);
+    }
+  }
+
+  return {
+    round: field(line, 144, 144) === 'P' ? 'prelim' : 'final',
+    splitDistance: parseInt(field(line, 59, 62), 10) || null,
+    splitCode: field(line, 63, 63),
+    times,
+  };
+};
+
+/**
+ * Helper function to turn split times into interval splits
+ * SDIF splits may be cumulative (C) or interval (I).
+ * @param {Array<number>} times - Split times in seconds
+ * @param {string} splitCode - SDIF split code
+ * @returns {Array<number>} Interval split times
+ */
+const toIntervalSplits = (times, splitCode) => {
+  if (splitCode !== 'C') {
+    return times;
+  }
+  return times.map((time, index) =>
+    index === 0 ? time : Math.round((time - times[index - 1]) * 100) / 100
+  );
+};
+
+/**
+ * Parse the contents of an SDIF (.sd3) or Hy-Tek (.cl2) result file
+ * @param {string} content - The file contents
+ * @returns {Object} { meet, results, warnings }
+ */
+const parseSdif = (content) => {
+  const meet = {
+    name: null,
+    startDate: null,
+    course: null,
+  };
+  const results = [];
+  const warnings = [];
+
+  // Splits belong to the most recent individual result
+  let currentResult = null;
+
+  const lines = content.split(/\r?\n/);
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const code = line.substring(0, 2);
+
+    switch (code) {
+      case 'B1':
+        meet.name = field(line, 12, 41);
+        meet.startDate = parseSdifDate(field(line, 122, 129));
+        meet.course = COURSE_CODES[field(line, 150, 150)] || null;
+        break;
+
+      case 'D0': {
+        const strokeCode = field(line, 72, 72);
+        if (RELAY_STROKES.includes(strokeCode)) {
+          currentResult = null;
+          break;
+        }
+
+        const stroke = STROKES[strokeCode];
+        if (!stroke) {
+          warnings.push({
+            lineNumber,
+            reason: `Unknown stroke code: ${strokeCode}`,
+          });
+          currentResult = null;
+          break;
+        }
+
+        currentResult = {
+          lineNumber,
+          ...parseSdifName(field(line, 12, 39)),
+          registrationId: field(line, 40, 51),
+          birthDate: parseSdifDate(field(line, 56, 63)),
+          age: parseInt(field(line, 64, 65), 10) || null,
+          gender: field(line, 66, 66),
+          stroke,
+          distanceValue: parseInt(field(line, 68, 71), 10),
+          eventNumber: field(line, 73, 76),
+          date: parseSdifDate(field(line, 81, 88)) || meet.startDate,
+          swims: [],
+        };
+
+        // A result can hold both a prelim and a final swim
+        const rounds = [
+          {
+            round: 'prelim',
+            time: field(line, 98, 105),
+            course: field(line, 106, 106),
+            place: field(line, 133, 135),
+          },
+          {
+            round: 'final',
+            time: field(line, 116, 123),
+            course: field(line, 124, 124),
+            place: field(line, 136, 138),
+          },
+        ];
+
+        rounds.forEach(({ round, time, course, place }) => {
+          if (!time) {
+            return;
+          }
+
+          const timeInSeconds = parseSdifTime(time);
+          if (timeInSeconds === null) {
+            warnings.push({
+              lineNumber,
+              reason: `No time recorded (${time}) for ${currentResult.firstName} ${currentResult.lastName}`,
+            });
+            return;
+          }
+
+          const swimCourse = COURSE_CODES[course] || meet.course;
+          currentResult.swims.push({
+            round,
+            time: timeInSeconds,
+            course: swimCourse,
+            distance: `${currentResult.distanceValue}${
+              swimCourse === 'SCY' ? 'y' : 'm'
+            }`,
+            place: parseInt(place, 10) || null,
+            splits: [],
+          });
+        });
+
+        results.push(currentResult);
+        break;
+      }
+
+      case 'G0': {
+        if (!currentResult) {
+          break;
+        }
+
+        const splits = parseSplitsRecord(line);
+        const swim = currentResult.swims.find(
+          (candidate) => candidate.round === splits.round
+        );
+        if (swim) {
+          // Long events spread their splits over several G0 records
+          swim.splitDistance = splits.splitDistance;
+          swim.splitCode = splits.splitCode;
+          swim.rawSplits = [...(swim.rawSplits || []), ...splits.times];
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  // Convert the collected splits once every G0 record has been read
+  results.forEach((result) => {
+    result.swims.forEach((swim) => {
+      if (swim.rawSplits) {
+        swim.splits = toIntervalSplits(swim.rawSplits, swim.splitCode);
+      }
+      delete swim.rawSplits;
+      delete swim.splitCode;
+    });
+  });
+
+  if (!meet.name) {
+    warnings.push({
+      lineNumber: null,
+      reason: 'No meet (B1) record found; is this an SDIF file?',
+    });
+  }
+
+  return {
+    meet,
+    results: results.filter((result) => result.swims.length > 0),
+    warnings,
+  };
+};
+
+module.exports = {
+  parseSdif,
+  parseSdifTime,
+  parseSdifDate,
+  STROKES,
+};
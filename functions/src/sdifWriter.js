@@ -0,0 +1,181 @@
+/**
+ * Writer for SDIF v3 meet entry files (.sd3)
+ * Meet Manager and other meet software import these as entries from a team.
+ * Fields use the same fixed-width positions that sdifParser.js reads.
+ *
+ * A file holds:
+ * - A0: file description
+ * - B1: the meet
+ * - C1: the entering team
+ * - D0: one individual event entry with its seed time
+ * - Z0: file terminator with record counts
+ */
+
+const { STROKES } = require('./sdifParser');
+const { formatTime } = require('./timeFormat');
+
+// SDIF organization code (1 = USA Swimming, also used by Meet Manager)
+const ORGANIZATION_CODE = '1';
+
+// SDIF file code for meet registrations (entries)
+const ENTRIES_FILE_CODE = '01';
+
+// SDIF stroke codes, keyed by stroke name
+const STROKE_CODES = Object.keys(STROKES).reduce(
+  (codes, code) => ({ ...codes, [STROKES[code]]: code }),
+  {}
+);
+
+// SDIF course codes
+const COURSE_CODES = {
+  SCM: 'S',
+  SCY: 'Y',
+  LCM: 'L',
+};
+
+const RECORD_LENGTH = 160;
+
+/**
+ * Helper function to build a fixed-width record
+ * Positions are 1-based and inclusive, as in the SDIF specification.
+ * Numbers and times are right-aligned, everything else left-aligned.
+ * @param {string} code - Record code (e.g., "D0")
+ * @param {Array<Array>} fields - [start, end, value, alignRight] for each field
+ * @returns {string} The record
+ */
+const buildRecord = (code, fields) => {
+  const record = `${code}${ORGANIZATION_CODE}`
+    .padEnd(RECORD_LENGTH, ' ')
+    .split('');
+
+  fields.forEach(([start, end, value, alignRight]) => {
+    const width = end - start + 1;
+    const text =
+      value === null || value === undefined
+        ? ''
+        : String(value).substring(0, width);
+    const padded = alignRight ? text.padStart(width) : text.padEnd(width);
+    record.splice(start - 1, width, ...padded);
+  });
+
+  return record.join('');
+};
+
+/**
+ * Helper function to convert an ISO date to an SDIF date (MMDDYYYY)
+ * @param {string} value - Date as YYYY-MM-DD (or a full ISO string)
+ * @returns {string} SDIF date, or an empty string if missing
+ */
+const toSdifDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value || '')) {
+    return '';
+  }
+  return `${value.substring(5, 7)}${value.substring(8, 10)}${value.substring(
+    0,
+    4
+  )}`;
+};
+
+/**
+ * Helper function to build an SDIF event age code (e.g., "1112", "UN10")
+ * @param {number|null} minAge - Youngest age, or null for no limit
+ * @param {number|null} maxAge - Oldest age, or null for no limit
+ * @returns {string} Event age code
+ */
+const toAgeCode = (minAge, maxAge) =>
+  `${minAge === null ? 'UN' : String(minAge).padStart(2, '0')}${
+    maxAge === null ? 'OV' : String(maxAge).padStart(2, '0')
+  }`;
+
+/**
+ * Build an SDIF meet entries file
+ * @param {Object} params - File contents
+ * @param {Object} params.meet - The meet
+ *   ({ name, location, startDate, endDate, course })
+ * @param {Object} params.team - The entering team
+ *   ({ code, name, abbreviation })
+ * @param {Array<Object>} params.entries - Entries ({ firstName, lastName,
+ *   middleInitial, registrationId, birthDate, age, gender, eventGender,
+ *   distanceValue, stroke, eventNumber, minAge, maxAge, seedTime, course })
+ * @returns {string} The file contents
+ */
+const buildSdifEntries = ({ meet, team, entries }) => {
+  const today = new Date().toISOString();
+  const records = [];
+
+  records.push(
+    buildRecord('A0', [
+      [4, 11, 'V3'],
+      [12, 13, ENTRIES_FILE_CODE],
+      [44, 63, team.abbreviation],
+      [106, 113, toSdifDate(today)],
+    ])
+  );
+
+  records.push(
+    buildRecord('B1', [
+      [12, 41, meet.name],
+      [42, 63, meet.location],
+      [122, 129, toSdifDate(meet.startDate)],
+      [130, 137, toSdifDate(meet.endDate || meet.startDate)],
+      [150, 150, COURSE_CODES[meet.course]],
+    ])
+  );
+
+  records.push(
+    buildRecord('C1', [
+      [12, 17, team.code],
+      [18, 47, team.name],
+      [48, 63, team.abbreviation],
+    ])
+  );
+
+  entries.forEach((entry) => {
+    const name = [
+      entry.lastName,
+      [entry.firstName, entry.middleInitial].filter(Boolean).join(' '),
+    ].join(', ');
+
+    records.push(
+      buildRecord('D0', [
+        [12, 39, name],
+        [40, 51, entry.registrationId],
+        [56, 63, toSdifDate(entry.birthDate)],
+        [64, 65, entry.age, true],
+        [66, 66, entry.gender],
+        [67, 67, entry.eventGender],
+        [68, 71, entry.distanceValue, true],
+        [72, 72, STROKE_CODES[entry.stroke]],
+        [73, 76, entry.eventNumber, true],
+        [77, 80, toAgeCode(entry.minAge, entry.maxAge)],
+        [81, 88, toSdifDate(meet.startDate)],
+        [89, 96, entry.seedTime ? formatTime(entry.seedTime) : 'NT', true],
+        [97, 97, entry.seedTime ? COURSE_CODES[entry.course] : ''],
+      ])
+    );
+  });
+
+  const swimmerCount = new Set(
+    entries.map(
+      (entry) => `${entry.lastName}|${entry.firstName}|${entry.birthDate}`
+    )
+  ).size;
+
+  records.push(
+    buildRecord('Z0', [
+      [12, 13, ENTRIES_FILE_CODE],
+      [44, 46, 1, true],
+      [47, 49, 1, true],
+      [50, 53, 1, true],
+      [54, 57, 1, true],
+      [58, 63, entries.length, true],
+      [64, 69, swimmerCount, true],
+    ])
+  );
+
+  return `${records.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildSdifEntries,
+};
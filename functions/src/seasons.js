@@ -0,0 +1,53 @@
+/**
+ * Club season helpers
+ *
+ * Report cards and volunteer hours are both counted over a swim season,
+ * which starts on September 1.
+ */
+
+// Seasons start on September 1 unless another start date is given
+const SEASON_START_MONTH = 8;
+
+/**
+ * Helper function to work out the season a report covers
+ * @param {string} [seasonStart] - First day of the season (YYYY-MM-DD)
+ * @param {string} [seasonEnd] - Last day of the season (YYYY-MM-DD)
+ * @returns {Object} { start, end, label } with dates as Date objects
+ */
+const getSeason = (seasonStart, seasonEnd) => {
+  const now = new Date();
+  const end = seasonEnd ? new Date(`${seasonEnd}T23:59:59.999Z`) : now;
+
+  let start;
+  if (seasonStart) {
+    start = new Date(`${seasonStart}T00:00:00.000Z`);
+  } else {
+    const year =
+      end.getUTCMonth() >= SEASON_START_MONTH
+        ? end.getUTCFullYear()
+        : end.getUTCFullYear() - 1;
+    start = new Date(Date.UTC(year, SEASON_START_MONTH, 1));
+  }
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('Season dates must be YYYY-MM-DD');
+  }
+  if (start > end) {
+    throw new Error('The season must start before it ends');
+  }
+
+  const startYear = start.getUTCFullYear();
+  const endYear = end.getUTCFullYear();
+  return {
+    start,
+    end,
+    label:
+      startYear === endYear
+        ? `${startYear}`
+        : `${startYear}-${String(endYear).slice(-2)}`,
+  };
+};
+
+module.exports = {
+  getSeason,
+};
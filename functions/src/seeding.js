@@ -0,0 +1,145 @@
+/**
+ * Heat and lane seeding for meets we host
+ *
+ * Entries are ranked by seed time, with no-time (NT) entries last. Heats are
+ * swum slowest first, so the fastest swimmers are in the last heat, and each
+ * heat puts its fastest swimmers in the centre lanes.
+ *
+ * - Standard seeding fills heats from the last heat backwards. The first
+ *   heat takes whoever is left, topped up to three swimmers from the second
+ *   heat so nobody swims alone.
+ * - Circle seeding deals the fastest swimmers round-robin across the last
+ *   few heats (usually three), so each of those heats gets a share of the
+ *   top seeds. Earlier heats are standard seeded.
+ */
+
+// Fewest swimmers the first heat should have when there is more than one
+const MIN_FIRST_HEAT = 3;
+
+/**
+ * Get the order lanes are filled in, fastest swimmer first
+ * For example 4, 5, 3, 6, 2, 7, 1, 8 in an eight-lane pool.
+ * @param {number} laneCount - Lanes in the pool
+ * @returns {Array<number>} Lane numbers
+ */
+const getLaneOrder = (laneCount) => {
+  const centre = Math.ceil(laneCount / 2);
+  const order = [centre];
+
+  for (let step = 1; order.length < laneCount; step++) {
+    [centre + step, centre - step].forEach((lane) => {
+      if (lane >= 1 && lane <= laneCount) {
+        order.push(lane);
+      }
+    });
+  }
+
+  return order;
+};
+
+/**
+ * Helper function to rank entries, fastest first with NT entries last
+ * @param {Object} a - An entry ({ seedTime, swimmerName })
+ * @param {Object} b - Another entry
+ * @returns {number} Sort order
+ */
+const compareSeeds = (a, b) => {
+  if (a.seedTime && b.seedTime && a.seedTime !== b.seedTime) {
+    return a.seedTime - b.seedTime;
+  }
+  if (!a.seedTime !== !b.seedTime) {
+    return a.seedTime ? -1 : 1;
+  }
+  return (a.swimmerName || '').localeCompare(b.swimmerName || '');
+};
+
+/**
+ * Helper function to work out how many swimmers each heat gets
+ * @param {number} entryCount - Swimmers to seed
+ * @param {number} laneCount - Lanes in the pool
+ * @returns {Array<number>} Swimmers per heat, first heat first
+ */
+const getHeatSizes = (entryCount, laneCount) => {
+  const heatCount = Math.ceil(entryCount / laneCount);
+  const sizes = Array(heatCount).fill(laneCount);
+  sizes[0] = entryCount - (heatCount - 1) * laneCount;
+
+  if (heatCount > 1 && sizes[0] < MIN_FIRST_HEAT) {
+    const moved = Math.min(MIN_FIRST_HEAT - sizes[0], sizes[1] - 1);
+    sizes[0] += moved;
+    sizes[1] -= moved;
+  }
+
+  return sizes;
+};
+
+/**
+ * Seed entries into heats and lanes
+ * @param {Array<Object>} entries - Entries ({ seedTime, swimmerName, ... })
+ * @param {Object} options - Seeding options
+ * @param {number} options.laneCount - Lanes in the pool
+ * @param {number} [options.circleSeededHeats] - Fastest heats to circle seed
+ *   (0 for standard seeding only)
+ * @returns {Array<Object>} Heats, first heat first
+ *   ({ heat, lanes: [{ lane, ...entry }] })
+ */
+const seedHeats = (entries, options) => {
+  const laneCount = parseInt(options.laneCount, 10);
+  if (!Number.isInteger(laneCount) || laneCount < 1) {
+    throw new Error('Lane count must be at least 1');
+  }
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const ranked = [...entries].sort(compareSeeds);
+  const sizes = getHeatSizes(ranked.length, laneCount);
+  const heats = sizes.map(() => []);
+  const circleCount = Math.min(
+    Math.max(parseInt(options.circleSeededHeats, 10) || 0, 0),
+    sizes.length
+  );
+
+  // Deal the fastest swimmers round-robin across the circle seeded heats
+  const circleHeats = sizes
+    .map((size, index) => index)
+    .slice(sizes.length - circleCount)
+    .reverse();
+  const circleSize = circleHeats.reduce(
+    (total, index) => total + sizes[index],
+    0
+  );
+  let turn = 0;
+  ranked.slice(0, circleSize).forEach((entry) => {
+    let heatIndex = circleHeats[turn % circleCount];
+    while (heats[heatIndex].length >= sizes[heatIndex]) {
+      turn++;
+      heatIndex = circleHeats[turn % circleCount];
+    }
+    heats[heatIndex].push(entry);
+    turn++;
+  });
+
+  // Fill the remaining heats from the fastest backwards
+  let heatIndex = sizes.length - circleCount - 1;
+  ranked.slice(circleSize).forEach((entry) => {
+    while (heats[heatIndex].length >= sizes[heatIndex]) {
+      heatIndex--;
+    }
+    heats[heatIndex].push(entry);
+  });
+
+  const laneOrder = getLaneOrder(laneCount);
+  return heats.map((heatEntries, index) => ({
+    heat: index + 1,
+    lanes: heatEntries
+      .sort(compareSeeds)
+      .map((entry, rank) => ({ lane: laneOrder[rank], ...entry }))
+      .sort((a, b) => a.lane - b.lane),
+  }));
+};
+
+module.exports = {
+  seedHeats,
+  getLaneOrder,
+};
@@ -0,0 +1,238 @@
+/**
+ * Split time validation and pacing analysis
+ *
+ * Splits are stored on a swim as interval times (the time for each 25 or
+ * 50), so they add up to the final time.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { parseDistance } = require('./courseConversion');
+const { assertCanViewSwimmer } = require('./auth');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+
+// Split lengths that can be recorded
+const SPLIT_DISTANCES = [25, 50];
+
+// Hand-timed and rounded splits may be a hundredth off the final time
+const SPLIT_SUM_TOLERANCE_HUNDREDTHS = 1;
+
+// Halves within this percentage of each other count as evenly paced
+const EVEN_PACING_PERCENT = 1;
+
+/**
+ * Helper function to round a time to hundredths
+ * @param {number} time - Time in seconds
+ * @returns {number} Rounded time
+ */
+const roundTime = (time) => Math.round(time * 100) / 100;
+
+/**
+ * Validate a swim's splits against its distance and final time
+ * The split distance is worked out from the number of splits when omitted.
+ * @param {Object} swim - The swim ({ distance, time, splits, splitDistance })
+ * @returns {Object} { splits, splitDistance } with splits rounded to hundredths
+ */
+const validateSplits = ({ distance, time, splits, splitDistance }) => {
+  if (!Array.isArray(splits) || splits.length === 0) {
+    throw new Error('Splits must be a list of times');
+  }
+
+  const values = splits.map((split) => parseFloat(split));
+  if (values.some((split) => !Number.isFinite(split) || split <= 0)) {
+    throw new Error('Every split must be a positive time');
+  }
+
+  const eventDistance = parseDistance(distance);
+  const length = splitDistance
+    ? parseInt(splitDistance, 10)
+    : eventDistance / values.length;
+
+  if (!SPLIT_DISTANCES.includes(length)) {
+    throw new Error(
+      `Splits must be every ${SPLIT_DISTANCES.join(' or ')}; ` +
+        `${values.length} splits do not fit a ${distance} swim`
+    );
+  }
+
+  if (values.length !== eventDistance / length) {
+    throw new Error(
+      `A ${distance} swim has ${eventDistance / length} splits of ${length}, ` +
+        `not ${values.length}`
+    );
+  }
+
+  const total = roundTime(values.reduce((sum, split) => sum + split, 0));
+  const finalTime = parseFloat(time);
+  if (
+    Math.abs(Math.round(total * 100) - Math.round(finalTime * 100)) >
+    SPLIT_SUM_TOLERANCE_HUNDREDTHS
+  ) {
+    throw new Error(
+      `Splits add up to ${total.toFixed(2)}s but the final time is ` +
+        `${finalTime.toFixed(2)}s`
+    );
+  }
+
+  return {
+    splits: values.map(roundTime),
+    splitDistance: length,
+  };
+};
+
+/**
+ * Analyze the pacing of a swim from its splits
+ * With an odd number of splits the middle split is shared between halves.
+ * @param {Array<number>} splits - Interval splits in seconds
+ * @returns {Object} Half times, differential, fade and pacing label
+ */
+const analyzeSplits = (splits) => {
+  const middle = splits.length / 2;
+  let firstHalf = 0;
+  let secondHalf = 0;
+
+  splits.forEach((split, index) => {
+    if (index + 1 <= Math.floor(middle)) {
+      firstHalf += split;
+    } else if (index >= Math.ceil(middle)) {
+      secondHalf += split;
+    } else {
+      firstHalf += split / 2;
+      secondHalf += split / 2;
+    }
+  });
+
+  // Positive differential and fade mean the swimmer slowed down
+  const differential = roundTime(secondHalf - firstHalf);
+  const fadePercent = Math.round((differential / firstHalf) * 1000) / 10;
+
+  let pacing = 'even';
+  if (fadePercent > EVEN_PACING_PERCENT) {
+    pacing = 'positive';
+  } else if (fadePercent < -EVEN_PACING_PERCENT) {
+    pacing = 'negative';
+  }
+
+  return {
+    firstHalf: roundTime(firstHalf),
+    secondHalf: roundTime(secondHalf),
+    differential,
+    fadePercent,
+    pacing,
+    fastestSplit: Math.min(...splits),
+    slowestSplit: Math.max(...splits),
+  };
+};
+
+/**
+ * Helper function to compare a swim's splits with another swim of the event
+ * @param {Object} swim - The swim
+ * @param {Object} other - The swim to compare with
+ * @returns {Object|null} Per-split and total differences, or null if the
+ *   splits were not taken at the same distance
+ */
+const compareSplits = (swim, other) => {
+  if (
+    !other ||
+    other.splitDistance !== swim.splitDistance ||
+    other.splits.length !== swim.splits.length
+  ) {
+    return null;
+  }
+
+  return {
+    swimId: other.id,
+    date: other.date,
+    time: other.time,
+    // Negative differences mean this swim was faster
+    splitDifferences: swim.splits.map((split, index) =>
+      roundTime(split - other.splits[index])
+    ),
+    timeDifference: roundTime(swim.time - other.time),
+  };
+};
+
+/**
+ * Get split analysis for every swim of an event that has splits
+ * Each swim is compared with the previous swim and the fastest swim of the
+ * event. Guardians, admins and coaches may pass `userId` to view a swimmer
+ * they are linked to or manage.
+ */
+const getSplitAnalysis = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const { eventId } = request.data;
+    const userId = request.data.userId || request.auth.uid;
+
+    if (!eventId) {
+      throw new Error('Event ID is required');
+    }
+
+    if (userId !== request.auth.uid) {
+      await assertCanViewSwimmer(request.auth, userId);
+    }
+
+    const swimsSnapshot = await db
+      .collection(usersCollection)
+      .doc(userId)
+      .collection(swimsCollection)
+      .where('eventId', '==', eventId)
+      .get();
+
+    // Sort oldest first (sorted here to avoid needing a composite index)
+    const swims = swimsSnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .filter((swim) => Array.isArray(swim.splits) && swim.splits.length > 0)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const fastest = swims.reduce(
+      (best, swim) => (!best || swim.time < best.time ? swim : best),
+      null
+    );
+
+    const analyzedSwims = swims.map((swim, index) => ({
+      ...swim,
+      analysis: analyzeSplits(swim.splits),
+      comparedWithPrevious:
+        index > 0 ? compareSplits(swim, swims[index - 1]) : null,
+      comparedWithFastest:
+        fastest && fastest.id !== swim.id ? compareSplits(swim, fastest) : null,
+    }));
+
+    return {
+      success: true,
+      swims: analyzedSwims,
+      fastestSwimId: fastest ? fastest.id : null,
+    };
+  } catch (error) {
+    logger.error('Error getting split analysis:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getSplitAnalysis = onCall(
+  { cors: true, region: 'us-central1' },
+  getSplitAnalysis
+);
+
+// Export helpers for the best times functions
+exports.validateSplits = validateSplits;
+exports.analyzeSplits = analyzeSplits;
@@ -0,0 +1,566 @@
+/**
+ * Cloud Functions for World Aquatics (FINA) points
+ *
+ * Points compare swims across events: a swim equal to the base time for its
+ * course, gender, stroke and distance scores 1000 points, and points fall
+ * with the cube of the time (P = 1000 * (B / T)^3, rounded down). Base times
+ * are loaded by admins into `pointsBaseTimes`, usually from the tables World
+ * Aquatics publishes each year.
+ *
+ * Each swim in `users/{uid}/swims` stores its `points`, and each best time
+ * carries the points of its swim. Points are recalculated for every swim
+ * when the base times change and for a swimmer when their gender changes.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { parseCsv } = require('./csv');
+const { normalizeCourse } = require('./courses');
+const { parseTime, isValidTimeString } = require('./timeFormat');
+const { getCaller, assertAdmin, coachesSwimmer } = require('./auth');
+const { normalizeGender } = require('./timeStandards');
+const { getDisplayName } = require('./trainingGroups');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const swimsCollection = 'swims';
+const bestTimesCollection = 'bestTimes';
+const baseTimesCollection = 'pointsBaseTimes';
+
+// Headers expected in a base times CSV file
+const CSV_HEADERS = ['gender', 'course', 'stroke', 'distance', 'time'];
+
+// Default number of swimmers returned by the points rankings
+const DEFAULT_RANKINGS_LIMIT = 25;
+
+/**
+ * Helper function to build the ID of a base time document
+ * @param {Object} event - The event ({ course, gender, stroke, distance })
+ * @returns {string} Base time ID (e.g., "SCM_F_Freestyle_50m")
+ */
+const getBaseTimeId = (event) =>
+  [normalizeCourse(event.course), event.gender, event.stroke, event.distance]
+    .join('_')
+    .replace(/[^A-Za-z0-9_-]+/g, '-');
+
+/**
+ * Helper function to validate a base time and build its document
+ * @param {Object} baseTime - The base time
+ *   ({ gender, course, stroke, distance, time })
+ * @returns {Object} The base time document data
+ */
+const buildBaseTime = (baseTime) => {
+  const { stroke, distance } = baseTime;
+
+  if (!stroke || !distance || !baseTime.time) {
+    throw new Error('Missing required fields');
+  }
+
+  // Points tables are published separately for men and women
+  const gender = normalizeGender(baseTime.gender);
+  if (gender !== 'M' && gender !== 'F') {
+    throw new Error('Gender must be M or F');
+  }
+
+  // Times may be given in seconds or as a time string (MM:SS.ss)
+  let time = baseTime.time;
+  if (typeof time === 'string') {
+    if (!isValidTimeString(time)) {
+      throw new Error(`Invalid time: ${time}. Use MM:SS.ss or SS.ss`);
+    }
+    time = parseTime(time.trim());
+  }
+  if (!Number.isFinite(time) || time <= 0) {
+    throw new Error(`Invalid time: ${baseTime.time}`);
+  }
+
+  return {
+    gender,
+    course: normalizeCourse(baseTime.course),
+    stroke,
+    distance,
+    time,
+  };
+};
+
+/**
+ * Helper function to calculate World Aquatics points for a time
+ * @param {number} time - Time in seconds
+ * @param {number} baseTime - Base time for the event in seconds
+ * @returns {number} Points (1000 for the base time)
+ */
+const calculatePoints = (time, baseTime) =>
+  Math.floor(1000 * Math.pow(baseTime / time, 3));
+
+/**
+ * Helper function to get a swimmer's gender for the points tables
+ * @param {Object} user - The swimmer's user data
+ * @returns {string|null} M, F, or null if not known
+ */
+const getPointsGender = (user) => {
+  try {
+    const gender = user.gender ? normalizeGender(user.gender) : null;
+    return gender === 'M' || gender === 'F' ? gender : null;
+  } catch (error) {
+    logger.warn('Ignoring unrecognised gender on user:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Helper function to load the base times
+ * @returns {Promise<Map<string, number>>} Base times in seconds, by ID
+ */
+const loadBaseTimes = async () => {
+  const baseTimesSnapshot = await db.collection(baseTimesCollection).get();
+  return new Map(
+    baseTimesSnapshot.docs.map((doc) => [doc.id, doc.data().time])
+  );
+};
+
+/**
+ * Helper function to score a swim
+ * @param {Object} swim - The swim ({ course, stroke, distance, time })
+ * @param {string|null} gender - The swimmer's gender (M or F)
+ * @param {Map<string, number>} baseTimes - Base times by ID
+ * @returns {number|null} Points, or null if the swim cannot be scored
+ */
+const getSwimPoints = (swim, gender, baseTimes) => {
+  if (!gender || typeof swim.time !== 'number' || swim.time <= 0) {
+    return null;
+  }
+
+  let baseTime;
+  try {
+    baseTime = baseTimes.get(getBaseTimeId({ ...swim, gender }));
+  } catch (error) {
+    return null;
+  }
+
+  return baseTime ? calculatePoints(swim.time, baseTime) : null;
+};
+
+/**
+ * Helper function to write recalculated points to swims and best times
+ * Only documents whose points have changed are written.
+ * @param {Array<Object>} swimDocs - Swim document snapshots
+ * @param {Array<Object>} bestTimeDocs - Best time document snapshots
+ * @param {Function} getGender - Returns the gender of a swim's swimmer
+ * @param {Map<string, number>} baseTimes - Base times by ID
+ * @returns {Promise<number>} Number of swims whose points changed
+ */
+const writeSwimPoints = async (
+  swimDocs,
+  bestTimeDocs,
+  getGender,
+  baseTimes
+) => {
+  const swimPoints = new Map();
+  const writes = [];
+
+  swimDocs.forEach((doc) => {
+    const points = getSwimPoints(doc.data(), getGender(doc), baseTimes);
+    swimPoints.set(doc.ref.path, points);
+
+    if ((doc.data().points ?? null) !== points) {
+      writes.push((batch) => batch.update(doc.ref, { points }));
+    }
+  });
+  const changedSwims = writes.length;
+
+  bestTimeDocs.forEach((doc) => {
+    const { swimId } = doc.data();
+    if (!swimId) {
+      return;
+    }
+
+    const swimRef = doc.ref.parent.parent
+      .collection(swimsCollection)
+      .doc(swimId);
+    const points = swimPoints.get(swimRef.path) ?? null;
+    if ((doc.data().points ?? null) !== points) {
+      writes.push((batch) => batch.update(doc.ref, { points }));
+    }
+  });
+
+  // Firestore batches are limited to 500 writes
+  for (let i = 0; i < writes.length; i += 400) {
+    const batch = db.batch();
+    writes.slice(i, i + 400).forEach((write) => write(batch));
+    await batch.commit();
+  }
+
+  return changedSwims;
+};
+
+/**
+ * Helper function to recalculate the points of one swimmer's swims
+ * Used when the swimmer's gender changes.
+ * @param {string} userId - The swimmer's user ID
+ * @param {Object} user - The swimmer's user data
+ * @returns {Promise<number>} Number of swims whose points changed
+ */
+const updateSwimmerPoints = async (userId, user) => {
+  const userRef = db.collection(usersCollection).doc(userId);
+  const [swimsSnapshot, bestTimesSnapshot, baseTimes] = await Promise.all([
+    userRef.collection(swimsCollection).get(),
+    userRef.collection(bestTimesCollection).get(),
+    loadBaseTimes(),
+  ]);
+
+  const gender = getPointsGender(user);
+  return writeSwimPoints(
+    swimsSnapshot.docs,
+    bestTimesSnapshot.docs,
+    () => gender,
+    baseTimes
+  );
+};
+
+/**
+ * Helper function to recalculate the points of every swim on file
+ * Used when the base times change.
+ * @returns {Promise<number>} Number of swims whose points changed
+ */
+const updateAllPoints = async () => {
+  const [usersSnapshot, swimsSnapshot, bestTimesSnapshot, baseTimes] =
+    await Promise.all([
+      db.collection(usersCollection).get(),
+      db.collectionGroup(swimsCollection).get(),
+      db.collectionGroup(bestTimesCollection).get(),
+      loadBaseTimes(),
+    ]);
+
+  const genders = new Map();
+  usersSnapshot.forEach((doc) =>
+    genders.set(doc.id, getPointsGender(doc.data()))
+  );
+
+  return writeSwimPoints(
+    swimsSnapshot.docs,
+    bestTimesSnapshot.docs,
+    (doc) => genders.get(doc.ref.parent.parent.id) || null,
+    baseTimes
+  );
+};
+
+/**
+ * Score each swim as it is recorded
+ * The points are copied to the best time when the swim is the new best.
+ */
+const onSwimRecordedForPoints = async (event) => {
+  const snapshot = event.data;
+  if (!snapshot) {
+    return;
+  }
+
+  try {
+    const userRef = db.collection(usersCollection).doc(event.params.userId);
+    const swim = snapshot.data();
+    const [userDoc, baseTimes] = await Promise.all([
+      userRef.get(),
+      loadBaseTimes(),
+    ]);
+
+    const points = getSwimPoints(
+      swim,
+      userDoc.exists ? getPointsGender(userDoc.data()) : null,
+      baseTimes
+    );
+    await snapshot.ref.update({ points });
+
+    const bestTimeRef = userRef
+      .collection(bestTimesCollection)
+      .doc(swim.eventId);
+    await db.runTransaction(async (transaction) => {
+      const bestTimeDoc = await transaction.get(bestTimeRef);
+      if (bestTimeDoc.exists && bestTimeDoc.data().swimId === snapshot.id) {
+        transaction.update(bestTimeRef, { points });
+      }
+    });
+  } catch (error) {
+    logger.error('Error scoring swim for points:', error);
+  }
+};
+
+/**
+ * Get the base times, optionally filtered by course or gender
+ * (Authenticated users)
+ */
+const getPointsBaseTimes = async (request) => {
+  try {
+    await getCaller(request.auth);
+
+    const { course, gender } = request.data || {};
+
+    let baseTimesQuery = db.collection(baseTimesCollection);
+    if (course) {
+      baseTimesQuery = baseTimesQuery.where(
+        'course',
+        '==',
+        normalizeCourse(course)
+      );
+    }
+    if (gender) {
+      baseTimesQuery = baseTimesQuery.where(
+        'gender',
+        '==',
+        normalizeGender(gender)
+      );
+    }
+
+    const baseTimesSnapshot = await baseTimesQuery.get();
+    const baseTimes = baseTimesSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    return {
+      success: true,
+      baseTimes,
+    };
+  } catch (error) {
+    logger.error('Error getting points base times:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Load base times from CSV content and rescore every swim (Admin only)
+ * The CSV needs the columns gender, course, stroke, distance and time.
+ * Rows matching an existing base time update it; with `replace`, base times
+ * missing from the file are removed. Nothing is written unless every row
+ * is valid.
+ */
+const importPointsBaseTimes = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { csvContent, replace } = request.data;
+
+    if (!csvContent) {
+      throw new Error('No CSV content provided');
+    }
+
+    const [headers, ...dataRows] = parseCsv(csvContent);
+    if (!headers || dataRows.length === 0) {
+      throw new Error('CSV must have a header row and at least one data row');
+    }
+
+    const columns = headers.map((header) => header.trim().toLowerCase());
+    const missingHeaders = CSV_HEADERS.filter(
+      (header) => !columns.includes(header)
+    );
+    if (missingHeaders.length > 0) {
+      throw new Error(`Missing columns: ${missingHeaders.join(', ')}`);
+    }
+
+    const baseTimes = [];
+    const errors = [];
+
+    dataRows.forEach((fields, index) => {
+      const values = {};
+      CSV_HEADERS.forEach((header) => {
+        const value = fields[columns.indexOf(header)];
+        values[header] = value !== undefined ? value.trim() : '';
+      });
+
+      try {
+        baseTimes.push(buildBaseTime(values));
+      } catch (rowError) {
+        // Row numbers match the spreadsheet, where the header is row 1
+        errors.push({ rowNumber: index + 2, error: rowError.message });
+      }
+    });
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: `${errors.length} invalid rows; nothing was loaded`,
+        errors,
+      };
+    }
+
+    const now = new Date().toISOString();
+    const ids = new Set(baseTimes.map(getBaseTimeId));
+    const writes = baseTimes.map((baseTime) => (batch) =>
+      batch.set(
+        db.collection(baseTimesCollection).doc(getBaseTimeId(baseTime)),
+        { ...baseTime, updatedAt: now }
+      )
+    );
+
+    if (replace) {
+      const existingSnapshot = await db.collection(baseTimesCollection).get();
+      existingSnapshot.docs
+        .filter((doc) => !ids.has(doc.id))
+        .forEach((doc) => writes.push((batch) => batch.delete(doc.ref)));
+    }
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < writes.length; i += 400) {
+      const batch = db.batch();
+      writes.slice(i, i + 400).forEach((write) => write(batch));
+      await batch.commit();
+    }
+
+    const rescored = await updateAllPoints();
+
+    logger.info(
+      `Loaded ${baseTimes.length} points base times; rescored ${rescored} swims`
+    );
+
+    return {
+      success: true,
+      message: `${baseTimes.length} base times loaded successfully`,
+      count: baseTimes.length,
+      rescored,
+    };
+  } catch (error) {
+    logger.error('Error importing points base times:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Rescore every swim on file with the current base times (Admin only)
+ */
+const recalculateSwimPoints = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const rescored = await updateAllPoints();
+
+    logger.info(`Rescored ${rescored} swims`);
+
+    return {
+      success: true,
+      message: `${rescored} swims rescored successfully`,
+      rescored,
+    };
+  } catch (error) {
+    logger.error('Error recalculating swim points:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Rank swimmers by their highest-scoring best time across all events
+ * (Admin or coach), optionally for one course or gender and for swims on or
+ * after `since`. Coaches only see the swimmers in their training groups.
+ */
+const getPointsRankings = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    if (caller.role !== 'admin' && caller.role !== 'coach') {
+      throw new Error('Admin or coach access required');
+    }
+
+    const { course, gender, since } = request.data || {};
+    const limit = parseInt(request.data && request.data.limit, 10);
+
+    const [usersSnapshot, bestTimesSnapshot] = await Promise.all([
+      db.collection(usersCollection).get(),
+      db.collectionGroup(bestTimesCollection).get(),
+    ]);
+
+    const users = new Map();
+    usersSnapshot.forEach((doc) => users.set(doc.id, doc.data()));
+
+    // Each swimmer's highest-scoring best time
+    const bestSwims = new Map();
+    bestTimesSnapshot.forEach((doc) => {
+      const userId = doc.ref.parent.parent.id;
+      const user = users.get(userId);
+      const bestTime = { id: doc.id, ...doc.data() };
+
+      if (
+        !user ||
+        typeof bestTime.points !== 'number' ||
+        (caller.role === 'coach' && !coachesSwimmer(caller, user)) ||
+        (course && bestTime.course !== normalizeCourse(course)) ||
+        (gender && getPointsGender(user) !== normalizeGender(gender)) ||
+        (since && new Date(bestTime.date) < new Date(since))
+      ) {
+        return;
+      }
+
+      const current = bestSwims.get(userId);
+      if (!current || bestTime.points > current.points) {
+        bestSwims.set(userId, bestTime);
+      }
+    });
+
+    const rankings = [...bestSwims.entries()]
+      .map(([userId, bestTime]) => ({
+        athleteId: userId,
+        displayName: getDisplayName(users.get(userId)),
+        gender: getPointsGender(users.get(userId)),
+        eventId: bestTime.id,
+        eventName: bestTime.eventName,
+        stroke: bestTime.stroke,
+        distance: bestTime.distance,
+        course: bestTime.course,
+        time: bestTime.time,
+        date: bestTime.date,
+        points: bestTime.points,
+      }))
+      .sort((a, b) => b.points - a.points)
+      .slice(0, limit > 0 ? limit : DEFAULT_RANKINGS_LIMIT)
+      .map((ranking, index) => ({ rank: index + 1, ...ranking }));
+
+    return {
+      success: true,
+      rankings,
+    };
+  } catch (error) {
+    logger.error('Error getting points rankings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.onSwimRecordedForPoints = onDocumentCreated(
+  {
+    document: `${usersCollection}/{userId}/${swimsCollection}/{swimId}`,
+    database: 'digby-dolphins',
+    region: 'us-central1',
+  },
+  onSwimRecordedForPoints
+);
+exports.getPointsBaseTimes = onCall(
+  { cors: true, region: 'us-central1' },
+  getPointsBaseTimes
+);
+exports.importPointsBaseTimes = onCall(
+  { cors: true, region: 'us-central1', memory: '512MiB', timeoutSeconds: 300 },
+  importPointsBaseTimes
+);
+exports.recalculateSwimPoints = onCall(
+  { cors: true, region: 'us-central1', memory: '512MiB', timeoutSeconds: 300 },
+  recalculateSwimPoints
+);
+exports.getPointsRankings = onCall(
+  { cors: true, region: 'us-central1' },
+  getPointsRankings
+);
+
+// Export helpers for the functions that rescore a swimmer's swims
+exports.updateSwimmerPoints = updateSwimmerPoints;
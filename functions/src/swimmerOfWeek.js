@@ -0,0 +1,192 @@
+/**
+ * Cloud Functions for the Swimmer of the Week
+ *
+ * Each document in `swimmersOfWeek` is one week's pick, made by a coach or
+ * admin, usually from the improvement leaderboard (see ./improvement). The
+ * swimmer's name, age and training group are copied onto the pick so past
+ * weeks read as they were announced.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, assertAdmin, coachesSwimmer } = require('./auth');
+const { getDisplayName } = require('./trainingGroups');
+const { getAge } = require('./ageGroups');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const trainingGroupsCollection = 'trainingGroups';
+const swimmersOfWeekCollection = 'swimmersOfWeek';
+
+// Number of past picks shown alongside the current one
+const PREVIOUS_LIMIT = 10;
+
+/**
+ * Helper function to get the Monday of the week a day falls in
+ * @param {string} [day] - A day of the week (YYYY-MM-DD, defaults to today)
+ * @returns {string} The Monday (YYYY-MM-DD)
+ */
+const getWeekOf = (day) => {
+  const date = day ? new Date(`${day}T00:00:00.000Z`) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('Week must be YYYY-MM-DD');
+  }
+
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Get the current Swimmer of the Week and the previous picks
+ * (Authenticated users)
+ */
+const getSwimmersOfWeek = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const picksSnapshot = await db
+      .collection(swimmersOfWeekCollection)
+      .orderBy('weekOf', 'desc')
+      .limit(PREVIOUS_LIMIT + 1)
+      .get();
+
+    const [current, ...previous] = picksSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    return {
+      success: true,
+      current: current || null,
+      previous,
+    };
+  } catch (error) {
+    logger.error('Error getting swimmers of the week:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Pick the Swimmer of the Week (Admin or the swimmer's coach)
+ * Picking again for the same week replaces that week's pick.
+ */
+const selectSwimmerOfWeek = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    if (caller.role !== 'admin' && caller.role !== 'coach') {
+      throw new Error('Admin or coach access required');
+    }
+
+    const { athleteId, achievements, quote, coachComment, improvement } =
+      request.data;
+
+    if (!athleteId || !achievements || !String(achievements).trim()) {
+      throw new Error('Swimmer and achievements are required');
+    }
+
+    const swimmerDoc = await db
+      .collection(usersCollection)
+      .doc(athleteId)
+      .get();
+    if (!swimmerDoc.exists) {
+      throw new Error('Swimmer not found');
+    }
+
+    const swimmer = swimmerDoc.data();
+    if (caller.role === 'coach' && !coachesSwimmer(caller, swimmer)) {
+      throw new Error('Swimmer is not in your groups');
+    }
+
+    let group = null;
+    if (swimmer.trainingGroupId) {
+      const groupDoc = await db
+        .collection(trainingGroupsCollection)
+        .doc(swimmer.trainingGroupId)
+        .get();
+      group = groupDoc.exists ? groupDoc.data().name : null;
+    }
+
+    const weekOf = getWeekOf(request.data.weekOf);
+    const pick = {
+      athleteId,
+      name: getDisplayName(swimmer),
+      age: getAge(swimmer.birthDate),
+      group,
+      weekOf,
+      achievements: String(achievements).trim(),
+      quote: quote ? String(quote).trim() : null,
+      coachComment: coachComment ? String(coachComment).trim() : null,
+      improvement: typeof improvement === 'number' ? improvement : null,
+      selectedBy: caller.id,
+      createdAt: new Date().toISOString(),
+    };
+
+    await db.collection(swimmersOfWeekCollection).doc(weekOf).set(pick);
+
+    return {
+      success: true,
+      message: `${pick.name} is the Swimmer of the Week`,
+      swimmerOfWeek: {
+        id: weekOf,
+        ...pick,
+      },
+    };
+  } catch (error) {
+    logger.error('Error selecting swimmer of the week:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Remove a week's pick (Admin only)
+ */
+const deleteSwimmerOfWeek = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { weekOf } = request.data;
+    if (!weekOf) {
+      throw new Error('Week is required');
+    }
+
+    await db.collection(swimmersOfWeekCollection).doc(weekOf).delete();
+
+    return {
+      success: true,
+      message: 'Swimmer of the Week removed successfully',
+    };
+  } catch (error) {
+    logger.error('Error deleting swimmer of the week:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getSwimmersOfWeek = onCall(
+  { cors: true, region: 'us-central1' },
+  getSwimmersOfWeek
+);
+exports.selectSwimmerOfWeek = onCall(
+  { cors: true, region: 'us-central1' },
+  selectSwimmerOfWeek
+);
+exports.deleteSwimmerOfWeek = onCall(
+  { cors: true, region: 'us-central1' },
+  deleteSwimmerOfWeek
+);
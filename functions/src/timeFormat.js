@@ -0,0 +1,80 @@
+/**
+ * Swim time formatting helpers
+ * These follow the same rules as formatTime/parseTime in
+ * src/services/bestTimesService.ts so times read the same everywhere.
+ */
+
+/**
+ * Format a time in seconds to a display string (MM:SS.ss)
+ * @param {number} timeInSeconds - Time in seconds
+ * @returns {string} Formatted time string
+ */
+const formatTime = (timeInSeconds) => {
+  // Work in whole hundredths to avoid floating point drift (e.g. 59.999...)
+  const totalHundredths = Math.round(timeInSeconds * 100);
+  const minutes = Math.floor(totalHundredths / 6000);
+  const seconds = Math.floor((totalHundredths % 6000) / 100);
+  const hundredths = totalHundredths % 100;
+
+  return `${minutes > 0 ? `${minutes}:` : ''}${seconds
+    .toString()
+    .padStart(minutes > 0 ? 2 : 1, '0')}.${hundredths
+    .toString()
+    .padStart(2, '0')}`;
+};
+
+/**
+ * Parse a time string (MM:SS.ss) to seconds
+ * @param {string} timeString - Time string in format MM:SS.ss or SS.ss
+ * @returns {number} Time in seconds
+ */
+const parseTime = (timeString) => {
+  // Handle different formats
+  if (!timeString.includes(':') && timeString.includes('.')) {
+    // Format: SS.ss
+    const [seconds, hundredths] = timeString.split('.');
+    return parseInt(seconds) + parseInt(hundredths) / 100;
+  } else if (timeString.includes(':') && timeString.includes('.')) {
+    // Format: MM:SS.ss
+    const [minutesPart, secondsPart] = timeString.split(':');
+    const [seconds, hundredths] = secondsPart.split('.');
+    return (
+      parseInt(minutesPart) * 60 + parseInt(seconds) + parseInt(hundredths) / 100
+    );
+  } else if (timeString.includes(':') && !timeString.includes('.')) {
+    // Format: MM:SS
+    const [minutes, seconds] = timeString.split(':');
+    return parseInt(minutes) * 60 + parseInt(seconds);
+  } else {
+    // Format: SS (just seconds)
+    return parseInt(timeString);
+  }
+};
+
+/**
+ * Check that a time string is in a format parseTime understands
+ * Hundredths must have two digits, since "23.4" would otherwise be read as
+ * 23.04, and seconds must be under 60 when minutes are given.
+ * @param {string} timeString - Time string in format MM:SS.ss, SS.ss, MM:SS or SS
+ * @returns {boolean} Whether the time string is valid
+ */
+const isValidTimeString = (timeString) => {
+  const trimmed = String(timeString || '').trim();
+  const match = /^(?:(\d+):)?(\d{1,2})(?:\.(\d{2}))?$/.exec(trimmed);
+
+  if (!match) {
+    return false;
+  }
+
+  if (match[1] !== undefined && parseInt(match[2]) >= 60) {
+    return false;
+  }
+
+  return parseTime(trimmed) > 0;
+};
+
+module.exports = {
+  formatTime,
+  parseTime,
+  isValidTimeString,
+};
@@ -0,0 +1,471 @@
+/**
+ * Cloud Functions for managing qualifying time standards
+ *
+ * Each document in `timeStandards` is one cut: the time a swimmer of a given
+ * age group and gender must reach in one event and pool course to achieve a
+ * standard (e.g. "Provincials", or a club "AA" motivational time).
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { parseCsv } = require('./csv');
+const { normalizeCourse } = require('./courses');
+const { parseTime, isValidTimeString } = require('./timeFormat');
+const { assertAdmin } = require('./auth');
+const {
+  parseAgeLimit,
+  getCompetitionAge,
+  isInAgeRange,
+} = require('./ageGroups');
+const { loadAgeGroupSettings } = require('./ageGroupSettings');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const timeStandardsCollection = 'timeStandards';
+
+// Standards that apply to swimmers of any gender use this value
+const OPEN_GENDER = 'X';
+
+// Headers expected in a standards CSV file
+const CSV_HEADERS = [
+  'standard',
+  'gender',
+  'minAge',
+  'maxAge',
+  'course',
+  'stroke',
+  'distance',
+  'time',
+];
+
+/**
+ * Helper function to normalize a gender value to M, F or X (open)
+ * @param {string} gender - Gender (e.g., "F", "female", "Girls")
+ * @returns {string} M, F or X
+ */
+const normalizeGender = (gender) => {
+  const value = String(gender || '')
+    .trim()
+    .toUpperCase();
+
+  if (['M', 'MALE', 'BOY', 'BOYS', 'MEN'].includes(value)) {
+    return 'M';
+  }
+  if (['F', 'FEMALE', 'GIRL', 'GIRLS', 'WOMEN'].includes(value)) {
+    return 'F';
+  }
+  if (['', 'X', 'OPEN', 'MIXED', 'ANY'].includes(value)) {
+    return OPEN_GENDER;
+  }
+
+  throw new Error(`Invalid gender: ${gender}. Use M, F or X (open)`);
+};
+
+/**
+ * Helper function to validate a time standard and build its document
+ * @param {Object} standard - The standard
+ *   ({ standardName, gender, minAge, maxAge, course, stroke, distance, time })
+ * @returns {Object} The time standard document data
+ */
+const buildTimeStandard = (standard) => {
+  const { standardName, stroke, distance } = standard;
+
+  if (!standardName || !stroke || !distance || !standard.time) {
+    throw new Error('Missing required fields');
+  }
+
+  // Times may be given in seconds or as a time string (MM:SS.ss)
+  let time = standard.time;
+  if (typeof time === 'string') {
+    if (!isValidTimeString(time)) {
+      throw new Error(`Invalid time: ${time}. Use MM:SS.ss or SS.ss`);
+    }
+    time = parseTime(time.trim());
+  }
+  if (!Number.isFinite(time) || time <= 0) {
+    throw new Error(`Invalid time: ${standard.time}`);
+  }
+
+  const minAge = parseAgeLimit(standard.minAge);
+  const maxAge = parseAgeLimit(standard.maxAge);
+  if (minAge !== null && maxAge !== null && minAge > maxAge) {
+    throw new Error('Minimum age cannot be greater than maximum age');
+  }
+
+  return {
+    standardName: String(standardName).trim(),
+    gender: normalizeGender(standard.gender),
+    minAge,
+    maxAge,
+    course: normalizeCourse(standard.course),
+    stroke,
+    distance,
+    time,
+  };
+};
+
+/**
+ * Helper function to build a stable document ID for a time standard
+ * Loading the same standard again then updates it instead of duplicating it.
+ * @param {Object} standard - The validated time standard
+ * @returns {string} Document ID (e.g., "AA_F_11-12_Freestyle_50m_SCM")
+ */
+const getTimeStandardId = (standard) =>
+  [
+    standard.standardName,
+    standard.gender,
+    `${standard.minAge ?? 'open'}-${standard.maxAge ?? 'open'}`,
+    standard.stroke,
+    standard.distance,
+    standard.course,
+  ]
+    .join('_')
+    .replace(/[^A-Za-z0-9_-]+/g, '-');
+
+/**
+ * Helper function to check whether a standard applies to a swimmer
+ * A swimmer whose gender or age is unknown only matches open standards.
+ * @param {Object} standard - The time standard
+ * @param {Object} swimmer - The swimmer ({ gender, age })
+ * @returns {boolean} Whether the standard applies
+ */
+const appliesToSwimmer = (standard, swimmer) => {
+  if (standard.gender !== OPEN_GENDER && standard.gender !== swimmer.gender) {
+    return false;
+  }
+
+  return isInAgeRange(swimmer.age, standard.minAge, standard.maxAge);
+};
+
+/**
+ * Helper function to load the time standards, optionally for one course
+ * @param {string} [course] - Pool course
+ * @returns {Promise<Array<Object>>} Time standards
+ */
+const loadTimeStandards = async (course) => {
+  let standardsQuery = db.collection(timeStandardsCollection);
+
+  if (course) {
+    standardsQuery = standardsQuery.where(
+      'course',
+      '==',
+      normalizeCourse(course)
+    );
+  }
+
+  const standardsSnapshot = await standardsQuery.get();
+  return standardsSnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+};
+
+/**
+ * Helper function to report the standards a best time has achieved
+ * The next standard is the slowest one not yet achieved, since that is the
+ * closest to the swimmer's current best time.
+ * @param {Object} bestTime - Best time record ({ stroke, distance, course, time })
+ * @param {Array<Object>} standards - Time standards that apply to the swimmer
+ * @returns {Object} { achieved, next }
+ */
+const getStandardsProgress = (bestTime, standards) => {
+  const eventStandards = standards
+    .filter(
+      (standard) =>
+        standard.stroke === bestTime.stroke &&
+        standard.distance === bestTime.distance &&
+        standard.course === normalizeCourse(bestTime.course)
+    )
+    .sort((a, b) => b.time - a.time);
+
+  if (typeof bestTime.time !== 'number') {
+    const next = eventStandards[0];
+    return {
+      achieved: [],
+      next: next
+        ? { id: next.id, standardName: next.standardName, time: next.time }
+        : null,
+    };
+  }
+
+  const achieved = eventStandards
+    .filter((standard) => bestTime.time <= standard.time)
+    .map((standard) => ({
+      id: standard.id,
+      standardName: standard.standardName,
+      time: standard.time,
+    }));
+
+  const next = eventStandards.find((standard) => bestTime.time > standard.time);
+
+  return {
+    achieved,
+    next: next
+      ? {
+          id: next.id,
+          standardName: next.standardName,
+          time: next.time,
+          // Rounded to hundredths to avoid floating point noise
+          timeToGo: Math.round((bestTime.time - next.time) * 100) / 100,
+        }
+      : null,
+  };
+};
+
+/**
+ * Helper function to get the standards that apply to a swimmer
+ * @param {Object} user - The swimmer's user document data
+ * @param {string} [course] - Only load standards for this course
+ * @returns {Promise<Array<Object>>} Time standards that apply
+ */
+const getSwimmerStandards = async (user, course) => {
+  const [standards, ageGroupSettings] = await Promise.all([
+    loadTimeStandards(course),
+    loadAgeGroupSettings(),
+  ]);
+
+  let gender = null;
+  try {
+    gender = user.gender ? normalizeGender(user.gender) : null;
+  } catch (error) {
+    logger.warn('Ignoring unrecognised gender on user:', error.message);
+  }
+
+  const swimmer = {
+    gender,
+    age: getCompetitionAge(user.birthDate, ageGroupSettings),
+  };
+
+  return standards.filter((standard) => appliesToSwimmer(standard, swimmer));
+};
+
+/**
+ * Get time standards, optionally filtered by standard name, course, stroke
+ * or distance
+ */
+const getTimeStandards = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const { standardName, course, stroke, distance } = request.data || {};
+
+    const standards = (await loadTimeStandards(course))
+      .filter(
+        (standard) =>
+          (!standardName || standard.standardName === standardName) &&
+          (!stroke || standard.stroke === stroke) &&
+          (!distance || standard.distance === distance)
+      )
+      .sort(
+        (a, b) =>
+          a.standardName.localeCompare(b.standardName) ||
+          a.course.localeCompare(b.course) ||
+          a.stroke.localeCompare(b.stroke) ||
+          parseInt(a.distance, 10) - parseInt(b.distance, 10) ||
+          a.gender.localeCompare(b.gender) ||
+          (a.minAge ?? -1) - (b.minAge ?? -1)
+      );
+
+    return {
+      success: true,
+      standards,
+    };
+  } catch (error) {
+    logger.error('Error getting time standards:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Create or update a time standard (Admin only)
+ * Pass `id` to edit an existing standard.
+ */
+const saveTimeStandard = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { id } = request.data;
+    const standardData = {
+      ...buildTimeStandard(request.data),
+      updatedAt: new Date().toISOString(),
+    };
+
+    let standardRef;
+    if (id) {
+      standardRef = db.collection(timeStandardsCollection).doc(id);
+      const standardDoc = await standardRef.get();
+      if (!standardDoc.exists) {
+        throw new Error('Time standard not found');
+      }
+    } else {
+      standardRef = db
+        .collection(timeStandardsCollection)
+        .doc(getTimeStandardId(standardData));
+    }
+
+    await standardRef.set(standardData);
+
+    return {
+      success: true,
+      message: 'Time standard saved successfully',
+      standard: {
+        id: standardRef.id,
+        ...standardData,
+      },
+    };
+  } catch (error) {
+    logger.error('Error saving time standard:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Delete a time standard (Admin only)
+ */
+const deleteTimeStandard = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { id } = request.data;
+
+    if (!id) {
+      throw new Error('Time standard ID is required');
+    }
+
+    await db.collection(timeStandardsCollection).doc(id).delete();
+
+    return {
+      success: true,
+      message: 'Time standard deleted successfully',
+    };
+  } catch (error) {
+    logger.error('Error deleting time standard:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Load time standards from CSV content (Admin only)
+ * The CSV needs the columns standard, gender, minAge, maxAge, course,
+ * stroke, distance and time. Rows matching an existing standard update it.
+ * Nothing is written unless every row is valid.
+ */
+const importTimeStandards = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { csvContent } = request.data;
+
+    if (!csvContent) {
+      throw new Error('No CSV content provided');
+    }
+
+    const [headers, ...dataRows] = parseCsv(csvContent);
+    if (!headers || dataRows.length === 0) {
+      throw new Error('CSV must have a header row and at least one data row');
+    }
+
+    const columns = headers.map((header) => header.trim().toLowerCase());
+    const missingHeaders = CSV_HEADERS.filter(
+      (header) => !columns.includes(header.toLowerCase())
+    );
+    if (missingHeaders.length > 0) {
+      throw new Error(`Missing columns: ${missingHeaders.join(', ')}`);
+    }
+
+    const standards = [];
+    const errors = [];
+
+    dataRows.forEach((fields, index) => {
+      const values = {};
+      CSV_HEADERS.forEach((header) => {
+        const value = fields[columns.indexOf(header.toLowerCase())];
+        values[header] = value !== undefined ? value.trim() : '';
+      });
+
+      try {
+        standards.push(
+          buildTimeStandard({ ...values, standardName: values.standard })
+        );
+      } catch (rowError) {
+        // Row numbers match the spreadsheet, where the header is row 1
+        errors.push({ rowNumber: index + 2, error: rowError.message });
+      }
+    });
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: `${errors.length} invalid rows; nothing was loaded`,
+        errors,
+      };
+    }
+
+    // Firestore batches are limited to 500 writes
+    const now = new Date().toISOString();
+    for (let i = 0; i < standards.length; i += 400) {
+      const batch = db.batch();
+      standards.slice(i, i + 400).forEach((standard) => {
+        batch.set(
+          db
+            .collection(timeStandardsCollection)
+            .doc(getTimeStandardId(standard)),
+          { ...standard, updatedAt: now }
+        );
+      });
+      await batch.commit();
+    }
+
+    logger.info(`Loaded ${standards.length} time standards`);
+
+    return {
+      success: true,
+      message: `${standards.length} time standards loaded successfully`,
+      count: standards.length,
+    };
+  } catch (error) {
+    logger.error('Error importing time standards:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getTimeStandards = onCall(
+  { cors: true, region: 'us-central1' },
+  getTimeStandards
+);
+exports.saveTimeStandard = onCall(
+  { cors: true, region: 'us-central1' },
+  saveTimeStandard
+);
+exports.deleteTimeStandard = onCall(
+  { cors: true, region: 'us-central1' },
+  deleteTimeStandard
+);
+exports.importTimeStandards = onCall(
+  { cors: true, region: 'us-central1' },
+  importTimeStandards
+);
+
+// Export helpers for the best times, club records and meet entries functions
+exports.getSwimmerStandards = getSwimmerStandards;
+exports.getStandardsProgress = getStandardsProgress;
+exports.normalizeGender = normalizeGender;
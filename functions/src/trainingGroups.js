@@ -0,0 +1,531 @@
+/**
+ * Training groups, coach assignments and swimmer notes
+ *
+ * Swimmers belong to one training group (`trainingGroupId` on their user
+ * document) and coaches are assigned any number of groups (`coachGroupIds`).
+ * Coaches can read and enter times, goals and notes for the swimmers in
+ * their groups; see ./auth for the access checks.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const {
+  getCaller,
+  assertAdmin,
+  assertCanViewSwimmer,
+  assertCanManageSwimmer,
+} = require('./auth');
+const { IN_QUERY_LIMIT } = require('./queries');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const trainingGroupsCollection = 'trainingGroups';
+const notesCollection = 'notes';
+
+/**
+ * Helper function to get the name to show for a user
+ * @param {Object} user - The user's data
+ * @returns {string} The user's display name
+ */
+const getDisplayName = (user) =>
+  user.displayName ||
+  [user.preferredName || user.firstName, user.lastName]
+    .filter(Boolean)
+    .join(' ') ||
+  user.email ||
+  '';
+
+/**
+ * Helper function to summarize a swimmer for group listings
+ * @param {Object} doc - The swimmer's user document
+ * @returns {Object} The swimmer's ID, name and group
+ */
+const toSwimmerSummary = (doc) => {
+  const user = doc.data();
+  return {
+    id: doc.id,
+    displayName: getDisplayName(user),
+    email: user.email || null,
+    birthDate: user.birthDate || null,
+    gender: user.gender || null,
+    trainingGroupId: user.trainingGroupId,
+  };
+};
+
+/**
+ * Helper function to load the swimmers in a set of training groups
+ * @param {Array<string>} groupIds - Training group IDs
+ * @returns {Promise<Array<Object>>} Swimmer summaries
+ */
+const loadGroupSwimmers = async (groupIds) => {
+  const swimmers = [];
+
+  for (let i = 0; i < groupIds.length; i += IN_QUERY_LIMIT) {
+    const snapshot = await db
+      .collection(usersCollection)
+      .where('trainingGroupId', 'in', groupIds.slice(i, i + IN_QUERY_LIMIT))
+      .get();
+    snapshot.docs.forEach((doc) => swimmers.push(toSwimmerSummary(doc)));
+  }
+
+  return swimmers.sort((a, b) => a.displayName.localeCompare(b.displayName));
+};
+
+/**
+ * Get training groups with their swimmers and coaches (Admin or coach)
+ * Coaches only see the groups they are assigned.
+ */
+const getTrainingGroups = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    if (caller.role !== 'admin' && caller.role !== 'coach') {
+      throw new Error('Admin or coach access required');
+    }
+
+    const groupsSnapshot = await db
+      .collection(trainingGroupsCollection)
+      .orderBy('name')
+      .get();
+
+    let groups = groupsSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+    if (caller.role === 'coach') {
+      const coachGroupIds = caller.coachGroupIds || [];
+      groups = groups.filter((group) => coachGroupIds.includes(group.id));
+    }
+
+    const swimmers = await loadGroupSwimmers(groups.map((group) => group.id));
+
+    const coachesSnapshot = await db
+      .collection(usersCollection)
+      .where('role', '==', 'coach')
+      .get();
+    const coaches = coachesSnapshot.docs.map((doc) => ({
+      ...toSwimmerSummary(doc),
+      coachGroupIds: doc.data().coachGroupIds || [],
+    }));
+
+    // Admins also get every athlete so they can be put in groups
+    let athletes = [];
+    if (caller.role === 'admin') {
+      const athletesSnapshot = await db
+        .collection(usersCollection)
+        .where('role', '==', 'athlete')
+        .get();
+      athletes = athletesSnapshot.docs
+        .map(toSwimmerSummary)
+        .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    }
+
+    return {
+      success: true,
+      groups: groups.map((group) => ({
+        ...group,
+        swimmers: swimmers.filter(
+          (swimmer) => swimmer.trainingGroupId === group.id
+        ),
+        coaches: coaches
+          .filter((coach) => coach.coachGroupIds.includes(group.id))
+          .map(({ id, displayName }) => ({ id, displayName })),
+      })),
+      // Only admins assign coaches, so only they get the full list
+      coaches: caller.role === 'admin' ? coaches : [],
+      athletes,
+    };
+  } catch (error) {
+    logger.error('Error getting training groups:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Create or rename a training group (Admin only)
+ * Pass `id` to rename an existing group.
+ */
+const saveTrainingGroup = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { id } = request.data;
+    const name = (request.data.name || '').trim();
+
+    if (!name) {
+      throw new Error('Group name is required');
+    }
+
+    const now = new Date().toISOString();
+    let groupRef;
+    if (id) {
+      groupRef = db.collection(trainingGroupsCollection).doc(id);
+      const groupDoc = await groupRef.get();
+      if (!groupDoc.exists) {
+        throw new Error('Training group not found');
+      }
+      await groupRef.update({ name, updatedAt: now });
+    } else {
+      groupRef = db.collection(trainingGroupsCollection).doc();
+      await groupRef.set({ name, createdAt: now, updatedAt: now });
+    }
+
+    return {
+      success: true,
+      message: 'Training group saved successfully',
+      group: {
+        id: groupRef.id,
+        name,
+      },
+    };
+  } catch (error) {
+    logger.error('Error saving training group:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Delete a training group (Admin only)
+ * Its swimmers are left without a group and it is removed from its coaches.
+ */
+const deleteTrainingGroup = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { id } = request.data;
+
+    if (!id) {
+      throw new Error('Training group ID is required');
+    }
+
+    const [swimmersSnapshot, coachesSnapshot] = await Promise.all([
+      db.collection(usersCollection).where('trainingGroupId', '==', id).get(),
+      db
+        .collection(usersCollection)
+        .where('coachGroupIds', 'array-contains', id)
+        .get(),
+    ]);
+
+    let batch = db.batch();
+    let writes = 0;
+    const commitIfFull = async () => {
+      writes++;
+      if (writes % 400 === 0) {
+        await batch.commit();
+        batch = db.batch();
+      }
+    };
+
+    for (const doc of swimmersSnapshot.docs) {
+      batch.update(doc.ref, { trainingGroupId: FieldValue.delete() });
+      await commitIfFull();
+    }
+    for (const doc of coachesSnapshot.docs) {
+      batch.update(doc.ref, { coachGroupIds: FieldValue.arrayRemove(id) });
+      await commitIfFull();
+    }
+    batch.delete(db.collection(trainingGroupsCollection).doc(id));
+    await batch.commit();
+
+    return {
+      success: true,
+      message: 'Training group deleted successfully',
+    };
+  } catch (error) {
+    logger.error('Error deleting training group:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Put a swimmer in a training group (Admin only)
+ * Pass a null `groupId` to remove the swimmer from their group.
+ */
+const assignSwimmerToGroup = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { userId, groupId } = request.data;
+
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    if (groupId) {
+      const groupDoc = await db
+        .collection(trainingGroupsCollection)
+        .doc(groupId)
+        .get();
+      if (!groupDoc.exists) {
+        throw new Error('Training group not found');
+      }
+    }
+
+    await db
+      .collection(usersCollection)
+      .doc(userId)
+      .update({
+        trainingGroupId: groupId || FieldValue.delete(),
+        updatedAt: new Date().toISOString(),
+      });
+
+    return {
+      success: true,
+      message: groupId
+        ? 'Swimmer assigned to group successfully'
+        : 'Swimmer removed from group successfully',
+    };
+  } catch (error) {
+    logger.error('Error assigning swimmer to group:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Make a user a coach of a set of training groups (Admin only)
+ * The user is found by `userId` or `email`. Their role is set to `coach`;
+ * an empty list leaves them a coach with no groups.
+ */
+const assignCoach = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+
+    const { userId, email } = request.data;
+    const groupIds = [...new Set(request.data.groupIds || [])];
+
+    if (!userId && !email) {
+      throw new Error('User ID or email is required');
+    }
+
+    const groupDocs = await Promise.all(
+      groupIds.map((groupId) =>
+        db.collection(trainingGroupsCollection).doc(groupId).get()
+      )
+    );
+    const missing = groupDocs.find((doc) => !doc.exists);
+    if (missing) {
+      throw new Error(`Training group not found: ${missing.id}`);
+    }
+
+    let userDoc;
+    if (userId) {
+      userDoc = await db.collection(usersCollection).doc(userId).get();
+    } else {
+      const usersSnapshot = await db
+        .collection(usersCollection)
+        .where('email', '==', email.trim())
+        .limit(1)
+        .get();
+      userDoc = usersSnapshot.docs[0];
+    }
+
+    if (!userDoc || !userDoc.exists) {
+      throw new Error('User not found');
+    }
+    if (userDoc.data().role === 'admin') {
+      throw new Error('Admins already have access to every swimmer');
+    }
+
+    await userDoc.ref.update({
+      role: 'coach',
+      coachGroupIds: groupIds,
+      updatedAt: new Date().toISOString(),
+    });
+
+    return {
+      success: true,
+      message: 'Coach groups updated successfully',
+    };
+  } catch (error) {
+    logger.error('Error assigning coach:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Add a coaching note for a swimmer (Admin or the swimmer's coach)
+ * Notes may be tied to an event with `eventId`.
+ */
+const addSwimmerNote = async (request) => {
+  try {
+    const { userId, eventId } = request.data;
+    const text = (request.data.text || '').trim();
+
+    if (!userId || !text) {
+      throw new Error('Missing required fields');
+    }
+
+    const author = await assertCanManageSwimmer(request.auth, userId);
+
+    const noteData = {
+      text,
+      eventId: eventId || null,
+      authorId: author.id,
+      authorName: getDisplayName(author),
+      createdAt: new Date().toISOString(),
+    };
+
+    const noteRef = await db
+      .collection(usersCollection)
+      .doc(userId)
+      .collection(notesCollection)
+      .add(noteData);
+
+    return {
+      success: true,
+      message: 'Note added successfully',
+      note: {
+        id: noteRef.id,
+        ...noteData,
+      },
+    };
+  } catch (error) {
+    logger.error('Error adding swimmer note:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get coaching notes for a swimmer, newest first
+ * Swimmers see their own notes; admins and coaches may pass `userId`.
+ */
+const getSwimmerNotes = async (request) => {
+  try {
+    // Ensure user is authenticated
+    if (!request.auth) {
+      throw new Error('Authentication required');
+    }
+
+    const userId = (request.data && request.data.userId) || request.auth.uid;
+    if (userId !== request.auth.uid) {
+      await assertCanViewSwimmer(request.auth, userId);
+    }
+
+    const snapshot = await db
+      .collection(usersCollection)
+      .doc(userId)
+      .collection(notesCollection)
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    // Filtered here to avoid needing a composite index
+    const eventId = request.data && request.data.eventId;
+    const notes = snapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .filter((note) => !eventId || note.eventId === eventId);
+
+    return {
+      success: true,
+      notes,
+    };
+  } catch (error) {
+    logger.error('Error getting swimmer notes:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Delete a coaching note (Admin or the note's author)
+ */
+const deleteSwimmerNote = async (request) => {
+  try {
+    const { userId, noteId } = request.data;
+
+    if (!userId || !noteId) {
+      throw new Error('Missing required fields');
+    }
+
+    const caller = await assertCanManageSwimmer(request.auth, userId);
+
+    const noteRef = db
+      .collection(usersCollection)
+      .doc(userId)
+      .collection(notesCollection)
+      .doc(noteId);
+    const noteDoc = await noteRef.get();
+
+    if (!noteDoc.exists) {
+      throw new Error('Note not found');
+    }
+    if (caller.role !== 'admin' && noteDoc.data().authorId !== caller.id) {
+      throw new Error('Only the author can delete this note');
+    }
+
+    await noteRef.delete();
+
+    return {
+      success: true,
+      message: 'Note deleted successfully',
+    };
+  } catch (error) {
+    logger.error('Error deleting swimmer note:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.getTrainingGroups = onCall(
+  { cors: true, region: 'us-central1' },
+  getTrainingGroups
+);
+exports.saveTrainingGroup = onCall(
+  { cors: true, region: 'us-central1' },
+  saveTrainingGroup
+);
+exports.deleteTrainingGroup = onCall(
+  { cors: true, region: 'us-central1' },
+  deleteTrainingGroup
+);
+exports.assignSwimmerToGroup = onCall(
+  { cors: true, region: 'us-central1' },
+  assignSwimmerToGroup
+);
+exports.assignCoach = onCall(
+  { cors: true, region: 'us-central1' },
+  assignCoach
+);
+exports.addSwimmerNote = onCall(
+  { cors: true, region: 'us-central1' },
+  addSwimmerNote
+);
+exports.getSwimmerNotes = onCall(
+  { cors: true, region: 'us-central1' },
+  getSwimmerNotes
+);
+exports.deleteSwimmerNote = onCall(
+  { cors: true, region: 'us-central1' },
+  deleteSwimmerNote
+);
+
+// Export helpers for the report card functions
+exports.getDisplayName = getDisplayName;
@@ -0,0 +1,1183 @@
+/**
+ * Cloud Functions for volunteer jobs at meets and events
+ *
+ * Admins attach volunteer shifts to an event: a role such as timer,
+ * marshal, concession or official, with start and end times and a number
+ * of slots. They are kept on the event document in `volunteerShifts`.
+ * Anyone signed in can take an open slot; each document in
+ * `volunteerSignups` is one volunteer in one shift.
+ *
+ * Volunteers who can't make their shift can move to another shift of the
+ * event with a free slot, or offer theirs for swap: the next person to sign
+ * up for the full shift takes it over and the volunteer who offered it is
+ * notified. Volunteers are reminded of their shifts a day or two ahead.
+ *
+ * Hours count once a shift is over, unless an admin marks the volunteer as
+ * a no-show. They are totalled per family, which is everyone joined by
+ * parent and guardian links (see ./guardians), so both parents of the same
+ * swimmers share their hours. Each season families owe the hours set in
+ * `settings/volunteering`.
+ */
+
+const { onCall } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const logger = require('firebase-functions/logger');
+const { getCaller, assertAdmin } = require('./auth');
+const { getDisplayName } = require('./trainingGroups');
+const { notifyUsers } = require('./notifications');
+const { getSeason } = require('./seasons');
+const { IN_QUERY_LIMIT } = require('./queries');
+const { CLUB_TIME_ZONE, toDate } = require('./recurrence');
+const { toCsv } = require('./csv');
+
+// Get Firestore instance
+const db = getFirestore(undefined, 'digby-dolphins');
+
+// Collection references
+const usersCollection = 'users';
+const eventsCollection = 'events';
+const volunteerSignupsCollection = 'volunteerSignups';
+const settingsCollection = 'settings';
+const volunteeringDoc = 'volunteering';
+
+// Families owe no hours until an admin sets an obligation
+const DEFAULT_FAMILY_HOURS = 0;
+
+// Shifts starting within this many hours are reminded
+const REMINDER_HOURS = 48;
+
+// Notifications sent to volunteers
+const VOLUNTEER_REMINDER = 'volunteerReminder';
+const VOLUNTEER_SHIFT_TAKEN = 'volunteerShiftTaken';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Helper function to round hours to two decimal places
+ * @param {number} hours - Hours
+ * @returns {number} The rounded hours
+ */
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Helper function to get the length of a shift
+ * @param {Object} shift - A volunteer shift
+ * @returns {number} The shift's hours
+ */
+const getShiftHours = (shift) =>
+  roundHours((new Date(shift.endTime) - new Date(shift.startTime)) / HOUR);
+
+/**
+ * Helper function to format a shift's start in the club's time zone
+ * @param {string} startTime - The shift's start (ISO string)
+ * @returns {string} e.g. "Sat, Nov 8, 9:00 a.m."
+ */
+const formatShiftTime = (startTime) =>
+  new Date(startTime).toLocaleString('en-CA', {
+    timeZone: CLUB_TIME_ZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Helper function to validate an event's volunteer shifts
+ * New shifts are given an ID; existing shifts keep theirs so their
+ * sign-ups follow them.
+ * @param {Array<Object>} shifts - { id, role, description, startTime,
+ *   endTime, slots }
+ * @returns {Array<Object>} The shifts, with times as ISO strings
+ */
+const normalizeVolunteerShifts = (shifts) => {
+  if (!Array.isArray(shifts)) {
+    throw new Error('Shifts must be a list');
+  }
+
+  return shifts.map((shift, index) => {
+    const label = `Shift ${index + 1}`;
+    const role = String(shift.role || '').trim();
+    const startTime = new Date(shift.startTime);
+    const endTime = new Date(shift.endTime);
+    const slots = parseInt(shift.slots, 10);
+
+    if (!role) {
+      throw new Error(`${label} needs a role`);
+    }
+    if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+      throw new Error(`${label} needs a start and end time`);
+    }
+    if (endTime <= startTime) {
+      throw new Error(`${label} must end after it starts`);
+    }
+    if (!(slots > 0)) {
+      throw new Error(`${label} needs at least one slot`);
+    }
+
+    return {
+      id: shift.id || db.collection(eventsCollection).doc().id,
+      role,
+      description: String(shift.description || '').trim(),
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      slots,
+    };
+  });
+};
+
+/**
+ * Helper function to load an event and its volunteer shifts
+ * @param {string} eventId - The event ID
+ * @param {Object} [transaction] - Read inside this transaction
+ * @returns {Promise<Object>} { id, title, location, startDate, isRecurring,
+ *   shifts }
+ */
+const loadVolunteerEvent = async (eventId, transaction) => {
+  if (!eventId) {
+    throw new Error('Event ID is required');
+  }
+
+  const eventRef = db.collection(eventsCollection).doc(eventId);
+  const eventDoc = transaction
+    ? await transaction.get(eventRef)
+    : await eventRef.get();
+  if (!eventDoc.exists) {
+    throw new Error('Event not found');
+  }
+
+  const data = eventDoc.data();
+  const startDate = toDate(data.startDate);
+  return {
+    id: eventDoc.id,
+    title: data.title,
+    location: data.location || '',
+    startDate: startDate ? startDate.toISOString() : null,
+    isRecurring: Boolean(data.isRecurring),
+    shifts: data.volunteerShifts || [],
+  };
+};
+
+/**
+ * Helper function to load the sign-ups for an event's shifts
+ * @param {string} eventId - The event ID
+ * @param {Object} [transaction] - Read inside this transaction
+ * @returns {Promise<Array<Object>>} The sign-ups
+ */
+const loadEventSignups = async (eventId, transaction) => {
+  const query = db
+    .collection(volunteerSignupsCollection)
+    .where('eventId', '==', eventId);
+  const signupsSnapshot = transaction
+    ? await transaction.get(query)
+    : await query.get();
+
+  return signupsSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Helper function to find a shift that can still be signed up for
+ * @param {Object} event - The event from loadVolunteerEvent
+ * @param {string} shiftId - The shift ID
+ * @returns {Object} The shift
+ */
+const findOpenShift = (event, shiftId) => {
+  const shift = event.shifts.find((candidate) => candidate.id === shiftId);
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+  if (new Date(shift.startTime) <= new Date()) {
+    throw new Error('This shift has already started');
+  }
+  return shift;
+};
+
+/**
+ * Helper function to copy a shift's details onto its sign-ups
+ * @param {Object} event - The event from loadVolunteerEvent
+ * @param {Object} shift - The shift
+ * @returns {Object} Sign-up fields
+ */
+const toSignupFields = (event, shift) => ({
+  eventId: event.id,
+  eventTitle: event.title,
+  shiftId: shift.id,
+  role: shift.role,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  hours: getShiftHours(shift),
+});
+
+/**
+ * Helper function to summarize a shift and who has signed up
+ * Only admins see the volunteers' names; everyone sees their own sign-up.
+ * @param {Object} shift - The shift
+ * @param {Array<Object>} signups - The event's sign-ups
+ * @param {Object} caller - The caller's user data
+ * @returns {Object} The shift with its hours, slots filled and open
+ */
+const toShiftResponse = (shift, signups, caller) => {
+  const shiftSignups = signups.filter((signup) => signup.shiftId === shift.id);
+  const mySignup = shiftSignups.find((signup) => signup.userId === caller.id);
+
+  return {
+    ...shift,
+    hours: getShiftHours(shift),
+    filled: shiftSignups.length,
+    open: Math.max(shift.slots - shiftSignups.length, 0),
+    offered: shiftSignups.filter((signup) => signup.offered).length,
+    mySignup: mySignup || null,
+    volunteers:
+      caller.role === 'admin'
+        ? shiftSignups.map((signup) => ({
+            id: signup.id,
+            userId: signup.userId,
+            userName: signup.userName,
+            offered: Boolean(signup.offered),
+            noShow: Boolean(signup.noShow),
+          }))
+        : [],
+  };
+};
+
+/**
+ * Helper function to summarize an event's shifts
+ * @param {Object} event - The event from loadVolunteerEvent
+ * @param {Array<Object>} signups - The event's sign-ups
+ * @param {Object} caller - The caller's user data
+ * @returns {Object} The event with its shifts in start order
+ */
+const toEventResponse = (event, signups, caller) => ({
+  id: event.id,
+  title: event.title,
+  location: event.location,
+  startDate: event.startDate,
+  shifts: [...event.shifts]
+    .sort(
+      (a, b) =>
+        a.startTime.localeCompare(b.startTime) || a.role.localeCompare(b.role)
+    )
+    .map((shift) => toShiftResponse(shift, signups, caller)),
+});
+
+/**
+ * Helper function to put a volunteer in a shift
+ * A free slot is taken if there is one. Otherwise the longest-offered
+ * sign-up is handed over to the volunteer; its previous volunteer is
+ * returned so they can be told.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {Object} event - The event from loadVolunteerEvent
+ * @param {Object} shift - The shift to join
+ * @param {Array<Object>} signups - The event's sign-ups
+ * @param {Object} volunteer - The volunteer's user data, including `id`
+ * @param {Object} [current] - The volunteer's sign-up for another shift,
+ *   when moving
+ * @returns {Object} { signup, replaced }
+ */
+const claimShift = (transaction, event, shift, signups, volunteer, current) => {
+  if (
+    signups.some(
+      (signup) => signup.shiftId === shift.id && signup.userId === volunteer.id
+    )
+  ) {
+    throw new Error('You are already signed up for this shift');
+  }
+
+  const shiftSignups = signups.filter((signup) => signup.shiftId === shift.id);
+  const now = new Date().toISOString();
+  const fields = {
+    ...toSignupFields(event, shift),
+    userId: volunteer.id,
+    userName: getDisplayName(volunteer),
+    offered: false,
+    offeredAt: null,
+    noShow: false,
+    reminderSentAt: null,
+    updatedAt: now,
+  };
+
+  if (shiftSignups.length < shift.slots) {
+    if (current) {
+      transaction.update(
+        db.collection(volunteerSignupsCollection).doc(current.id),
+        fields
+      );
+      return { signup: { ...current, ...fields }, replaced: null };
+    }
+
+    const signupRef = db.collection(volunteerSignupsCollection).doc();
+    const signup = { ...fields, createdAt: now };
+    transaction.set(signupRef, signup);
+    return { signup: { id: signupRef.id, ...signup }, replaced: null };
+  }
+
+  const [replaced] = shiftSignups
+    .filter((signup) => signup.offered)
+    .sort((a, b) => a.offeredAt.localeCompare(b.offeredAt));
+  if (!replaced) {
+    throw new Error('This shift is full');
+  }
+
+  transaction.update(
+    db.collection(volunteerSignupsCollection).doc(replaced.id),
+    fields
+  );
+  if (current) {
+    transaction.delete(
+      db.collection(volunteerSignupsCollection).doc(current.id)
+    );
+  }
+  return { signup: { ...replaced, ...fields }, replaced };
+};
+
+/**
+ * Helper function to tell a volunteer their offered shift was taken
+ * @param {Object} replaced - Their sign-up before it was handed over
+ * @param {Object} signup - The sign-up now
+ * @returns {Promise<void>}
+ */
+const notifyShiftTaken = async (replaced, signup) => {
+  if (!replaced) {
+    return;
+  }
+
+  await notifyUsers([replaced.userId], {
+    type: VOLUNTEER_SHIFT_TAKEN,
+    title: 'Your shift was taken',
+    message:
+      `${signup.userName} took over your ${signup.role} shift at ` +
+      `${signup.eventTitle} (${formatShiftTime(signup.startTime)}).`,
+    link: '/athlete-zone/volunteer',
+    data: {
+      eventId: signup.eventId,
+      shiftId: signup.shiftId,
+    },
+  });
+};
+
+/**
+ * Helper function to load a sign-up the caller may change
+ * Volunteers may change their own sign-ups until the shift starts; admins
+ * may change any.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {string} signupId - The sign-up ID
+ * @param {Object} caller - The caller's user data
+ * @returns {Promise<Object>} The sign-up
+ */
+const loadOwnSignup = async (transaction, signupId, caller) => {
+  if (!signupId) {
+    throw new Error('Sign-up ID is required');
+  }
+
+  const signupDoc = await transaction.get(
+    db.collection(volunteerSignupsCollection).doc(signupId)
+  );
+  if (!signupDoc.exists) {
+    throw new Error('Sign-up not found');
+  }
+
+  const signup = { id: signupDoc.id, ...signupDoc.data() };
+  if (caller.role === 'admin') {
+    return signup;
+  }
+  if (signup.userId !== caller.id) {
+    throw new Error('You can only change your own shifts');
+  }
+  if (new Date(signup.startTime) <= new Date()) {
+    throw new Error('This shift has already started');
+  }
+  return signup;
+};
+
+/**
+ * Helper function to load the club's volunteering settings
+ * @returns {Promise<Object>} { familyHours }
+ */
+const loadVolunteerSettings = async () => {
+  const settingsDoc = await db
+    .collection(settingsCollection)
+    .doc(volunteeringDoc)
+    .get();
+  const settings = settingsDoc.exists ? settingsDoc.data() : {};
+
+  return {
+    familyHours:
+      typeof settings.familyHours === 'number'
+        ? settings.familyHours
+        : DEFAULT_FAMILY_HOURS,
+  };
+};
+
+/**
+ * Helper function to check whether a sign-up counts toward a season's hours
+ * @param {Object} signup - A sign-up
+ * @param {Object} season - The season from getSeason
+ * @returns {boolean} Whether the shift is over, was worked and falls in
+ *   the season
+ */
+const countsTowardHours = (signup, season) => {
+  const startTime = new Date(signup.startTime);
+  return (
+    !signup.noShow &&
+    new Date(signup.endTime) <= new Date() &&
+    startTime >= season.start &&
+    startTime <= season.end
+  );
+};
+
+/**
+ * Helper function to load a user's family
+ * Follows parent and guardian links in both directions, so siblings and
+ * both of their parents are found.
+ * @param {string} userId - The user ID
+ * @returns {Promise<Map<string, Object>>} Family members' data by user ID
+ */
+const loadFamily = async (userId) => {
+  const members = new Map();
+  const seen = new Set([userId]);
+  let pending = [userId];
+
+  while (pending.length > 0) {
+    const memberDocs = await db.getAll(
+      ...pending.map((id) => db.collection(usersCollection).doc(id))
+    );
+    pending = [];
+
+    memberDocs
+      .filter((doc) => doc.exists)
+      .forEach((doc) => {
+        const member = doc.data();
+        members.set(doc.id, member);
+        [...(member.athleteIds || []), ...(member.guardianIds || [])]
+          .filter((id) => !seen.has(id))
+          .forEach((id) => {
+            seen.add(id);
+            pending.push(id);
+          });
+      });
+  }
+
+  return members;
+};
+
+/**
+ * Helper function to group users into families
+ * @param {Map<string, Object>} users - Users' data by user ID
+ * @returns {Array<Array<string>>} The user IDs of each family
+ */
+const groupFamilies = (users) => {
+  const parents = new Map();
+  const find = (id) => {
+    while (parents.get(id) !== id) {
+      parents.set(id, parents.get(parents.get(id)));
+      id = parents.get(id);
+    }
+    return id;
+  };
+
+  users.forEach((user, id) => parents.set(id, id));
+  users.forEach((user, id) => {
+    (user.athleteIds || [])
+      .filter((athleteId) => users.has(athleteId))
+      .forEach((athleteId) => parents.set(find(athleteId), find(id)));
+  });
+
+  const families = new Map();
+  users.forEach((user, id) => {
+    const root = find(id);
+    families.set(root, [...(families.get(root) || []), id]);
+  });
+  return [...families.values()];
+};
+
+/**
+ * Helper function to total a family's volunteer hours
+ * @param {Array<string>} memberIds - The family's user IDs
+ * @param {Map<string, Object>} users - Users' data by user ID
+ * @param {Array<Object>} signups - Sign-ups counting toward the season
+ * @param {number} familyHours - Hours each family owes
+ * @returns {Object} The family's swimmers, volunteers and hours
+ */
+const toFamilyResponse = (memberIds, users, signups, familyHours) => {
+  const familySignups = signups.filter((signup) =>
+    memberIds.includes(signup.userId)
+  );
+  const hours = roundHours(
+    familySignups.reduce((total, signup) => total + signup.hours, 0)
+  );
+  const swimmerIds = memberIds.filter(
+    (id) => users.get(id).role === 'athlete'
+  );
+  const names = (ids) => ids.map((id) => getDisplayName(users.get(id)));
+
+  return {
+    id: [...memberIds].sort()[0],
+    name: names(swimmerIds.length > 0 ? swimmerIds : memberIds).join(', '),
+    swimmers: names(swimmerIds),
+    volunteers: [
+      ...new Set(familySignups.map((signup) => signup.userName)),
+    ],
+    shifts: familySignups.length,
+    hours,
+    obligation: familyHours,
+    remaining: roundHours(Math.max(familyHours - hours, 0)),
+  };
+};
+
+/**
+ * Helper function to total every family's hours for a season
+ * Families with swimmers are listed even if they have no hours yet.
+ * @param {string} [seasonStart] - First day of the season (YYYY-MM-DD)
+ * @param {string} [seasonEnd] - Last day of the season (YYYY-MM-DD)
+ * @returns {Promise<Object>} { season, familyHours, families }
+ */
+const loadFamilyHours = async (seasonStart, seasonEnd) => {
+  const season = getSeason(seasonStart, seasonEnd);
+
+  const [usersSnapshot, signupsSnapshot, settings] = await Promise.all([
+    db.collection(usersCollection).get(),
+    db
+      .collection(volunteerSignupsCollection)
+      .where('startTime', '>=', season.start.toISOString())
+      .where('startTime', '<=', season.end.toISOString())
+      .get(),
+    loadVolunteerSettings(),
+  ]);
+
+  const users = new Map(
+    usersSnapshot.docs.map((doc) => [doc.id, doc.data()])
+  );
+  const signups = signupsSnapshot.docs
+    .map((doc) => doc.data())
+    .filter((signup) => countsTowardHours(signup, season));
+
+  const families = groupFamilies(users)
+    .map((memberIds) =>
+      toFamilyResponse(memberIds, users, signups, settings.familyHours)
+    )
+    .filter((family) => family.swimmers.length > 0 || family.shifts > 0)
+    .sort((a, b) => b.remaining - a.remaining || a.name.localeCompare(b.name));
+
+  return {
+    season: {
+      start: season.start.toISOString(),
+      end: season.end.toISOString(),
+      label: season.label,
+    },
+    familyHours: settings.familyHours,
+    families,
+  };
+};
+
+/**
+ * Helper function to list an event's volunteer shifts and open slots
+ * Used by the assistant to answer questions like "what volunteer jobs are
+ * still open at Saturday's meet?". The assistant is open to everyone, so
+ * the shifts are summarized as for a signed-out visitor: counts only, no
+ * volunteers.
+ * @param {string} eventId - The event ID
+ * @returns {Promise<Object>} The event and its shifts
+ */
+const getVolunteerShiftSummary = async (eventId) => {
+  const [event, signups] = await Promise.all([
+    loadVolunteerEvent(eventId),
+    loadEventSignups(eventId),
+  ]);
+
+  return {
+    success: true,
+    event: toEventResponse(event, signups, { id: null, role: null }),
+  };
+};
+
+/**
+ * Helper function to remind volunteers of their upcoming shifts
+ * Each sign-up is reminded once; moving to another shift resets it.
+ * @returns {Promise<number>} The number of reminders sent
+ */
+const sendVolunteerReminders = async () => {
+  const now = new Date();
+  const signupsSnapshot = await db
+    .collection(volunteerSignupsCollection)
+    .where('startTime', '>', now.toISOString())
+    .where(
+      'startTime',
+      '<=',
+      new Date(now.getTime() + REMINDER_HOURS * HOUR).toISOString()
+    )
+    .get();
+
+  const due = signupsSnapshot.docs.filter(
+    (doc) => !doc.data().reminderSentAt
+  );
+  for (const doc of due) {
+    const signup = doc.data();
+    await notifyUsers([signup.userId], {
+      type: VOLUNTEER_REMINDER,
+      title: 'Volunteer shift coming up',
+      message:
+        `Thank you! You're volunteering as ${signup.role} at ` +
+        `${signup.eventTitle} on ${formatShiftTime(signup.startTime)}`,
+      link: '/athlete-zone/volunteer',
+      data: {
+        eventId: signup.eventId,
+        shiftId: signup.shiftId,
+      },
+    });
+    await doc.ref.update({ reminderSentAt: new Date().toISOString() });
+  }
+
+  return due.length;
+};
+
+/**
+ * Set the volunteer shifts of an event (Admin only)
+ * `shifts` replaces the event's shifts; send each existing shift back with
+ * its `id`. Shifts with volunteers cannot be removed or given fewer slots
+ * than volunteers, and their volunteers' sign-ups follow any new times.
+ */
+const saveVolunteerShifts = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+    const { eventId } = request.data;
+
+    const event = await loadVolunteerEvent(eventId);
+    if (event.isRecurring) {
+      throw new Error('Volunteer shifts can only be added to single events');
+    }
+
+    const shifts = normalizeVolunteerShifts(request.data.shifts);
+    const signups = await loadEventSignups(eventId);
+
+    const batch = db.batch();
+    signups.forEach((signup) => {
+      const shift = shifts.find((candidate) => candidate.id === signup.shiftId);
+      if (!shift) {
+        throw new Error(
+          `Remove the volunteers from the ${signup.role} shift before ` +
+            'deleting it'
+        );
+      }
+      const filled = signups.filter(
+        (other) => other.shiftId === shift.id
+      ).length;
+      if (filled > shift.slots) {
+        throw new Error(
+          `The ${shift.role} shift already has ${filled} volunteers`
+        );
+      }
+
+      const changes = {
+        ...toSignupFields(event, shift),
+        updatedAt: new Date().toISOString(),
+      };
+      if (shift.startTime !== signup.startTime) {
+        changes.reminderSentAt = null;
+      }
+      batch.update(
+        db.collection(volunteerSignupsCollection).doc(signup.id),
+        changes
+      );
+    });
+    batch.update(db.collection(eventsCollection).doc(eventId), {
+      volunteerShifts: shifts,
+      hasVolunteerShifts: shifts.length > 0,
+      updatedAt: Timestamp.now(),
+    });
+    await batch.commit();
+
+    const updatedSignups = await loadEventSignups(eventId);
+    return {
+      success: true,
+      message: 'Volunteer shifts saved successfully',
+      event: toEventResponse(
+        { ...event, shifts },
+        updatedSignups,
+        { role: 'admin' }
+      ),
+    };
+  } catch (error) {
+    logger.error('Error saving volunteer shifts:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get events' volunteer shifts and open slots (Authenticated users)
+ * Pass `eventId` for one event; otherwise every event with shifts still to
+ * come is returned, soonest first.
+ */
+const getVolunteerShifts = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const { eventId } = request.data || {};
+
+    let events;
+    if (eventId) {
+      events = [await loadVolunteerEvent(eventId)];
+    } else {
+      const eventsSnapshot = await db
+        .collection(eventsCollection)
+        .where('hasVolunteerShifts', '==', true)
+        .get();
+      const now = new Date().toISOString();
+
+      events = await Promise.all(
+        eventsSnapshot.docs
+          .filter((doc) =>
+            (doc.data().volunteerShifts || []).some(
+              (shift) => shift.endTime > now
+            )
+          )
+          .map((doc) => loadVolunteerEvent(doc.id))
+      );
+    }
+
+    const responses = await Promise.all(
+      events.map(async (event) =>
+        toEventResponse(event, await loadEventSignups(event.id), caller)
+      )
+    );
+    const firstShift = (event) =>
+      event.shifts.length > 0 ? event.shifts[0].startTime : '';
+
+    return {
+      success: true,
+      events: responses.sort((a, b) =>
+        firstShift(a).localeCompare(firstShift(b))
+      ),
+    };
+  } catch (error) {
+    logger.error('Error getting volunteer shifts:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Sign up for a volunteer shift (Authenticated users)
+ * A full shift can still be signed up for if one of its volunteers has
+ * offered their slot for swap; they are told it was taken.
+ */
+const signUpForVolunteerShift = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const { eventId, shiftId } = request.data;
+
+    const result = await db.runTransaction(async (transaction) => {
+      const event = await loadVolunteerEvent(eventId, transaction);
+      const shift = findOpenShift(event, shiftId);
+      const signups = await loadEventSignups(eventId, transaction);
+
+      return claimShift(transaction, event, shift, signups, caller);
+    });
+
+    await notifyShiftTaken(result.replaced, result.signup);
+
+    return {
+      success: true,
+      message: `You're signed up as ${result.signup.role}. Thank you!`,
+      signup: result.signup,
+    };
+  } catch (error) {
+    logger.error('Error signing up for volunteer shift:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Move a sign-up to another shift of the same event (Authenticated users)
+ * The new shift needs a free slot or one offered for swap.
+ */
+const swapVolunteerShift = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const { signupId, shiftId } = request.data;
+
+    const result = await db.runTransaction(async (transaction) => {
+      const current = await loadOwnSignup(transaction, signupId, caller);
+      if (current.shiftId === shiftId) {
+        throw new Error('You are already signed up for this shift');
+      }
+
+      const event = await loadVolunteerEvent(current.eventId, transaction);
+      const shift = findOpenShift(event, shiftId);
+      const signups = await loadEventSignups(current.eventId, transaction);
+      const volunteer = { id: current.userId, displayName: current.userName };
+
+      return claimShift(
+        transaction,
+        event,
+        shift,
+        signups.filter((signup) => signup.id !== current.id),
+        volunteer,
+        current
+      );
+    });
+
+    await notifyShiftTaken(result.replaced, result.signup);
+
+    return {
+      success: true,
+      message: `You're now volunteering as ${result.signup.role}`,
+      signup: result.signup,
+    };
+  } catch (error) {
+    logger.error('Error swapping volunteer shift:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Offer a shift for swap, or take the offer back (Authenticated users)
+ * The volunteer keeps the shift until someone else signs up for it.
+ */
+const offerVolunteerShift = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const { signupId, offered = true } = request.data;
+
+    const signup = await db.runTransaction(async (transaction) => {
+      const current = await loadOwnSignup(transaction, signupId, caller);
+      const now = new Date().toISOString();
+      const changes = {
+        offered: Boolean(offered),
+        offeredAt: offered ? current.offeredAt || now : null,
+        updatedAt: now,
+      };
+
+      transaction.update(
+        db.collection(volunteerSignupsCollection).doc(signupId),
+        changes
+      );
+      return { ...current, ...changes };
+    });
+
+    return {
+      success: true,
+      message: signup.offered
+        ? 'Your shift is offered for swap. You are still on it until ' +
+          'someone takes it.'
+        : 'Your shift is no longer offered for swap',
+      signup,
+    };
+  } catch (error) {
+    logger.error('Error offering volunteer shift:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Cancel a sign-up (Authenticated users)
+ * Volunteers cancel their own before the shift starts; admins can remove
+ * anyone.
+ */
+const cancelVolunteerSignup = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const { signupId } = request.data;
+
+    await db.runTransaction(async (transaction) => {
+      await loadOwnSignup(transaction, signupId, caller);
+      transaction.delete(
+        db.collection(volunteerSignupsCollection).doc(signupId)
+      );
+    });
+
+    return {
+      success: true,
+      message: 'Sign-up cancelled',
+    };
+  } catch (error) {
+    logger.error('Error cancelling volunteer sign-up:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Mark a volunteer as a no-show, or undo it (Admin only)
+ * No-show shifts do not count toward the family's hours.
+ */
+const setVolunteerNoShow = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+    const { signupId, noShow = true } = request.data;
+
+    if (!signupId) {
+      throw new Error('Sign-up ID is required');
+    }
+
+    const signupRef = db.collection(volunteerSignupsCollection).doc(signupId);
+    const signupDoc = await signupRef.get();
+    if (!signupDoc.exists) {
+      throw new Error('Sign-up not found');
+    }
+
+    await signupRef.update({
+      noShow: Boolean(noShow),
+      updatedAt: new Date().toISOString(),
+    });
+
+    return {
+      success: true,
+      message: noShow ? 'Marked as a no-show' : 'No-show cleared',
+    };
+  } catch (error) {
+    logger.error('Error setting volunteer no-show:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the caller's shifts and their family's hours this season
+ * (Authenticated users)
+ */
+const getMyVolunteering = async (request) => {
+  try {
+    const caller = await getCaller(request.auth);
+    const season = getSeason();
+
+    const [members, settings] = await Promise.all([
+      loadFamily(caller.id),
+      loadVolunteerSettings(),
+    ]);
+    const memberIds = [...members.keys()];
+
+    const familySignups = [];
+    for (let i = 0; i < memberIds.length; i += IN_QUERY_LIMIT) {
+      const signupsSnapshot = await db
+        .collection(volunteerSignupsCollection)
+        .where('userId', 'in', memberIds.slice(i, i + IN_QUERY_LIMIT))
+        .get();
+      signupsSnapshot.docs.forEach((doc) =>
+        familySignups.push({ id: doc.id, ...doc.data() })
+      );
+    }
+
+    return {
+      success: true,
+      signups: familySignups
+        .filter((signup) => signup.userId === caller.id)
+        .sort((a, b) => a.startTime.localeCompare(b.startTime)),
+      family: toFamilyResponse(
+        memberIds,
+        members,
+        familySignups.filter((signup) => countsTowardHours(signup, season)),
+        settings.familyHours
+      ),
+      season: {
+        start: season.start.toISOString(),
+        end: season.end.toISOString(),
+        label: season.label,
+      },
+    };
+  } catch (error) {
+    logger.error('Error getting volunteering:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get every family's volunteer hours for a season (Admin only)
+ * Defaults to the current season; pass `seasonStart` and `seasonEnd`
+ * (YYYY-MM-DD) for another. Families furthest from their obligation are
+ * listed first.
+ */
+const getVolunteerHours = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+    const { seasonStart, seasonEnd } = request.data || {};
+
+    return {
+      success: true,
+      ...(await loadFamilyHours(seasonStart, seasonEnd)),
+    };
+  } catch (error) {
+    logger.error('Error getting volunteer hours:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Export every family's volunteer hours for a season as CSV (Admin only)
+ */
+const exportVolunteerHours = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+    const { seasonStart, seasonEnd } = request.data || {};
+
+    const { season, families } = await loadFamilyHours(seasonStart, seasonEnd);
+    const content = toCsv([
+      ['Family', 'Volunteers', 'Shifts', 'Hours', 'Obligation', 'Remaining'],
+      ...families.map((family) => [
+        family.name,
+        family.volunteers.join('; '),
+        family.shifts,
+        family.hours,
+        family.obligation,
+        family.remaining,
+      ]),
+    ]);
+
+    return {
+      success: true,
+      filename: `volunteer-hours-${season.label}.csv`,
+      content,
+      count: families.length,
+    };
+  } catch (error) {
+    logger.error('Error exporting volunteer hours:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Get the club's volunteering settings (Authenticated users)
+ */
+const getVolunteerSettings = async (request) => {
+  try {
+    await getCaller(request.auth);
+
+    return {
+      success: true,
+      settings: await loadVolunteerSettings(),
+    };
+  } catch (error) {
+    logger.error('Error getting volunteer settings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Save the club's volunteering settings (Admin only)
+ * `familyHours` is the number of hours each family owes per season.
+ */
+const saveVolunteerSettings = async (request) => {
+  try {
+    await assertAdmin(request.auth);
+    const familyHours = Number(request.data.familyHours);
+
+    if (!Number.isFinite(familyHours) || familyHours < 0) {
+      throw new Error('Family hours must be zero or more');
+    }
+
+    await db.collection(settingsCollection).doc(volunteeringDoc).set({
+      familyHours,
+      updatedAt: new Date().toISOString(),
+      updatedBy: request.auth.uid,
+    });
+
+    return {
+      success: true,
+      message: 'Volunteer settings saved successfully',
+      settings: { familyHours },
+    };
+  } catch (error) {
+    logger.error('Error saving volunteer settings:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+// Export the functions
+exports.saveVolunteerShifts = onCall(
+  { cors: true, region: 'us-central1' },
+  saveVolunteerShifts
+);
+exports.getVolunteerShifts = onCall(
+  { cors: true, region: 'us-central1' },
+  getVolunteerShifts
+);
+exports.signUpForVolunteerShift = onCall(
+  { cors: true, region: 'us-central1' },
+  signUpForVolunteerShift
+);
+exports.swapVolunteerShift = onCall(
+  { cors: true, region: 'us-central1' },
+  swapVolunteerShift
+);
+exports.offerVolunteerShift = onCall(
+  { cors: true, region: 'us-central1' },
+  offerVolunteerShift
+);
+exports.cancelVolunteerSignup = onCall(
+  { cors: true, region: 'us-central1' },
+  cancelVolunteerSignup
+);
+exports.setVolunteerNoShow = onCall(
+  { cors: true, region: 'us-central1' },
+  setVolunteerNoShow
+);
+exports.getMyVolunteering = onCall(
+  { cors: true, region: 'us-central1' },
+  getMyVolunteering
+);
+exports.getVolunteerHours = onCall(
+  { cors: true, region: 'us-central1' },
+  getVolunteerHours
+);
+exports.exportVolunteerHours = onCall(
+  { cors: true, region: 'us-central1' },
+  exportVolunteerHours
+);
+exports.getVolunteerSettings = onCall(
+  { cors: true, region: 'us-central1' },
+  getVolunteerSettings
+);
+exports.saveVolunteerSettings = onCall(
+  { cors: true, region: 'us-central1' },
+  saveVolunteerSettings
+);
+
+// Remind volunteers of their shifts every morning
+exports.scheduledVolunteerReminders = onSchedule(
+  {
+    schedule: '0 9 * * *',
+    timeZone: CLUB_TIME_ZONE,
+    retryCount: 3,
+    memory: '256MiB',
+    region: 'us-central1',
+  },
+  async () => {
+    const sent = await sendVolunteerReminders();
+    logger.info(`Sent ${sent} volunteer shift reminders`);
+  }
+);
+
+// Export helpers for the assistant
+exports.getVolunteerShiftSummary = getVolunteerShiftSummary;
@@ -0,0 +1,127 @@
+// migrate-best-times-course.js - Add a pool course to best times recorded before courses were tracked
+// Usage: node migrate-best-times-course.js [course] [--dry-run]
+//
+// Best time documents used to be keyed "stroke_distance". They are now keyed
+// "stroke_distance_course", so legacy documents are copied to their new ID and
+// removed, and legacy swims get the course added. The course defaults to SCM.
+
+const admin = require('firebase-admin');
+
+const path = require('path');
+
+// Path to your service account key file
+const serviceAccountPath = path.join(__dirname, 'service-account-key.json');
+
+try {
+  admin.initializeApp({
+    credential: admin.credential.cert(require(serviceAccountPath)),
+    projectId: 'digby-dolphins',
+  });
+  console.log(
+    'Firebase Admin initialized successfully for project: digby-dolphins'
+  );
+} catch (error) {
+  console.error('Error initializing Firebase Admin:', error.message);
+  console.log(
+    '\nMake sure you have placed your service account key file at:',
+    serviceAccountPath
+  );
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const course = (args.find((arg) => !arg.startsWith('--')) || 'SCM').toUpperCase();
+
+if (!['SCM', 'SCY', 'LCM'].includes(course)) {
+  console.error(`Error: Invalid course "${course}"`);
+  console.log('Usage: node migrate-best-times-course.js [SCM|SCY|LCM] [--dry-run]');
+  process.exit(1);
+}
+
+// Migrate every user's best times and swims
+async function migrateBestTimesCourse() {
+  try {
+    const db = admin.firestore();
+    db.settings({ databaseId: 'digby-dolphins' });
+
+    console.log(
+      `Assigning course ${course} to legacy records${dryRun ? ' (dry run)' : ''}`
+    );
+
+    const usersSnapshot = await db.collection('users').get();
+    let bestTimesMigrated = 0;
+    let swimsMigrated = 0;
+
+    for (const userDoc of usersSnapshot.docs) {
+      const bestTimesSnapshot = await userDoc.ref
+        .collection('bestTimes')
+        .get();
+      const swimsSnapshot = await userDoc.ref.collection('swims').get();
+      let batch = db.batch();
+      let changes = 0;
+
+      // Firestore batches are limited to 500 writes
+      const flush = async () => {
+        if (changes > 0 && !dryRun) {
+          await batch.commit();
+        }
+        batch = db.batch();
+        changes = 0;
+      };
+
+      for (const bestTimeDoc of bestTimesSnapshot.docs) {
+        const data = bestTimeDoc.data();
+        if (data.course) {
+          continue;
+        }
+
+        const newId = `${bestTimeDoc.id}_${course}`;
+        batch.set(
+          userDoc.ref.collection('bestTimes').doc(newId),
+          { ...data, course },
+          { merge: true }
+        );
+        batch.delete(bestTimeDoc.ref);
+        console.log(`  ${userDoc.id}: bestTimes/${bestTimeDoc.id} -> ${newId}`);
+        bestTimesMigrated++;
+        changes += 2;
+        if (changes >= 400) {
+          await flush();
+        }
+      }
+
+      for (const swimDoc of swimsSnapshot.docs) {
+        const data = swimDoc.data();
+        if (data.course) {
+          continue;
+        }
+
+        batch.update(swimDoc.ref, {
+          course,
+          eventId: `${data.eventId}_${course}`,
+        });
+        swimsMigrated++;
+        changes++;
+        if (changes >= 400) {
+          await flush();
+        }
+      }
+
+      await flush();
+    }
+
+    console.log(
+      `✅ ${bestTimesMigrated} best times and ${swimsMigrated} swims ${
+        dryRun ? 'would be' : 'were'
+      } migrated`
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+// Run the function
+migrateBestTimesCourse();
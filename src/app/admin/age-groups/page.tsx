@@ -0,0 +1,261 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  getAgeGroupSettings,
+  saveAgeGroupSettings,
+  formatAgeGroupLabel,
+  MEET_START,
+  DEFAULT_AGE_GROUP_SETTINGS,
+} from '@/services/athleteProfileService';
+
+// Age group rows as typed into the form; blank means no limit
+interface AgeGroupRow {
+  minAge: string;
+  maxAge: string;
+}
+
+const toRows = (ageGroups: { minAge: number | null; maxAge: number | null }[]) =>
+  ageGroups.map((group) => ({
+    minAge: group.minAge === null ? '' : String(group.minAge),
+    maxAge: group.maxAge === null ? '' : String(group.maxAge),
+  }));
+
+const toAgeLimit = (age: string) => (age.trim() === '' ? null : Number(age));
+
+export default function ManageAgeGroups() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [ageUpMode, setAgeUpMode] = useState<'meetStart' | 'fixed'>('meetStart');
+  const [ageUpDay, setAgeUpDay] = useState('12-31');
+  const [rows, setRows] = useState<AgeGroupRow[]>([]);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load the club's settings when the page mounts
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const result = await getAgeGroupSettings();
+
+        if (!result.success || !result.settings) {
+          throw new Error(result.error || 'Failed to load age groups');
+        }
+
+        const { ageUpDate, ageGroups } = result.settings;
+        setAgeUpMode(ageUpDate === MEET_START ? 'meetStart' : 'fixed');
+        if (ageUpDate !== MEET_START) {
+          setAgeUpDay(ageUpDate);
+        }
+        setRows(toRows(ageGroups));
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching age groups:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchSettings();
+    }
+  }, [currentUser]);
+
+  const updateRow = (index: number, field: keyof AgeGroupRow, value: string) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSave = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveAgeGroupSettings({
+        ageUpDate: ageUpMode === 'meetStart' ? MEET_START : ageUpDay.trim(),
+        ageGroups: rows.map((row) => ({
+          minAge: toAgeLimit(row.minAge),
+          maxAge: toAgeLimit(row.maxAge),
+        })),
+      });
+
+      if (!result.success || !result.settings) {
+        throw new Error(result.error || 'Failed to save age groups');
+      }
+
+      setRows(toRows(result.settings.ageGroups));
+      setSuccess(result.message || 'Age groups saved');
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Age Groups</h1>
+          <p className='mt-2 max-w-3xl'>
+            Choose when swimmers age up and how they are grouped for time
+            standards, club records, meet scoring and relays.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <h2 className='text-lg font-bold text-secondary'>Age-Up Date</h2>
+          <div className='space-y-2 text-sm'>
+            <label className='flex items-center gap-2'>
+              <input
+                type='radio'
+                checked={ageUpMode === 'meetStart'}
+                onChange={() => setAgeUpMode('meetStart')}
+              />
+              First day of each meet
+            </label>
+            <label className='flex items-center gap-2'>
+              <input
+                type='radio'
+                checked={ageUpMode === 'fixed'}
+                onChange={() => setAgeUpMode('fixed')}
+              />
+              A fixed day each year (MM-DD)
+            </label>
+            {ageUpMode === 'fixed' && (
+              <input
+                type='text'
+                value={ageUpDay}
+                onChange={(e) => setAgeUpDay(e.target.value)}
+                className={inputClassName}
+                placeholder='12-31'
+              />
+            )}
+          </div>
+        </div>
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <h2 className='text-lg font-bold text-secondary'>Groups</h2>
+          <p className='text-sm text-gray-600'>
+            Leave the minimum or maximum age blank for an open-ended group.
+          </p>
+
+          <table className='min-w-full text-sm'>
+            <thead>
+              <tr className='text-left text-gray-500'>
+                <th className='py-2 pr-3'>Min Age</th>
+                <th className='py-2 pr-3'>Max Age</th>
+                <th className='py-2 pr-3'>Label</th>
+                <th className='py-2'></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={index}>
+                  <td className='py-1 pr-3'>
+                    <input
+                      type='number'
+                      min={0}
+                      value={row.minAge}
+                      onChange={(e) => updateRow(index, 'minAge', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </td>
+                  <td className='py-1 pr-3'>
+                    <input
+                      type='number'
+                      min={0}
+                      value={row.maxAge}
+                      onChange={(e) => updateRow(index, 'maxAge', e.target.value)}
+                      className={inputClassName}
+                    />
+                  </td>
+                  <td className='py-1 pr-3 text-gray-700'>
+                    {formatAgeGroupLabel(toAgeLimit(row.minAge), toAgeLimit(row.maxAge))}
+                  </td>
+                  <td className='py-1 text-right'>
+                    <button
+                      onClick={() => setRows(rows.filter((_, i) => i !== index))}
+                      className='text-red-600 hover:text-red-800'
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className='flex justify-between gap-3'>
+            <div className='flex gap-3'>
+              <button
+                onClick={() => setRows([...rows, { minAge: '', maxAge: '' }])}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Add Group
+              </button>
+              <button
+                onClick={() => {
+                  setAgeUpMode('meetStart');
+                  setRows(toRows(DEFAULT_AGE_GROUP_SETTINGS.ageGroups));
+                }}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Use Defaults
+              </button>
+            </div>
+            <button
+              onClick={handleSave}
+              className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+              disabled={isSubmitting || rows.length === 0}
+            >
+              {isSubmitting ? 'Saving...' : 'Save Age Groups'}
+            </button>
+          </div>
+
+          <p className='text-sm text-gray-500'>
+            Club records are kept by age group, so rebuild them after changing
+            the groups.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
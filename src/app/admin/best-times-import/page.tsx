@@ -0,0 +1,260 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  importBestTimesCsv,
+  formatTime,
+  CsvImportField,
+  CsvImportResponse,
+} from '@/services/bestTimesService';
+
+const FIELDS: { field: CsvImportField; label: string; required: boolean }[] = [
+  { field: 'userId', label: 'Athlete ID', required: false },
+  { field: 'email', label: 'Athlete Email', required: false },
+  { field: 'eventName', label: 'Event Name', required: false },
+  { field: 'stroke', label: 'Stroke', required: true },
+  { field: 'distance', label: 'Distance', required: true },
+  { field: 'course', label: 'Course', required: false },
+  { field: 'time', label: 'Time', required: true },
+  { field: 'date', label: 'Date', required: false },
+  { field: 'splits', label: 'Splits', required: false },
+  { field: 'splitDistance', label: 'Split Distance', required: false },
+];
+
+const STATUS_STYLES: Record<string, string> = {
+  inserted: 'bg-green-100 text-green-700',
+  updated: 'bg-blue-100 text-blue-700',
+  ignored: 'bg-gray-100 text-gray-600',
+  rejected: 'bg-red-100 text-red-700',
+};
+
+export default function ImportBestTimesCsv() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [csvContent, setCsvContent] = useState('');
+  const [mapping, setMapping] = useState<Partial<Record<CsvImportField, string>>>({});
+  const [report, setReport] = useState<CsvImportResponse | null>(null);
+  const [headers, setHeaders] = useState<string[]>([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Validate or import the CSV with the current column mapping
+  const runImport = async (
+    content: string,
+    dryRun: boolean,
+    columnMapping?: Partial<Record<CsvImportField, string>>
+  ) => {
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const result = await importBestTimesCsv(content, dryRun, columnMapping);
+
+      // The detected headers and mapping are returned even when the mapping is incomplete
+      if (result.headers) {
+        setHeaders(result.headers);
+      }
+      if (result.mapping) {
+        setMapping(result.mapping);
+      }
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to import best times');
+      }
+
+      setReport(result);
+    } catch (err: any) {
+      setError(err.message);
+      setReport(null);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Read the selected file and detect its columns with a dry run
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    setReport(null);
+    setHeaders([]);
+    setMapping({});
+
+    if (!file) {
+      setCsvContent('');
+      return;
+    }
+
+    const content = await file.text();
+    setCsvContent(content);
+    await runImport(content, true);
+  };
+
+  if (isLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Import Best Times (CSV)</h1>
+          <p className='mt-2 max-w-3xl'>
+            Upload a CSV with one swim per row. Check the column mapping and
+            the validation report, then import. Nothing is saved until you
+            click Import.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <input
+            type='file'
+            accept='.csv,text/csv'
+            onChange={handleFileChange}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        {headers.length > 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-4'>Column Mapping</h2>
+            <p className='text-sm text-gray-500 mb-4'>
+              Map either Athlete ID or Athlete Email, plus stroke, distance and time.
+              Splits are optional, separated by semicolons (e.g., 15.20; 16.05).
+            </p>
+            <div className='grid grid-cols-1 md:grid-cols-4 gap-4'>
+              {FIELDS.map(({ field, label, required }) => (
+                <div key={field}>
+                  <label
+                    htmlFor={`mapping-${field}`}
+                    className='block text-sm font-medium text-gray-700 mb-1'
+                  >
+                    {label}
+                    {required ? ' *' : ''}
+                  </label>
+                  <select
+                    id={`mapping-${field}`}
+                    value={mapping[field] || ''}
+                    onChange={(e) => {
+                      // A changed mapping needs validating again before importing
+                      setMapping({ ...mapping, [field]: e.target.value || undefined });
+                      setReport(null);
+                    }}
+                    className='w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary'
+                    disabled={isSubmitting}
+                  >
+                    <option value=''>Not mapped</option>
+                    {headers.map((header) => (
+                      <option key={header} value={header}>
+                        {header}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className='flex justify-end space-x-3 pt-6'>
+              <button
+                type='button'
+                onClick={() => runImport(csvContent, true, mapping)}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors'
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Working...' : 'Validate (Dry Run)'}
+              </button>
+              <button
+                type='button'
+                onClick={() => runImport(csvContent, false, mapping)}
+                className='px-4 py-2 bg-primary text-secondary rounded-md hover:bg-primary-dark transition-colors'
+                disabled={isSubmitting || !report || !report.dryRun}
+              >
+                Import
+              </button>
+            </div>
+          </div>
+        )}
+
+        {report && report.summary && report.rows && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-2'>
+              {report.dryRun ? 'Validation Report (nothing saved)' : 'Import Report'}
+            </h2>
+            <p className='text-gray-600 mb-4'>
+              {report.summary.inserted} inserted · {report.summary.updated} updated
+              (faster) · {report.summary.ignored} ignored · {report.summary.rejected}{' '}
+              rejected
+            </p>
+            <div className='overflow-x-auto'>
+              <table className='min-w-full text-sm'>
+                <thead>
+                  <tr className='text-left text-gray-500 border-b'>
+                    <th className='py-2 pr-4'>Row</th>
+                    <th className='py-2 pr-4'>Status</th>
+                    <th className='py-2 pr-4'>Event</th>
+                    <th className='py-2 pr-4'>Time</th>
+                    <th className='py-2 pr-4'>Previous Best</th>
+                    <th className='py-2 pr-4'>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map((row) => (
+                    <tr key={row.rowNumber} className='border-b last:border-0'>
+                      <td className='py-2 pr-4'>{row.rowNumber}</td>
+                      <td className='py-2 pr-4'>
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                            STATUS_STYLES[row.status]
+                          }`}
+                        >
+                          {row.status}
+                        </span>
+                      </td>
+                      <td className='py-2 pr-4'>{row.eventId?.replace(/_/g, ' ')}</td>
+                      <td className='py-2 pr-4'>{row.time ? formatTime(row.time) : ''}</td>
+                      <td className='py-2 pr-4'>
+                        {row.previousBestTime ? formatTime(row.previousBestTime) : ''}
+                      </td>
+                      <td className='py-2 pr-4 text-gray-600'>
+                        {row.errors ? row.errors.join('; ') : row.reason}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className='text-center'>
+          <Link
+            href='/admin'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Admin
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
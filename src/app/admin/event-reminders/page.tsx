@@ -0,0 +1,215 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  getEventReminderSettings,
+  saveEventReminderSettings,
+  runEventReminders,
+  formatReminderHours,
+} from '@/services/eventRemindersService';
+
+// Hours are typed as a comma-separated list, e.g. "48, 2"
+const toHoursList = (value: string) =>
+  value
+    .split(',')
+    .map((hours) => hours.trim())
+    .filter(Boolean)
+    .map(Number);
+
+export default function ManageEventReminders() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [eventHours, setEventHours] = useState('');
+  const [deadlineHours, setDeadlineHours] = useState('');
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load the reminder times when the page mounts
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const result = await getEventReminderSettings();
+
+        if (!result.success || !result.settings) {
+          throw new Error(result.error || 'Failed to load reminder settings');
+        }
+
+        setEventHours(result.settings.eventHours.join(', '));
+        setDeadlineHours(result.settings.deadlineHours.join(', '));
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching event reminder settings:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchSettings();
+    }
+  }, [currentUser]);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveEventReminderSettings({
+        eventHours: toHoursList(eventHours),
+        deadlineHours: toHoursList(deadlineHours),
+      });
+
+      if (!result.success || !result.settings) {
+        throw new Error(result.error || 'Failed to save reminder settings');
+      }
+
+      setEventHours(result.settings.eventHours.join(', '));
+      setDeadlineHours(result.settings.deadlineHours.join(', '));
+      setSuccess(result.message || 'Reminder settings saved');
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSendNow = async () => {
+    setIsSending(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await runEventReminders();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to send reminders');
+      }
+
+      setSuccess(
+        `Sent ${result.sent || 0} reminders` +
+          (result.failed ? `, ${result.failed} failed and will be retried` : '')
+      );
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  const describe = (value: string) => {
+    const hours = toHoursList(value);
+    return hours.length > 0 && hours.every((h) => Number.isInteger(h) && h > 0)
+      ? `Reminders go out ${formatReminderHours(hours)} before.`
+      : 'No reminders are sent.';
+  };
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Event Reminders</h1>
+          <p className='mt-2 max-w-3xl'>
+            Choose how far ahead members are emailed about upcoming events and
+            registration deadlines. Members can turn reminders off from their
+            calendar page.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <form onSubmit={handleSave} className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <h2 className='text-lg font-bold text-secondary'>Reminder Times</h2>
+          <div>
+            <label htmlFor='eventHours' className='block text-sm font-medium text-gray-700 mb-1'>
+              Hours before an event starts
+            </label>
+            <input
+              id='eventHours'
+              type='text'
+              value={eventHours}
+              onChange={(e) => setEventHours(e.target.value)}
+              placeholder='e.g. 48, 2'
+              className={inputClassName}
+            />
+            <p className='mt-1 text-sm text-gray-500'>{describe(eventHours)}</p>
+          </div>
+          <div>
+            <label htmlFor='deadlineHours' className='block text-sm font-medium text-gray-700 mb-1'>
+              Hours before registration closes
+            </label>
+            <input
+              id='deadlineHours'
+              type='text'
+              value={deadlineHours}
+              onChange={(e) => setDeadlineHours(e.target.value)}
+              placeholder='e.g. 48'
+              className={inputClassName}
+            />
+            <p className='mt-1 text-sm text-gray-500'>{describe(deadlineHours)}</p>
+          </div>
+          <button
+            type='submit'
+            disabled={isSubmitting}
+            className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+          >
+            {isSubmitting ? 'Saving...' : 'Save Settings'}
+          </button>
+        </form>
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <h2 className='text-lg font-bold text-secondary'>Send Now</h2>
+          <p className='text-sm text-gray-600'>
+            Reminders are sent every hour. Send any that are due now, for
+            example after changing an event. Nobody gets the same reminder twice.
+          </p>
+          <button
+            type='button'
+            onClick={handleSendNow}
+            disabled={isSending}
+            className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+          >
+            {isSending ? 'Sending...' : 'Send due reminders now'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
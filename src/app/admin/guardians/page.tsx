@@ -0,0 +1,257 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { getTrainingGroups, GroupSwimmer } from '@/services/trainingGroupsService';
+import {
+  getAthleteGuardians,
+  linkGuardianToAthlete,
+  unlinkGuardianFromAthlete,
+  inviteGuardians,
+  Guardian,
+} from '@/services/guardiansService';
+
+export default function ManageGuardians() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [athletes, setAthletes] = useState<GroupSwimmer[]>([]);
+  const [athleteId, setAthleteId] = useState('');
+  const [guardians, setGuardians] = useState<Guardian[]>([]);
+  const [email, setEmail] = useState('');
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load the athletes when the page mounts
+  useEffect(() => {
+    const fetchAthletes = async () => {
+      try {
+        const result = await getTrainingGroups();
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load athletes');
+        }
+
+        setAthletes(result.athletes || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching athletes:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchAthletes();
+    }
+  }, [currentUser]);
+
+  // Load the guardians of the chosen athlete
+  const loadGuardians = async (selectedId: string) => {
+    setGuardians([]);
+    if (!selectedId) {
+      return;
+    }
+
+    const result = await getAthleteGuardians(selectedId);
+    if (!result.success) {
+      setError(result.error || 'Failed to load guardians');
+      return;
+    }
+
+    setGuardians(result.guardians || []);
+  };
+
+  const handleAthleteChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setAthleteId(e.target.value);
+    setError(null);
+    setSuccess(null);
+    loadGuardians(e.target.value);
+  };
+
+  // Link an existing account to the athlete
+  const handleLink = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await linkGuardianToAthlete(athleteId, email.trim());
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to link guardian');
+      }
+
+      setSuccess(result.message || 'Guardian linked successfully');
+      setEmail('');
+      await loadGuardians(athleteId);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Invite a parent who does not have an account yet
+  const handleInvite = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    const results = await inviteGuardians([email.trim()], athleteId);
+    if (results.failed.length > 0) {
+      setError(results.failed.map((failure) => `${failure.email}: ${failure.reason}`).join('; '));
+    } else {
+      setSuccess(`Invitation sent to ${email.trim()}`);
+      setEmail('');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  const handleUnlink = async (guardian: Guardian) => {
+    if (!window.confirm(`Unlink ${guardian.displayName || guardian.email}?`)) {
+      return;
+    }
+
+    const result = await unlinkGuardianFromAthlete(guardian.id, athleteId);
+    if (!result.success) {
+      setError(result.error || 'Failed to unlink guardian');
+      return;
+    }
+
+    setSuccess(result.message || 'Guardian unlinked successfully');
+    await loadGuardians(athleteId);
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Parents &amp; Guardians</h1>
+          <p className='mt-2 max-w-3xl'>
+            Link parents and guardians to their swimmers so they can follow
+            their times and set goals from the athlete zone.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <div>
+            <label htmlFor='athlete' className='block text-sm font-medium text-gray-700 mb-1'>
+              Swimmer
+            </label>
+            <select
+              id='athlete'
+              value={athleteId}
+              onChange={handleAthleteChange}
+              className={inputClassName}
+            >
+              <option value=''>Choose a swimmer</option>
+              {athletes.map((athlete) => (
+                <option key={athlete.id} value={athlete.id}>
+                  {athlete.displayName}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {athleteId && (
+            <>
+              <div>
+                <h2 className='text-lg font-bold text-secondary mb-2'>Linked Guardians</h2>
+                {guardians.length > 0 ? (
+                  <ul className='divide-y text-sm'>
+                    {guardians.map((guardian) => (
+                      <li key={guardian.id} className='py-2 flex justify-between'>
+                        <span>
+                          {guardian.displayName}
+                          {guardian.email && (
+                            <span className='text-gray-500'> · {guardian.email}</span>
+                          )}
+                        </span>
+                        <button
+                          onClick={() => handleUnlink(guardian)}
+                          className='text-red-600 hover:text-red-800'
+                        >
+                          Unlink
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className='text-sm text-gray-600'>No guardians linked yet.</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor='email' className='block text-sm font-medium text-gray-700 mb-1'>
+                  Guardian Email
+                </label>
+                <input
+                  id='email'
+                  type='email'
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className={inputClassName}
+                  placeholder='parent@example.com'
+                  disabled={isSubmitting}
+                />
+                <div className='flex justify-end gap-3 mt-3'>
+                  <button
+                    onClick={handleLink}
+                    className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+                    disabled={isSubmitting || !email.trim()}
+                  >
+                    Link Existing Account
+                  </button>
+                  <button
+                    onClick={handleInvite}
+                    className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                    disabled={isSubmitting || !email.trim()}
+                  >
+                    Send Invitation
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
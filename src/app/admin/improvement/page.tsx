@@ -0,0 +1,492 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { formatTime, getSeasonStart } from '@/services/bestTimesService';
+import { getMeets, Meet } from '@/services/meetEntriesService';
+import { getTrainingGroups, TrainingGroup } from '@/services/trainingGroupsService';
+import { getAgeGroupSettings, AgeGroup } from '@/services/athleteProfileService';
+import {
+  getImprovementLeaderboard,
+  selectSwimmerOfWeek,
+  ImprovementEntry,
+  ImprovementFilters,
+} from '@/services/improvementService';
+
+type Period = 'week' | 'month' | 'season' | 'custom' | 'meets';
+
+// Meets from the last year can be compared
+const MEET_HISTORY_DAYS = 365;
+
+const toDay = (date: Date) => date.toISOString().slice(0, 10);
+
+// The date range a preset period covers, ending today
+const getPeriodStart = (period: Period): string => {
+  const today = new Date();
+  if (period === 'week') {
+    today.setDate(today.getDate() - 6);
+    return toDay(today);
+  }
+  if (period === 'month') {
+    return toDay(new Date(Date.UTC(today.getFullYear(), today.getMonth(), 1)));
+  }
+  return toDay(getSeasonStart(today));
+};
+
+// Describe a swimmer's improvement for the Swimmer of the Week
+const describeImprovement = (entry: ImprovementEntry): string => {
+  const [bestEvent] = entry.events;
+  return [
+    `Dropped an average of ${entry.improvement}% across ${entry.events.length} event${
+      entry.events.length === 1 ? '' : 's'
+    }`,
+    bestEvent &&
+      `including ${bestEvent.timeDropped.toFixed(2)}s in the ${bestEvent.eventName} (${formatTime(
+        bestEvent.time
+      )})`,
+  ]
+    .filter((part) => part)
+    .join(', ');
+};
+
+export default function ImprovementLeaderboard() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [period, setPeriod] = useState<Period>('week');
+  const [startDate, setStartDate] = useState(getPeriodStart('week'));
+  const [endDate, setEndDate] = useState(toDay(new Date()));
+  const [fromMeetId, setFromMeetId] = useState('');
+  const [toMeetId, setToMeetId] = useState('');
+  const [trainingGroupId, setTrainingGroupId] = useState('');
+  const [ageGroup, setAgeGroup] = useState('');
+  const [minSwims, setMinSwims] = useState(1);
+  const [meets, setMeets] = useState<Meet[]>([]);
+  const [groups, setGroups] = useState<TrainingGroup[]>([]);
+  const [ageGroups, setAgeGroups] = useState<AgeGroup[]>([]);
+  const [leaderboard, setLeaderboard] = useState<ImprovementEntry[]>([]);
+  const [selected, setSelected] = useState<ImprovementEntry | null>(null);
+  const [achievements, setAchievements] = useState('');
+  const [quote, setQuote] = useState('');
+  const [coachComment, setCoachComment] = useState('');
+  const [isDataLoading, setIsDataLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load the meets, training groups and age groups to filter by
+  useEffect(() => {
+    const fetchFilters = async () => {
+      const [meetsResult, groupsResult, settingsResult] = await Promise.all([
+        getMeets(MEET_HISTORY_DAYS),
+        getTrainingGroups(),
+        getAgeGroupSettings(),
+      ]);
+
+      setMeets(
+        (meetsResult.meets || []).filter(
+          (meet) => meet.startDate && new Date(meet.startDate) <= new Date()
+        )
+      );
+      setGroups(groupsResult.groups || []);
+      setAgeGroups(settingsResult.settings?.ageGroups || []);
+    };
+
+    if (currentUser) {
+      fetchFilters();
+    }
+  }, [currentUser]);
+
+  const handlePeriodChange = (value: Period) => {
+    setPeriod(value);
+    if (value !== 'custom' && value !== 'meets') {
+      setStartDate(getPeriodStart(value));
+      setEndDate(toDay(new Date()));
+    }
+  };
+
+  const handleSearch = async () => {
+    setIsDataLoading(true);
+    setError(null);
+    setSuccess(null);
+    setSelected(null);
+
+    const filters: ImprovementFilters = {
+      trainingGroupId: trainingGroupId || undefined,
+      ageGroup: ageGroup || undefined,
+      minSwims,
+    };
+    if (period === 'meets') {
+      filters.fromMeetId = fromMeetId;
+      filters.toMeetId = toMeetId;
+    } else {
+      filters.startDate = startDate;
+      filters.endDate = endDate;
+    }
+
+    try {
+      const result = await getImprovementLeaderboard(filters);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load leaderboard');
+      }
+
+      setLeaderboard(result.leaderboard || []);
+    } catch (err: any) {
+      setError(err.message);
+      setLeaderboard([]);
+    } finally {
+      setIsDataLoading(false);
+    }
+  };
+
+  const handlePick = (entry: ImprovementEntry) => {
+    setSelected(entry);
+    setAchievements(describeImprovement(entry));
+    setQuote('');
+    setCoachComment('');
+    setSuccess(null);
+  };
+
+  const handleSelect = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selected) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await selectSwimmerOfWeek({
+        athleteId: selected.athleteId,
+        achievements,
+        quote: quote || undefined,
+        coachComment: coachComment || undefined,
+        improvement: selected.improvement,
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to pick the Swimmer of the Week');
+      }
+
+      setSuccess(result.message || 'Swimmer of the Week saved');
+      setSelected(null);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Most Improved</h1>
+          <p className='mt-2 max-w-3xl'>
+            Rank swimmers by the percentage of time they dropped, then pick the
+            Swimmer of the Week.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <div className='grid grid-cols-1 sm:grid-cols-2 gap-4'>
+            <div>
+              <label htmlFor='period' className='block text-sm font-medium text-gray-700 mb-1'>
+                Period
+              </label>
+              <select
+                id='period'
+                value={period}
+                onChange={(e) => handlePeriodChange(e.target.value as Period)}
+                className={inputClassName}
+              >
+                <option value='week'>Last 7 days</option>
+                <option value='month'>This month</option>
+                <option value='season'>This season</option>
+                <option value='custom'>Custom dates</option>
+                <option value='meets'>Meet to meet</option>
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor='minSwims' className='block text-sm font-medium text-gray-700 mb-1'>
+                Minimum Swims
+              </label>
+              <input
+                id='minSwims'
+                type='number'
+                min={1}
+                value={minSwims}
+                onChange={(e) => setMinSwims(Math.max(parseInt(e.target.value, 10) || 1, 1))}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          {period === 'custom' && (
+            <div className='grid grid-cols-1 sm:grid-cols-2 gap-4'>
+              <div>
+                <label htmlFor='startDate' className='block text-sm font-medium text-gray-700 mb-1'>
+                  From
+                </label>
+                <input
+                  id='startDate'
+                  type='date'
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label htmlFor='endDate' className='block text-sm font-medium text-gray-700 mb-1'>
+                  To
+                </label>
+                <input
+                  id='endDate'
+                  type='date'
+                  value={endDate}
+                  onChange={(e) => setEndDate(e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+          )}
+
+          {period === 'meets' && (
+            <div className='grid grid-cols-1 sm:grid-cols-2 gap-4'>
+              {[
+                { id: 'fromMeet', label: 'Earlier Meet', value: fromMeetId, onChange: setFromMeetId },
+                { id: 'toMeet', label: 'Later Meet', value: toMeetId, onChange: setToMeetId },
+              ].map((field) => (
+                <div key={field.id}>
+                  <label htmlFor={field.id} className='block text-sm font-medium text-gray-700 mb-1'>
+                    {field.label}
+                  </label>
+                  <select
+                    id={field.id}
+                    value={field.value}
+                    onChange={(e) => field.onChange(e.target.value)}
+                    className={inputClassName}
+                  >
+                    <option value=''>Choose a meet</option>
+                    {meets.map((meet) => (
+                      <option key={meet.id} value={meet.id}>
+                        {meet.title}
+                        {meet.startDate && ` (${new Date(meet.startDate).toLocaleDateString()})`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className='grid grid-cols-1 sm:grid-cols-2 gap-4'>
+            <div>
+              <label htmlFor='group' className='block text-sm font-medium text-gray-700 mb-1'>
+                Training Group
+              </label>
+              <select
+                id='group'
+                value={trainingGroupId}
+                onChange={(e) => setTrainingGroupId(e.target.value)}
+                className={inputClassName}
+              >
+                <option value=''>All groups</option>
+                {groups.map((group) => (
+                  <option key={group.id} value={group.id}>
+                    {group.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor='ageGroup' className='block text-sm font-medium text-gray-700 mb-1'>
+                Age Group
+              </label>
+              <select
+                id='ageGroup'
+                value={ageGroup}
+                onChange={(e) => setAgeGroup(e.target.value)}
+                className={inputClassName}
+              >
+                <option value=''>All ages</option>
+                {ageGroups.map((group) => (
+                  <option key={group.label} value={group.label}>
+                    {group.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className='flex justify-end'>
+            <button
+              onClick={handleSearch}
+              className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+              disabled={isDataLoading || (period === 'meets' && (!fromMeetId || !toMeetId))}
+            >
+              {isDataLoading ? 'Loading...' : 'Show Leaderboard'}
+            </button>
+          </div>
+        </div>
+
+        {/* Leaderboard */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-4'>Leaderboard</h2>
+          {leaderboard.length === 0 ? (
+            <p className='text-gray-500'>
+              No swimmers yet. Swimmers need a time from before the period to compare against.
+            </p>
+          ) : (
+            <div className='overflow-x-auto'>
+              <table className='min-w-full text-sm'>
+                <thead>
+                  <tr className='text-left text-gray-500 border-b'>
+                    <th className='py-2 pr-4'>#</th>
+                    <th className='py-2 pr-4'>Swimmer</th>
+                    <th className='py-2 pr-4'>Age Group</th>
+                    <th className='py-2 pr-4'>Events</th>
+                    <th className='py-2 pr-4'>Improvement</th>
+                    <th className='py-2 pr-4'>Time Dropped</th>
+                    <th className='py-2 pr-4'></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {leaderboard.map((entry) => (
+                    <tr key={entry.athleteId} className='border-b last:border-0'>
+                      <td className='py-2 pr-4'>
+                        {entry.tied ? `T${entry.rank}` : entry.rank}
+                      </td>
+                      <td className='py-2 pr-4 font-medium'>{entry.displayName}</td>
+                      <td className='py-2 pr-4'>{entry.ageGroup || '—'}</td>
+                      <td className='py-2 pr-4'>{entry.events.length}</td>
+                      <td
+                        className={`py-2 pr-4 font-bold ${
+                          entry.improvement > 0 ? 'text-green-600' : 'text-gray-600'
+                        }`}
+                      >
+                        {entry.improvement}%
+                      </td>
+                      <td className='py-2 pr-4'>{entry.timeDropped.toFixed(2)}s</td>
+                      <td className='py-2 pr-4 text-right'>
+                        <button
+                          onClick={() => handlePick(entry)}
+                          className='text-blue-600 hover:underline whitespace-nowrap'
+                        >
+                          Swimmer of the Week
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Swimmer of the Week */}
+        {selected && (
+          <form
+            onSubmit={handleSelect}
+            className='bg-white rounded-xl shadow-lg p-6 space-y-4'
+          >
+            <h2 className='text-xl font-bold text-secondary'>
+              Swimmer of the Week: {selected.displayName}
+            </h2>
+            <div>
+              <label htmlFor='achievements' className='block text-sm font-medium text-gray-700 mb-1'>
+                Achievements
+              </label>
+              <textarea
+                id='achievements'
+                value={achievements}
+                onChange={(e) => setAchievements(e.target.value)}
+                rows={2}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor='quote' className='block text-sm font-medium text-gray-700 mb-1'>
+                Swimmer Quote (optional)
+              </label>
+              <input
+                id='quote'
+                type='text'
+                value={quote}
+                onChange={(e) => setQuote(e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor='coachComment' className='block text-sm font-medium text-gray-700 mb-1'>
+                Coach Comment (optional)
+              </label>
+              <textarea
+                id='coachComment'
+                value={coachComment}
+                onChange={(e) => setCoachComment(e.target.value)}
+                rows={2}
+                className={inputClassName}
+              />
+            </div>
+            <div className='flex justify-end gap-3'>
+              <button
+                type='button'
+                onClick={() => setSelected(null)}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Cancel
+              </button>
+              <button
+                type='submit'
+                className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                disabled={isSubmitting || !achievements.trim()}
+              >
+                {isSubmitting ? 'Saving...' : 'Save Swimmer of the Week'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,281 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { formatTime } from '@/services/bestTimesService';
+import {
+  importMeetResults,
+  MeetResultRow,
+  MeetResultsResponse,
+} from '@/services/meetResultsService';
+
+export default function ImportMeetResults() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [fileName, setFileName] = useState('');
+  const [fileContent, setFileContent] = useState('');
+  const [preview, setPreview] = useState<MeetResultsResponse | null>(null);
+  const [assignments, setAssignments] = useState<Record<string, string>>({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Read the selected results file
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    setPreview(null);
+    setAssignments({});
+    setSuccess(null);
+
+    if (!file) {
+      setFileName('');
+      setFileContent('');
+      return;
+    }
+
+    setFileName(file.name);
+    setFileContent(await file.text());
+  };
+
+  // Preview (dry run) or import the results file
+  const runImport = async (dryRun: boolean) => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await importMeetResults(
+        fileContent,
+        fileName,
+        dryRun,
+        assignments
+      );
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to import meet results');
+      }
+
+      setPreview(result);
+
+      if (!dryRun && result.summary) {
+        setSuccess(
+          `${result.summary.imported} swims imported` +
+            (result.summary.duplicates > 0
+              ? `, ${result.summary.duplicates} already imported`
+              : '')
+        );
+      }
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const renderRows = (rows: MeetResultRow[], allowAssignment: boolean) => (
+    <div className='overflow-x-auto'>
+      <table className='min-w-full text-sm'>
+        <thead>
+          <tr className='text-left text-gray-500 border-b'>
+            <th className='py-2 pr-4'>Swimmer</th>
+            <th className='py-2 pr-4'>Event</th>
+            <th className='py-2 pr-4'>Round</th>
+            <th className='py-2 pr-4'>Time</th>
+            <th className='py-2 pr-4'>Date</th>
+            <th className='py-2 pr-4'>Athlete</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.rowId} className='border-b last:border-0'>
+              <td className='py-2 pr-4'>
+                {row.swimmerName}
+                {row.birthDate && (
+                  <span className='block text-xs text-gray-400'>
+                    Born {row.birthDate}
+                  </span>
+                )}
+              </td>
+              <td className='py-2 pr-4'>
+                {row.stroke} {row.distance} {row.course}
+              </td>
+              <td className='py-2 pr-4 capitalize'>{row.round}</td>
+              <td className='py-2 pr-4 font-medium'>{formatTime(row.time)}</td>
+              <td className='py-2 pr-4'>{row.date}</td>
+              <td className='py-2 pr-4'>
+                {allowAssignment && row.candidates.length > 0 ? (
+                  <select
+                    value={assignments[row.rowId] || ''}
+                    onChange={(e) =>
+                      setAssignments({
+                        ...assignments,
+                        [row.rowId]: e.target.value,
+                      })
+                    }
+                    className='px-2 py-1 border border-gray-300 rounded-md'
+                    disabled={isSubmitting}
+                  >
+                    <option value=''>Skip this row</option>
+                    {row.candidates.map((candidate) => (
+                      <option key={candidate.userId} value={candidate.userId}>
+                        {candidate.displayName}
+                        {candidate.birthDate ? ` (${candidate.birthDate})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  row.candidates.find(
+                    (candidate) => candidate.userId === row.userId
+                  )?.displayName ||
+                  (row.matchedBy === 'assignment' ? row.userId : '—')
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Import Meet Results</h1>
+          <p className='mt-2 max-w-3xl'>
+            Upload a Meet Manager results file (.cl2 or .sd3). Swimmers are
+            matched to athletes by registration ID, name and birthdate. Review
+            the preview before importing.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 flex flex-col md:flex-row md:items-center gap-4'>
+          <input
+            type='file'
+            accept='.cl2,.sd3,.txt'
+            onChange={handleFileChange}
+            disabled={isSubmitting}
+            className='flex-1'
+          />
+          <button
+            type='button'
+            onClick={() => runImport(true)}
+            className='px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors'
+            disabled={isSubmitting || !fileContent}
+          >
+            {isSubmitting ? 'Working...' : 'Preview'}
+          </button>
+          <button
+            type='button'
+            onClick={() => runImport(false)}
+            className='px-4 py-2 bg-primary text-secondary rounded-md hover:bg-primary-dark transition-colors'
+            disabled={isSubmitting || !preview || !preview.dryRun}
+          >
+            Import Matched Swims
+          </button>
+        </div>
+
+        {preview && preview.summary && (
+          <>
+            <div className='bg-white rounded-xl shadow-lg p-6'>
+              <h2 className='text-xl font-bold text-secondary mb-2'>
+                {preview.meet?.name || fileName}
+              </h2>
+              <p className='text-gray-600'>
+                {preview.meet?.startDate} · {preview.meet?.course} ·{' '}
+                {preview.summary.matched} matched ·{' '}
+                {preview.summary.ambiguous} ambiguous ·{' '}
+                {preview.summary.unmatched} unmatched
+              </p>
+              {preview.warnings && preview.warnings.length > 0 && (
+                <ul className='mt-4 text-sm text-yellow-700 list-disc list-inside'>
+                  {preview.warnings.map((warning, index) => (
+                    <li key={index}>
+                      {warning.lineNumber ? `Line ${warning.lineNumber}: ` : ''}
+                      {warning.reason}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {preview.ambiguous && preview.ambiguous.length > 0 && (
+              <div className='bg-white rounded-xl shadow-lg p-6'>
+                <h3 className='text-lg font-bold text-yellow-600 mb-4'>
+                  Ambiguous ({preview.ambiguous.length})
+                </h3>
+                <p className='text-sm text-gray-500 mb-4'>
+                  Choose the athlete for each row, then preview again.
+                </p>
+                {renderRows(preview.ambiguous, true)}
+              </div>
+            )}
+
+            {preview.unmatched && preview.unmatched.length > 0 && (
+              <div className='bg-white rounded-xl shadow-lg p-6'>
+                <h3 className='text-lg font-bold text-red-600 mb-4'>
+                  Unmatched ({preview.unmatched.length})
+                </h3>
+                <p className='text-sm text-gray-500 mb-4'>
+                  These swimmers have no athlete account. Add their
+                  registration ID to their profile to match them.
+                </p>
+                {renderRows(preview.unmatched, false)}
+              </div>
+            )}
+
+            {preview.matched && preview.matched.length > 0 && (
+              <div className='bg-white rounded-xl shadow-lg p-6'>
+                <h3 className='text-lg font-bold text-green-600 mb-4'>
+                  Matched ({preview.matched.length})
+                </h3>
+                {renderRows(preview.matched, false)}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className='text-center'>
+          <Link
+            href='/admin'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Admin
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,355 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { getStrokes, getCourses, DEFAULT_COURSE } from '@/services/bestTimesService';
+import { getUpcomingEvents, ClubEvent } from '@/services/eventsService';
+import {
+  getMeetEntries,
+  saveMeetEvents,
+  MeetEventInput,
+  MeetEventGender,
+} from '@/services/meetEntriesService';
+
+const EMPTY_EVENT: MeetEventInput = {
+  stroke: 'Freestyle',
+  distance: 50,
+  course: DEFAULT_COURSE,
+  gender: 'F',
+  minAge: null,
+  maxAge: null,
+};
+
+const GENDER_OPTIONS: { value: MeetEventGender; label: string }[] = [
+  { value: 'F', label: 'Girls' },
+  { value: 'M', label: 'Boys' },
+  { value: 'X', label: 'Mixed' },
+];
+
+export default function ManageMeets() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [events, setEvents] = useState<ClubEvent[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [meetEvents, setMeetEvents] = useState<MeetEventInput[]>([]);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load upcoming events when the page mounts
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        const result = await getUpcomingEvents();
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load events');
+        }
+
+        setEvents(result.events || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching events:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchEvents();
+    }
+  }, [currentUser]);
+
+  // Load the event list of the chosen meet
+  const handleEventChange = async (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const selectedId = e.target.value;
+    setEventId(selectedId);
+    setMeetEvents([]);
+    setError(null);
+    setSuccess(null);
+
+    if (!selectedId) {
+      return;
+    }
+
+    const result = await getMeetEntries(selectedId);
+    if (!result.success) {
+      setError(result.error || 'Failed to load meet events');
+      return;
+    }
+
+    setMeetEvents(
+      (result.meet?.meetEvents || []).map((meetEvent) => ({
+        ...meetEvent,
+        distance: parseInt(meetEvent.distance),
+      }))
+    );
+  };
+
+  const updateMeetEvent = (index: number, changes: Partial<MeetEventInput>) => {
+    setMeetEvents(
+      meetEvents.map((meetEvent, eventIndex) =>
+        eventIndex === index ? { ...meetEvent, ...changes } : meetEvent
+      )
+    );
+  };
+
+  const addMeetEvent = () => {
+    const previous = meetEvents[meetEvents.length - 1];
+    setMeetEvents([
+      ...meetEvents,
+      {
+        ...(previous || EMPTY_EVENT),
+        number: previous && previous.number ? previous.number + 1 : meetEvents.length + 1,
+      },
+    ]);
+  };
+
+  const handleSave = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveMeetEvents(eventId, meetEvents);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save meet events');
+      }
+
+      setSuccess(
+        result.removedEntries
+          ? `${result.message}. ${result.removedEntries} entries in changed events were removed.`
+          : result.message || 'Meet events saved successfully'
+      );
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Meet Events</h1>
+          <p className='mt-2 max-w-3xl'>
+            Set up the events swimmers can enter for a meet. Entries close at the
+            event&apos;s registration deadline.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <div>
+            <label htmlFor='event' className='block text-sm font-medium text-gray-700 mb-1'>
+              Meet
+            </label>
+            <select
+              id='event'
+              value={eventId}
+              onChange={handleEventChange}
+              className={inputClassName}
+            >
+              <option value=''>Choose an event</option>
+              {events.map((event) => (
+                <option key={event.id} value={event.id}>
+                  {event.title}
+                  {event.startDate && ` (${new Date(event.startDate).toLocaleDateString()})`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {eventId && (
+            <>
+              <div className='overflow-x-auto'>
+                <table className='min-w-full text-sm'>
+                  <thead>
+                    <tr className='text-left text-gray-500 border-b'>
+                      <th className='py-2 pr-2'>#</th>
+                      <th className='py-2 pr-2'>Gender</th>
+                      <th className='py-2 pr-2'>Min Age</th>
+                      <th className='py-2 pr-2'>Max Age</th>
+                      <th className='py-2 pr-2'>Distance</th>
+                      <th className='py-2 pr-2'>Stroke</th>
+                      <th className='py-2 pr-2'>Course</th>
+                      <th className='py-2'></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {meetEvents.map((meetEvent, index) => (
+                      <tr key={index} className='border-b last:border-0'>
+                        <td className='py-2 pr-2 w-20'>
+                          <input
+                            type='number'
+                            min='1'
+                            value={meetEvent.number ?? ''}
+                            onChange={(e) =>
+                              updateMeetEvent(index, {
+                                number: e.target.value ? parseInt(e.target.value) : undefined,
+                              })
+                            }
+                            className={inputClassName}
+                          />
+                        </td>
+                        <td className='py-2 pr-2'>
+                          <select
+                            value={meetEvent.gender}
+                            onChange={(e) =>
+                              updateMeetEvent(index, { gender: e.target.value as MeetEventGender })
+                            }
+                            className={inputClassName}
+                          >
+                            {GENDER_OPTIONS.map((option) => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className='py-2 pr-2 w-24'>
+                          <input
+                            type='number'
+                            min='0'
+                            value={meetEvent.minAge ?? ''}
+                            onChange={(e) =>
+                              updateMeetEvent(index, {
+                                minAge: e.target.value ? parseInt(e.target.value) : null,
+                              })
+                            }
+                            className={inputClassName}
+                            placeholder='Any'
+                          />
+                        </td>
+                        <td className='py-2 pr-2 w-24'>
+                          <input
+                            type='number'
+                            min='0'
+                            value={meetEvent.maxAge ?? ''}
+                            onChange={(e) =>
+                              updateMeetEvent(index, {
+                                maxAge: e.target.value ? parseInt(e.target.value) : null,
+                              })
+                            }
+                            className={inputClassName}
+                            placeholder='Any'
+                          />
+                        </td>
+                        <td className='py-2 pr-2 w-28'>
+                          <input
+                            type='number'
+                            min='25'
+                            step='25'
+                            value={meetEvent.distance}
+                            onChange={(e) => updateMeetEvent(index, { distance: e.target.value })}
+                            className={inputClassName}
+                          />
+                        </td>
+                        <td className='py-2 pr-2'>
+                          <select
+                            value={meetEvent.stroke}
+                            onChange={(e) => updateMeetEvent(index, { stroke: e.target.value })}
+                            className={inputClassName}
+                          >
+                            {getStrokes().map((stroke) => (
+                              <option key={stroke} value={stroke}>
+                                {stroke}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className='py-2 pr-2'>
+                          <select
+                            value={meetEvent.course}
+                            onChange={(e) =>
+                              updateMeetEvent(index, {
+                                course: e.target.value as MeetEventInput['course'],
+                              })
+                            }
+                            className={inputClassName}
+                          >
+                            {getCourses().map((course) => (
+                              <option key={course.value} value={course.value}>
+                                {course.value}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className='py-2 text-right'>
+                          <button
+                            onClick={() =>
+                              setMeetEvents(meetEvents.filter((_, eventIndex) => eventIndex !== index))
+                            }
+                            className='text-red-600 hover:text-red-800'
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {meetEvents.length === 0 && (
+                <p className='text-sm text-gray-600'>No meet events yet.</p>
+              )}
+
+              <div className='flex justify-end gap-3'>
+                <button
+                  onClick={addMeetEvent}
+                  className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+                >
+                  Add Event
+                </button>
+                <button
+                  onClick={handleSave}
+                  className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Meet Events'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,297 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { formatTime, getCourses, Course } from '@/services/bestTimesService';
+import {
+  getPointsBaseTimes,
+  importPointsBaseTimes,
+  recalculateSwimPoints,
+  getPointsRankings,
+  PointsBaseTime,
+  PointsGender,
+  PointsRanking,
+} from '@/services/swimPointsService';
+
+const GENDER_LABELS: Record<PointsGender, string> = {
+  F: 'Women',
+  M: 'Men',
+};
+
+export default function ManagePoints() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [courseFilter, setCourseFilter] = useState<Course | ''>('');
+  const [genderFilter, setGenderFilter] = useState<PointsGender | ''>('');
+  const [rankings, setRankings] = useState<PointsRanking[]>([]);
+  const [baseTimes, setBaseTimes] = useState<PointsBaseTime[]>([]);
+  const [replace, setReplace] = useState(false);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const loadPoints = async (course: Course | '', gender: PointsGender | '') => {
+    setIsDataLoading(true);
+
+    try {
+      const [rankingsResult, baseTimesResult] = await Promise.all([
+        getPointsRankings({
+          course: course || undefined,
+          gender: gender || undefined,
+        }),
+        getPointsBaseTimes(course || undefined, gender || undefined),
+      ]);
+
+      if (!rankingsResult.success) {
+        throw new Error(rankingsResult.error || 'Failed to load rankings');
+      }
+      if (!baseTimesResult.success) {
+        throw new Error(baseTimesResult.error || 'Failed to load base times');
+      }
+
+      setRankings(rankingsResult.rankings || []);
+      setBaseTimes(
+        (baseTimesResult.baseTimes || []).sort((a, b) => a.id.localeCompare(b.id))
+      );
+    } catch (err: any) {
+      setError(err.message);
+      console.error('Error fetching points:', err);
+    } finally {
+      setIsDataLoading(false);
+    }
+  };
+
+  // Load the rankings and base times when the filters change
+  useEffect(() => {
+    if (currentUser) {
+      loadPoints(courseFilter, genderFilter);
+    }
+  }, [currentUser, courseFilter, genderFilter]);
+
+  // Load base times from a CSV file
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await importPointsBaseTimes(await file.text(), replace);
+
+      if (!result.success) {
+        const rowErrors = (result.errors || [])
+          .map((rowError) => `Row ${rowError.rowNumber}: ${rowError.error}`)
+          .join('; ');
+        throw new Error(
+          [result.error || 'Failed to load base times', rowErrors]
+            .filter((message) => message)
+            .join('. ')
+        );
+      }
+
+      setSuccess(
+        `${result.message || 'Base times loaded successfully'}. ${
+          result.rescored || 0
+        } swims rescored.`
+      );
+      await loadPoints(courseFilter, genderFilter);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleRecalculate = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    const result = await recalculateSwimPoints();
+    if (!result.success) {
+      setError(result.error || 'Failed to rescore swims');
+    } else {
+      setSuccess(result.message || 'Swims rescored successfully');
+      await loadPoints(courseFilter, genderFilter);
+    }
+
+    setIsSubmitting(false);
+  };
+
+  if (isLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>World Aquatics Points</h1>
+          <p className='mt-2 max-w-3xl'>
+            Points compare swims across events: a swim equal to the base time
+            scores 1000. Load the base times for each course to score every swim.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='flex flex-wrap gap-3'>
+          <select
+            value={courseFilter}
+            onChange={(e) => setCourseFilter(e.target.value as Course | '')}
+            className='px-3 py-2 border border-gray-300 rounded-md'
+          >
+            <option value=''>All Courses</option>
+            {getCourses().map((course) => (
+              <option key={course.value} value={course.value}>
+                {course.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={genderFilter}
+            onChange={(e) => setGenderFilter(e.target.value as PointsGender | '')}
+            className='px-3 py-2 border border-gray-300 rounded-md'
+          >
+            <option value=''>All Genders</option>
+            <option value='F'>{GENDER_LABELS.F}</option>
+            <option value='M'>{GENDER_LABELS.M}</option>
+          </select>
+        </div>
+
+        {/* Rankings */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-4'>Top Swims</h2>
+          {isDataLoading ? (
+            <p className='text-gray-500'>Loading rankings...</p>
+          ) : rankings.length === 0 ? (
+            <p className='text-gray-500'>No scored swims yet.</p>
+          ) : (
+            <div className='overflow-x-auto'>
+              <table className='min-w-full text-sm'>
+                <thead>
+                  <tr className='text-left text-gray-500 border-b'>
+                    <th className='py-2 pr-4'>#</th>
+                    <th className='py-2 pr-4'>Swimmer</th>
+                    <th className='py-2 pr-4'>Event</th>
+                    <th className='py-2 pr-4'>Time</th>
+                    <th className='py-2 pr-4'>Points</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rankings.map((ranking) => (
+                    <tr key={ranking.athleteId} className='border-b last:border-0'>
+                      <td className='py-2 pr-4'>{ranking.rank}</td>
+                      <td className='py-2 pr-4 font-medium'>{ranking.displayName}</td>
+                      <td className='py-2 pr-4'>
+                        {ranking.stroke} {ranking.distance} {ranking.course}
+                      </td>
+                      <td className='py-2 pr-4'>{formatTime(ranking.time)}</td>
+                      <td className='py-2 pr-4 font-bold'>{ranking.points}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Load base times from CSV */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-2'>Load Base Times</h2>
+          <p className='text-sm text-gray-500 mb-4'>
+            Columns: gender (M or F), course, stroke, distance, time. Rows that
+            match an existing base time update it, and every swim is rescored.
+          </p>
+          <label className='flex items-center gap-2 text-sm mb-4'>
+            <input
+              type='checkbox'
+              checked={replace}
+              onChange={(e) => setReplace(e.target.checked)}
+            />
+            Remove base times that are not in the file
+          </label>
+          <div className='flex flex-wrap items-center justify-between gap-3'>
+            <input
+              type='file'
+              accept='.csv,text/csv'
+              onChange={handleFileChange}
+              disabled={isSubmitting}
+            />
+            <button
+              onClick={handleRecalculate}
+              className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+              disabled={isSubmitting}
+            >
+              Rescore All Swims
+            </button>
+          </div>
+        </div>
+
+        {/* Base times list */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-4'>Base Times</h2>
+          {isDataLoading ? (
+            <p className='text-gray-500'>Loading base times...</p>
+          ) : baseTimes.length === 0 ? (
+            <p className='text-gray-500'>No base times yet.</p>
+          ) : (
+            <div className='overflow-x-auto'>
+              <table className='min-w-full text-sm'>
+                <thead>
+                  <tr className='text-left text-gray-500 border-b'>
+                    <th className='py-2 pr-4'>Gender</th>
+                    <th className='py-2 pr-4'>Event</th>
+                    <th className='py-2 pr-4'>Base Time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {baseTimes.map((baseTime) => (
+                    <tr key={baseTime.id} className='border-b last:border-0'>
+                      <td className='py-2 pr-4'>{GENDER_LABELS[baseTime.gender]}</td>
+                      <td className='py-2 pr-4'>
+                        {baseTime.stroke} {baseTime.distance} {baseTime.course}
+                      </td>
+                      <td className='py-2 pr-4'>{formatTime(baseTime.time)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,517 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  formatTime,
+  parseTime,
+  isValidTimeString,
+  getStrokes,
+  getDistances,
+  getCourses,
+  Course,
+  DEFAULT_COURSE,
+} from '@/services/bestTimesService';
+import {
+  getTimeStandards,
+  saveTimeStandard,
+  deleteTimeStandard,
+  importTimeStandards,
+  formatAgeGroup,
+  StandardGender,
+  TimeStandard,
+} from '@/services/timeStandardsService';
+
+interface StandardFormState {
+  id?: string;
+  standardName: string;
+  gender: StandardGender;
+  minAge: string;
+  maxAge: string;
+  course: Course;
+  stroke: string;
+  distance: string;
+  time: string;
+}
+
+const EMPTY_FORM: StandardFormState = {
+  standardName: '',
+  gender: 'X',
+  minAge: '',
+  maxAge: '',
+  course: DEFAULT_COURSE,
+  stroke: 'Freestyle',
+  distance: '50m',
+  time: '',
+};
+
+const GENDER_LABELS: Record<StandardGender, string> = {
+  M: 'Boys',
+  F: 'Girls',
+  X: 'Open',
+};
+
+export default function ManageTimeStandards() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [standards, setStandards] = useState<TimeStandard[]>([]);
+  const [courseFilter, setCourseFilter] = useState<Course | ''>('');
+  const [form, setForm] = useState<StandardFormState>(EMPTY_FORM);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load the time standards for the selected course
+  const loadStandards = async (course: Course | '') => {
+    setIsDataLoading(true);
+
+    try {
+      const result = await getTimeStandards(course ? { course } : {});
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load time standards');
+      }
+
+      setStandards(result.standards || []);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsDataLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUser) {
+      loadStandards(courseFilter);
+    }
+  }, [currentUser, courseFilter]);
+
+  // Save the standard in the form
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!form.standardName.trim()) {
+      setError('Please enter a standard name');
+      return;
+    }
+
+    if (!isValidTimeString(form.time)) {
+      setError('Please enter a valid time in the format MM:SS.ss or SS.ss');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await saveTimeStandard({
+        id: form.id,
+        standardName: form.standardName.trim(),
+        gender: form.gender,
+        minAge: form.minAge ? parseInt(form.minAge) : null,
+        maxAge: form.maxAge ? parseInt(form.maxAge) : null,
+        course: form.course,
+        stroke: form.stroke,
+        distance: form.distance,
+        time: parseTime(form.time.trim()),
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save time standard');
+      }
+
+      setSuccess(result.message || 'Time standard saved successfully');
+      setForm(EMPTY_FORM);
+      await loadStandards(courseFilter);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Fill the form with a standard so it can be edited
+  const handleEdit = (standard: TimeStandard) => {
+    setError(null);
+    setSuccess(null);
+    setForm({
+      id: standard.id,
+      standardName: standard.standardName,
+      gender: standard.gender,
+      minAge: standard.minAge !== null ? String(standard.minAge) : '',
+      maxAge: standard.maxAge !== null ? String(standard.maxAge) : '',
+      course: standard.course,
+      stroke: standard.stroke,
+      distance: standard.distance,
+      time: formatTime(standard.time),
+    });
+  };
+
+  const handleDelete = async (standard: TimeStandard) => {
+    if (
+      !standard.id ||
+      !window.confirm(
+        `Delete the ${standard.standardName} standard for ${standard.stroke} ${standard.distance}?`
+      )
+    ) {
+      return;
+    }
+
+    setError(null);
+    setSuccess(null);
+
+    const result = await deleteTimeStandard(standard.id);
+    if (!result.success) {
+      setError(result.error || 'Failed to delete time standard');
+      return;
+    }
+
+    setSuccess(result.message || 'Time standard deleted successfully');
+    await loadStandards(courseFilter);
+  };
+
+  // Load standards from a CSV file
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await importTimeStandards(await file.text());
+
+      if (!result.success) {
+        const rowErrors = (result.errors || [])
+          .map((rowError) => `Row ${rowError.rowNumber}: ${rowError.error}`)
+          .join('; ');
+        throw new Error(
+          [result.error || 'Failed to load time standards', rowErrors]
+            .filter((message) => message)
+            .join('. ')
+        );
+      }
+
+      setSuccess(result.message || 'Time standards loaded successfully');
+      await loadStandards(courseFilter);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+      e.target.value = '';
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Time Standards</h1>
+          <p className='mt-2 max-w-3xl'>
+            Qualifying and motivational times by age group, gender, course and
+            event. Swimmers see the standards they have achieved and the next
+            one to aim for on their best times.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {/* Add or edit a standard */}
+        <form onSubmit={handleSubmit} className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-4'>
+            {form.id ? 'Edit Standard' : 'Add Standard'}
+          </h2>
+          <div className='grid grid-cols-1 md:grid-cols-4 gap-4'>
+            <div>
+              <label htmlFor='standardName' className='block text-sm font-medium text-gray-700 mb-1'>
+                Standard *
+              </label>
+              <input
+                id='standardName'
+                type='text'
+                value={form.standardName}
+                onChange={(e) => setForm({ ...form, standardName: e.target.value })}
+                className={inputClassName}
+                placeholder='e.g., Provincials or AA'
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label htmlFor='gender' className='block text-sm font-medium text-gray-700 mb-1'>
+                Gender
+              </label>
+              <select
+                id='gender'
+                value={form.gender}
+                onChange={(e) => setForm({ ...form, gender: e.target.value as StandardGender })}
+                className={inputClassName}
+                disabled={isSubmitting}
+              >
+                {(Object.keys(GENDER_LABELS) as StandardGender[]).map((gender) => (
+                  <option key={gender} value={gender}>
+                    {GENDER_LABELS[gender]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='minAge' className='block text-sm font-medium text-gray-700 mb-1'>
+                Min Age
+              </label>
+              <input
+                id='minAge'
+                type='number'
+                min='0'
+                value={form.minAge}
+                onChange={(e) => setForm({ ...form, minAge: e.target.value })}
+                className={inputClassName}
+                placeholder='Any'
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label htmlFor='maxAge' className='block text-sm font-medium text-gray-700 mb-1'>
+                Max Age
+              </label>
+              <input
+                id='maxAge'
+                type='number'
+                min='0'
+                value={form.maxAge}
+                onChange={(e) => setForm({ ...form, maxAge: e.target.value })}
+                className={inputClassName}
+                placeholder='Any'
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label htmlFor='course' className='block text-sm font-medium text-gray-700 mb-1'>
+                Course
+              </label>
+              <select
+                id='course'
+                value={form.course}
+                onChange={(e) => {
+                  const course = e.target.value as Course;
+                  setForm({ ...form, course, distance: getDistances(form.stroke, course)[0] });
+                }}
+                className={inputClassName}
+                disabled={isSubmitting}
+              >
+                {getCourses().map((course) => (
+                  <option key={course.value} value={course.value}>
+                    {course.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='stroke' className='block text-sm font-medium text-gray-700 mb-1'>
+                Stroke
+              </label>
+              <select
+                id='stroke'
+                value={form.stroke}
+                onChange={(e) => {
+                  const stroke = e.target.value;
+                  setForm({ ...form, stroke, distance: getDistances(stroke, form.course)[0] });
+                }}
+                className={inputClassName}
+                disabled={isSubmitting}
+              >
+                {getStrokes().map((stroke) => (
+                  <option key={stroke} value={stroke}>
+                    {stroke}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='distance' className='block text-sm font-medium text-gray-700 mb-1'>
+                Distance
+              </label>
+              <select
+                id='distance'
+                value={form.distance}
+                onChange={(e) => setForm({ ...form, distance: e.target.value })}
+                className={inputClassName}
+                disabled={isSubmitting}
+              >
+                {getDistances(form.stroke, form.course).map((distance) => (
+                  <option key={distance} value={distance}>
+                    {distance}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='time' className='block text-sm font-medium text-gray-700 mb-1'>
+                Time *
+              </label>
+              <input
+                id='time'
+                type='text'
+                value={form.time}
+                onChange={(e) => setForm({ ...form, time: e.target.value })}
+                className={inputClassName}
+                placeholder='MM:SS.ss or SS.ss'
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+          <div className='flex justify-end space-x-3 pt-6'>
+            {form.id && (
+              <button
+                type='button'
+                onClick={() => setForm(EMPTY_FORM)}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors'
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type='submit'
+              className='px-4 py-2 bg-primary text-secondary rounded-md hover:bg-primary-dark transition-colors'
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Saving...' : form.id ? 'Update Standard' : 'Add Standard'}
+            </button>
+          </div>
+        </form>
+
+        {/* Load standards from CSV */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-2'>Load from CSV</h2>
+          <p className='text-sm text-gray-500 mb-4'>
+            Columns: standard, gender (M, F or X), minAge, maxAge, course,
+            stroke, distance, time. Leave an age blank for no limit. Rows that
+            match an existing standard update it.
+          </p>
+          <input
+            type='file'
+            accept='.csv,text/csv'
+            onChange={handleFileChange}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        {/* Standards list */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <div className='flex items-center justify-between mb-4'>
+            <h2 className='text-xl font-bold text-secondary'>Standards</h2>
+            <select
+              value={courseFilter}
+              onChange={(e) => setCourseFilter(e.target.value as Course | '')}
+              className='px-3 py-2 border border-gray-300 rounded-md'
+            >
+              <option value=''>All Courses</option>
+              {getCourses().map((course) => (
+                <option key={course.value} value={course.value}>
+                  {course.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {isDataLoading ? (
+            <p className='text-gray-500'>Loading time standards...</p>
+          ) : standards.length === 0 ? (
+            <p className='text-gray-500'>No time standards yet.</p>
+          ) : (
+            <div className='overflow-x-auto'>
+              <table className='min-w-full text-sm'>
+                <thead>
+                  <tr className='text-left text-gray-500 border-b'>
+                    <th className='py-2 pr-4'>Standard</th>
+                    <th className='py-2 pr-4'>Gender</th>
+                    <th className='py-2 pr-4'>Age Group</th>
+                    <th className='py-2 pr-4'>Event</th>
+                    <th className='py-2 pr-4'>Time</th>
+                    <th className='py-2 pr-4'></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {standards.map((standard) => (
+                    <tr key={standard.id} className='border-b last:border-0'>
+                      <td className='py-2 pr-4 font-medium'>{standard.standardName}</td>
+                      <td className='py-2 pr-4'>{GENDER_LABELS[standard.gender]}</td>
+                      <td className='py-2 pr-4'>{formatAgeGroup(standard)}</td>
+                      <td className='py-2 pr-4'>
+                        {standard.stroke} {standard.distance} {standard.course}
+                      </td>
+                      <td className='py-2 pr-4'>{formatTime(standard.time)}</td>
+                      <td className='py-2 pr-4 text-right whitespace-nowrap'>
+                        <button
+                          type='button'
+                          onClick={() => handleEdit(standard)}
+                          className='text-blue-600 hover:underline mr-3'
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type='button'
+                          onClick={() => handleDelete(standard)}
+                          className='text-red-600 hover:underline'
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className='text-center'>
+          <Link
+            href='/admin'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Admin
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
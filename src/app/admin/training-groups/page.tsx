@@ -0,0 +1,435 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  getTrainingGroups,
+  saveTrainingGroup,
+  deleteTrainingGroup,
+  assignSwimmerToGroup,
+  assignCoach,
+  TrainingGroup,
+  GroupCoach,
+  GroupSwimmer,
+  TrainingGroupResponse,
+} from '@/services/trainingGroupsService';
+import {
+  generateGroupReportCards,
+  downloadReportCard,
+} from '@/services/reportCardsService';
+
+export default function ManageTrainingGroups() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [groups, setGroups] = useState<TrainingGroup[]>([]);
+  const [coaches, setCoaches] = useState<GroupCoach[]>([]);
+  const [athletes, setAthletes] = useState<GroupSwimmer[]>([]);
+  const [groupName, setGroupName] = useState('');
+  const [coachEmail, setCoachEmail] = useState('');
+  const [seasonStart, setSeasonStart] = useState('');
+  const [seasonEnd, setSeasonEnd] = useState('');
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load the groups, coaches and athletes
+  const loadGroups = async () => {
+    setIsDataLoading(true);
+
+    try {
+      const result = await getTrainingGroups();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load training groups');
+      }
+
+      setGroups(result.groups || []);
+      setCoaches(result.coaches || []);
+      setAthletes(result.athletes || []);
+    } catch (err: any) {
+      setError(err.message);
+      console.error('Error loading training groups:', err);
+    } finally {
+      setIsDataLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUser) {
+      loadGroups();
+    }
+  }, [currentUser]);
+
+  // Run a change, report the result and reload
+  const runChange = async (change: () => Promise<TrainingGroupResponse>) => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await change();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save changes');
+      }
+
+      setSuccess(result.message || 'Changes saved successfully');
+      await loadGroups();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCreateGroup = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!groupName.trim()) {
+      setError('Please enter a group name');
+      return;
+    }
+
+    await runChange(() => saveTrainingGroup(groupName.trim()));
+    setGroupName('');
+  };
+
+  const handleRenameGroup = async (group: TrainingGroup) => {
+    const name = window.prompt('Group name', group.name);
+    if (!name || name.trim() === group.name) {
+      return;
+    }
+
+    await runChange(() => saveTrainingGroup(name.trim(), group.id));
+  };
+
+  const handleDeleteGroup = async (group: TrainingGroup) => {
+    if (
+      !window.confirm(
+        `Delete ${group.name}? Its ${group.swimmers.length} swimmers will be left without a group.`
+      )
+    ) {
+      return;
+    }
+
+    await runChange(() => deleteTrainingGroup(group.id));
+  };
+
+  const handleReportCards = async (group: TrainingGroup) => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await generateGroupReportCards(group.id, {
+        seasonStart: seasonStart || undefined,
+        seasonEnd: seasonEnd || undefined,
+      });
+
+      if (!result.success || !result.filename || !result.content) {
+        throw new Error(result.error || 'Failed to generate report cards');
+      }
+
+      downloadReportCard(result.filename, result.content);
+      setSuccess(`Generated ${result.count} report cards for ${group.name}`);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Add or remove a group from a coach
+  const handleToggleCoachGroup = async (coach: GroupCoach, groupId: string) => {
+    const groupIds = coach.coachGroupIds.includes(groupId)
+      ? coach.coachGroupIds.filter((id) => id !== groupId)
+      : [...coach.coachGroupIds, groupId];
+
+    await runChange(() => assignCoach({ userId: coach.id }, groupIds));
+  };
+
+  const handleAddCoach = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!coachEmail.trim()) {
+      setError('Please enter the coach’s email');
+      return;
+    }
+
+    await runChange(() => assignCoach({ email: coachEmail.trim() }, []));
+    setCoachEmail('');
+  };
+
+  if (isLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Training Groups</h1>
+          <p className='mt-2 max-w-3xl'>
+            Put swimmers in training groups and assign coaches to them. Coaches
+            can read and enter times, goals and notes for the swimmers in their
+            groups.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {/* Add a group */}
+        <form onSubmit={handleCreateGroup} className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-4'>Add Group</h2>
+          <div className='flex gap-3'>
+            <input
+              type='text'
+              value={groupName}
+              onChange={(e) => setGroupName(e.target.value)}
+              className={inputClassName}
+              placeholder='e.g., Junior Squad'
+              disabled={isSubmitting}
+            />
+            <button
+              type='submit'
+              className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+              disabled={isSubmitting}
+            >
+              Add
+            </button>
+          </div>
+        </form>
+
+        {/* Report card season */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-2'>Report Card Season</h2>
+          <p className='text-sm text-gray-600 mb-4'>
+            Report cards cover the season since September 1 unless you choose other dates.
+          </p>
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+            <div>
+              <label htmlFor='seasonStart' className='block text-sm font-medium text-gray-700 mb-1'>
+                Season Start
+              </label>
+              <input
+                id='seasonStart'
+                type='date'
+                value={seasonStart}
+                onChange={(e) => setSeasonStart(e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor='seasonEnd' className='block text-sm font-medium text-gray-700 mb-1'>
+                Season End
+              </label>
+              <input
+                id='seasonEnd'
+                type='date'
+                value={seasonEnd}
+                onChange={(e) => setSeasonEnd(e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        </div>
+
+        {isDataLoading ? (
+          <div className='py-12 text-center'>
+            <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+            <p className='mt-2 text-gray-500'>Loading training groups...</p>
+          </div>
+        ) : (
+          <>
+            {/* Groups */}
+            <div className='grid grid-cols-1 md:grid-cols-2 gap-6'>
+              {groups.map((group) => (
+                <div key={group.id} className='bg-white rounded-xl shadow-lg p-6'>
+                  <div className='flex items-center justify-between mb-2'>
+                    <h2 className='text-xl font-bold text-secondary'>{group.name}</h2>
+                    <div className='space-x-3 text-sm'>
+                      <button
+                        onClick={() => handleReportCards(group)}
+                        className='text-blue-600 hover:text-blue-800'
+                        disabled={isSubmitting || group.swimmers.length === 0}
+                      >
+                        Report Cards
+                      </button>
+                      <button
+                        onClick={() => handleRenameGroup(group)}
+                        className='text-blue-600 hover:text-blue-800'
+                        disabled={isSubmitting}
+                      >
+                        Rename
+                      </button>
+                      <button
+                        onClick={() => handleDeleteGroup(group)}
+                        className='text-red-600 hover:text-red-800'
+                        disabled={isSubmitting}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                  <p className='text-sm text-gray-500 mb-4'>
+                    Coaches:{' '}
+                    {group.coaches.length > 0
+                      ? group.coaches.map((coach) => coach.displayName).join(', ')
+                      : 'none'}
+                  </p>
+                  {group.swimmers.length > 0 ? (
+                    <ul className='divide-y text-sm'>
+                      {group.swimmers.map((swimmer) => (
+                        <li key={swimmer.id} className='py-2 flex justify-between'>
+                          <span>{swimmer.displayName}</span>
+                          <button
+                            onClick={() => runChange(() => assignSwimmerToGroup(swimmer.id, null))}
+                            className='text-red-600 hover:text-red-800'
+                            disabled={isSubmitting}
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className='text-sm text-gray-600'>No swimmers in this group yet.</p>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {/* Athletes */}
+            <div className='bg-white rounded-xl shadow-lg p-6'>
+              <h2 className='text-xl font-bold text-secondary mb-4'>Athletes</h2>
+              {athletes.length > 0 ? (
+                <div className='overflow-x-auto'>
+                  <table className='min-w-full text-sm'>
+                    <thead>
+                      <tr className='text-left text-gray-500 border-b'>
+                        <th className='py-2 pr-4'>Athlete</th>
+                        <th className='py-2 pr-4'>Group</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {athletes.map((athlete) => (
+                        <tr key={athlete.id} className='border-b last:border-0'>
+                          <td className='py-2 pr-4'>{athlete.displayName}</td>
+                          <td className='py-2 pr-4'>
+                            <select
+                              value={athlete.trainingGroupId || ''}
+                              onChange={(e) =>
+                                runChange(() =>
+                                  assignSwimmerToGroup(athlete.id, e.target.value || null)
+                                )
+                              }
+                              className={inputClassName}
+                              disabled={isSubmitting}
+                            >
+                              <option value=''>No group</option>
+                              {groups.map((group) => (
+                                <option key={group.id} value={group.id}>
+                                  {group.name}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className='text-gray-600'>No athletes registered yet.</p>
+              )}
+            </div>
+
+            {/* Coaches */}
+            <div className='bg-white rounded-xl shadow-lg p-6'>
+              <h2 className='text-xl font-bold text-secondary mb-4'>Coaches</h2>
+              {coaches.length > 0 && (
+                <div className='overflow-x-auto mb-6'>
+                  <table className='min-w-full text-sm'>
+                    <thead>
+                      <tr className='text-left text-gray-500 border-b'>
+                        <th className='py-2 pr-4'>Coach</th>
+                        {groups.map((group) => (
+                          <th key={group.id} className='py-2 pr-4'>
+                            {group.name}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {coaches.map((coach) => (
+                        <tr key={coach.id} className='border-b last:border-0'>
+                          <td className='py-2 pr-4'>{coach.displayName}</td>
+                          {groups.map((group) => (
+                            <td key={group.id} className='py-2 pr-4'>
+                              <input
+                                type='checkbox'
+                                checked={coach.coachGroupIds.includes(group.id)}
+                                onChange={() => handleToggleCoachGroup(coach, group.id)}
+                                disabled={isSubmitting}
+                              />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <form onSubmit={handleAddCoach} className='flex gap-3'>
+                <input
+                  type='email'
+                  value={coachEmail}
+                  onChange={(e) => setCoachEmail(e.target.value)}
+                  className={inputClassName}
+                  placeholder='Email of the member to make a coach'
+                  disabled={isSubmitting}
+                />
+                <button
+                  type='submit'
+                  className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50 whitespace-nowrap'
+                  disabled={isSubmitting}
+                >
+                  Make Coach
+                </button>
+              </form>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
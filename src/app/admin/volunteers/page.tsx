@@ -0,0 +1,527 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { getUpcomingEvents, ClubEvent } from '@/services/eventsService';
+import { downloadFile } from '@/services/meetEntriesService';
+import {
+  getVolunteerShifts,
+  saveVolunteerShifts,
+  cancelVolunteerSignup,
+  setVolunteerNoShow,
+  getVolunteerHours,
+  exportVolunteerHours,
+  getVolunteerSettings,
+  saveVolunteerSettings,
+  FamilyHours,
+  ShiftVolunteer,
+  VolunteerEvent,
+  VolunteerSeason,
+  VolunteerShift,
+} from '@/services/volunteeringService';
+
+// Roles suggested when adding a shift
+const VOLUNTEER_ROLES = ['Timer', 'Marshal', 'Concession', 'Official', 'Set-up', 'Clean-up'];
+
+// Shift rows as typed into the form
+interface ShiftRow {
+  id?: string;
+  role: string;
+  description: string;
+  startTime: string;
+  endTime: string;
+  slots: string;
+}
+
+// Date inputs take local times without a time zone, e.g. "2026-11-08T09:00"
+const toLocalInput = (value: string) => {
+  const date = new Date(value);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+const toRows = (shifts: VolunteerShift[]): ShiftRow[] =>
+  shifts.map((shift) => ({
+    id: shift.id,
+    role: shift.role,
+    description: shift.description,
+    startTime: toLocalInput(shift.startTime),
+    endTime: toLocalInput(shift.endTime),
+    slots: String(shift.slots),
+  }));
+
+export default function ManageVolunteers() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [events, setEvents] = useState<ClubEvent[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [volunteerEvent, setVolunteerEvent] = useState<VolunteerEvent | null>(null);
+  const [rows, setRows] = useState<ShiftRow[]>([]);
+  const [familyHours, setFamilyHours] = useState('0');
+  const [families, setFamilies] = useState<FamilyHours[]>([]);
+  const [season, setSeason] = useState<VolunteerSeason | null>(null);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load families' hours for the current season
+  const loadHours = async () => {
+    const result = await getVolunteerHours();
+    if (!result.success) {
+      setError(result.error || 'Failed to load volunteer hours');
+      return;
+    }
+
+    setFamilies(result.families || []);
+    setSeason(result.season || null);
+  };
+
+  // Load upcoming events, the family obligation and hours when the page mounts
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [eventsResult, settingsResult] = await Promise.all([
+          getUpcomingEvents(),
+          getVolunteerSettings(),
+        ]);
+
+        if (!eventsResult.success) {
+          throw new Error(eventsResult.error || 'Failed to load events');
+        }
+
+        // Shifts go on single events, not dates of a recurring event
+        setEvents((eventsResult.events || []).filter((event) => !event.occurrenceDate));
+        setFamilyHours(String(settingsResult.settings?.familyHours ?? 0));
+        await loadHours();
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching volunteering:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchData();
+    }
+  }, [currentUser]);
+
+  // Load the shifts of the chosen event
+  const loadShifts = async (selectedId: string) => {
+    setVolunteerEvent(null);
+    setRows([]);
+    if (!selectedId) {
+      return;
+    }
+
+    const result = await getVolunteerShifts(selectedId);
+    const [selected] = result.events || [];
+    if (!result.success || !selected) {
+      setError(result.error || 'Failed to load shifts');
+      return;
+    }
+
+    setVolunteerEvent(selected);
+    setRows(toRows(selected.shifts));
+  };
+
+  const handleEventChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setEventId(e.target.value);
+    setError(null);
+    setSuccess(null);
+    loadShifts(e.target.value);
+  };
+
+  const updateRow = (index: number, field: keyof ShiftRow, value: string) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = () => {
+    const event = events.find((candidate) => candidate.id === eventId);
+    const start = event?.startDate ? toLocalInput(event.startDate) : '';
+    setRows([...rows, { role: '', description: '', startTime: start, endTime: start, slots: '1' }]);
+  };
+
+  const handleSaveShifts = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveVolunteerShifts(
+        eventId,
+        rows.map((row) => ({
+          id: row.id,
+          role: row.role,
+          description: row.description,
+          startTime: row.startTime && new Date(row.startTime).toISOString(),
+          endTime: row.endTime && new Date(row.endTime).toISOString(),
+          slots: Number(row.slots),
+        }))
+      );
+
+      if (!result.success || !result.event) {
+        throw new Error(result.error || 'Failed to save shifts');
+      }
+
+      setVolunteerEvent(result.event);
+      setRows(toRows(result.event.shifts));
+      setSuccess(result.message || 'Shifts saved');
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleNoShow = async (volunteer: ShiftVolunteer) => {
+    setError(null);
+    setSuccess(null);
+
+    const result = await setVolunteerNoShow(volunteer.id, !volunteer.noShow);
+    if (!result.success) {
+      setError(result.error || 'Failed to update volunteer');
+      return;
+    }
+
+    await Promise.all([loadShifts(eventId), loadHours()]);
+  };
+
+  const handleRemove = async (volunteer: ShiftVolunteer) => {
+    if (!window.confirm(`Remove ${volunteer.userName} from this shift?`)) {
+      return;
+    }
+
+    setError(null);
+    setSuccess(null);
+
+    const result = await cancelVolunteerSignup(volunteer.id);
+    if (!result.success) {
+      setError(result.error || 'Failed to remove volunteer');
+      return;
+    }
+
+    await loadShifts(eventId);
+  };
+
+  const handleSaveSettings = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveVolunteerSettings({ familyHours: Number(familyHours) });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save volunteer settings');
+      }
+
+      setSuccess(result.message || 'Volunteer settings saved');
+      await loadHours();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setError(null);
+    setSuccess(null);
+
+    const result = await exportVolunteerHours();
+    if (!result.success || !result.filename || result.content === undefined) {
+      setError(result.error || 'Failed to export volunteer hours');
+      return;
+    }
+
+    downloadFile(result.filename, result.content);
+    setSuccess(`Exported ${result.count} families`);
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Volunteers</h1>
+          <p className='mt-2 max-w-3xl'>
+            Set up volunteer shifts for meets and events, see who has signed up
+            and track each family&apos;s hours for the season.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <h2 className='text-lg font-bold text-secondary'>Shifts</h2>
+          <div>
+            <label htmlFor='event' className='block text-sm font-medium text-gray-700 mb-1'>
+              Event
+            </label>
+            <select id='event' value={eventId} onChange={handleEventChange} className={inputClassName}>
+              <option value=''>Choose an event</option>
+              {events.map((event) => (
+                <option key={event.id} value={event.id}>
+                  {event.title}
+                  {event.startDate && ` (${new Date(event.startDate).toLocaleDateString()})`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {eventId && (
+            <>
+              <datalist id='volunteer-roles'>
+                {VOLUNTEER_ROLES.map((role) => (
+                  <option key={role} value={role} />
+                ))}
+              </datalist>
+
+              {rows.length > 0 ? (
+                <div className='overflow-x-auto'>
+                  <table className='min-w-full text-sm'>
+                    <thead>
+                      <tr className='text-left text-gray-500'>
+                        <th className='py-2 pr-3'>Role</th>
+                        <th className='py-2 pr-3'>Description</th>
+                        <th className='py-2 pr-3'>Start</th>
+                        <th className='py-2 pr-3'>End</th>
+                        <th className='py-2 pr-3'>Slots</th>
+                        <th className='py-2'></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map((row, index) => (
+                        <tr key={row.id || index}>
+                          <td className='py-1 pr-3'>
+                            <input
+                              type='text'
+                              list='volunteer-roles'
+                              value={row.role}
+                              onChange={(e) => updateRow(index, 'role', e.target.value)}
+                              className={inputClassName}
+                            />
+                          </td>
+                          <td className='py-1 pr-3'>
+                            <input
+                              type='text'
+                              value={row.description}
+                              onChange={(e) => updateRow(index, 'description', e.target.value)}
+                              className={inputClassName}
+                            />
+                          </td>
+                          <td className='py-1 pr-3'>
+                            <input
+                              type='datetime-local'
+                              value={row.startTime}
+                              onChange={(e) => updateRow(index, 'startTime', e.target.value)}
+                              className={inputClassName}
+                            />
+                          </td>
+                          <td className='py-1 pr-3'>
+                            <input
+                              type='datetime-local'
+                              value={row.endTime}
+                              onChange={(e) => updateRow(index, 'endTime', e.target.value)}
+                              className={inputClassName}
+                            />
+                          </td>
+                          <td className='py-1 pr-3 w-24'>
+                            <input
+                              type='number'
+                              min={1}
+                              value={row.slots}
+                              onChange={(e) => updateRow(index, 'slots', e.target.value)}
+                              className={inputClassName}
+                            />
+                          </td>
+                          <td className='py-1 text-right'>
+                            <button
+                              onClick={() => setRows(rows.filter((_, i) => i !== index))}
+                              className='text-red-600 hover:text-red-800'
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className='text-gray-600'>This event has no volunteer shifts yet.</p>
+              )}
+
+              <div className='flex justify-between gap-3'>
+                <button
+                  onClick={addRow}
+                  className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+                >
+                  Add Shift
+                </button>
+                <button
+                  onClick={handleSaveShifts}
+                  className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Shifts'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        {volunteerEvent && volunteerEvent.shifts.length > 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-lg font-bold text-secondary mb-2'>Sign-ups</h2>
+            <ul className='divide-y'>
+              {volunteerEvent.shifts.map((shift) => (
+                <li key={shift.id} className='py-4'>
+                  <p className='font-medium'>
+                    {shift.role} · {new Date(shift.startTime).toLocaleString()} ·{' '}
+                    {shift.filled} of {shift.slots} filled
+                  </p>
+                  {shift.volunteers.length > 0 ? (
+                    <ul className='mt-2 space-y-1 text-sm'>
+                      {shift.volunteers.map((volunteer) => (
+                        <li key={volunteer.id} className='flex items-center justify-between gap-3'>
+                          <span className={volunteer.noShow ? 'line-through text-gray-400' : ''}>
+                            {volunteer.userName}
+                            {volunteer.offered && (
+                              <span className='ml-2 text-xs text-yellow-700'>offered for swap</span>
+                            )}
+                          </span>
+                          <span className='flex gap-3'>
+                            <button
+                              onClick={() => handleNoShow(volunteer)}
+                              className='text-gray-600 hover:text-gray-800'
+                            >
+                              {volunteer.noShow ? 'Clear No-Show' : 'No-Show'}
+                            </button>
+                            <button
+                              onClick={() => handleRemove(volunteer)}
+                              className='text-red-600 hover:text-red-800'
+                            >
+                              Remove
+                            </button>
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className='text-sm text-gray-500'>No volunteers yet.</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <div className='flex flex-wrap justify-between items-end gap-3'>
+            <h2 className='text-lg font-bold text-secondary'>
+              Family Hours{season && ` · ${season.label} Season`}
+            </h2>
+            <div className='flex items-end gap-3'>
+              <div>
+                <label htmlFor='familyHours' className='block text-sm font-medium text-gray-700 mb-1'>
+                  Hours owed per family
+                </label>
+                <input
+                  id='familyHours'
+                  type='number'
+                  min={0}
+                  step={0.5}
+                  value={familyHours}
+                  onChange={(e) => setFamilyHours(e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+              <button
+                onClick={handleSaveSettings}
+                className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                disabled={isSubmitting}
+              >
+                Save
+              </button>
+              <button
+                onClick={handleExport}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Export CSV
+              </button>
+            </div>
+          </div>
+
+          {families.length > 0 ? (
+            <div className='overflow-x-auto'>
+              <table className='min-w-full text-sm'>
+                <thead>
+                  <tr className='text-left text-gray-500 border-b'>
+                    <th className='py-2 pr-4'>Family</th>
+                    <th className='py-2 pr-4'>Volunteers</th>
+                    <th className='py-2 pr-4'>Shifts</th>
+                    <th className='py-2 pr-4'>Hours</th>
+                    <th className='py-2 pr-4'>Remaining</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {families.map((family) => (
+                    <tr key={family.id} className='border-b last:border-0'>
+                      <td className='py-2 pr-4'>{family.name}</td>
+                      <td className='py-2 pr-4'>{family.volunteers.join(', ')}</td>
+                      <td className='py-2 pr-4'>{family.shifts}</td>
+                      <td className='py-2 pr-4'>{family.hours}</td>
+                      <td
+                        className={`py-2 pr-4 ${
+                          family.remaining > 0 ? 'text-red-700' : 'text-green-700'
+                        }`}
+                      >
+                        {family.remaining}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className='text-gray-600'>No families to show.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,38 +1,106 @@
 'use client';
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Link from 'next/link';
 import Image from 'next/image';
 import { useAuth } from '@/context/AuthContext';
 import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { useSelectedAthlete } from '@/hooks/useSelectedAthlete';
 import SwimProgressCard from '@/components/SwimProgressCard';
-import { getBestTimes, BestTime } from '@/services/bestTimesService';
+import AthleteSwitcher from '@/components/AthleteSwitcher';
+import {
+  getBestTimes,
+  getCourses,
+  BestTime,
+  Course,
+  DEFAULT_COURSE,
+} from '@/services/bestTimesService';
+import {
+  getNotifications,
+  markNotificationsRead,
+  UserNotification,
+} from '@/services/notificationsService';
 
 export default function BestTimesTracker() {
   const { currentUser } = useAuth();
   const { isLoading } = useRouteProtection();
+  const {
+    athletes,
+    selectedAthleteId,
+    selectAthlete,
+    isLoading: isAthleteLoading,
+  } = useSelectedAthlete();
   const [bestTimes, setBestTimes] = useState<BestTime[]>([]);
   const [isDataLoading, setIsDataLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [showConfetti, setShowConfetti] = useState(false);
+  // Unread goal achieved notifications for the swimmer being shown
+  const [achievedGoals, setAchievedGoals] = useState<UserNotification[]>([]);
+  const [courseFilter, setCourseFilter] = useState<Course | 'all'>('all');
+
+  // Group best times by course so times from different pools are never mixed
+  const courses = getCourses().filter(
+    (course) => courseFilter === 'all' || course.value === courseFilter
+  );
+  const bestTimesByCourse = courses
+    .map((course) => ({
+      ...course,
+      bestTimes: bestTimes.filter(
+        (bestTime) => (bestTime.course || DEFAULT_COURSE) === course.value
+      ),
+    }))
+    .filter((group) => group.bestTimes.length > 0);
 
   // Function to trigger confetti
-  const triggerConfetti = () => {
+  const triggerConfetti = useCallback(() => {
     setShowConfetti(true);
     setTimeout(() => setShowConfetti(false), 3000);
-  };
+  }, []);
+
+  // Celebrate an achieved goal once, then mark its notifications as read
+  const celebrateGoal = useCallback(
+    (eventId: string) => {
+      const celebrated = achievedGoals.filter(
+        (notification) => notification.data.eventId === eventId
+      );
+      if (celebrated.length === 0) {
+        return;
+      }
 
-  // Fetch best times when component mounts
+      setAchievedGoals((current) =>
+        current.filter((notification) => !celebrated.includes(notification))
+      );
+      triggerConfetti();
+      markNotificationsRead(celebrated.map((notification) => notification.id));
+    },
+    [achievedGoals, triggerConfetti]
+  );
+
+  // Fetch best times when component mounts or another swimmer is chosen
   useEffect(() => {
     const fetchBestTimes = async () => {
+      setIsDataLoading(true);
+      setError(null);
+
       try {
-        const result = await getBestTimes();
+        const [result, notificationsResult] = await Promise.all([
+          getBestTimes(undefined, selectedAthleteId),
+          getNotifications(true, 'goalAchieved'),
+        ]);
         
         if (!result.success) {
           throw new Error(result.error || 'Failed to load best times');
         }
         
         setBestTimes(result.bestTimes || []);
+
+        // Guardians are notified about each of their swimmers
+        const athleteId = selectedAthleteId || currentUser?.uid;
+        setAchievedGoals(
+          (notificationsResult.notifications || []).filter(
+            (notification) => notification.athleteId === athleteId
+          )
+        );
       } catch (err: any) {
         setError(err.message);
         console.error('Error fetching best times:', err);
@@ -41,12 +109,12 @@ export default function BestTimesTracker() {
       }
     };
     
-    if (currentUser) {
+    if (currentUser && !isAthleteLoading) {
       fetchBestTimes();
     }
-  }, [currentUser]);
+  }, [currentUser, isAthleteLoading, selectedAthleteId]);
 
-  if (isLoading || isDataLoading) {
+  if (isLoading || isAthleteLoading || isDataLoading) {
     return (
       <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
         <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
@@ -108,6 +176,13 @@ export default function BestTimesTracker() {
           </div>
         )}
 
+        {/* Parents and guardians switch between their swimmers */}
+        <AthleteSwitcher
+          athletes={athletes}
+          selectedAthleteId={selectedAthleteId}
+          onSelect={selectAthlete}
+        />
+
         {/* Add new time button */}
         <div className='mb-8'>
           <Link
@@ -130,6 +205,28 @@ export default function BestTimesTracker() {
           </Link>
         </div>
 
+        {/* Course filter */}
+        {bestTimes.length > 0 && (
+          <div className='flex flex-wrap gap-2 mb-6'>
+            {[{ value: 'all' as const, label: 'All Courses' }, ...getCourses()].map(
+              (option) => (
+                <button
+                  key={option.value}
+                  type='button'
+                  onClick={() => setCourseFilter(option.value)}
+                  className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                    courseFilter === option.value
+                      ? 'bg-secondary text-white'
+                      : 'bg-white text-secondary border border-gray-300 hover:bg-gray-100'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              )
+            )}
+          </div>
+        )}
+
         {/* Best times grid */}
         {bestTimes.length === 0 ? (
           <div className='bg-white rounded-xl shadow-lg p-8 text-center'>
@@ -147,21 +244,39 @@ export default function BestTimesTracker() {
               Add Your First Time
             </Link>
           </div>
-        ) : (
-          <div className='grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6'>
-            {bestTimes.map((bestTime) => (
-              <SwimProgressCard
-                key={bestTime.id}
-                id={bestTime.id || ''}
-                eventName={bestTime.eventName}
-                stroke={bestTime.stroke}
-                distance={bestTime.distance}
-                bestTime={bestTime.time}
-                goalTime={bestTime.goalTime}
-                onCelebrate={triggerConfetti}
-              />
-            ))}
+        ) : bestTimesByCourse.length === 0 ? (
+          <div className='bg-white rounded-xl shadow-lg p-8 text-center text-gray-600'>
+            No best times recorded for this course yet.
           </div>
+        ) : (
+          bestTimesByCourse.map((group) => (
+            <div key={group.value} className='mb-10'>
+              <h2 className='text-2xl font-bold text-secondary mb-4'>
+                {group.label}
+              </h2>
+              <div className='grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6'>
+                {group.bestTimes.map((bestTime) => (
+                  <SwimProgressCard
+                    key={bestTime.id}
+                    id={bestTime.id || ''}
+                    eventName={bestTime.eventName}
+                    stroke={bestTime.stroke}
+                    distance={bestTime.distance}
+                    course={bestTime.course}
+                    bestTime={bestTime.time}
+                    goalTime={bestTime.goalTime}
+                    points={bestTime.points}
+                    conversions={bestTime.conversions}
+                    standards={bestTime.standards}
+                    goalAchieved={achievedGoals.some(
+                      (notification) => notification.data.eventId === bestTime.id
+                    )}
+                    onCelebrate={celebrateGoal}
+                  />
+                ))}
+              </div>
+            </div>
+          ))
         )}
 
         {/* Back to Athlete Zone button */}
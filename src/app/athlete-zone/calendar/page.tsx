@@ -0,0 +1,354 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  getCalendarFeedToken,
+  getCalendarFeedUrl,
+  getEventCategories,
+  getWebcalUrl,
+  EventCategory,
+} from '@/services/calendarFeedService';
+import {
+  getEventReminderSettings,
+  getReminderPreferences,
+  saveReminderPreferences,
+  formatReminderHours,
+  EventReminderSettings,
+  ReminderPreferences,
+} from '@/services/eventRemindersService';
+
+interface FeedRowProps {
+  title: string;
+  description: string;
+  url: string;
+}
+
+// A feed address with buttons to subscribe or copy it
+const FeedRow = ({ title, description, url }: FeedRowProps) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying feed address:', err);
+    }
+  };
+
+  return (
+    <li className='py-4'>
+      <div className='flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3'>
+        <div className='min-w-0'>
+          <p className='font-medium'>{title}</p>
+          <p className='text-sm text-gray-500'>{description}</p>
+          <p className='text-xs text-gray-400 truncate'>{url}</p>
+        </div>
+        <div className='flex gap-2 shrink-0'>
+          <a
+            href={getWebcalUrl(url)}
+            className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors'
+          >
+            Subscribe
+          </a>
+          <button
+            type='button'
+            onClick={handleCopy}
+            className='px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors'
+          >
+            {copied ? 'Copied!' : 'Copy Link'}
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+};
+
+export default function CalendarSubscriptions() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [token, setToken] = useState<string | null>(null);
+  const [categories, setCategories] = useState<EventCategory[]>([]);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isResetting, setIsResetting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [preferences, setPreferences] = useState<ReminderPreferences | null>(null);
+  const [reminderSettings, setReminderSettings] = useState<EventReminderSettings | null>(null);
+  const [isSavingPreferences, setIsSavingPreferences] = useState(false);
+
+  // Load the personal feed token, the categories and the reminder
+  // preferences when the page mounts
+  useEffect(() => {
+    const fetchFeeds = async () => {
+      try {
+        const [tokenResult, categoriesResult, preferencesResult, settingsResult] =
+          await Promise.all([
+            getCalendarFeedToken(),
+            getEventCategories(),
+            getReminderPreferences(),
+            getEventReminderSettings(),
+          ]);
+
+        if (!tokenResult.success) {
+          throw new Error(tokenResult.error || 'Failed to load your calendar');
+        }
+
+        setToken(tokenResult.token || null);
+        setCategories(categoriesResult.categories || []);
+        setPreferences(preferencesResult.preferences || null);
+        setReminderSettings(settingsResult.settings || null);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching calendar feeds:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchFeeds();
+    }
+  }, [currentUser]);
+
+  const handleReset = async () => {
+    if (
+      !window.confirm(
+        'Calendars subscribed to your current link will stop updating. Continue?'
+      )
+    ) {
+      return;
+    }
+
+    setIsResetting(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await getCalendarFeedToken(true);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to reset your calendar link');
+      }
+
+      setToken(result.token || null);
+      setMessage('Your calendar link has been reset. Subscribe again with the new link.');
+    } catch (err: any) {
+      setError(err.message);
+      console.error('Error resetting calendar feed token:', err);
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  const toggleCategory = (name: string) => {
+    if (!preferences) return;
+
+    const selected = preferences.categories.includes(name)
+      ? preferences.categories.filter((category) => category !== name)
+      : [...preferences.categories, name];
+    setPreferences({ ...preferences, categories: selected });
+  };
+
+  const handleSavePreferences = async () => {
+    if (!preferences) return;
+
+    setIsSavingPreferences(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await saveReminderPreferences(preferences);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save your reminder preferences');
+      }
+
+      setPreferences(result.preferences || preferences);
+      setMessage('Your reminder preferences have been saved.');
+    } catch (err: any) {
+      setError(err.message);
+      console.error('Error saving reminder preferences:', err);
+    } finally {
+      setIsSavingPreferences(false);
+    }
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Calendar Subscriptions</h1>
+          <p className='mt-2 max-w-3xl'>
+            Subscribe from your phone or computer calendar and club events will
+            stay up to date automatically.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+        {message && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {message}
+          </div>
+        )}
+
+        {token && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-2'>My Events</h2>
+            <p className='text-sm text-gray-600'>
+              The events you and your swimmers are entered in. This link is
+              private to you, so don&apos;t share it.
+            </p>
+            <ul className='divide-y'>
+              <FeedRow
+                title='My Events'
+                description='Events you are attending'
+                url={getCalendarFeedUrl({ token })}
+              />
+            </ul>
+            <button
+              type='button'
+              onClick={handleReset}
+              disabled={isResetting}
+              className='mt-2 text-sm text-red-600 hover:text-red-800 disabled:opacity-50'
+            >
+              {isResetting ? 'Resetting...' : 'Reset my calendar link'}
+            </button>
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-2'>Club Calendars</h2>
+          <ul className='divide-y'>
+            <FeedRow
+              title='All Events'
+              description='Every upcoming club event'
+              url={getCalendarFeedUrl()}
+            />
+            {categories.map((category) => (
+              <FeedRow
+                key={category.id}
+                title={category.name}
+                description={`Upcoming ${category.name} events`}
+                url={getCalendarFeedUrl({ category: category.name })}
+              />
+            ))}
+          </ul>
+        </div>
+
+        {preferences && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-2'>Email Reminders</h2>
+            <p className='text-sm text-gray-600'>
+              We email reminders before the events you and your swimmers are
+              entered in
+              {reminderSettings && reminderSettings.eventHours.length > 0
+                ? ` (${formatReminderHours(reminderSettings.eventHours)} before)`
+                : ''}
+              , and before registration closes for events you might attend
+              {reminderSettings && reminderSettings.deadlineHours.length > 0
+                ? ` (${formatReminderHours(reminderSettings.deadlineHours)} before)`
+                : ''}
+              .
+            </p>
+            <div className='mt-4 space-y-2'>
+              <label className='flex items-center gap-2'>
+                <input
+                  type='checkbox'
+                  checked={preferences.email}
+                  onChange={(e) =>
+                    setPreferences({ ...preferences, email: e.target.checked })
+                  }
+                />
+                <span>Email me reminders</span>
+              </label>
+              <label className='flex items-center gap-2 ml-6'>
+                <input
+                  type='checkbox'
+                  checked={preferences.eventReminders}
+                  disabled={!preferences.email}
+                  onChange={(e) =>
+                    setPreferences({ ...preferences, eventReminders: e.target.checked })
+                  }
+                />
+                <span className={preferences.email ? '' : 'text-gray-400'}>
+                  Before events start
+                </span>
+              </label>
+              <label className='flex items-center gap-2 ml-6'>
+                <input
+                  type='checkbox'
+                  checked={preferences.deadlineReminders}
+                  disabled={!preferences.email}
+                  onChange={(e) =>
+                    setPreferences({ ...preferences, deadlineReminders: e.target.checked })
+                  }
+                />
+                <span className={preferences.email ? '' : 'text-gray-400'}>
+                  Before registration closes
+                </span>
+              </label>
+            </div>
+
+            {categories.length > 0 && (
+              <div className='mt-4'>
+                <p className='font-medium'>Categories</p>
+                <p className='text-sm text-gray-500 mb-2'>
+                  Also remind me about every event in these categories, even
+                  when we&apos;re not entered.
+                </p>
+                <div className='grid grid-cols-1 sm:grid-cols-2 gap-2'>
+                  {categories.map((category) => (
+                    <label key={category.id} className='flex items-center gap-2'>
+                      <input
+                        type='checkbox'
+                        checked={preferences.categories.includes(category.name)}
+                        disabled={!preferences.email}
+                        onChange={() => toggleCategory(category.name)}
+                      />
+                      <span className={preferences.email ? '' : 'text-gray-400'}>
+                        {category.name}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <button
+              type='button'
+              onClick={handleSavePreferences}
+              disabled={isSavingPreferences}
+              className='mt-4 px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+            >
+              {isSavingPreferences ? 'Saving...' : 'Save Preferences'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
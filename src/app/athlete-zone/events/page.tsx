@@ -0,0 +1,260 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { useSelectedAthlete } from '@/hooks/useSelectedAthlete';
+import AthleteSwitcher from '@/components/AthleteSwitcher';
+import { getUpcomingEvents, ClubEvent } from '@/services/eventsService';
+import {
+  getNotifications,
+  markNotificationsRead,
+  UserNotification,
+} from '@/services/notificationsService';
+import {
+  getEventRsvps,
+  saveEventRsvp,
+  RSVP_RESPONSES,
+  EventRsvp,
+  RsvpResponse,
+} from '@/services/eventRsvpsService';
+
+// Dates of recurring events close when they start; other events at their
+// registration deadline, if they have one
+const isClosed = (event: ClubEvent) => {
+  const closesAt = event.occurrenceDate
+    ? event.startDate
+    : event.registrationDeadline || event.startDate;
+  return Boolean(event.cancelled) || (!!closesAt && new Date(closesAt) < new Date());
+};
+
+const describeRsvp = (rsvp: EventRsvp) => {
+  if (rsvp.status === 'waitlisted') {
+    return `Waitlisted (#${rsvp.waitlistPosition})`;
+  }
+  return RSVP_RESPONSES.find((option) => option.value === rsvp.response)?.label || '';
+};
+
+export default function EventRsvps() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const {
+    athletes,
+    selectedAthleteId,
+    selectAthlete,
+    isLoading: isAthleteLoading,
+  } = useSelectedAthlete();
+  const [events, setEvents] = useState<ClubEvent[]>([]);
+  const [rsvps, setRsvps] = useState<EventRsvp[]>([]);
+  const [promotions, setPromotions] = useState<UserNotification[]>([]);
+  const [savingEventId, setSavingEventId] = useState<string | null>(null);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load upcoming events and the swimmer's responses when the page mounts or
+  // another swimmer is chosen
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setIsDataLoading(true);
+      setError(null);
+
+      try {
+        const [eventsResult, rsvpsResult, notificationsResult] = await Promise.all([
+          getUpcomingEvents(),
+          getEventRsvps(selectedAthleteId),
+          getNotifications(true, 'rsvpPromoted'),
+        ]);
+
+        if (!eventsResult.success) {
+          throw new Error(eventsResult.error || 'Failed to load events');
+        }
+        if (!rsvpsResult.success) {
+          throw new Error(rsvpsResult.error || 'Failed to load your responses');
+        }
+
+        setEvents(eventsResult.events || []);
+        setRsvps(rsvpsResult.rsvps || []);
+        setPromotions(notificationsResult.notifications || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching events:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser && !isAthleteLoading) {
+      fetchEvents();
+    }
+  }, [currentUser, isAthleteLoading, selectedAthleteId]);
+
+  const handleRespond = async (eventId: string, response: RsvpResponse) => {
+    setSavingEventId(eventId);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveEventRsvp(eventId, response, selectedAthleteId);
+
+      if (!result.success || !result.rsvp) {
+        throw new Error(result.error || 'Failed to save your response');
+      }
+
+      const saved = result.rsvp;
+      setRsvps([...rsvps.filter((rsvp) => rsvp.id !== saved.id), saved]);
+      setSuccess(result.message || 'Response saved');
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setSavingEventId(null);
+    }
+  };
+
+  const dismissPromotions = async () => {
+    await markNotificationsRead(promotions.map((notification) => notification.id));
+    setPromotions([]);
+  };
+
+  if (isLoading || isAthleteLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Events</h1>
+          <p className='mt-2 max-w-3xl'>
+            Let us know who&apos;s coming. When an event is full you&apos;ll join the
+            waitlist and be notified if a spot opens up.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {promotions.length > 0 && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {promotions.map((notification) => (
+              <p key={notification.id}>{notification.message}</p>
+            ))}
+            <button
+              type='button'
+              onClick={dismissPromotions}
+              className='mt-2 text-sm font-medium underline'
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Parents and guardians switch between their swimmers */}
+        <AthleteSwitcher
+          athletes={athletes}
+          selectedAthleteId={selectedAthleteId}
+          onSelect={selectAthlete}
+        />
+
+        {events.length === 0 && !error && (
+          <div className='bg-white rounded-xl shadow-lg p-6 text-gray-500'>
+            There are no upcoming events.
+          </div>
+        )}
+
+        {events.map((event) => {
+          const rsvp = rsvps.find((candidate) => candidate.eventId === event.id);
+          const closed = isClosed(event);
+
+          return (
+            <div key={event.id} className='bg-white rounded-xl shadow-lg p-6 space-y-3'>
+              <div className='flex flex-wrap justify-between gap-2'>
+                <div>
+                  <h2 className='text-xl font-bold text-secondary'>{event.title}</h2>
+                  <p className='text-sm text-gray-600'>
+                    {event.startDate && new Date(event.startDate).toLocaleString()}
+                    {event.location && ` · ${event.location}`}
+                  </p>
+                </div>
+                {rsvp && (
+                  <span className='self-start px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800'>
+                    {describeRsvp(rsvp)}
+                  </span>
+                )}
+              </div>
+
+              {event.cancelled ? (
+                <p className='text-sm text-red-700'>
+                  Cancelled{event.cancellationReason && `: ${event.cancellationReason}`}
+                </p>
+              ) : (
+                <p className='text-sm text-gray-600'>
+                  {event.capacity && `Limited to ${event.capacity} swimmers. `}
+                  {closed
+                    ? 'Responses are closed.'
+                    : !event.occurrenceDate && event.registrationDeadline
+                      ? `Respond by ${new Date(event.registrationDeadline).toLocaleString()}.`
+                      : ''}
+                </p>
+              )}
+
+              <div className='flex flex-wrap gap-2'>
+                {RSVP_RESPONSES.map((option) => (
+                  <button
+                    key={option.value}
+                    type='button'
+                    onClick={() => handleRespond(event.id, option.value)}
+                    disabled={
+                      savingEventId === event.id ||
+                      (closed && option.value !== 'notGoing')
+                    }
+                    className={`px-4 py-2 rounded-lg transition-colors disabled:opacity-50 ${
+                      rsvp?.response === option.value
+                        ? 'bg-primary text-secondary'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+
+        <div className='text-center'>
+          <Link
+            href='/athlete-zone'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Athlete Zone
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,263 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { useSelectedAthlete } from '@/hooks/useSelectedAthlete';
+import AthleteSwitcher from '@/components/AthleteSwitcher';
+import { formatTime } from '@/services/bestTimesService';
+import {
+  getMeets,
+  getMeetEntryOptions,
+  saveMeetEntries,
+  Meet,
+  MeetEntryOption,
+} from '@/services/meetEntriesService';
+
+export default function MeetEntries() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const {
+    athletes,
+    selectedAthleteId,
+    selectAthlete,
+    isLoading: isAthleteLoading,
+  } = useSelectedAthlete();
+  const [meets, setMeets] = useState<Meet[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [options, setOptions] = useState<MeetEntryOption[]>([]);
+  const [selectedNumbers, setSelectedNumbers] = useState<number[]>([]);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const meet = meets.find((candidate) => candidate.id === eventId);
+
+  // Load upcoming meets when the page mounts
+  useEffect(() => {
+    const fetchMeets = async () => {
+      try {
+        const result = await getMeets();
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load meets');
+        }
+
+        setMeets(result.meets || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching meets:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchMeets();
+    }
+  }, [currentUser]);
+
+  // Load the events the swimmer can enter when the meet or swimmer changes
+  useEffect(() => {
+    const fetchOptions = async () => {
+      setOptions([]);
+      setSelectedNumbers([]);
+
+      const result = await getMeetEntryOptions(eventId, selectedAthleteId);
+      if (!result.success) {
+        setError(result.error || 'Failed to load meet events');
+        return;
+      }
+
+      const events = result.events || [];
+      setOptions(events);
+      setSelectedNumbers(
+        events.filter((option) => option.entry).map((option) => option.number)
+      );
+    };
+
+    if (eventId && !isAthleteLoading) {
+      fetchOptions();
+    }
+  }, [eventId, selectedAthleteId, isAthleteLoading]);
+
+  const toggleEvent = (number: number) => {
+    setSelectedNumbers(
+      selectedNumbers.includes(number)
+        ? selectedNumbers.filter((selected) => selected !== number)
+        : [...selectedNumbers, number]
+    );
+  };
+
+  const handleSave = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveMeetEntries(eventId, selectedNumbers, selectedAthleteId);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save entries');
+      }
+
+      setSuccess(result.message || 'Entries saved');
+      const entries = result.entries || [];
+      setOptions(
+        options.map((option) => ({
+          ...option,
+          entry: entries.find((entry) => entry.eventNumber === option.number) || null,
+        }))
+      );
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading || isAthleteLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Meet Entries</h1>
+          <p className='mt-2 max-w-3xl'>
+            Choose your races before the entry deadline. Seed times come from your
+            best times, and your coach approves each entry.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {/* Parents and guardians switch between their swimmers */}
+        <AthleteSwitcher
+          athletes={athletes}
+          selectedAthleteId={selectedAthleteId}
+          onSelect={selectAthlete}
+        />
+
+        <div className='bg-white rounded-xl shadow-lg p-6 space-y-4'>
+          <div>
+            <label htmlFor='meet' className='block text-sm font-medium text-gray-700 mb-1'>
+              Meet
+            </label>
+            <select
+              id='meet'
+              value={eventId}
+              onChange={(e) => {
+                setEventId(e.target.value);
+                setError(null);
+                setSuccess(null);
+              }}
+              className='w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary'
+            >
+              <option value=''>Choose a meet</option>
+              {meets.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>
+                  {candidate.title}
+                  {candidate.startDate &&
+                    ` (${new Date(candidate.startDate).toLocaleDateString()})`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {meet && (
+            <p className='text-sm text-gray-600'>
+              {meet.isOpen
+                ? meet.registrationDeadline
+                  ? `Entries close ${new Date(meet.registrationDeadline).toLocaleString()}.`
+                  : 'Entries are open.'
+                : 'Entries for this meet are closed.'}
+            </p>
+          )}
+
+          {meet && options.length === 0 && (
+            <p className='text-gray-600'>There are no events in this meet for this swimmer.</p>
+          )}
+
+          {options.length > 0 && (
+            <>
+              <ul className='divide-y'>
+                {options.map((option) => (
+                  <li key={option.number} className='py-3 flex items-center justify-between'>
+                    <label className='flex items-center gap-3'>
+                      <input
+                        type='checkbox'
+                        checked={selectedNumbers.includes(option.number)}
+                        onChange={() => toggleEvent(option.number)}
+                        disabled={!meet?.isOpen}
+                      />
+                      <span>
+                        <span className='font-medium'>
+                          {option.number}. {option.name}
+                        </span>
+                        <span className='block text-sm text-gray-500'>
+                          Seed: {option.seedTime ? formatTime(option.seedTime) : 'NT'}
+                          {option.seedTimeIsEstimate && ' (converted estimate)'}
+                        </span>
+                      </span>
+                    </label>
+                    {option.entry && (
+                      <span className='text-sm text-gray-600 capitalize'>{option.entry.status}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {meet?.isOpen && (
+                <div className='flex justify-end'>
+                  <button
+                    onClick={handleSave}
+                    className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? 'Saving...' : 'Save Entries'}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className='text-center'>
+          <Link
+            href='/athlete-zone'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Athlete Zone
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
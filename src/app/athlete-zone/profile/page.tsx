@@ -0,0 +1,235 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { useSelectedAthlete } from '@/hooks/useSelectedAthlete';
+import AthleteSwitcher from '@/components/AthleteSwitcher';
+import {
+  getAthleteProfile,
+  updateAthleteProfile,
+  getCompetitionAge,
+  getAgeGroup,
+  MEET_START,
+  AthleteProfile,
+  AgeGroupSettings,
+  Gender,
+} from '@/services/athleteProfileService';
+
+export default function AthleteProfilePage() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const {
+    athletes,
+    selectedAthleteId,
+    selectAthlete,
+    isLoading: isAthleteLoading,
+  } = useSelectedAthlete();
+  const [profile, setProfile] = useState<AthleteProfile | null>(null);
+  const [settings, setSettings] = useState<AgeGroupSettings | null>(null);
+  const [birthDate, setBirthDate] = useState('');
+  const [gender, setGender] = useState<Gender | ''>('');
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load the swimmer's profile when the swimmer changes
+  useEffect(() => {
+    const fetchProfile = async () => {
+      setIsDataLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      try {
+        const result = await getAthleteProfile(selectedAthleteId);
+
+        if (!result.success || !result.profile) {
+          throw new Error(result.error || 'Failed to load profile');
+        }
+
+        setProfile(result.profile);
+        setSettings(result.settings || null);
+        setBirthDate(result.profile.birthDate || '');
+        setGender(result.profile.gender || '');
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching profile:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser && !isAthleteLoading) {
+      fetchProfile();
+    }
+  }, [currentUser, selectedAthleteId, isAthleteLoading]);
+
+  // Preview the competition age and age group for the birthdate being edited
+  const competitionAge =
+    settings && birthDate ? getCompetitionAge(birthDate, settings) : null;
+  const ageGroup = settings ? getAgeGroup(competitionAge, settings) : null;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!birthDate || !gender) {
+      setError('Please enter a birthdate and gender');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await updateAthleteProfile(birthDate, gender, selectedAthleteId);
+
+      if (!result.success || !result.profile) {
+        throw new Error(result.error || 'Failed to save profile');
+      }
+
+      setProfile(result.profile);
+      setSuccess(result.message || 'Profile saved');
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading || isAthleteLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Athlete Profile</h1>
+          <p className='mt-2 max-w-3xl'>
+            Your birthdate and gender decide which age group you swim in for time
+            standards, club records, meets and relays.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {/* Parents and guardians switch between their swimmers */}
+        <AthleteSwitcher
+          athletes={athletes}
+          selectedAthleteId={selectedAthleteId}
+          onSelect={selectAthlete}
+        />
+
+        {isDataLoading ? (
+          <div className='text-center py-8'>
+            <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+          </div>
+        ) : (
+          profile && (
+            <form
+              onSubmit={handleSubmit}
+              className='bg-white rounded-xl shadow-lg p-6 space-y-4'
+            >
+              <h2 className='text-xl font-bold text-gray-900'>{profile.displayName}</h2>
+
+              <div className='grid grid-cols-1 sm:grid-cols-2 gap-4'>
+                <div>
+                  <label htmlFor='birthDate' className='block text-sm font-medium text-gray-700 mb-1'>
+                    Birthdate
+                  </label>
+                  <input
+                    id='birthDate'
+                    type='date'
+                    value={birthDate}
+                    max={new Date().toISOString().slice(0, 10)}
+                    onChange={(e) => setBirthDate(e.target.value)}
+                    className='w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary'
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor='gender' className='block text-sm font-medium text-gray-700 mb-1'>
+                    Gender
+                  </label>
+                  <select
+                    id='gender'
+                    value={gender}
+                    onChange={(e) => setGender(e.target.value as Gender | '')}
+                    className='w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary'
+                  >
+                    <option value=''>Choose a gender</option>
+                    <option value='F'>Female</option>
+                    <option value='M'>Male</option>
+                  </select>
+                </div>
+              </div>
+
+              <dl className='grid grid-cols-2 gap-4 bg-gray-50 rounded-lg p-4'>
+                <div>
+                  <dt className='text-sm text-gray-500'>Competition age</dt>
+                  <dd className='text-2xl font-bold text-gray-900'>
+                    {competitionAge !== null ? competitionAge : '—'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className='text-sm text-gray-500'>Age group</dt>
+                  <dd className='text-2xl font-bold text-gray-900'>
+                    {ageGroup ? ageGroup.label : '—'}
+                  </dd>
+                </div>
+              </dl>
+
+              <p className='text-sm text-gray-500'>
+                {settings && settings.ageUpDate !== MEET_START
+                  ? `Ages are taken on ${new Date(
+                      `${profile.ageUpDate}T00:00:00Z`
+                    ).toLocaleDateString(undefined, {
+                      month: 'long',
+                      day: 'numeric',
+                      timeZone: 'UTC',
+                    })} in the year of each meet.`
+                  : 'Ages are taken on the first day of each meet.'}
+              </p>
+
+              <div className='flex justify-end'>
+                <button
+                  type='submit'
+                  disabled={isSubmitting}
+                  className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Profile'}
+                </button>
+              </div>
+            </form>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { getSwimmersOfWeek, SwimmerOfWeek } from '@/services/improvementService';
+
+const formatWeek = (weekOf: string) =>
+  new Date(`${weekOf}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+// Age and training group, e.g. "12 · Intermediate"
+const describeSwimmer = (swimmer: SwimmerOfWeek) =>
+  [swimmer.age !== null ? `Age ${swimmer.age}` : null, swimmer.group]
+    .filter((part) => part)
+    .join(' · ');
+
+export default function SwimmerOfTheWeek() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [current, setCurrent] = useState<SwimmerOfWeek | null>(null);
+  const [previous, setPrevious] = useState<SwimmerOfWeek[]>([]);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Load the picks when the page mounts
+  useEffect(() => {
+    const fetchPicks = async () => {
+      try {
+        const result = await getSwimmersOfWeek();
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load the Swimmer of the Week');
+        }
+
+        setCurrent(result.current || null);
+        setPrevious(result.previous || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching swimmers of the week:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchPicks();
+    }
+  }, [currentUser]);
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Swimmer of the Week</h1>
+          <p className='mt-2 max-w-3xl'>
+            Celebrating the swimmers recognized by their coaches for outstanding
+            improvement and sportsmanship.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {current ? (
+          <div className='bg-white rounded-xl shadow-lg p-6 space-y-3'>
+            <p className='text-sm text-gray-500'>Week of {formatWeek(current.weekOf)}</p>
+            <h2 className='text-3xl font-bold text-secondary'>🏆 {current.name}</h2>
+            {describeSwimmer(current) && (
+              <p className='text-gray-600'>{describeSwimmer(current)}</p>
+            )}
+            <p className='text-gray-800'>{current.achievements}</p>
+            {current.quote && (
+              <blockquote className='border-l-4 border-primary pl-4 italic text-gray-700'>
+                &ldquo;{current.quote}&rdquo;
+              </blockquote>
+            )}
+            {current.coachComment && (
+              <p className='text-sm text-gray-600'>
+                <span className='font-semibold'>Coach: </span>
+                {current.coachComment}
+              </p>
+            )}
+          </div>
+        ) : (
+          !error && (
+            <div className='bg-white rounded-xl shadow-lg p-6 text-gray-500'>
+              No Swimmer of the Week has been picked yet.
+            </div>
+          )
+        )}
+
+        {previous.length > 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-4'>Previous Weeks</h2>
+            <ul className='divide-y'>
+              {previous.map((swimmer) => (
+                <li key={swimmer.id} className='py-3'>
+                  <div className='flex justify-between'>
+                    <span className='font-medium'>{swimmer.name}</span>
+                    <span className='text-sm text-gray-500'>{formatWeek(swimmer.weekOf)}</span>
+                  </div>
+                  <p className='text-sm text-gray-600'>{swimmer.achievements}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
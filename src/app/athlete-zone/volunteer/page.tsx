@@ -0,0 +1,335 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  getVolunteerShifts,
+  getMyVolunteering,
+  signUpForVolunteerShift,
+  swapVolunteerShift,
+  offerVolunteerShift,
+  cancelVolunteerSignup,
+  FamilyHours,
+  VolunteerEvent,
+  VolunteerSeason,
+  VolunteerShift,
+  VolunteerSignup,
+  VolunteeringResponse,
+} from '@/services/volunteeringService';
+
+// e.g. "Sat, Nov 8, 9:00 a.m. – 11:30 a.m."
+const formatShiftTimes = (shift: { startTime: string; endTime: string }) => {
+  const start = new Date(shift.startTime);
+  const end = new Date(shift.endTime);
+  return `${start.toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })} – ${end.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+};
+
+export default function Volunteer() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [events, setEvents] = useState<VolunteerEvent[]>([]);
+  const [signups, setSignups] = useState<VolunteerSignup[]>([]);
+  const [family, setFamily] = useState<FamilyHours | null>(null);
+  const [season, setSeason] = useState<VolunteerSeason | null>(null);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const upcomingSignups = signups.filter(
+    (signup) => new Date(signup.startTime) > new Date()
+  );
+
+  // Load the shifts to come, the user's own shifts and their family's hours
+  const loadVolunteering = async () => {
+    try {
+      const [shiftsResult, myResult] = await Promise.all([
+        getVolunteerShifts(),
+        getMyVolunteering(),
+      ]);
+
+      if (!shiftsResult.success) {
+        throw new Error(shiftsResult.error || 'Failed to load volunteer shifts');
+      }
+      if (!myResult.success) {
+        throw new Error(myResult.error || 'Failed to load your shifts');
+      }
+
+      setEvents(shiftsResult.events || []);
+      setSignups(myResult.signups || []);
+      setFamily(myResult.family || null);
+      setSeason(myResult.season || null);
+    } catch (err: any) {
+      setError(err.message);
+      console.error('Error fetching volunteering:', err);
+    } finally {
+      setIsDataLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUser) {
+      loadVolunteering();
+    }
+  }, [currentUser]);
+
+  // Run an action, show its outcome and reload the shifts
+  const runAction = async (action: () => Promise<VolunteeringResponse>) => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await action();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Something went wrong');
+      }
+
+      setSuccess(result.message || 'Saved');
+      await loadVolunteering();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancel = (signup: VolunteerSignup) => {
+    if (!window.confirm(`Cancel your ${signup.role} shift at ${signup.eventTitle}?`)) {
+      return;
+    }
+    runAction(() => cancelVolunteerSignup(signup.id));
+  };
+
+  // Sign up, or move the user's shift at the same event here
+  const renderShiftAction = (event: VolunteerEvent, shift: VolunteerShift) => {
+    if (shift.mySignup) {
+      return (
+        <span className='px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800'>
+          Signed up
+        </span>
+      );
+    }
+
+    const current = event.shifts.find((other) => other.mySignup)?.mySignup;
+    const available = shift.open > 0 || shift.offered > 0;
+    const className =
+      'px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50';
+
+    if (current) {
+      return (
+        <button
+          type='button'
+          onClick={() => runAction(() => swapVolunteerShift(current.id, shift.id))}
+          disabled={isSubmitting || !available}
+          className={className}
+        >
+          Switch Here
+        </button>
+      );
+    }
+
+    return (
+      <button
+        type='button'
+        onClick={() => runAction(() => signUpForVolunteerShift(event.id, shift.id))}
+        disabled={isSubmitting || !available}
+        className={className}
+      >
+        {shift.open === 0 && shift.offered > 0 ? 'Take Offered Shift' : 'Sign Up'}
+      </button>
+    );
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Volunteer</h1>
+          <p className='mt-2 max-w-3xl'>
+            Meets and events run on volunteers. Pick a shift as a timer, marshal,
+            official or at the concession stand, and keep track of your
+            family&apos;s hours.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {family && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-2'>
+              Family Hours{season && ` · ${season.label} Season`}
+            </h2>
+            <p className='text-3xl font-bold'>
+              {family.hours}
+              {family.obligation > 0 && (
+                <span className='text-lg font-normal text-gray-500'>
+                  {' '}
+                  of {family.obligation} hours
+                </span>
+              )}
+            </p>
+            {family.obligation > 0 && (
+              <>
+                <div className='w-full bg-gray-200 rounded-full h-3 mt-3'>
+                  <div
+                    className='bg-primary h-3 rounded-full'
+                    style={{
+                      width: `${Math.min((family.hours / family.obligation) * 100, 100)}%`,
+                    }}
+                  ></div>
+                </div>
+                <p className='text-sm text-gray-600 mt-2'>
+                  {family.remaining > 0
+                    ? `${family.remaining} hours to go this season.`
+                    : 'Your family has met its volunteer hours this season. Thank you!'}
+                </p>
+              </>
+            )}
+            {family.volunteers.length > 0 && (
+              <p className='text-sm text-gray-500 mt-2'>
+                Volunteers: {family.volunteers.join(', ')}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <h2 className='text-xl font-bold text-secondary mb-2'>My Shifts</h2>
+          {upcomingSignups.length > 0 ? (
+            <ul className='divide-y'>
+              {upcomingSignups.map((signup) => (
+                <li
+                  key={signup.id}
+                  className='py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3'
+                >
+                  <div>
+                    <p className='font-medium'>
+                      {signup.role} · {signup.eventTitle}
+                    </p>
+                    <p className='text-sm text-gray-500'>{formatShiftTimes(signup)}</p>
+                    {signup.offered && (
+                      <p className='text-sm text-yellow-700'>
+                        Offered for swap. You&apos;re still on this shift until someone
+                        takes it.
+                      </p>
+                    )}
+                  </div>
+                  <div className='flex gap-2 shrink-0'>
+                    <button
+                      type='button'
+                      onClick={() =>
+                        runAction(() => offerVolunteerShift(signup.id, !signup.offered))
+                      }
+                      disabled={isSubmitting}
+                      className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+                    >
+                      {signup.offered ? 'Keep Shift' : 'Offer for Swap'}
+                    </button>
+                    <button
+                      type='button'
+                      onClick={() => handleCancel(signup)}
+                      disabled={isSubmitting}
+                      className='px-4 py-2 text-red-600 hover:text-red-800 disabled:opacity-50'
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className='text-gray-600'>You haven&apos;t signed up for any shifts yet.</p>
+          )}
+        </div>
+
+        {events.length === 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6 text-gray-500'>
+            There are no volunteer shifts to sign up for right now.
+          </div>
+        )}
+
+        {events.map((event) => (
+          <div key={event.id} className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary'>{event.title}</h2>
+            <p className='text-sm text-gray-600'>
+              {event.startDate && new Date(event.startDate).toLocaleDateString()}
+              {event.location && ` · ${event.location}`}
+            </p>
+            <ul className='divide-y mt-2'>
+              {event.shifts.map((shift) => (
+                <li
+                  key={shift.id}
+                  className='py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3'
+                >
+                  <div>
+                    <p className='font-medium'>{shift.role}</p>
+                    <p className='text-sm text-gray-500'>
+                      {formatShiftTimes(shift)} · {shift.hours} hours
+                    </p>
+                    {shift.description && (
+                      <p className='text-sm text-gray-600'>{shift.description}</p>
+                    )}
+                    <p className='text-xs text-gray-500'>
+                      {shift.open > 0
+                        ? `${shift.open} of ${shift.slots} spots open`
+                        : 'Full'}
+                      {shift.offered > 0 && ` · ${shift.offered} offered for swap`}
+                    </p>
+                  </div>
+                  <div className='shrink-0'>{renderShiftAction(event, shift)}</div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        <div className='text-center'>
+          <Link
+            href='/athlete-zone'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Athlete Zone
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
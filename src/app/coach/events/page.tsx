@@ -0,0 +1,249 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { getUpcomingEvents, ClubEvent } from '@/services/eventsService';
+import { downloadFile } from '@/services/meetEntriesService';
+import {
+  getEventAttendees,
+  exportEventAttendees,
+  RSVP_RESPONSES,
+  EventRsvp,
+  RsvpSummary,
+} from '@/services/eventRsvpsService';
+
+const STATUS_STYLES = {
+  confirmed: 'bg-green-100 text-green-800',
+  waitlisted: 'bg-yellow-100 text-yellow-800',
+};
+
+export default function EventAttendees() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [events, setEvents] = useState<ClubEvent[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [attendees, setAttendees] = useState<EventRsvp[]>([]);
+  const [summary, setSummary] = useState<RsvpSummary | null>(null);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load upcoming events when the page mounts
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        const result = await getUpcomingEvents();
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load events');
+        }
+
+        setEvents(result.events || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching events:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchEvents();
+    }
+  }, [currentUser]);
+
+  // Load the responses to the chosen event
+  const loadAttendees = async (selectedId: string) => {
+    setAttendees([]);
+    setSummary(null);
+    if (!selectedId) {
+      return;
+    }
+
+    const result = await getEventAttendees(selectedId);
+    if (!result.success) {
+      setError(result.error || 'Failed to load attendees');
+      return;
+    }
+
+    setAttendees(result.attendees || []);
+    setSummary(result.summary || null);
+  };
+
+  const handleEventChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setEventId(e.target.value);
+    setError(null);
+    setSuccess(null);
+    loadAttendees(e.target.value);
+  };
+
+  const handleExport = async () => {
+    setError(null);
+    setSuccess(null);
+
+    const result = await exportEventAttendees(eventId);
+    if (!result.success || !result.filename || result.content === undefined) {
+      setError(result.error || 'Failed to export attendees');
+      return;
+    }
+
+    downloadFile(result.filename, result.content);
+    setSuccess(`Exported ${result.count} responses`);
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Event Attendees</h1>
+          <p className='mt-2 max-w-3xl'>
+            See who is coming to club events, who is on the waitlist, and export
+            the list.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <label htmlFor='event' className='block text-sm font-medium text-gray-700 mb-1'>
+            Event
+          </label>
+          <select id='event' value={eventId} onChange={handleEventChange} className={inputClassName}>
+            <option value=''>Choose an event</option>
+            {events.map((event) => (
+              <option key={event.id} value={event.id}>
+                {event.title}
+                {event.startDate && ` (${new Date(event.startDate).toLocaleDateString()})`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {eventId && summary && (
+          <div className='grid grid-cols-2 md:grid-cols-4 gap-4'>
+            <div className='bg-white rounded-xl shadow-lg p-4 text-center'>
+              <p className='text-2xl font-bold text-secondary'>
+                {summary.going}
+                {summary.capacity !== null && ` / ${summary.capacity}`}
+              </p>
+              <p className='text-sm text-gray-500'>Going</p>
+            </div>
+            <div className='bg-white rounded-xl shadow-lg p-4 text-center'>
+              <p className='text-2xl font-bold text-secondary'>{summary.waitlisted}</p>
+              <p className='text-sm text-gray-500'>Waitlisted</p>
+            </div>
+            <div className='bg-white rounded-xl shadow-lg p-4 text-center'>
+              <p className='text-2xl font-bold text-secondary'>{summary.maybe}</p>
+              <p className='text-sm text-gray-500'>Maybe</p>
+            </div>
+            <div className='bg-white rounded-xl shadow-lg p-4 text-center'>
+              <p className='text-2xl font-bold text-secondary'>{summary.notGoing}</p>
+              <p className='text-sm text-gray-500'>Not going</p>
+            </div>
+          </div>
+        )}
+
+        {eventId && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            {attendees.length > 0 ? (
+              <div className='overflow-x-auto'>
+                <table className='min-w-full text-sm'>
+                  <thead>
+                    <tr className='text-left text-gray-500 border-b'>
+                      <th className='py-2 pr-4'>Swimmer</th>
+                      <th className='py-2 pr-4'>Response</th>
+                      <th className='py-2 pr-4'>Status</th>
+                      <th className='py-2 pr-4'>Responded By</th>
+                      <th className='py-2 pr-4'>Note</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {attendees.map((attendee) => (
+                      <tr key={attendee.id} className='border-b last:border-0'>
+                        <td className='py-2 pr-4'>{attendee.swimmerName}</td>
+                        <td className='py-2 pr-4'>
+                          {
+                            RSVP_RESPONSES.find((option) => option.value === attendee.response)
+                              ?.label
+                          }
+                        </td>
+                        <td className='py-2 pr-4'>
+                          {attendee.status && (
+                            <span
+                              className={`px-2 py-1 rounded-full text-xs font-medium ${
+                                STATUS_STYLES[attendee.status]
+                              }`}
+                            >
+                              {attendee.status === 'waitlisted'
+                                ? `waitlist #${attendee.waitlistPosition}`
+                                : attendee.status}
+                            </span>
+                          )}
+                        </td>
+                        <td className='py-2 pr-4'>{attendee.respondedByName}</td>
+                        <td className='py-2 pr-4'>{attendee.note}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className='text-gray-600'>No one has responded yet.</p>
+            )}
+
+            <div className='flex justify-end mt-6'>
+              <button
+                onClick={handleExport}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Export CSV
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className='flex justify-center'>
+          <Link
+            href='/coach'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Coach Zone
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
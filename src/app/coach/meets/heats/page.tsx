@@ -0,0 +1,338 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { formatTime } from '@/services/bestTimesService';
+import { getMeets, Meet } from '@/services/meetEntriesService';
+import {
+  getHeatSheet,
+  seedMeet,
+  publishMeetResults,
+  HeatLane,
+  HeatSheetEvent,
+  RESULT_STATUSES,
+} from '@/services/meetRunningService';
+
+// Meets stay listed for a week after they start so results can be published
+const PAST_DAYS = 7;
+
+export default function HeatSheet() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [meets, setMeets] = useState<Meet[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [events, setEvents] = useState<HeatSheetEvent[]>([]);
+  const [laneCount, setLaneCount] = useState(6);
+  const [circleSeededHeats, setCircleSeededHeats] = useState(3);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load meets when the page mounts
+  useEffect(() => {
+    const fetchMeets = async () => {
+      try {
+        const result = await getMeets(PAST_DAYS);
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load meets');
+        }
+
+        setMeets(result.meets || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching meets:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchMeets();
+    }
+  }, [currentUser]);
+
+  const loadHeatSheet = async (selectedId: string) => {
+    setEvents([]);
+    if (!selectedId) {
+      return;
+    }
+
+    const result = await getHeatSheet(selectedId);
+    if (!result.success) {
+      setError(result.error || 'Failed to load heat sheet');
+      return;
+    }
+
+    setEvents(result.events || []);
+    if (result.meet?.laneCount) {
+      setLaneCount(result.meet.laneCount);
+    }
+    if (result.meet?.circleSeededHeats !== null && result.meet?.circleSeededHeats !== undefined) {
+      setCircleSeededHeats(result.meet.circleSeededHeats);
+    }
+  };
+
+  const handleMeetChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setEventId(e.target.value);
+    setError(null);
+    setSuccess(null);
+    loadHeatSheet(e.target.value);
+  };
+
+  const handleSeed = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await seedMeet(eventId, laneCount, circleSeededHeats);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to seed meet');
+      }
+
+      setEvents(result.events || []);
+      setSuccess(
+        result.skippedEvents && result.skippedEvents.length > 0
+          ? `${result.message}. Events ${result.skippedEvents.join(', ')} already have results and were not re-seeded.`
+          : result.message || 'Meet seeded'
+      );
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    if (!window.confirm('Publish final times to swimmers’ best times? Published results can no longer be changed.')) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await publishMeetResults(eventId);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to publish results');
+      }
+
+      setSuccess(result.message || 'Results published');
+      await loadHeatSheet(eventId);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Show the result, or the seed time before the heat is swum
+  const formatLane = (lane: HeatLane) => {
+    if (lane.resultStatus && lane.resultStatus !== 'final') {
+      return RESULT_STATUSES.find((status) => status.value === lane.resultStatus)?.short;
+    }
+    if (lane.resultTime !== null) {
+      return formatTime(lane.resultTime);
+    }
+    return lane.seedTime ? formatTime(lane.seedTime) : 'NT';
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+  const meet = meets.find((candidate) => candidate.id === eventId);
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white print:hidden'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Heats &amp; Lanes</h1>
+          <p className='mt-2 max-w-3xl'>
+            Seed approved entries into heats, print the heat sheet and publish
+            official results to swimmers&apos; best times.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded print:hidden'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded print:hidden'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 print:hidden'>
+          <div className='grid grid-cols-1 md:grid-cols-4 gap-4'>
+            <div className='md:col-span-2'>
+              <label htmlFor='meet' className='block text-sm font-medium text-gray-700 mb-1'>
+                Meet
+              </label>
+              <select id='meet' value={eventId} onChange={handleMeetChange} className={inputClassName}>
+                <option value=''>Choose a meet</option>
+                {meets.map((candidate) => (
+                  <option key={candidate.id} value={candidate.id}>
+                    {candidate.title}
+                    {candidate.startDate &&
+                      ` (${new Date(candidate.startDate).toLocaleDateString()})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='laneCount' className='block text-sm font-medium text-gray-700 mb-1'>
+                Lanes
+              </label>
+              <input
+                id='laneCount'
+                type='number'
+                min='1'
+                max='10'
+                value={laneCount}
+                onChange={(e) => setLaneCount(parseInt(e.target.value) || 1)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor='circleSeededHeats' className='block text-sm font-medium text-gray-700 mb-1'>
+                Circle Seeded Heats
+              </label>
+              <input
+                id='circleSeededHeats'
+                type='number'
+                min='0'
+                value={circleSeededHeats}
+                onChange={(e) => setCircleSeededHeats(parseInt(e.target.value) || 0)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          {eventId && (
+            <div className='flex flex-wrap justify-end gap-3 mt-4'>
+              <Link
+                href={`/coach/meets/timing?eventId=${eventId}`}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Timing Table
+              </Link>
+              <Link
+                href='/coach/meets/standings'
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Standings
+              </Link>
+              <button
+                onClick={() => window.print()}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Print Heat Sheet
+              </button>
+              <button
+                onClick={handlePublish}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+                disabled={isSubmitting}
+              >
+                Publish Results
+              </button>
+              <button
+                onClick={handleSeed}
+                className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Working...' : 'Seed Heats'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Heat sheet */}
+        {meet && events.length > 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6 print:shadow-none print:p-0'>
+            <h2 className='text-2xl font-bold text-secondary mb-4'>{meet.title}</h2>
+            <div className='space-y-6'>
+              {events.map((event) => (
+                <div key={event.number} className='break-inside-avoid'>
+                  <h3 className='text-lg font-bold text-secondary border-b pb-1 mb-2'>
+                    Event {event.number} · {event.name}
+                  </h3>
+                  {event.heats.length === 0 ? (
+                    <p className='text-sm text-gray-500'>Not seeded</p>
+                  ) : (
+                    event.heats.map((heat) => (
+                      <div key={heat.heat} className='mb-3'>
+                        <p className='text-sm font-medium text-gray-700'>
+                          Heat {heat.heat} of {event.heats.length}
+                        </p>
+                        <table className='min-w-full text-sm'>
+                          <tbody>
+                            {Array.from({ length: laneCount }, (_, index) => index + 1).map(
+                              (laneNumber) => {
+                                const lane = heat.lanes.find(
+                                  (candidate) => candidate.lane === laneNumber
+                                );
+                                return (
+                                  <tr key={laneNumber} className='border-b last:border-0'>
+                                    <td className='py-1 pr-4 w-12 text-gray-500'>{laneNumber}</td>
+                                    <td className='py-1 pr-4'>{lane ? lane.swimmerName : ''}</td>
+                                    <td className='py-1 pr-4 w-12'>{lane?.age ?? ''}</td>
+                                    <td className='py-1 pr-4 w-24 text-right'>
+                                      {lane ? formatLane(lane) : ''}
+                                    </td>
+                                    <td className='py-1 w-12 text-right text-gray-500'>
+                                      {lane?.place ?? ''}
+                                    </td>
+                                  </tr>
+                                );
+                              }
+                            )}
+                          </tbody>
+                        </table>
+                      </div>
+                    ))
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className='text-center print:hidden'>
+          <Link
+            href='/coach/meets'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Meet Entries
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,334 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { formatTime } from '@/services/bestTimesService';
+import {
+  getMeets,
+  getMeetEntries,
+  reviewMeetEntries,
+  exportMeetEntries,
+  downloadFile,
+  ENTRY_STATUSES,
+  EntryStatus,
+  ExportFormat,
+  Meet,
+  MeetEntry,
+} from '@/services/meetEntriesService';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+export default function MeetEntriesReview() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [meets, setMeets] = useState<Meet[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [entries, setEntries] = useState<MeetEntry[]>([]);
+  const [statusFilter, setStatusFilter] = useState<EntryStatus | 'all'>('pending');
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const visibleEntries = entries.filter(
+    (entry) => statusFilter === 'all' || entry.status === statusFilter
+  );
+
+  // Load upcoming meets when the page mounts
+  useEffect(() => {
+    const fetchMeets = async () => {
+      try {
+        const result = await getMeets();
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load meets');
+        }
+
+        setMeets(result.meets || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching meets:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchMeets();
+    }
+  }, [currentUser]);
+
+  // Load the entries of the chosen meet
+  const loadEntries = async (selectedId: string) => {
+    setEntries([]);
+    setSelectedIds([]);
+    if (!selectedId) {
+      return;
+    }
+
+    const result = await getMeetEntries(selectedId);
+    if (!result.success) {
+      setError(result.error || 'Failed to load entries');
+      return;
+    }
+
+    setEntries(result.entries || []);
+  };
+
+  const handleMeetChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setEventId(e.target.value);
+    setError(null);
+    setSuccess(null);
+    loadEntries(e.target.value);
+  };
+
+  const toggleSelected = (entryId: string) => {
+    setSelectedIds(
+      selectedIds.includes(entryId)
+        ? selectedIds.filter((id) => id !== entryId)
+        : [...selectedIds, entryId]
+    );
+  };
+
+  const handleReview = async (status: EntryStatus) => {
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await reviewMeetEntries(eventId, selectedIds, status);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to review entries');
+      }
+
+      setSuccess(result.message || 'Entries updated');
+      await loadEntries(eventId);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleExport = async (format: ExportFormat) => {
+    setError(null);
+    setSuccess(null);
+
+    const result = await exportMeetEntries(eventId, format);
+    if (!result.success || !result.filename || result.content === undefined) {
+      setError(result.error || 'Failed to export entries');
+      return;
+    }
+
+    downloadFile(result.filename, result.content);
+    setSuccess(`Exported ${result.count} approved entries`);
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Meet Entries</h1>
+          <p className='mt-2 max-w-3xl'>
+            Approve your swimmers&apos; entries and export them for the host meet.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <div className='grid grid-cols-1 md:grid-cols-3 gap-4'>
+            <div className='md:col-span-2'>
+              <label htmlFor='meet' className='block text-sm font-medium text-gray-700 mb-1'>
+                Meet
+              </label>
+              <select id='meet' value={eventId} onChange={handleMeetChange} className={inputClassName}>
+                <option value=''>Choose a meet</option>
+                {meets.map((meet) => (
+                  <option key={meet.id} value={meet.id}>
+                    {meet.title}
+                    {meet.startDate && ` (${new Date(meet.startDate).toLocaleDateString()})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='status' className='block text-sm font-medium text-gray-700 mb-1'>
+                Status
+              </label>
+              <select
+                id='status'
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value as EntryStatus | 'all');
+                  setSelectedIds([]);
+                }}
+                className={inputClassName}
+              >
+                <option value='all'>All entries</option>
+                {ENTRY_STATUSES.map((status) => (
+                  <option key={status.value} value={status.value}>
+                    {status.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {eventId && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            {visibleEntries.length > 0 ? (
+              <div className='overflow-x-auto'>
+                <table className='min-w-full text-sm'>
+                  <thead>
+                    <tr className='text-left text-gray-500 border-b'>
+                      <th className='py-2 pr-4'>
+                        <input
+                          type='checkbox'
+                          checked={selectedIds.length === visibleEntries.length}
+                          onChange={() =>
+                            setSelectedIds(
+                              selectedIds.length === visibleEntries.length
+                                ? []
+                                : visibleEntries.map((entry) => entry.id)
+                            )
+                          }
+                        />
+                      </th>
+                      <th className='py-2 pr-4'>Event</th>
+                      <th className='py-2 pr-4'>Swimmer</th>
+                      <th className='py-2 pr-4'>Seed Time</th>
+                      <th className='py-2 pr-4'>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleEntries.map((entry) => (
+                      <tr key={entry.id} className='border-b last:border-0'>
+                        <td className='py-2 pr-4'>
+                          <input
+                            type='checkbox'
+                            checked={selectedIds.includes(entry.id)}
+                            onChange={() => toggleSelected(entry.id)}
+                          />
+                        </td>
+                        <td className='py-2 pr-4'>
+                          {entry.eventNumber}. {entry.eventName}
+                        </td>
+                        <td className='py-2 pr-4'>{entry.swimmerName}</td>
+                        <td className='py-2 pr-4'>
+                          {entry.seedTime ? formatTime(entry.seedTime) : 'NT'}
+                          {entry.seedTimeIsEstimate && (
+                            <span className='ml-1 text-xs text-gray-500'>(est.)</span>
+                          )}
+                        </td>
+                        <td className='py-2 pr-4'>
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-medium ${
+                              STATUS_STYLES[entry.status]
+                            }`}
+                          >
+                            {entry.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className='text-gray-600'>No entries to show.</p>
+            )}
+
+            <div className='flex flex-wrap justify-between gap-3 mt-6'>
+              <div className='flex gap-3'>
+                <button
+                  onClick={() => handleReview('approved')}
+                  className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                  disabled={isSubmitting || selectedIds.length === 0}
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => handleReview('rejected')}
+                  className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+                  disabled={isSubmitting || selectedIds.length === 0}
+                >
+                  Reject
+                </button>
+              </div>
+              <div className='flex gap-3'>
+                <button
+                  onClick={() => handleExport('sdif')}
+                  className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+                >
+                  Export SDIF
+                </button>
+                <button
+                  onClick={() => handleExport('csv')}
+                  className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+                >
+                  Export CSV
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className='flex justify-center gap-3'>
+          <Link
+            href='/coach/meets/heats'
+            className='inline-flex items-center px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors'
+          >
+            Heats &amp; Lanes
+          </Link>
+          <Link
+            href='/coach'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Coach Zone
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,589 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { formatTime, isValidTimeString } from '@/services/bestTimesService';
+import { getMeets, Meet } from '@/services/meetEntriesService';
+import { getRelays, SavedRelay } from '@/services/relaysService';
+import {
+  recordRelayResults,
+  ResultStatus,
+  RESULT_STATUSES,
+} from '@/services/meetRunningService';
+import {
+  getMeetStandings,
+  saveMeetScoring,
+  MeetStandingsResponse,
+  ScoredResult,
+} from '@/services/meetScoringService';
+
+// Meets stay listed for a week after they start so results can be scored
+const PAST_DAYS = 7;
+
+const GENDER_LABELS: Record<string, string> = {
+  F: 'Girls',
+  M: 'Boys',
+};
+
+// Read a comma separated list of points, ignoring blanks
+const parsePointsInput = (value: string) =>
+  value
+    .split(',')
+    .filter((points) => points.trim() !== '')
+    .map(Number);
+
+interface RelayForm {
+  status: ResultStatus | '';
+  time: string;
+  dqReason: string;
+}
+
+export default function MeetStandings() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [meets, setMeets] = useState<Meet[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [standings, setStandings] = useState<MeetStandingsResponse | null>(null);
+  const [relays, setRelays] = useState<SavedRelay[]>([]);
+  const [relayForms, setRelayForms] = useState<Record<string, RelayForm>>({});
+  const [individualPoints, setIndividualPoints] = useState('');
+  const [relayPoints, setRelayPoints] = useState('');
+  const [scoreByAgeGroup, setScoreByAgeGroup] = useState(false);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  // Load meets when the page mounts
+  useEffect(() => {
+    const fetchMeets = async () => {
+      try {
+        const result = await getMeets(PAST_DAYS);
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load meets');
+        }
+
+        setMeets(result.meets || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching meets:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchMeets();
+    }
+  }, [currentUser]);
+
+  // Load the standings and relays of the chosen meet
+  const loadStandings = async (selectedId: string) => {
+    setStandings(null);
+    setRelays([]);
+    if (!selectedId) {
+      return;
+    }
+
+    const [standingsResult, relaysResult] = await Promise.all([
+      getMeetStandings(selectedId),
+      getRelays(selectedId),
+    ]);
+
+    if (!standingsResult.success) {
+      setError(standingsResult.error || 'Failed to load standings');
+      return;
+    }
+
+    setStandings(standingsResult);
+    if (standingsResult.scoring) {
+      setIndividualPoints(standingsResult.scoring.individualPoints.join(', '));
+      setRelayPoints(standingsResult.scoring.relayPoints.join(', '));
+      setScoreByAgeGroup(standingsResult.scoring.scoreByAgeGroup);
+    }
+
+    const loadedRelays = relaysResult.success ? relaysResult.relays || [] : [];
+    setRelays(loadedRelays);
+    const forms: Record<string, RelayForm> = {};
+    loadedRelays.forEach((relay) => {
+      forms[relay.id] = {
+        status: relay.resultStatus || '',
+        time: relay.resultTime ? formatTime(relay.resultTime) : '',
+        dqReason: relay.dqReason || '',
+      };
+    });
+    setRelayForms(forms);
+  };
+
+  const handleMeetChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    setEventId(e.target.value);
+    setError(null);
+    setSuccess(null);
+    loadStandings(e.target.value);
+  };
+
+  const handleSaveScoring = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const result = await saveMeetScoring(eventId, {
+        individualPoints: parsePointsInput(individualPoints),
+        relayPoints: parsePointsInput(relayPoints),
+        scoreByAgeGroup,
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save scoring');
+      }
+
+      setSuccess(result.message || 'Scoring saved');
+      await loadStandings(eventId);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const updateRelay = (relayId: string, changes: Partial<RelayForm>) => {
+    const current = relayForms[relayId];
+    const updated = { ...current, ...changes };
+
+    // Typing a time marks the relay as finished
+    if (changes.time && !current.status) {
+      updated.status = 'final';
+    }
+
+    setRelayForms({ ...relayForms, [relayId]: updated });
+  };
+
+  const handleSaveRelays = async () => {
+    setError(null);
+    setSuccess(null);
+
+    const invalid = Object.values(relayForms).find(
+      (form) => form.time && !isValidTimeString(form.time)
+    );
+    if (invalid) {
+      setError(`Invalid time: ${invalid.time}. Use MM:SS.ss or SS.ss`);
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await recordRelayResults(
+        eventId,
+        relays.map((relay) => ({
+          relayId: relay.id,
+          status: relayForms[relay.id].status || null,
+          time: relayForms[relay.id].time || null,
+          dqReason: relayForms[relay.id].dqReason || null,
+        }))
+      );
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save relay results');
+      }
+
+      setSuccess(result.message || 'Relay results saved');
+      await loadStandings(eventId);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Show the time, or the reason a result has no place
+  const formatResult = (result: ScoredResult) => {
+    if (result.resultStatus !== 'final') {
+      return RESULT_STATUSES.find((status) => status.value === result.resultStatus)?.short;
+    }
+    return result.resultTime !== null ? formatTime(result.resultTime) : '';
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+  const ageGroups = standings?.ageGroups || [];
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white print:hidden'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Meet Scoring</h1>
+          <p className='mt-2 max-w-3xl'>
+            Team standings, high-point awards and swimmer points from the results
+            of the meets we host.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded print:hidden'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded print:hidden'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6 print:hidden'>
+          <div className='flex flex-wrap items-end gap-4'>
+            <div className='flex-1 min-w-[16rem]'>
+              <label htmlFor='meet' className='block text-sm font-medium text-gray-700 mb-1'>
+                Meet
+              </label>
+              <select id='meet' value={eventId} onChange={handleMeetChange} className={inputClassName}>
+                <option value=''>Choose a meet</option>
+                {meets.map((meet) => (
+                  <option key={meet.id} value={meet.id}>
+                    {meet.title}
+                    {meet.startDate && ` (${new Date(meet.startDate).toLocaleDateString()})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {standings && (
+              <button
+                onClick={() => window.print()}
+                className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+              >
+                Print Standings
+              </button>
+            )}
+          </div>
+        </div>
+
+        {standings && (
+          <>
+            {/* Scoring table */}
+            <form
+              onSubmit={handleSaveScoring}
+              className='bg-white rounded-xl shadow-lg p-6 print:hidden'
+            >
+              <h2 className='text-xl font-bold text-secondary mb-4'>Scoring</h2>
+              <div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+                <div>
+                  <label
+                    htmlFor='individualPoints'
+                    className='block text-sm font-medium text-gray-700 mb-1'
+                  >
+                    Individual Points (1st, 2nd, ...)
+                  </label>
+                  <input
+                    id='individualPoints'
+                    type='text'
+                    value={individualPoints}
+                    onChange={(e) => setIndividualPoints(e.target.value)}
+                    className={inputClassName}
+                    placeholder='9, 7, 6, 5, 4, 3, 2, 1'
+                  />
+                </div>
+                <div>
+                  <label htmlFor='relayPoints' className='block text-sm font-medium text-gray-700 mb-1'>
+                    Relay Points (1st, 2nd, ...)
+                  </label>
+                  <input
+                    id='relayPoints'
+                    type='text'
+                    value={relayPoints}
+                    onChange={(e) => setRelayPoints(e.target.value)}
+                    className={inputClassName}
+                    placeholder='18, 14, 12, 10, 8, 6, 4, 2'
+                  />
+                </div>
+              </div>
+              <div className='flex flex-wrap items-center justify-between gap-3 mt-4'>
+                <label className='flex items-center text-sm text-gray-700'>
+                  <input
+                    type='checkbox'
+                    checked={scoreByAgeGroup}
+                    onChange={(e) => setScoreByAgeGroup(e.target.checked)}
+                    className='mr-2'
+                  />
+                  Score each age group separately
+                </label>
+                <button
+                  type='submit'
+                  className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                  disabled={isSubmitting}
+                >
+                  Save Scoring
+                </button>
+              </div>
+            </form>
+
+            {/* Relay results */}
+            {relays.length > 0 && (
+              <div className='bg-white rounded-xl shadow-lg p-6 print:hidden'>
+                <h2 className='text-xl font-bold text-secondary mb-4'>Relay Results</h2>
+                <table className='min-w-full text-sm'>
+                  <thead>
+                    <tr className='text-left text-gray-500 border-b'>
+                      <th className='py-2 pr-4'>Relay</th>
+                      <th className='py-2 pr-4'>Time</th>
+                      <th className='py-2 pr-4'>Result</th>
+                      <th className='py-2'>DQ Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {relays.map((relay) => {
+                      const form = relayForms[relay.id];
+                      if (!form) {
+                        return null;
+                      }
+
+                      return (
+                        <tr key={relay.id} className='border-b last:border-0'>
+                          <td className='py-2 pr-4'>
+                            {relay.name}
+                            <span className='block text-xs text-gray-500'>
+                              {relay.legs.map((leg) => leg.swimmerName).join(', ')}
+                            </span>
+                          </td>
+                          <td className='py-2 pr-4 w-32'>
+                            <input
+                              type='text'
+                              value={form.time}
+                              onChange={(e) => updateRelay(relay.id, { time: e.target.value })}
+                              className={inputClassName}
+                              placeholder='MM:SS.ss'
+                            />
+                          </td>
+                          <td className='py-2 pr-4 w-40'>
+                            <select
+                              value={form.status}
+                              onChange={(e) =>
+                                updateRelay(relay.id, { status: e.target.value as ResultStatus | '' })
+                              }
+                              className={inputClassName}
+                            >
+                              <option value=''>Not swum</option>
+                              {RESULT_STATUSES.map((status) => (
+                                <option key={status.value} value={status.value}>
+                                  {status.label}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className='py-2'>
+                            {form.status === 'dq' && (
+                              <input
+                                type='text'
+                                value={form.dqReason}
+                                onChange={(e) => updateRelay(relay.id, { dqReason: e.target.value })}
+                                className={inputClassName}
+                                placeholder='e.g. Early takeover'
+                              />
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <div className='flex justify-end mt-4'>
+                  <button
+                    onClick={handleSaveRelays}
+                    className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                    disabled={isSubmitting}
+                  >
+                    Save Relay Results
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Printable standings */}
+            <div className='bg-white rounded-xl shadow-lg p-6 space-y-8 print:shadow-none print:p-0'>
+              <h2 className='text-2xl font-bold text-secondary'>
+                {standings.meet?.title} · Standings
+              </h2>
+
+              {(standings.teams || []).length === 0 ? (
+                <p className='text-gray-600'>No results have been scored yet.</p>
+              ) : (
+                <>
+                  <div>
+                    <h3 className='text-lg font-bold text-secondary border-b pb-1 mb-2'>
+                      Team Standings
+                    </h3>
+                    <div className='overflow-x-auto'>
+                      <table className='min-w-full text-sm'>
+                        <thead>
+                          <tr className='text-left text-gray-500 border-b'>
+                            <th className='py-2 pr-4'>Place</th>
+                            <th className='py-2 pr-4'>Team</th>
+                            {ageGroups.map((ageGroup) => (
+                              <th key={ageGroup} className='py-2 pr-4 text-right'>
+                                {ageGroup}
+                              </th>
+                            ))}
+                            <th className='py-2 pr-4 text-right'>Individual</th>
+                            <th className='py-2 pr-4 text-right'>Relay</th>
+                            <th className='py-2 text-right'>Total</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {(standings.teams || []).map((team, index) => (
+                            <tr key={team.team} className='border-b last:border-0'>
+                              <td className='py-2 pr-4'>{index + 1}</td>
+                              <td className='py-2 pr-4 font-medium'>{team.team}</td>
+                              {ageGroups.map((ageGroup) => (
+                                <td key={ageGroup} className='py-2 pr-4 text-right'>
+                                  {team.ageGroups[ageGroup] || 0}
+                                </td>
+                              ))}
+                              <td className='py-2 pr-4 text-right'>{team.individualPoints}</td>
+                              <td className='py-2 pr-4 text-right'>{team.relayPoints}</td>
+                              <td className='py-2 text-right font-bold'>{team.points}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  {(standings.highPoint || []).length > 0 && (
+                    <div>
+                      <h3 className='text-lg font-bold text-secondary border-b pb-1 mb-2'>
+                        High-Point Awards
+                      </h3>
+                      <table className='min-w-full text-sm'>
+                        <tbody>
+                          {(standings.highPoint || []).map((award) => (
+                            <tr
+                              key={`${award.ageGroup}_${award.gender}`}
+                              className='border-b last:border-0'
+                            >
+                              <td className='py-2 pr-4'>
+                                {award.gender ? `${GENDER_LABELS[award.gender]} ` : ''}
+                                {award.ageGroup}
+                              </td>
+                              <td className='py-2 pr-4 font-medium'>
+                                {award.swimmers
+                                  .map((swimmer) => `${swimmer.swimmerName} (${swimmer.team})`)
+                                  .join(', ')}
+                              </td>
+                              <td className='py-2 text-right'>{award.points} pts</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  <div className='break-inside-avoid'>
+                    <h3 className='text-lg font-bold text-secondary border-b pb-1 mb-2'>
+                      Swimmer Points
+                    </h3>
+                    <table className='min-w-full text-sm'>
+                      <thead>
+                        <tr className='text-left text-gray-500 border-b'>
+                          <th className='py-2 pr-4'>Swimmer</th>
+                          <th className='py-2 pr-4'>Team</th>
+                          <th className='py-2 pr-4'>Age Group</th>
+                          <th className='py-2 pr-4 text-right'>Events</th>
+                          <th className='py-2 text-right'>Points</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {(standings.swimmers || []).map((swimmer) => (
+                          <tr key={swimmer.swimmerId} className='border-b last:border-0'>
+                            <td className='py-2 pr-4'>{swimmer.swimmerName}</td>
+                            <td className='py-2 pr-4'>{swimmer.team}</td>
+                            <td className='py-2 pr-4'>
+                              {swimmer.gender ? `${GENDER_LABELS[swimmer.gender]} ` : ''}
+                              {swimmer.ageGroup}
+                            </td>
+                            <td className='py-2 pr-4 text-right'>{swimmer.events}</td>
+                            <td className='py-2 text-right'>{swimmer.points}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div>
+                    <h3 className='text-lg font-bold text-secondary border-b pb-1 mb-2'>
+                      Event Results
+                    </h3>
+                    <div className='space-y-4'>
+                      {(standings.events || []).map((event) => (
+                        <div
+                          key={`${event.number ?? 'relay'}_${event.name}`}
+                          className='break-inside-avoid'
+                        >
+                          <p className='text-sm font-bold text-gray-700'>
+                            {event.number ? `Event ${event.number} · ` : ''}
+                            {event.name}
+                          </p>
+                          <table className='min-w-full text-sm'>
+                            <tbody>
+                              {event.results.map((result) => (
+                                <tr key={result.id} className='border-b last:border-0'>
+                                  <td className='py-1 pr-4 w-12 text-gray-500'>
+                                    {result.place ?? ''}
+                                  </td>
+                                  <td className='py-1 pr-4'>{result.name}</td>
+                                  <td className='py-1 pr-4 w-12'>{result.age ?? ''}</td>
+                                  <td className='py-1 pr-4'>{result.team}</td>
+                                  <td className='py-1 pr-4 w-24 text-right'>
+                                    {formatResult(result)}
+                                  </td>
+                                  <td className='py-1 w-16 text-right text-gray-500'>
+                                    {result.points || ''}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </>
+        )}
+
+        <div className='text-center print:hidden'>
+          <Link
+            href='/coach/meets/heats'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Heat Sheet
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
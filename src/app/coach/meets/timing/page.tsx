@@ -0,0 +1,391 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import { formatTime, isValidTimeString } from '@/services/bestTimesService';
+import { getMeets, Meet } from '@/services/meetEntriesService';
+import {
+  getHeatSheet,
+  recordHeatResults,
+  HeatSheetEvent,
+  ResultStatus,
+  RESULT_STATUSES,
+} from '@/services/meetRunningService';
+
+// Meets stay listed for a week after they start so late results can be entered
+const PAST_DAYS = 7;
+
+interface LaneForm {
+  status: ResultStatus | '';
+  time: string;
+  dqReason: string;
+}
+
+export default function TimingTable() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const searchParams = useSearchParams();
+  const [meets, setMeets] = useState<Meet[]>([]);
+  const [eventId, setEventId] = useState(searchParams?.get('eventId') || '');
+  const [events, setEvents] = useState<HeatSheetEvent[]>([]);
+  const [eventNumber, setEventNumber] = useState<number | null>(null);
+  const [heatNumber, setHeatNumber] = useState(1);
+  const [laneForms, setLaneForms] = useState<Record<string, LaneForm>>({});
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const seededEvents = events.filter((event) => event.heats.length > 0);
+  const event = seededEvents.find((candidate) => candidate.number === eventNumber);
+  const heat = event?.heats.find((candidate) => candidate.heat === heatNumber);
+
+  // Load meets when the page mounts
+  useEffect(() => {
+    const fetchMeets = async () => {
+      try {
+        const result = await getMeets(PAST_DAYS);
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load meets');
+        }
+
+        setMeets(result.meets || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching meets:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchMeets();
+    }
+  }, [currentUser]);
+
+  // Load the heat sheet of the chosen meet
+  useEffect(() => {
+    const fetchHeatSheet = async () => {
+      const result = await getHeatSheet(eventId);
+      if (!result.success) {
+        setError(result.error || 'Failed to load heat sheet');
+        return;
+      }
+
+      const loaded = result.events || [];
+      setEvents(loaded);
+      const first = loaded.find((candidate) => candidate.heats.length > 0);
+      setEventNumber(first ? first.number : null);
+      setHeatNumber(1);
+    };
+
+    setEvents([]);
+    if (eventId && currentUser) {
+      fetchHeatSheet();
+    }
+  }, [eventId, currentUser]);
+
+  // Fill the form with the heat's saved results
+  useEffect(() => {
+    const forms: Record<string, LaneForm> = {};
+    (heat?.lanes || []).forEach((lane) => {
+      forms[lane.entryId] = {
+        status: lane.resultStatus || '',
+        time: lane.resultTime !== null ? formatTime(lane.resultTime) : '',
+        dqReason: lane.dqReason || '',
+      };
+    });
+    setLaneForms(forms);
+  }, [heat]);
+
+  const updateLane = (entryId: string, changes: Partial<LaneForm>) => {
+    const current = laneForms[entryId];
+    const updated = { ...current, ...changes };
+
+    // Typing a time marks the swim as finished
+    if (changes.time && !current.status) {
+      updated.status = 'final';
+    }
+
+    setLaneForms({ ...laneForms, [entryId]: updated });
+  };
+
+  // Move to the next heat, or the first heat of the next event
+  const goToNextHeat = () => {
+    if (!event) {
+      return;
+    }
+
+    if (heatNumber < event.heats.length) {
+      setHeatNumber(heatNumber + 1);
+      return;
+    }
+
+    const nextEvent = seededEvents[seededEvents.indexOf(event) + 1];
+    if (nextEvent) {
+      setEventNumber(nextEvent.number);
+      setHeatNumber(1);
+    }
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    setSuccess(null);
+
+    const invalid = Object.values(laneForms).find(
+      (form) => form.time && !isValidTimeString(form.time)
+    );
+    if (invalid) {
+      setError(`Invalid time: ${invalid.time}. Use MM:SS.ss or SS.ss`);
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await recordHeatResults(
+        eventId,
+        (heat?.lanes || [])
+          .filter((lane) => !lane.published && laneForms[lane.entryId])
+          .map((lane) => ({
+            entryId: lane.entryId,
+            status: laneForms[lane.entryId].status || null,
+            time: laneForms[lane.entryId].time || null,
+            dqReason: laneForms[lane.entryId].dqReason || null,
+          }))
+      );
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save results');
+      }
+
+      setSuccess(`Event ${eventNumber} heat ${heatNumber}: ${result.message}`);
+      const refreshed = await getHeatSheet(eventId);
+      if (refreshed.success) {
+        setEvents(refreshed.events || []);
+      }
+      goToNextHeat();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Timing Table</h1>
+          <p className='mt-2 max-w-3xl'>
+            Enter each lane&apos;s time heat by heat, and mark disqualifications,
+            no-shows and scratches.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <div className='grid grid-cols-1 md:grid-cols-4 gap-4'>
+            <div className='md:col-span-2'>
+              <label htmlFor='meet' className='block text-sm font-medium text-gray-700 mb-1'>
+                Meet
+              </label>
+              <select
+                id='meet'
+                value={eventId}
+                onChange={(e) => {
+                  setEventId(e.target.value);
+                  setError(null);
+                  setSuccess(null);
+                }}
+                className={inputClassName}
+              >
+                <option value=''>Choose a meet</option>
+                {meets.map((meet) => (
+                  <option key={meet.id} value={meet.id}>
+                    {meet.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='event' className='block text-sm font-medium text-gray-700 mb-1'>
+                Event
+              </label>
+              <select
+                id='event'
+                value={eventNumber ?? ''}
+                onChange={(e) => {
+                  setEventNumber(parseInt(e.target.value));
+                  setHeatNumber(1);
+                }}
+                className={inputClassName}
+              >
+                {seededEvents.map((candidate) => (
+                  <option key={candidate.number} value={candidate.number}>
+                    {candidate.number}. {candidate.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='heat' className='block text-sm font-medium text-gray-700 mb-1'>
+                Heat
+              </label>
+              <select
+                id='heat'
+                value={heatNumber}
+                onChange={(e) => setHeatNumber(parseInt(e.target.value))}
+                className={inputClassName}
+              >
+                {(event?.heats || []).map((candidate) => (
+                  <option key={candidate.heat} value={candidate.heat}>
+                    Heat {candidate.heat} of {event?.heats.length}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {eventId && seededEvents.length === 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6 text-gray-600'>
+            This meet has not been seeded yet.
+          </div>
+        )}
+
+        {heat && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <table className='min-w-full text-sm'>
+              <thead>
+                <tr className='text-left text-gray-500 border-b'>
+                  <th className='py-2 pr-4'>Lane</th>
+                  <th className='py-2 pr-4'>Swimmer</th>
+                  <th className='py-2 pr-4'>Seed</th>
+                  <th className='py-2 pr-4'>Time</th>
+                  <th className='py-2 pr-4'>Result</th>
+                  <th className='py-2'>DQ Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {heat.lanes.map((lane) => {
+                  const form = laneForms[lane.entryId];
+                  if (!form) {
+                    return null;
+                  }
+
+                  return (
+                    <tr key={lane.entryId} className='border-b last:border-0'>
+                      <td className='py-2 pr-4 font-bold'>{lane.lane}</td>
+                      <td className='py-2 pr-4'>
+                        {lane.swimmerName}
+                        {lane.published && (
+                          <span className='ml-2 text-xs text-green-700'>Published</span>
+                        )}
+                      </td>
+                      <td className='py-2 pr-4 text-gray-500'>
+                        {lane.seedTime ? formatTime(lane.seedTime) : 'NT'}
+                      </td>
+                      <td className='py-2 pr-4 w-32'>
+                        <input
+                          type='text'
+                          value={form.time}
+                          onChange={(e) => updateLane(lane.entryId, { time: e.target.value })}
+                          className={inputClassName}
+                          placeholder='MM:SS.ss'
+                          disabled={lane.published}
+                        />
+                      </td>
+                      <td className='py-2 pr-4 w-40'>
+                        <select
+                          value={form.status}
+                          onChange={(e) =>
+                            updateLane(lane.entryId, { status: e.target.value as ResultStatus | '' })
+                          }
+                          className={inputClassName}
+                          disabled={lane.published}
+                        >
+                          <option value=''>Not swum</option>
+                          {RESULT_STATUSES.map((status) => (
+                            <option key={status.value} value={status.value}>
+                              {status.label}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className='py-2'>
+                        {form.status === 'dq' && (
+                          <input
+                            type='text'
+                            value={form.dqReason}
+                            onChange={(e) => updateLane(lane.entryId, { dqReason: e.target.value })}
+                            className={inputClassName}
+                            placeholder='e.g. False start'
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className='flex justify-end mt-4'>
+              <button
+                onClick={handleSave}
+                className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                disabled={isSubmitting || heat.lanes.every((lane) => lane.published)}
+              >
+                {isSubmitting ? 'Saving...' : 'Save Heat'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className='text-center'>
+          <Link
+            href='/coach/meets/heats'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Heat Sheet
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
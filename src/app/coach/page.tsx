@@ -0,0 +1,396 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import BestTimeForm from '@/components/BestTimeForm';
+import {
+  getBestTimes,
+  setGoalTime,
+  formatTime,
+  parseTime,
+  isValidTimeString,
+  BestTime,
+} from '@/services/bestTimesService';
+import {
+  getTrainingGroups,
+  getSwimmerNotes,
+  addSwimmerNote,
+  deleteSwimmerNote,
+  TrainingGroup,
+  GroupSwimmer,
+  SwimmerNote,
+} from '@/services/trainingGroupsService';
+import { generateReportCard, downloadReportCard } from '@/services/reportCardsService';
+
+export default function CoachDashboard() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [groups, setGroups] = useState<TrainingGroup[]>([]);
+  const [swimmer, setSwimmer] = useState<GroupSwimmer | null>(null);
+  const [bestTimes, setBestTimes] = useState<BestTime[]>([]);
+  const [notes, setNotes] = useState<SwimmerNote[]>([]);
+  const [noteText, setNoteText] = useState('');
+  const [showTimeForm, setShowTimeForm] = useState(false);
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [isSwimmerLoading, setIsSwimmerLoading] = useState(false);
+  const [isGeneratingReport, setIsGeneratingReport] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Load the coach's groups when the page mounts
+  useEffect(() => {
+    const fetchGroups = async () => {
+      try {
+        const result = await getTrainingGroups();
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load your groups');
+        }
+
+        setGroups(result.groups || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching training groups:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    if (currentUser) {
+      fetchGroups();
+    }
+  }, [currentUser]);
+
+  // Load a swimmer's best times and notes
+  const loadSwimmer = async (selected: GroupSwimmer) => {
+    setSwimmer(selected);
+    setShowTimeForm(false);
+    setIsSwimmerLoading(true);
+    setError(null);
+
+    try {
+      const [timesResult, notesResult] = await Promise.all([
+        getBestTimes(undefined, selected.id),
+        getSwimmerNotes(selected.id),
+      ]);
+
+      if (!timesResult.success) {
+        throw new Error(timesResult.error || 'Failed to load best times');
+      }
+      if (!notesResult.success) {
+        throw new Error(notesResult.error || 'Failed to load notes');
+      }
+
+      setBestTimes(timesResult.bestTimes || []);
+      setNotes(notesResult.notes || []);
+    } catch (err: any) {
+      setError(err.message);
+      console.error('Error fetching swimmer:', err);
+    } finally {
+      setIsSwimmerLoading(false);
+    }
+  };
+
+  const handleSetGoal = async (bestTime: BestTime) => {
+    if (!swimmer) {
+      return;
+    }
+
+    const goal = window.prompt(
+      `Goal time for ${bestTime.stroke} ${bestTime.distance} (MM:SS.ss or SS.ss)`,
+      bestTime.goalTime ? formatTime(bestTime.goalTime) : ''
+    );
+    if (!goal) {
+      return;
+    }
+    if (!isValidTimeString(goal.trim())) {
+      setError('Please enter a valid time in the format MM:SS.ss or SS.ss');
+      return;
+    }
+
+    const result = await setGoalTime(
+      bestTime.eventName,
+      bestTime.stroke,
+      bestTime.distance,
+      parseTime(goal.trim()),
+      bestTime.course,
+      swimmer.id
+    );
+    if (!result.success) {
+      setError(result.error || 'Failed to set goal time');
+      return;
+    }
+
+    await loadSwimmer(swimmer);
+  };
+
+  const handleAddNote = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!swimmer || !noteText.trim()) {
+      return;
+    }
+
+    const result = await addSwimmerNote(swimmer.id, noteText.trim());
+    if (!result.success || !result.note) {
+      setError(result.error || 'Failed to add note');
+      return;
+    }
+
+    setNotes([result.note, ...notes]);
+    setNoteText('');
+  };
+
+  const handleDeleteNote = async (note: SwimmerNote) => {
+    if (!swimmer || !window.confirm('Delete this note?')) {
+      return;
+    }
+
+    const result = await deleteSwimmerNote(swimmer.id, note.id);
+    if (!result.success) {
+      setError(result.error || 'Failed to delete note');
+      return;
+    }
+
+    setNotes(notes.filter((existing) => existing.id !== note.id));
+  };
+
+  const handleReportCard = async () => {
+    if (!swimmer) {
+      return;
+    }
+
+    setIsGeneratingReport(true);
+    setError(null);
+
+    const result = await generateReportCard(swimmer.id);
+    if (!result.success || !result.filename || !result.content) {
+      setError(result.error || 'Failed to generate report card');
+    } else {
+      downloadReportCard(result.filename, result.content);
+    }
+
+    setIsGeneratingReport(false);
+  };
+
+  if (isLoading || isDataLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Coach Zone</h1>
+          <p className='mt-2 max-w-3xl'>
+            Times, goals and notes for the swimmers in your training groups.
+          </p>
+          <div className='flex flex-wrap gap-3 mt-4'>
+            <Link
+              href='/coach/relays'
+              className='inline-flex items-center px-4 py-2 bg-white text-blue-700 rounded-lg hover:bg-blue-50 transition-colors'
+            >
+              Relay Builder
+            </Link>
+            <Link
+              href='/coach/meets'
+              className='inline-flex items-center px-4 py-2 bg-white text-blue-700 rounded-lg hover:bg-blue-50 transition-colors'
+            >
+              Meet Entries
+            </Link>
+            <Link
+              href='/coach/events'
+              className='inline-flex items-center px-4 py-2 bg-white text-blue-700 rounded-lg hover:bg-blue-50 transition-colors'
+            >
+              Event Attendees
+            </Link>
+          </div>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6'>
+            {error}
+          </div>
+        )}
+
+        <div className='grid grid-cols-1 md:grid-cols-3 gap-6'>
+          {/* Groups and swimmers */}
+          <div className='space-y-6'>
+            {groups.length === 0 && (
+              <div className='bg-white rounded-xl shadow-lg p-6 text-gray-600'>
+                You have not been assigned any training groups yet.
+              </div>
+            )}
+            {groups.map((group) => (
+              <div key={group.id} className='bg-white rounded-xl shadow-lg p-6'>
+                <h2 className='text-xl font-bold text-secondary mb-4'>{group.name}</h2>
+                {group.swimmers.length > 0 ? (
+                  <ul className='divide-y text-sm'>
+                    {group.swimmers.map((groupSwimmer) => (
+                      <li key={groupSwimmer.id}>
+                        <button
+                          onClick={() => loadSwimmer(groupSwimmer)}
+                          className={`w-full text-left py-2 hover:text-blue-600 ${
+                            swimmer?.id === groupSwimmer.id ? 'font-bold text-blue-600' : ''
+                          }`}
+                        >
+                          {groupSwimmer.displayName}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className='text-sm text-gray-600'>No swimmers in this group yet.</p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Selected swimmer */}
+          <div className='md:col-span-2 space-y-6'>
+            {!swimmer ? (
+              <div className='bg-white rounded-xl shadow-lg p-8 text-center text-gray-600'>
+                Choose a swimmer to see their times and notes.
+              </div>
+            ) : isSwimmerLoading ? (
+              <div className='py-12 text-center'>
+                <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+                <p className='mt-2 text-gray-500'>Loading {swimmer.displayName}...</p>
+              </div>
+            ) : (
+              <>
+                <div className='bg-white rounded-xl shadow-lg p-6'>
+                  <div className='flex items-center justify-between mb-4'>
+                    <h2 className='text-2xl font-bold text-secondary'>{swimmer.displayName}</h2>
+                    <div className='flex gap-3'>
+                      <button
+                        onClick={handleReportCard}
+                        className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+                        disabled={isGeneratingReport}
+                      >
+                        {isGeneratingReport ? 'Generating...' : 'Report Card'}
+                      </button>
+                      <button
+                        onClick={() => setShowTimeForm(!showTimeForm)}
+                        className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors'
+                      >
+                        {showTimeForm ? 'Cancel' : 'Add Swim'}
+                      </button>
+                    </div>
+                  </div>
+                  {bestTimes.length > 0 ? (
+                    <div className='overflow-x-auto'>
+                      <table className='min-w-full text-sm'>
+                        <thead>
+                          <tr className='text-left text-gray-500 border-b'>
+                            <th className='py-2 pr-4'>Event</th>
+                            <th className='py-2 pr-4'>Best</th>
+                            <th className='py-2 pr-4'>Goal</th>
+                            <th className='py-2 pr-4'>Next Standard</th>
+                            <th className='py-2 pr-4'></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {bestTimes.map((bestTime) => (
+                            <tr key={bestTime.id} className='border-b last:border-0'>
+                              <td className='py-2 pr-4'>
+                                {bestTime.stroke} {bestTime.distance} {bestTime.course}
+                              </td>
+                              <td className='py-2 pr-4 font-medium'>{formatTime(bestTime.time)}</td>
+                              <td className='py-2 pr-4 text-yellow-600'>
+                                {bestTime.goalTime ? formatTime(bestTime.goalTime) : '--.--'}
+                              </td>
+                              <td className='py-2 pr-4 text-gray-500'>
+                                {bestTime.standards?.next
+                                  ? `${bestTime.standards.next.standardName} (${formatTime(bestTime.standards.next.time)})`
+                                  : '--'}
+                              </td>
+                              <td className='py-2 pr-4 text-right'>
+                                <button
+                                  onClick={() => handleSetGoal(bestTime)}
+                                  className='text-blue-600 hover:text-blue-800'
+                                >
+                                  Set Goal
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <p className='text-gray-600'>No times recorded yet.</p>
+                  )}
+                </div>
+
+                {showTimeForm && (
+                  <BestTimeForm userId={swimmer.id} onSaved={() => loadSwimmer(swimmer)} />
+                )}
+
+                {/* Notes */}
+                <div className='bg-white rounded-xl shadow-lg p-6'>
+                  <h3 className='text-lg font-bold text-secondary mb-4'>Notes</h3>
+                  <form onSubmit={handleAddNote} className='mb-4'>
+                    <textarea
+                      value={noteText}
+                      onChange={(e) => setNoteText(e.target.value)}
+                      rows={3}
+                      className='w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary'
+                      placeholder='Technique cues, race plans, things to work on...'
+                    />
+                    <div className='flex justify-end mt-2'>
+                      <button
+                        type='submit'
+                        className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                        disabled={!noteText.trim()}
+                      >
+                        Add Note
+                      </button>
+                    </div>
+                  </form>
+                  {notes.length > 0 ? (
+                    <ul className='divide-y'>
+                      {notes.map((note) => (
+                        <li key={note.id} className='py-3'>
+                          <p className='whitespace-pre-line'>{note.text}</p>
+                          <p className='text-xs text-gray-500 mt-1'>
+                            {note.authorName} · {new Date(note.createdAt).toLocaleDateString()}
+                            {note.authorId === currentUser.uid && (
+                              <button
+                                onClick={() => handleDeleteNote(note)}
+                                className='ml-3 text-red-600 hover:text-red-800'
+                              >
+                                Delete
+                              </button>
+                            )}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className='text-gray-600'>No notes yet.</p>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
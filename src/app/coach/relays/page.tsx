@@ -0,0 +1,541 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/context/AuthContext';
+import { useRouteProtection } from '@/hooks/useRouteProtection';
+import {
+  formatTime,
+  getCourses,
+  Course,
+  DEFAULT_COURSE,
+} from '@/services/bestTimesService';
+import { getUpcomingEvents, ClubEvent } from '@/services/eventsService';
+import {
+  buildRelay,
+  saveRelay,
+  getRelays,
+  deleteRelay,
+  RELAY_TYPES,
+  LEG_DISTANCES,
+  RelaySettings,
+  RelayLineup,
+  RelaySwimmer,
+  SavedRelay,
+} from '@/services/relaysService';
+
+const DEFAULT_SETTINGS: RelaySettings = {
+  relayType: 'free',
+  legDistance: 50,
+  course: DEFAULT_COURSE,
+  gender: 'F',
+  minAge: null,
+  maxAge: null,
+};
+
+const GENDER_LABELS = {
+  F: 'Girls',
+  M: 'Boys',
+  X: 'Mixed',
+};
+
+export default function RelayBuilder() {
+  const { currentUser } = useAuth();
+  const { isLoading } = useRouteProtection();
+  const [settings, setSettings] = useState<RelaySettings>(DEFAULT_SETTINGS);
+  const [lineups, setLineups] = useState<RelayLineup[]>([]);
+  const [swimmers, setSwimmers] = useState<RelaySwimmer[]>([]);
+  const [legSwimmerIds, setLegSwimmerIds] = useState<string[]>([]);
+  const [lockedLegs, setLockedLegs] = useState<boolean[]>([false, false, false, false]);
+  const [events, setEvents] = useState<ClubEvent[]>([]);
+  const [eventId, setEventId] = useState('');
+  const [relayName, setRelayName] = useState('');
+  const [savedRelays, setSavedRelays] = useState<SavedRelay[]>([]);
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const strokes =
+    RELAY_TYPES.find((relayType) => relayType.value === settings.relayType)?.strokes || [];
+
+  // Load upcoming events to save relays to
+  useEffect(() => {
+    const fetchEvents = async () => {
+      const result = await getUpcomingEvents();
+      if (result.success) {
+        setEvents(result.events || []);
+      }
+    };
+
+    if (currentUser) {
+      fetchEvents();
+    }
+  }, [currentUser]);
+
+  // Load the relays already saved to the chosen event
+  useEffect(() => {
+    const fetchRelays = async () => {
+      const result = await getRelays(eventId);
+      setSavedRelays(result.success ? result.relays || [] : []);
+    };
+
+    if (eventId) {
+      fetchRelays();
+    } else {
+      setSavedRelays([]);
+    }
+  }, [eventId]);
+
+  const updateSettings = (changes: Partial<RelaySettings>) => {
+    setSettings({ ...settings, ...changes });
+    setLineups([]);
+    setLegSwimmerIds([]);
+    setLockedLegs([false, false, false, false]);
+  };
+
+  // Ask for the fastest line-ups, keeping any locked legs
+  const handleBuild = async () => {
+    setIsBuilding(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const locked = lockedLegs.map((isLocked, index) =>
+        isLocked ? legSwimmerIds[index] || null : null
+      );
+      const result = await buildRelay(settings, locked);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to build relay');
+      }
+
+      setLineups(result.lineups || []);
+      setSwimmers(result.swimmers || []);
+      if (result.lineups && result.lineups.length > 0) {
+        setLegSwimmerIds(result.lineups[0].legs.map((leg) => leg.swimmerId));
+      } else {
+        setError('No legal line-up could be made from the swimmers with times');
+      }
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  // Swap a leg; a swimmer already in another leg trades places
+  const handleSwap = (legIndex: number, swimmerId: string) => {
+    const updated = [...legSwimmerIds];
+    const otherLeg = updated.indexOf(swimmerId);
+    if (otherLeg !== -1) {
+      updated[otherLeg] = updated[legIndex];
+    }
+    updated[legIndex] = swimmerId;
+    setLegSwimmerIds(updated);
+  };
+
+  const getLegTime = (legIndex: number) => {
+    const swimmer = swimmers.find((member) => member.id === legSwimmerIds[legIndex]);
+    return swimmer ? swimmer.times[strokes[legIndex]] : undefined;
+  };
+
+  const legTimes = strokes.map((_, index) => getLegTime(index));
+  const isComplete = legSwimmerIds.length === strokes.length && legTimes.every(Boolean);
+  const predictedTime = isComplete
+    ? legTimes.reduce((total, legTime) => total + (legTime ? legTime.time : 0), 0)
+    : null;
+
+  const handleSave = async () => {
+    setError(null);
+    setSuccess(null);
+
+    if (!eventId) {
+      setError('Please choose the event this relay is for');
+      return;
+    }
+
+    const result = await saveRelay(settings, eventId, legSwimmerIds, relayName.trim() || undefined);
+    if (!result.success) {
+      setError(result.error || 'Failed to save relay');
+      return;
+    }
+
+    setSuccess(result.message || 'Relay saved successfully');
+    setRelayName('');
+    const relaysResult = await getRelays(eventId);
+    setSavedRelays(relaysResult.success ? relaysResult.relays || [] : []);
+  };
+
+  const handleDelete = async (relay: SavedRelay) => {
+    if (!window.confirm(`Delete ${relay.name}?`)) {
+      return;
+    }
+
+    const result = await deleteRelay(relay.id);
+    if (!result.success) {
+      setError(result.error || 'Failed to delete relay');
+      return;
+    }
+
+    setSavedRelays(savedRelays.filter((saved) => saved.id !== relay.id));
+  };
+
+  if (isLoading) {
+    return (
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center'>
+        <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+        <p className='mt-2 text-gray-500'>Loading...</p>
+      </div>
+    );
+  }
+
+  // If not authenticated, return null (route protection will handle redirect)
+  if (!currentUser) {
+    return null;
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Relay Builder</h1>
+          <p className='mt-2 max-w-3xl'>
+            Find the fastest relay line-ups from your swimmers&apos; best times,
+            swap or lock swimmers, and save the relay to an event.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className='bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded'>
+            {success}
+          </div>
+        )}
+
+        {/* Relay settings */}
+        <div className='bg-white rounded-xl shadow-lg p-6'>
+          <div className='grid grid-cols-2 md:grid-cols-4 gap-4'>
+            <div>
+              <label htmlFor='relayType' className='block text-sm font-medium text-gray-700 mb-1'>
+                Relay
+              </label>
+              <select
+                id='relayType'
+                value={settings.relayType}
+                onChange={(e) => updateSettings({ relayType: e.target.value as RelaySettings['relayType'] })}
+                className={inputClassName}
+              >
+                {RELAY_TYPES.map((relayType) => (
+                  <option key={relayType.value} value={relayType.value}>
+                    {relayType.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='legDistance' className='block text-sm font-medium text-gray-700 mb-1'>
+                Leg Distance
+              </label>
+              <select
+                id='legDistance'
+                value={settings.legDistance}
+                onChange={(e) => updateSettings({ legDistance: parseInt(e.target.value) })}
+                className={inputClassName}
+              >
+                {LEG_DISTANCES.map((distance) => (
+                  <option key={distance} value={distance}>
+                    4 x {distance}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='course' className='block text-sm font-medium text-gray-700 mb-1'>
+                Course
+              </label>
+              <select
+                id='course'
+                value={settings.course}
+                onChange={(e) => updateSettings({ course: e.target.value as Course })}
+                className={inputClassName}
+              >
+                {getCourses().map((course) => (
+                  <option key={course.value} value={course.value}>
+                    {course.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='gender' className='block text-sm font-medium text-gray-700 mb-1'>
+                Gender
+              </label>
+              <select
+                id='gender'
+                value={settings.gender}
+                onChange={(e) => updateSettings({ gender: e.target.value as RelaySettings['gender'] })}
+                className={inputClassName}
+              >
+                {(Object.keys(GENDER_LABELS) as RelaySettings['gender'][]).map((gender) => (
+                  <option key={gender} value={gender}>
+                    {GENDER_LABELS[gender]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor='minAge' className='block text-sm font-medium text-gray-700 mb-1'>
+                Min Age
+              </label>
+              <input
+                id='minAge'
+                type='number'
+                min='0'
+                value={settings.minAge ?? ''}
+                onChange={(e) =>
+                  updateSettings({ minAge: e.target.value ? parseInt(e.target.value) : null })
+                }
+                className={inputClassName}
+                placeholder='Any'
+              />
+            </div>
+            <div>
+              <label htmlFor='maxAge' className='block text-sm font-medium text-gray-700 mb-1'>
+                Max Age
+              </label>
+              <input
+                id='maxAge'
+                type='number'
+                min='0'
+                value={settings.maxAge ?? ''}
+                onChange={(e) =>
+                  updateSettings({ maxAge: e.target.value ? parseInt(e.target.value) : null })
+                }
+                className={inputClassName}
+                placeholder='Any'
+              />
+            </div>
+            <div>
+              <label htmlFor='ageDate' className='block text-sm font-medium text-gray-700 mb-1'>
+                Age On
+              </label>
+              <input
+                id='ageDate'
+                type='date'
+                value={settings.ageDate || ''}
+                onChange={(e) => updateSettings({ ageDate: e.target.value || undefined })}
+                className={inputClassName}
+              />
+            </div>
+            <div className='flex items-end'>
+              <button
+                onClick={handleBuild}
+                className='w-full px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                disabled={isBuilding}
+              >
+                {isBuilding ? 'Building...' : 'Find Fastest'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {lineups.length > 0 && (
+          <div className='grid grid-cols-1 lg:grid-cols-3 gap-6'>
+            {/* Working line-up */}
+            <div className='lg:col-span-2 bg-white rounded-xl shadow-lg p-6'>
+              <h2 className='text-xl font-bold text-secondary mb-4'>Line-up</h2>
+              <table className='min-w-full text-sm mb-4'>
+                <thead>
+                  <tr className='text-left text-gray-500 border-b'>
+                    <th className='py-2 pr-4'>Leg</th>
+                    <th className='py-2 pr-4'>Swimmer</th>
+                    <th className='py-2 pr-4'>Time</th>
+                    <th className='py-2 pr-4'>Lock</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {strokes.map((stroke, index) => {
+                    const legTime = legTimes[index];
+                    return (
+                      <tr key={index} className='border-b last:border-0'>
+                        <td className='py-2 pr-4'>
+                          {index + 1}. {stroke}
+                        </td>
+                        <td className='py-2 pr-4'>
+                          <select
+                            value={legSwimmerIds[index] || ''}
+                            onChange={(e) => handleSwap(index, e.target.value)}
+                            className={inputClassName}
+                          >
+                            {swimmers
+                              .filter((swimmer) => swimmer.times[stroke])
+                              .map((swimmer) => (
+                                <option key={swimmer.id} value={swimmer.id}>
+                                  {swimmer.name} ({formatTime(swimmer.times[stroke].time)})
+                                </option>
+                              ))}
+                          </select>
+                        </td>
+                        <td className='py-2 pr-4 font-medium'>
+                          {legTime ? (
+                            <>
+                              {formatTime(legTime.time)}
+                              {legTime.isEstimate && (
+                                <span className='ml-1 text-xs text-gray-500'>(est.)</span>
+                              )}
+                            </>
+                          ) : (
+                            <span className='text-red-600'>No time</span>
+                          )}
+                        </td>
+                        <td className='py-2 pr-4'>
+                          <input
+                            type='checkbox'
+                            checked={lockedLegs[index]}
+                            onChange={() =>
+                              setLockedLegs(
+                                lockedLegs.map((isLocked, legIndex) =>
+                                  legIndex === index ? !isLocked : isLocked
+                                )
+                              )
+                            }
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className='flex flex-wrap items-center justify-between gap-4'>
+                <p className='text-lg'>
+                  Predicted time:{' '}
+                  <span className='font-bold text-secondary'>
+                    {predictedTime !== null ? formatTime(predictedTime) : '--.--'}
+                  </span>
+                </p>
+                <button
+                  onClick={handleBuild}
+                  className='px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50'
+                  disabled={isBuilding || !lockedLegs.some(Boolean)}
+                >
+                  Fill Unlocked Legs
+                </button>
+              </div>
+
+              {/* Save to an event */}
+              <div className='grid grid-cols-1 md:grid-cols-3 gap-4 mt-6'>
+                <select
+                  value={eventId}
+                  onChange={(e) => setEventId(e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value=''>Choose an event</option>
+                  {events.map((event) => (
+                    <option key={event.id} value={event.id}>
+                      {event.title}
+                      {event.startDate && ` (${new Date(event.startDate).toLocaleDateString()})`}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type='text'
+                  value={relayName}
+                  onChange={(e) => setRelayName(e.target.value)}
+                  className={inputClassName}
+                  placeholder='Relay name (optional)'
+                />
+                <button
+                  onClick={handleSave}
+                  className='px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors disabled:opacity-50'
+                  disabled={!isComplete}
+                >
+                  Save Relay
+                </button>
+              </div>
+            </div>
+
+            {/* Proposed line-ups */}
+            <div className='bg-white rounded-xl shadow-lg p-6'>
+              <h2 className='text-xl font-bold text-secondary mb-4'>Fastest Line-ups</h2>
+              <ol className='space-y-4'>
+                {lineups.map((lineup, index) => (
+                  <li key={index} className='border rounded-lg p-3'>
+                    <div className='flex justify-between mb-2'>
+                      <span className='font-bold'>
+                        {formatTime(lineup.predictedTime)}
+                        {lineup.hasEstimates && (
+                          <span className='ml-1 text-xs font-normal text-gray-500'>(est.)</span>
+                        )}
+                      </span>
+                      <button
+                        onClick={() => setLegSwimmerIds(lineup.legs.map((leg) => leg.swimmerId))}
+                        className='text-sm text-blue-600 hover:text-blue-800'
+                      >
+                        Use
+                      </button>
+                    </div>
+                    <ul className='text-sm text-gray-600'>
+                      {lineup.legs.map((leg, legIndex) => (
+                        <li key={legIndex}>
+                          {leg.swimmerName} · {leg.stroke} {formatTime(leg.time)}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </div>
+        )}
+
+        {/* Relays saved to the chosen event */}
+        {savedRelays.length > 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-4'>Saved Relays</h2>
+            <ul className='divide-y'>
+              {savedRelays.map((relay) => (
+                <li key={relay.id} className='py-3 flex justify-between'>
+                  <div>
+                    <p className='font-medium'>
+                      {relay.name} · {GENDER_LABELS[relay.gender]} · {formatTime(relay.predictedTime)}
+                    </p>
+                    <p className='text-sm text-gray-500'>
+                      {relay.legs.map((leg) => leg.swimmerName).join(', ')}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(relay)}
+                    className='text-sm text-red-600 hover:text-red-800'
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className='text-center'>
+          <Link
+            href='/coach'
+            className='inline-flex items-center px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors'
+          >
+            Back to Coach Zone
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
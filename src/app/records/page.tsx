@@ -0,0 +1,197 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import {
+  formatTime,
+  getCourses,
+  Course,
+  DEFAULT_COURSE,
+} from '@/services/bestTimesService';
+import {
+  getClubRecords,
+  getRecordBreaks,
+  ClubRecord,
+  RecordBreak,
+  RecordGender,
+} from '@/services/clubRecordsService';
+
+const GENDERS: { value: RecordGender; label: string }[] = [
+  { value: 'F', label: 'Girls' },
+  { value: 'M', label: 'Boys' },
+];
+
+export default function ClubRecords() {
+  const [records, setRecords] = useState<ClubRecord[]>([]);
+  const [ageGroups, setAgeGroups] = useState<string[]>([]);
+  const [recordBreaks, setRecordBreaks] = useState<RecordBreak[]>([]);
+  const [course, setCourse] = useState<Course>(DEFAULT_COURSE);
+  const [gender, setGender] = useState<RecordGender>('F');
+  const [isDataLoading, setIsDataLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Fetch the records for the selected course and gender
+  useEffect(() => {
+    const fetchRecords = async () => {
+      setIsDataLoading(true);
+
+      try {
+        const result = await getClubRecords({ course, gender });
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load club records');
+        }
+
+        setRecords(result.records || []);
+        setAgeGroups(result.ageGroups || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching club records:', err);
+      } finally {
+        setIsDataLoading(false);
+      }
+    };
+
+    fetchRecords();
+  }, [course, gender]);
+
+  // Fetch the latest record breaks once
+  useEffect(() => {
+    const fetchRecordBreaks = async () => {
+      const result = await getRecordBreaks(5);
+      if (result.success) {
+        setRecordBreaks(result.recordBreaks || []);
+      }
+    };
+
+    fetchRecordBreaks();
+  }, []);
+
+  const recordsByAgeGroup = ageGroups
+    .map((ageGroup) => ({
+      ageGroup,
+      records: records.filter((record) => record.ageGroup === ageGroup),
+    }))
+    .filter((group) => group.records.length > 0);
+
+  return (
+    <div className='bg-gray-50 min-h-screen'>
+      {/* Page header */}
+      <div className='bg-gradient-to-r from-blue-600 to-blue-800 text-white'>
+        <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8'>
+          <h1 className='text-4xl font-bold mb-2'>Club Records</h1>
+          <p className='mt-2 max-w-3xl'>
+            The fastest times ever swum by Digby Dolphins, by age group, gender
+            and pool course. Records update automatically when they are broken.
+          </p>
+        </div>
+      </div>
+
+      {/* Main content */}
+      <div className='max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6'>
+        {error && (
+          <div className='bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded'>
+            {error}
+          </div>
+        )}
+
+        {/* Recently broken records */}
+        {recordBreaks.length > 0 && (
+          <div className='bg-white rounded-xl shadow-lg p-6'>
+            <h2 className='text-xl font-bold text-secondary mb-4'>
+              Recently Broken
+            </h2>
+            <ul className='space-y-3'>
+              {recordBreaks.map((recordBreak) => (
+                <li key={recordBreak.id}>
+                  <p className='font-medium'>🏆 {recordBreak.headline}</p>
+                  <p className='text-sm text-gray-600'>{recordBreak.summary}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className='flex flex-wrap gap-2'>
+          {getCourses().map((option) => (
+            <button
+              key={option.value}
+              type='button'
+              onClick={() => setCourse(option.value)}
+              className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                course === option.value
+                  ? 'bg-secondary text-white'
+                  : 'bg-white text-secondary border border-gray-300 hover:bg-gray-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <span className='mx-2 border-l border-gray-300'></span>
+          {GENDERS.map((option) => (
+            <button
+              key={option.value}
+              type='button'
+              onClick={() => setGender(option.value)}
+              className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                gender === option.value
+                  ? 'bg-secondary text-white'
+                  : 'bg-white text-secondary border border-gray-300 hover:bg-gray-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Records tables */}
+        {isDataLoading ? (
+          <div className='py-12 text-center'>
+            <div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary'></div>
+            <p className='mt-2 text-gray-500'>Loading club records...</p>
+          </div>
+        ) : recordsByAgeGroup.length === 0 ? (
+          <div className='bg-white rounded-xl shadow-lg p-8 text-center text-gray-600'>
+            No club records for this course yet.
+          </div>
+        ) : (
+          recordsByAgeGroup.map((group) => (
+            <div key={group.ageGroup} className='bg-white rounded-xl shadow-lg p-6'>
+              <h2 className='text-xl font-bold text-secondary mb-4'>
+                {group.ageGroup}
+              </h2>
+              <div className='overflow-x-auto'>
+                <table className='min-w-full text-sm'>
+                  <thead>
+                    <tr className='text-left text-gray-500 border-b'>
+                      <th className='py-2 pr-4'>Event</th>
+                      <th className='py-2 pr-4'>Time</th>
+                      <th className='py-2 pr-4'>Record Holder</th>
+                      <th className='py-2 pr-4'>Date</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.records.map((record) => (
+                      <tr key={record.id} className='border-b last:border-0'>
+                        <td className='py-2 pr-4'>
+                          {record.distance} {record.stroke}
+                        </td>
+                        <td className='py-2 pr-4 font-medium'>
+                          {formatTime(record.time)}
+                        </td>
+                        <td className='py-2 pr-4'>{record.holderName}</td>
+                        <td className='py-2 pr-4'>
+                          {new Date(record.date).toLocaleDateString()}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
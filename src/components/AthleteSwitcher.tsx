@@ -0,0 +1,43 @@
+'use client';
+
+import React from 'react';
+import { LinkedAthlete } from '@/services/guardiansService';
+
+interface AthleteSwitcherProps {
+  athletes: LinkedAthlete[];
+  selectedAthleteId?: string;
+  onSelect: (athleteId: string) => void;
+}
+
+const AthleteSwitcher: React.FC<AthleteSwitcherProps> = ({
+  athletes,
+  selectedAthleteId,
+  onSelect,
+}) => {
+  // Only parents and guardians have someone else to switch to
+  if (!athletes.some((athlete) => !athlete.isSelf)) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6">
+      <span className="text-sm font-medium text-gray-700">Viewing:</span>
+      {athletes.map((athlete) => (
+        <button
+          key={athlete.id}
+          type="button"
+          onClick={() => onSelect(athlete.id)}
+          className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+            selectedAthleteId === athlete.id
+              ? "bg-secondary text-white"
+              : "bg-white text-secondary border border-gray-300 hover:bg-gray-100"
+          }`}
+        >
+          {athlete.isSelf ? "Me" : athlete.displayName}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default AthleteSwitcher;
@@ -2,22 +2,70 @@
 
 import React, { useState } from 'react';
 import { useRouter } from 'next/navigation';
-import { addBestTime, getStrokes, getDistances, parseTime } from '@/services/bestTimesService';
+import {
+  addBestTime,
+  getCourses,
+  getStrokes,
+  getDistances,
+  parseTime,
+  formatTime,
+  isValidTimeString,
+  getSplitCount,
+  Course,
+  SplitDistance,
+  DEFAULT_COURSE
+} from '@/services/bestTimesService';
 
-const BestTimeForm: React.FC = () => {
+interface BestTimeFormProps {
+  // Swimmer to record the swim for, when entered by an admin or coach
+  userId?: string;
+  // Called after saving instead of returning to the best times page
+  onSaved?: () => void;
+}
+
+const BestTimeForm: React.FC<BestTimeFormProps> = ({ userId, onSaved }) => {
   const router = useRouter();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   
   const [eventName, setEventName] = useState('');
+  const [course, setCourse] = useState<Course>(DEFAULT_COURSE);
   const [stroke, setStroke] = useState('Freestyle');
   const [distance, setDistance] = useState('50m');
   const [timeString, setTimeString] = useState('');
   const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [splitDistance, setSplitDistance] = useState<SplitDistance | ''>('');
+  const [splitStrings, setSplitStrings] = useState<string[]>([]);
   
+  const courses = getCourses();
   const strokes = getStrokes();
-  const distances = getDistances(stroke);
+  const distances = getDistances(stroke, course);
+  const splitCount = splitDistance ? getSplitCount(distance, splitDistance) : 0;
+
+  // Running total of the splits entered so far
+  const splitsTotal = splitStrings
+    .filter((split) => isValidTimeString(split))
+    .reduce((total, split) => total + parseTime(split), 0);
+
+  // Keep one split input per length of the selected distance
+  const resizeSplits = (newDistance: string, newSplitDistance: SplitDistance | '') => {
+    const count = newSplitDistance ? getSplitCount(newDistance, newSplitDistance) : 0;
+    setSplitStrings((current) =>
+      Array.from({ length: count }, (_, index) => current[index] || '')
+    );
+  };
+
+  // Handle course change and update distances accordingly
+  const handleCourseChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const newCourse = e.target.value as Course;
+    setCourse(newCourse);
+
+    // Reset distance to first available for the new course
+    const newDistances = getDistances(stroke, newCourse);
+    setDistance(newDistances[0]);
+    resizeSplits(newDistances[0], splitDistance);
+  };
 
   // Handle stroke change and update distances accordingly
   const handleStrokeChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
@@ -25,8 +73,9 @@ const BestTimeForm: React.FC = () => {
     setStroke(newStroke);
     
     // Reset distance to first available for the new stroke
-    const newDistances = getDistances(newStroke);
+    const newDistances = getDistances(newStroke, course);
     setDistance(newDistances[0]);
+    resizeSplits(newDistances[0], splitDistance);
   };
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -46,12 +95,28 @@ const BestTimeForm: React.FC = () => {
       }
 
       // Parse time string to seconds
-      let timeInSeconds: number;
-      try {
-        timeInSeconds = parseTime(timeString);
-      } catch (err) {
+      if (!isValidTimeString(timeString)) {
         throw new Error('Invalid time format. Please use MM:SS.ss or SS.ss');
       }
+      const timeInSeconds = parseTime(timeString);
+
+      // Splits are optional, but must be complete and add up to the time
+      let splits: number[] | undefined;
+      if (splitDistance) {
+        if (splitStrings.some((split) => !isValidTimeString(split))) {
+          throw new Error('Please enter every split in the format SS.ss');
+        }
+        splits = splitStrings.map((split) => parseTime(split));
+
+        const totalHundredths = Math.round(
+          splits.reduce((total, split) => total + split, 0) * 100
+        );
+        if (Math.abs(totalHundredths - Math.round(timeInSeconds * 100)) > 1) {
+          throw new Error(
+            `Splits add up to ${formatTime(totalHundredths / 100)}, not ${formatTime(timeInSeconds)}`
+          );
+        }
+      }
 
       // Submit to Firebase
       const result = await addBestTime(
@@ -59,19 +124,33 @@ const BestTimeForm: React.FC = () => {
         stroke,
         distance,
         timeInSeconds,
-        date
+        date,
+        course,
+        splits,
+        splitDistance || undefined,
+        userId
       );
 
       if (!result.success) {
         throw new Error(result.error || 'Failed to save best time');
       }
 
-      setSuccess('Best time saved successfully!');
+      setSuccess(
+        result.isBestTime
+          ? 'New personal best saved!'
+          : 'Swim saved to your history.'
+      );
       
       // Reset form
       setEventName('');
       setTimeString('');
+      setSplitStrings(splitStrings.map(() => ''));
       
+      if (onSaved) {
+        onSaved();
+        return;
+      }
+
       // Redirect after a short delay
       setTimeout(() => {
         router.push('/athlete-zone/best-times');
@@ -118,7 +197,26 @@ const BestTimeForm: React.FC = () => {
           />
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="course" className="block text-sm font-medium text-gray-700 mb-1">
+              Course
+            </label>
+            <select
+              id="course"
+              value={course}
+              onChange={handleCourseChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              disabled={isSubmitting}
+            >
+              {courses.map((c) => (
+                <option key={c.value} value={c.value}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
           <div>
             <label htmlFor="stroke" className="block text-sm font-medium text-gray-700 mb-1">
               Stroke
@@ -145,7 +243,10 @@ const BestTimeForm: React.FC = () => {
             <select
               id="distance"
               value={distance}
-              onChange={(e) => setDistance(e.target.value)}
+              onChange={(e) => {
+                setDistance(e.target.value);
+                resizeSplits(e.target.value, splitDistance);
+              }}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
               disabled={isSubmitting}
             >
@@ -190,6 +291,56 @@ const BestTimeForm: React.FC = () => {
           </div>
         </div>
 
+        <div>
+          <label htmlFor="splitDistance" className="block text-sm font-medium text-gray-700 mb-1">
+            Splits (optional)
+          </label>
+          <select
+            id="splitDistance"
+            value={splitDistance}
+            onChange={(e) => {
+              const newSplitDistance = e.target.value
+                ? (parseInt(e.target.value) as SplitDistance)
+                : '';
+              setSplitDistance(newSplitDistance);
+              resizeSplits(distance, newSplitDistance);
+            }}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            disabled={isSubmitting}
+          >
+            <option value="">No splits</option>
+            <option value="25">Every 25</option>
+            <option value="50">Every 50</option>
+          </select>
+
+          {splitCount > 0 && (
+            <div className="mt-3">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {splitStrings.map((split, index) => (
+                  <input
+                    key={index}
+                    type="text"
+                    value={split}
+                    onChange={(e) =>
+                      setSplitStrings(
+                        splitStrings.map((value, i) => (i === index ? e.target.value : value))
+                      )
+                    }
+                    placeholder={`${(index + 1) * (splitDistance as number)}: SS.ss`}
+                    aria-label={`Split ${index + 1}`}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                    disabled={isSubmitting}
+                  />
+                ))}
+              </div>
+              <p className="mt-2 text-sm text-gray-500">
+                Splits total: {formatTime(splitsTotal)}
+                {isValidTimeString(timeString) && ` of ${formatTime(parseTime(timeString))}`}
+              </p>
+            </div>
+          )}
+        </div>
+
         <div className="flex justify-end space-x-3 pt-4">
           <button
             type="button"
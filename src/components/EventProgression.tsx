@@ -0,0 +1,223 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import ProgressionChart from '@/components/ProgressionChart';
+import { useSelectedAthlete } from '@/hooks/useSelectedAthlete';
+import {
+  getBestTime,
+  formatTime,
+  calculateImprovement,
+  getSeasonStart,
+  BestTime,
+  Swim,
+} from '@/services/bestTimesService';
+import { TimeStandard } from '@/services/timeStandardsService';
+
+/**
+ * Improvement from the first swim in a list to the fastest swim in it
+ * @param swims - Swims, oldest first
+ * @returns Percentage improvement, or null with fewer than two swims
+ */
+const getImprovement = (swims: Swim[]): number | null => {
+  if (swims.length < 2) {
+    return null;
+  }
+
+  const fastest = Math.min(...swims.map((swim) => swim.time));
+  return calculateImprovement(swims[0].time, fastest);
+};
+
+const EventProgression: React.FC = () => {
+  const searchParams = useSearchParams();
+  const eventId = searchParams?.get('id');
+  const { selectedAthleteId, selectedAthlete, isLoading: isAthleteLoading } =
+    useSelectedAthlete();
+
+  const [bestTime, setBestTime] = useState<BestTime | null>(null);
+  const [swims, setSwims] = useState<Swim[]>([]);
+  const [standards, setStandards] = useState<TimeStandard[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Fetch the event history when component mounts
+  useEffect(() => {
+    const fetchHistory = async () => {
+      if (!eventId) {
+        setError('No event ID provided');
+        setIsLoading(false);
+        return;
+      }
+
+      try {
+        const result = await getBestTime(eventId, selectedAthleteId);
+
+        if (!result.success || !result.bestTime) {
+          throw new Error(result.error || 'Failed to load event history');
+        }
+
+        setBestTime(result.bestTime);
+        setSwims(result.swims || []);
+        setStandards(result.standards || []);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching event history:', err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (!isAthleteLoading) {
+      fetchHistory();
+    }
+  }, [eventId, isAthleteLoading, selectedAthleteId]);
+
+  if (isLoading || isAthleteLoading) {
+    return (
+      <div className="py-12 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        <p className="mt-2 text-gray-500">Loading event history...</p>
+      </div>
+    );
+  }
+
+  if (error || !bestTime) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        {error || 'Event not found'}
+      </div>
+    );
+  }
+
+  const seasonStart = getSeasonStart();
+  const seasonSwims = swims.filter((swim) => new Date(swim.date) >= seasonStart);
+  const seasonImprovement = getImprovement(seasonSwims);
+  const overallImprovement = getImprovement(swims);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-secondary">
+          {bestTime.stroke} {bestTime.distance}{' '}
+          <span className="align-middle text-xs font-semibold bg-blue-100 text-secondary px-2 py-1 rounded-full">
+            {bestTime.course}
+          </span>
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          {bestTime.eventName}
+          {selectedAthlete && !selectedAthlete.isSelf && ` · ${selectedAthlete.displayName}`}
+        </p>
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center mb-6">
+          <div>
+            <p className="text-xs text-gray-500">Personal Best</p>
+            <p className="text-lg font-bold text-secondary">
+              {bestTime.time ? formatTime(bestTime.time) : '--.--'}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">Goal Time</p>
+            <p className="text-lg font-bold text-yellow-500">
+              {bestTime.goalTime ? formatTime(bestTime.goalTime) : '--.--'}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">This Season</p>
+            <p className="text-lg font-bold text-green-600">
+              {seasonImprovement !== null ? `${seasonImprovement.toFixed(1)}%` : '--'}
+            </p>
+            <p className="text-xs text-gray-400">
+              {seasonSwims.length} swim{seasonSwims.length === 1 ? '' : 's'} since{' '}
+              {seasonStart.toLocaleDateString()}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500">All Time</p>
+            <p className="text-lg font-bold text-green-600">
+              {overallImprovement !== null ? `${overallImprovement.toFixed(1)}%` : '--'}
+            </p>
+            <p className="text-xs text-gray-400">
+              {swims.length} swim{swims.length === 1 ? '' : 's'}
+            </p>
+          </div>
+        </div>
+
+        {swims.length > 0 ? (
+          <>
+            <ProgressionChart
+              swims={swims}
+              goalTime={bestTime.goalTime}
+              standards={standards.map((standard) => ({
+                label: standard.standardName,
+                time: standard.time,
+              }))}
+            />
+            <p className="mt-2 text-xs text-gray-500 text-center">
+              Faster times are higher. Green dots are new personal bests; the
+              dotted blue line is your trend.
+            </p>
+          </>
+        ) : (
+          <p className="text-gray-600 text-center">No swims recorded for this event yet.</p>
+        )}
+      </div>
+
+      {/* Swim history */}
+      {swims.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold text-secondary mb-4">Swim History</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Date</th>
+                  <th className="py-2 pr-4">Event</th>
+                  <th className="py-2 pr-4">Time</th>
+                  <th className="py-2 pr-4">Points</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...swims].reverse().map((swim) => (
+                  <tr key={swim.id} className="border-b last:border-0">
+                    <td className="py-2 pr-4">{new Date(swim.date).toLocaleDateString()}</td>
+                    <td className="py-2 pr-4">{swim.meetName || swim.eventName}</td>
+                    <td className="py-2 pr-4 font-medium">
+                      {formatTime(swim.time)}
+                      {swim.id === bestTime.swimId && (
+                        <span className="ml-2 text-xs font-semibold bg-green-100 text-green-700 px-2 py-1 rounded-full">
+                          PB
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {typeof swim.points === 'number' ? swim.points : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-center gap-3">
+        <Link
+          href={`/athlete-zone/best-times/set-goal?id=${eventId}`}
+          className="px-4 py-2 bg-primary text-secondary rounded-lg hover:bg-primary-dark transition-colors"
+        >
+          {bestTime.goalTime ? 'Update Goal' : 'Set Goal'}
+        </Link>
+        <Link
+          href={`/athlete-zone/best-times/splits?id=${eventId}`}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Split Analysis
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default EventProgression;
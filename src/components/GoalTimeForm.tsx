@@ -2,17 +2,37 @@
 
 import React, { useState, useEffect } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
+import { useSelectedAthlete } from '@/hooks/useSelectedAthlete';
 import { 
   getBestTime, 
   setGoalTime, 
+  getGoals,
   formatTime, 
-  parseTime 
+  parseTime,
+  isValidTimeString,
+  Course,
+  DEFAULT_COURSE,
+  Goal,
+  GoalStatus
 } from '@/services/bestTimesService';
+import { getMeets, Meet } from '@/services/meetEntriesService';
+
+const GOAL_STATUS_STYLES: Record<GoalStatus, string> = {
+  active: 'bg-blue-100 text-blue-800',
+  achieved: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-700',
+  replaced: 'bg-yellow-100 text-yellow-800'
+};
+
+// Format a YYYY-MM-DD or ISO date for display
+const formatDate = (date: string) =>
+  new Date(date.length === 10 ? `${date}T00:00:00` : date).toLocaleDateString();
 
 const GoalTimeForm: React.FC = () => {
   const router = useRouter();
   const searchParams = useSearchParams();
   const eventId = searchParams.get('id');
+  const { selectedAthleteId, isLoading: isAthleteLoading } = useSelectedAthlete();
   
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -22,9 +42,16 @@ const GoalTimeForm: React.FC = () => {
   const [eventName, setEventName] = useState('');
   const [stroke, setStroke] = useState('');
   const [distance, setDistance] = useState('');
+  const [course, setCourse] = useState<Course>(DEFAULT_COURSE);
   const [currentBestTime, setCurrentBestTime] = useState<number | null>(null);
   const [goalTimeString, setGoalTimeString] = useState('');
   const [currentGoalTime, setCurrentGoalTime] = useState<number | null>(null);
+  const [targetMeetId, setTargetMeetId] = useState('');
+  const [targetDate, setTargetDate] = useState('');
+  const [meets, setMeets] = useState<Meet[]>([]);
+  const [goals, setGoals] = useState<Goal[]>([]);
+  
+  const activeGoal = goals.find((goal) => goal.status === 'active');
   
   // Fetch the best time data when component mounts
   useEffect(() => {
@@ -36,17 +63,31 @@ const GoalTimeForm: React.FC = () => {
       }
       
       try {
-        const result = await getBestTime(eventId);
+        const [result, goalsResult, meetsResult] = await Promise.all([
+          getBestTime(eventId, selectedAthleteId),
+          getGoals(eventId, selectedAthleteId),
+          getMeets()
+        ]);
         
         if (!result.success || !result.bestTime) {
           throw new Error(result.error || 'Failed to load best time data');
         }
         
+        const eventGoals = goalsResult.goals || [];
+        const currentGoal = eventGoals.find((goal) => goal.status === 'active');
+        setGoals(eventGoals);
+        setMeets(meetsResult.meets || []);
+        if (currentGoal) {
+          setTargetMeetId(currentGoal.targetMeetId || '');
+          setTargetDate(currentGoal.targetMeetId ? '' : currentGoal.targetDate || '');
+        }
+        
         const bestTime = result.bestTime;
         
         setEventName(bestTime.eventName);
         setStroke(bestTime.stroke);
         setDistance(bestTime.distance);
+        setCourse(bestTime.course || DEFAULT_COURSE);
         setCurrentBestTime(bestTime.time);
         
         if (bestTime.goalTime) {
@@ -60,8 +101,10 @@ const GoalTimeForm: React.FC = () => {
       }
     };
     
-    fetchBestTime();
-  }, [eventId]);
+    if (!isAthleteLoading) {
+      fetchBestTime();
+    }
+  }, [eventId, isAthleteLoading, selectedAthleteId]);
   
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -79,19 +122,23 @@ const GoalTimeForm: React.FC = () => {
       }
       
       // Parse goal time string to seconds
-      let goalTimeInSeconds: number;
-      try {
-        goalTimeInSeconds = parseTime(goalTimeString);
-      } catch (err) {
+      if (!isValidTimeString(goalTimeString)) {
         throw new Error('Invalid time format. Please use MM:SS.ss or SS.ss');
       }
+      const goalTimeInSeconds = parseTime(goalTimeString);
       
       // Submit to Firebase
       const result = await setGoalTime(
         eventName,
         stroke,
         distance,
-        goalTimeInSeconds
+        goalTimeInSeconds,
+        course,
+        selectedAthleteId,
+        {
+          targetMeetId: targetMeetId || undefined,
+          targetDate: targetMeetId ? undefined : targetDate || undefined
+        }
       );
       
       if (!result.success) {
@@ -112,7 +159,7 @@ const GoalTimeForm: React.FC = () => {
     }
   };
   
-  if (isLoading) {
+  if (isLoading || isAthleteLoading) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-8 text-center">
         <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
@@ -141,7 +188,7 @@ const GoalTimeForm: React.FC = () => {
         )}
         
         <div className="bg-blue-50 p-4 rounded-lg">
-          <h3 className="font-semibold text-lg text-secondary mb-2">{stroke} {distance}</h3>
+          <h3 className="font-semibold text-lg text-secondary mb-2">{stroke} {distance} {course}</h3>
           <p className="text-gray-600 mb-1">Event: {eventName}</p>
           <p className="text-gray-600">
             Current Best Time: {currentBestTime ? formatTime(currentBestTime) : 'Not set'}
@@ -149,6 +196,11 @@ const GoalTimeForm: React.FC = () => {
           {currentGoalTime && (
             <p className="text-gray-600">
               Current Goal Time: {formatTime(currentGoalTime)}
+              {activeGoal?.targetMeetName
+                ? ` by ${activeGoal.targetMeetName}`
+                : activeGoal?.targetDate
+                ? ` by ${formatDate(activeGoal.targetDate)}`
+                : ''}
             </p>
           )}
         </div>
@@ -172,6 +224,45 @@ const GoalTimeForm: React.FC = () => {
           </p>
         </div>
         
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="targetMeet" className="block text-sm font-medium text-gray-700 mb-1">
+              Target Meet (optional)
+            </label>
+            <select
+              id="targetMeet"
+              value={targetMeetId}
+              onChange={(e) => setTargetMeetId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              disabled={isSubmitting}
+            >
+              <option value="">No target meet</option>
+              {meets.map((meet) => (
+                <option key={meet.id} value={meet.id}>
+                  {meet.title}
+                  {meet.startDate ? ` (${formatDate(meet.startDate)})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="targetDate" className="block text-sm font-medium text-gray-700 mb-1">
+              Target Date (optional)
+            </label>
+            <input
+              type="date"
+              id="targetDate"
+              value={targetDate}
+              onChange={(e) => setTargetDate(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              disabled={isSubmitting || !!targetMeetId}
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              A target meet&apos;s last day is used as the target date.
+            </p>
+          </div>
+        </div>
+        
         <div className="flex justify-end space-x-3 pt-4">
           <button
             type="button"
@@ -190,6 +281,40 @@ const GoalTimeForm: React.FC = () => {
           </button>
         </div>
       </form>
+      
+      {/* Goal history */}
+      {goals.length > 0 && (
+        <div className="border-t border-gray-200 p-6">
+          <h3 className="font-semibold text-lg text-secondary mb-3">Goal History</h3>
+          <ul className="divide-y divide-gray-200">
+            {goals.map((goal) => (
+              <li key={goal.id} className="py-2 flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-800">{formatTime(goal.goalTime)}</p>
+                  <p className="text-sm text-gray-500">
+                    Set {formatDate(goal.createdAt)}
+                    {goal.targetMeetName
+                      ? ` for ${goal.targetMeetName}`
+                      : goal.targetDate
+                      ? `, due ${formatDate(goal.targetDate)}`
+                      : ''}
+                    {goal.status === 'achieved' && goal.achievedTime && goal.achievedDate
+                      ? ` · swam ${formatTime(goal.achievedTime)} on ${formatDate(goal.achievedDate)}`
+                      : ''}
+                  </p>
+                </div>
+                <span
+                  className={`text-xs font-semibold px-2 py-1 rounded-full capitalize ${
+                    GOAL_STATUS_STYLES[goal.status]
+                  }`}
+                >
+                  {goal.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
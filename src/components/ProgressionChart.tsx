@@ -0,0 +1,219 @@
+'use client';
+
+import React from 'react';
+import { formatTime, Swim } from '@/services/bestTimesService';
+
+interface ChartLine {
+  label: string;
+  time: number;
+}
+
+interface ProgressionChartProps {
+  swims: Swim[];
+  goalTime?: number;
+  standards?: ChartLine[];
+}
+
+// Chart drawing area, in SVG units
+const WIDTH = 640;
+const HEIGHT = 320;
+const PADDING = { top: 20, right: 110, bottom: 40, left: 60 };
+
+/**
+ * Fit a least squares line through the swims (time against date)
+ * @param points - Swims as date (ms) and time (seconds) pairs
+ * @returns Slope and intercept, or null with fewer than two dates
+ */
+const fitTrendLine = (points: { x: number; y: number }[]) => {
+  const n = points.length;
+  if (n < 2) {
+    return null;
+  }
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+  const covariance = points.reduce(
+    (sum, point) => sum + (point.x - meanX) * (point.y - meanY),
+    0
+  );
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+
+  if (variance === 0) {
+    return null;
+  }
+
+  const slope = covariance / variance;
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+const ProgressionChart: React.FC<ProgressionChartProps> = ({
+  swims,
+  goalTime,
+  standards = [],
+}) => {
+  if (swims.length === 0) {
+    return null;
+  }
+
+  const points = swims.map((swim) => ({
+    x: new Date(swim.date).getTime(),
+    y: swim.time,
+    swim,
+  }));
+
+  // Scales; the y axis is flipped so faster times sit higher on the chart
+  const lines: ChartLine[] = [
+    ...(goalTime ? [{ label: 'Goal', time: goalTime }] : []),
+    ...standards,
+  ];
+  const times = [...points.map((point) => point.y), ...lines.map((line) => line.time)];
+  const timeMargin = Math.max((Math.max(...times) - Math.min(...times)) * 0.1, 0.5);
+  const minTime = Math.min(...times) - timeMargin;
+  const maxTime = Math.max(...times) + timeMargin;
+
+  // A single date is spread over a day so it sits in the middle
+  const minDate = Math.min(...points.map((point) => point.x));
+  const maxDate = Math.max(...points.map((point) => point.x));
+  const dateRange = maxDate - minDate || 24 * 60 * 60 * 1000;
+  const dateStart = maxDate === minDate ? minDate - dateRange / 2 : minDate;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const scaleX = (date: number) => PADDING.left + ((date - dateStart) / dateRange) * plotWidth;
+  const scaleY = (time: number) => PADDING.top + ((time - minTime) / (maxTime - minTime)) * plotHeight;
+
+  const trendLine = fitTrendLine(points);
+  const yTicks = Array.from({ length: 5 }, (_, index) => minTime + ((maxTime - minTime) * index) / 4);
+  const xTicks = maxDate === minDate ? [minDate] : [minDate, (minDate + maxDate) / 2, maxDate];
+
+  // Running best, so swims that set a new PB can be highlighted
+  let runningBest = Infinity;
+  const personalBests = new Set(
+    points
+      .filter((point) => {
+        if (point.y < runningBest) {
+          runningBest = point.y;
+          return true;
+        }
+        return false;
+      })
+      .map((point) => point.swim.id)
+  );
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label="Swim times over time"
+    >
+      {/* Axes */}
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top}
+        x2={PADDING.left}
+        y2={HEIGHT - PADDING.bottom}
+        stroke="#d1d5db"
+      />
+      <line
+        x1={PADDING.left}
+        y1={HEIGHT - PADDING.bottom}
+        x2={WIDTH - PADDING.right}
+        y2={HEIGHT - PADDING.bottom}
+        stroke="#d1d5db"
+      />
+
+      {yTicks.map((tick) => (
+        <g key={tick}>
+          <line
+            x1={PADDING.left}
+            y1={scaleY(tick)}
+            x2={WIDTH - PADDING.right}
+            y2={scaleY(tick)}
+            stroke="#f3f4f6"
+          />
+          <text
+            x={PADDING.left - 8}
+            y={scaleY(tick)}
+            textAnchor="end"
+            dominantBaseline="middle"
+            className="fill-gray-500 text-[10px]"
+          >
+            {formatTime(tick)}
+          </text>
+        </g>
+      ))}
+
+      {xTicks.map((tick) => (
+        <text
+          key={tick}
+          x={scaleX(tick)}
+          y={HEIGHT - PADDING.bottom + 18}
+          textAnchor="middle"
+          className="fill-gray-500 text-[10px]"
+        >
+          {new Date(tick).toLocaleDateString()}
+        </text>
+      ))}
+
+      {/* Goal and standard lines */}
+      {lines.map((line, index) => (
+        <g key={`${line.label}-${line.time}`}>
+          <line
+            x1={PADDING.left}
+            y1={scaleY(line.time)}
+            x2={WIDTH - PADDING.right}
+            y2={scaleY(line.time)}
+            stroke={index === 0 && goalTime ? '#eab308' : '#9ca3af'}
+            strokeDasharray="6 4"
+          />
+          <text
+            x={WIDTH - PADDING.right + 6}
+            y={scaleY(line.time)}
+            dominantBaseline="middle"
+            className={`text-[10px] ${index === 0 && goalTime ? 'fill-yellow-600' : 'fill-gray-500'}`}
+          >
+            {line.label} {formatTime(line.time)}
+          </text>
+        </g>
+      ))}
+
+      {/* Trend line */}
+      {trendLine && (
+        <line
+          x1={scaleX(minDate)}
+          y1={scaleY(trendLine.intercept + trendLine.slope * minDate)}
+          x2={scaleX(maxDate)}
+          y2={scaleY(trendLine.intercept + trendLine.slope * maxDate)}
+          stroke="#60a5fa"
+          strokeWidth={2}
+          strokeDasharray="2 3"
+        />
+      )}
+
+      {/* Swims */}
+      <polyline
+        points={points.map((point) => `${scaleX(point.x)},${scaleY(point.y)}`).join(' ')}
+        fill="none"
+        stroke="#1e40af"
+        strokeWidth={1.5}
+      />
+      {points.map((point) => (
+        <circle
+          key={point.swim.id}
+          cx={scaleX(point.x)}
+          cy={scaleY(point.y)}
+          r={personalBests.has(point.swim.id) ? 5 : 3.5}
+          className={personalBests.has(point.swim.id) ? 'fill-green-500' : 'fill-blue-800'}
+        >
+          <title>
+            {formatTime(point.y)} · {new Date(point.x).toLocaleDateString()}
+            {point.swim.meetName ? ` · ${point.swim.meetName}` : ''}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default ProgressionChart;
@@ -0,0 +1,195 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { useSelectedAthlete } from '@/hooks/useSelectedAthlete';
+import {
+  getSplitAnalysis,
+  formatTime,
+  AnalyzedSwim,
+  SplitComparison,
+} from '@/services/bestTimesService';
+
+const PACING_LABELS: Record<AnalyzedSwim['analysis']['pacing'], { label: string; className: string }> = {
+  negative: { label: 'Negative split', className: 'bg-green-100 text-green-700' },
+  even: { label: 'Even pace', className: 'bg-blue-100 text-blue-700' },
+  positive: { label: 'Positive split', className: 'bg-yellow-100 text-yellow-700' },
+};
+
+// Show a time difference with its sign; negative means faster
+const formatDifference = (difference: number): string =>
+  `${difference > 0 ? '+' : ''}${difference.toFixed(2)}`;
+
+const differenceClassName = (difference: number): string =>
+  difference < 0 ? 'text-green-600' : difference > 0 ? 'text-red-600' : 'text-gray-500';
+
+const SplitAnalysis: React.FC = () => {
+  const searchParams = useSearchParams();
+  const eventId = searchParams?.get('id');
+  const { selectedAthleteId, isLoading: isAthleteLoading } = useSelectedAthlete();
+
+  const [swims, setSwims] = useState<AnalyzedSwim[]>([]);
+  const [fastestSwimId, setFastestSwimId] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Fetch the analyzed swims when component mounts
+  useEffect(() => {
+    const fetchSplitAnalysis = async () => {
+      if (!eventId) {
+        setError('No event ID provided');
+        setIsLoading(false);
+        return;
+      }
+
+      try {
+        const result = await getSplitAnalysis(eventId, selectedAthleteId);
+
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to load split analysis');
+        }
+
+        // Newest swim first
+        setSwims([...(result.swims || [])].reverse());
+        setFastestSwimId(result.fastestSwimId || null);
+      } catch (err: any) {
+        setError(err.message);
+        console.error('Error fetching split analysis:', err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (!isAthleteLoading) {
+      fetchSplitAnalysis();
+    }
+  }, [eventId, isAthleteLoading, selectedAthleteId]);
+
+  if (isLoading || isAthleteLoading) {
+    return (
+      <div className="py-12 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        <p className="mt-2 text-gray-500">Loading splits...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        {error}
+      </div>
+    );
+  }
+
+  if (swims.length === 0) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-8 text-center text-gray-600">
+        No swims with splits for this event yet. Add splits when you record a swim
+        to see your pacing here.
+      </div>
+    );
+  }
+
+  const renderComparison = (comparison: SplitComparison | null, index: number) =>
+    comparison ? (
+      <span className={differenceClassName(comparison.splitDifferences[index])}>
+        {formatDifference(comparison.splitDifferences[index])}
+      </span>
+    ) : (
+      <span className="text-gray-300">—</span>
+    );
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-secondary">
+        {swims[0].stroke} {swims[0].distance}{' '}
+        <span className="align-middle text-xs font-semibold bg-blue-100 text-secondary px-2 py-1 rounded-full">
+          {swims[0].course}
+        </span>
+      </h2>
+
+      {swims.map((swim) => {
+        const pacing = PACING_LABELS[swim.analysis.pacing];
+
+        return (
+          <div key={swim.id} className="bg-white rounded-xl shadow-lg p-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <div>
+                <p className="text-lg font-bold text-secondary">
+                  {formatTime(swim.time)}
+                  {swim.id === fastestSwimId && (
+                    <span className="ml-2 text-xs font-semibold bg-green-100 text-green-700 px-2 py-1 rounded-full">
+                      Personal Best
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {swim.meetName || swim.eventName} ·{' '}
+                  {new Date(swim.date).toLocaleDateString()}
+                </p>
+              </div>
+              <span className={`text-xs font-semibold px-2 py-1 rounded-full ${pacing.className}`}>
+                {pacing.label}
+              </span>
+            </div>
+
+            {/* Pacing summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-center">
+              <div>
+                <p className="text-xs text-gray-500">First Half</p>
+                <p className="font-bold">{formatTime(swim.analysis.firstHalf)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">Second Half</p>
+                <p className="font-bold">{formatTime(swim.analysis.secondHalf)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">Differential</p>
+                <p className={`font-bold ${differenceClassName(swim.analysis.differential)}`}>
+                  {formatDifference(swim.analysis.differential)}s
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">Fade</p>
+                <p className={`font-bold ${differenceClassName(swim.analysis.fadePercent)}`}>
+                  {formatDifference(swim.analysis.fadePercent)}%
+                </p>
+              </div>
+            </div>
+
+            {/* Splits */}
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Split</th>
+                    <th className="py-2 pr-4">Time</th>
+                    <th className="py-2 pr-4">vs Previous Swim</th>
+                    <th className="py-2 pr-4">vs Personal Best</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(swim.splits || []).map((split, index) => (
+                    <tr key={index} className="border-b last:border-0">
+                      <td className="py-2 pr-4">{(index + 1) * (swim.splitDistance || 0)}</td>
+                      <td className="py-2 pr-4 font-medium">{formatTime(split)}</td>
+                      <td className="py-2 pr-4">
+                        {renderComparison(swim.comparedWithPrevious, index)}
+                      </td>
+                      <td className="py-2 pr-4">
+                        {renderComparison(swim.comparedWithFastest, index)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SplitAnalysis;
@@ -2,17 +2,30 @@
 
 import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
-import { formatTime } from '@/services/bestTimesService';
+import {
+  formatTime,
+  Course,
+  DEFAULT_COURSE,
+  TimeConversion,
+  StandardsProgress,
+} from '@/services/bestTimesService';
 
 interface SwimProgressCardProps {
   id: string;
   eventName: string;
   stroke: string;
   distance: string;
+  course?: Course;
   bestTime?: number;
   goalTime?: number;
+  // World Aquatics points of the best time
+  points?: number | null;
+  conversions?: TimeConversion[];
+  standards?: StandardsProgress;
   showSetGoalButton?: boolean;
-  onCelebrate?: () => void;
+  // Set when the server reports a newly achieved goal for this event
+  goalAchieved?: boolean;
+  onCelebrate?: (id: string) => void;
 }
 
 const SwimProgressCard: React.FC<SwimProgressCardProps> = ({
@@ -20,9 +33,14 @@ const SwimProgressCard: React.FC<SwimProgressCardProps> = ({
   eventName,
   stroke,
   distance,
+  course = DEFAULT_COURSE,
   bestTime,
   goalTime,
+  points,
+  conversions = [],
+  standards,
   showSetGoalButton = true,
+  goalAchieved = false,
   onCelebrate,
 }) => {
   const [progress, setProgress] = useState(0);
@@ -36,10 +54,6 @@ const SwimProgressCard: React.FC<SwimProgressCardProps> = ({
       if (bestTime <= goalTime) {
         setProgress(100);
         setIsGoalAchieved(true);
-        // Trigger celebration if provided
-        if (onCelebrate) {
-          onCelebrate();
-        }
       } else {
         // Calculate progress as a percentage (higher is better)
         // We'll use a formula that gives a reasonable progression curve
@@ -54,7 +68,14 @@ const SwimProgressCard: React.FC<SwimProgressCardProps> = ({
       setProgress(0);
       setIsGoalAchieved(false);
     }
-  }, [bestTime, goalTime, onCelebrate]);
+  }, [bestTime, goalTime]);
+
+  // Celebrate a goal once, when the server reports it has been achieved
+  useEffect(() => {
+    if (goalAchieved && onCelebrate) {
+      onCelebrate(id);
+    }
+  }, [goalAchieved, id, onCelebrate]);
 
   return (
     <div className="bg-white rounded-xl shadow-lg overflow-hidden border-2 border-primary">
@@ -65,7 +86,12 @@ const SwimProgressCard: React.FC<SwimProgressCardProps> = ({
 
       {/* Title Area */}
       <div className="p-4 bg-white">
-        <h2 className="text-xl font-bold text-center">{stroke} {distance}</h2>
+        <h2 className="text-xl font-bold text-center">
+          {stroke} {distance}{' '}
+          <span className="align-middle text-xs font-semibold bg-blue-100 text-secondary px-2 py-1 rounded-full">
+            {course}
+          </span>
+        </h2>
         <p className="text-sm text-gray-500 text-center">{eventName}</p>
       </div>
 
@@ -114,8 +140,65 @@ const SwimProgressCard: React.FC<SwimProgressCardProps> = ({
             {goalTime ? formatTime(goalTime) : '--.--.--'}
           </p>
         </div>
+        {typeof points === 'number' && (
+          <div className="text-center">
+            <p className="text-xs text-gray-500">Points</p>
+            <p className="text-lg font-bold text-blue-600">{points}</p>
+          </div>
+        )}
       </div>
 
+      {/* Time Standards */}
+      {standards && (standards.achieved.length > 0 || standards.next) && (
+        <div className="px-4 pb-4 bg-white">
+          {standards.achieved.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-2 mb-2">
+              {standards.achieved.map((standard) => (
+                <span
+                  key={standard.id}
+                  className="text-xs font-semibold bg-green-100 text-green-700 px-2 py-1 rounded-full"
+                  title={`Standard: ${formatTime(standard.time)}`}
+                >
+                  🏅 {standard.standardName}
+                </span>
+              ))}
+            </div>
+          )}
+          {standards.next && (
+            <p className="text-sm text-gray-600 text-center">
+              Next: <span className="font-semibold">{standards.next.standardName}</span>{' '}
+              ({formatTime(standards.next.time)})
+              {standards.next.timeToGo !== undefined &&
+                ` · ${standards.next.timeToGo.toFixed(2)}s to go`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Other Course Estimates */}
+      {bestTime && conversions.length > 0 && (
+        <div className="px-4 pb-4 bg-white">
+          <p className="text-xs text-gray-500 text-center mb-1">
+            Estimated in other courses
+          </p>
+          <div className="flex justify-center gap-4">
+            {conversions.map((conversion) => (
+              <p
+                key={conversion.course}
+                className="text-sm text-gray-600"
+                title="Estimate based on standard course conversion factors"
+              >
+                ≈ {formatTime(conversion.time)}{' '}
+                <span className="text-xs text-gray-400">
+                  {conversion.distance} {conversion.course}
+                  {conversion.isEstimate ? ' (est.)' : ''}
+                </span>
+              </p>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Call to Action */}
       {showSetGoalButton && (
         <div className="p-4 bg-gray-50 border-t border-gray-200">
@@ -125,6 +208,14 @@ const SwimProgressCard: React.FC<SwimProgressCardProps> = ({
           >
             {goalTime ? 'Update Goal' : 'Set Goal'}
           </Link>
+          {bestTime && (
+            <Link
+              href={`/athlete-zone/best-times/event?id=${id}`}
+              className="block mt-2 text-sm text-center text-secondary hover:underline"
+            >
+              View Progression
+            </Link>
+          )}
         </div>
       )}
     </div>
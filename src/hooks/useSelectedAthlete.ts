@@ -0,0 +1,49 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { getLinkedAthletes, LinkedAthlete } from '@/services/guardiansService';
+
+// Remembers the chosen swimmer between athlete zone pages
+const STORAGE_KEY = 'selectedAthleteId';
+
+/**
+ * The swimmer whose times are shown in the athlete zone
+ * Parents and guardians switch between their linked swimmers; athletes
+ * start on their own times. `selectedAthleteId` is undefined when the user
+ * has no swimmers to choose from, meaning their own times.
+ */
+export const useSelectedAthlete = () => {
+  const [athletes, setAthletes] = useState<LinkedAthlete[]>([]);
+  const [selectedAthleteId, setSelectedAthleteId] = useState<string | undefined>();
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchAthletes = async () => {
+      const result = await getLinkedAthletes();
+      const linkedAthletes = result.athletes || [];
+      const storedId = window.localStorage.getItem(STORAGE_KEY);
+
+      setAthletes(linkedAthletes);
+      setSelectedAthleteId(
+        linkedAthletes.find((athlete) => athlete.id === storedId)?.id ||
+          linkedAthletes[0]?.id
+      );
+      setIsLoading(false);
+    };
+
+    fetchAthletes();
+  }, []);
+
+  const selectAthlete = (athleteId: string) => {
+    window.localStorage.setItem(STORAGE_KEY, athleteId);
+    setSelectedAthleteId(athleteId);
+  };
+
+  return {
+    athletes,
+    selectedAthleteId,
+    selectedAthlete: athletes.find((athlete) => athlete.id === selectedAthleteId),
+    selectAthlete,
+    isLoading,
+  };
+};
@@ -0,0 +1,163 @@
+/**
+ * Athlete Profile Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * athlete profiles and the club's age group settings
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Competition age and age group rules shared with the Cloud Functions
+export {
+  MEET_START,
+  DEFAULT_AGE_GROUP_SETTINGS,
+  getAge,
+  formatAgeGroupLabel,
+  normalizeAgeGroupSettings,
+  getAgeUpDate,
+  getCompetitionAge,
+  getAgeGroup
+} from "../../functions/src/ageGroups";
+
+// Types
+export type Gender = 'M' | 'F';
+
+export interface AgeGroup {
+  label?: string;
+  minAge: number | null;
+  maxAge: number | null;
+}
+
+export interface AgeGroupSettings {
+  // "meetStart", or a day of the year such as "12-31"
+  ageUpDate: string;
+  ageGroups: AgeGroup[];
+}
+
+export interface AthleteProfile {
+  id: string;
+  displayName: string;
+  birthDate: string | null;
+  gender: Gender | null;
+  age: number | null;
+  // Age on today's age-up date
+  competitionAge: number | null;
+  ageUpDate: string;
+  ageGroup: string | null;
+}
+
+export interface AthleteProfileResponse {
+  success: boolean;
+  profile?: AthleteProfile;
+  settings?: AgeGroupSettings;
+  message?: string;
+  error?: string;
+}
+
+export interface AgeGroupSettingsResponse {
+  success: boolean;
+  settings?: AgeGroupSettings;
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Get a swimmer's profile with their competition age and age group
+ * @param athleteId - The swimmer (optional, defaults to the current user)
+ * @returns Promise with the response containing the profile
+ */
+export const getAthleteProfile = async (
+  athleteId?: string
+): Promise<AthleteProfileResponse> => {
+  try {
+    const getAthleteProfileFunction = httpsCallable<any, AthleteProfileResponse>(
+      functions,
+      'getAthleteProfile'
+    );
+
+    const result = await getAthleteProfileFunction({ athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting athlete profile:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get athlete profile'
+    };
+  }
+};
+
+/**
+ * Update a swimmer's birthdate and gender
+ * @param birthDate - Birthdate (YYYY-MM-DD)
+ * @param gender - M or F
+ * @param athleteId - The swimmer (optional, defaults to the current user)
+ * @returns Promise with the response containing the updated profile
+ */
+export const updateAthleteProfile = async (
+  birthDate: string,
+  gender: Gender,
+  athleteId?: string
+): Promise<AthleteProfileResponse> => {
+  try {
+    const updateAthleteProfileFunction = httpsCallable<any, AthleteProfileResponse>(
+      functions,
+      'updateAthleteProfile'
+    );
+
+    const result = await updateAthleteProfileFunction({ birthDate, gender, athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error updating athlete profile:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update athlete profile'
+    };
+  }
+};
+
+/**
+ * Get the club's age-up date and age groups
+ * @returns Promise with the response containing the settings
+ */
+export const getAgeGroupSettings = async (): Promise<AgeGroupSettingsResponse> => {
+  try {
+    const getAgeGroupSettingsFunction = httpsCallable<any, AgeGroupSettingsResponse>(
+      functions,
+      'getAgeGroupSettings'
+    );
+
+    const result = await getAgeGroupSettingsFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting age group settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get age group settings'
+    };
+  }
+};
+
+/**
+ * Save the club's age-up date and age groups (admin only)
+ * @param settings - The age-up date and age groups
+ * @returns Promise with the response containing the saved settings
+ */
+export const saveAgeGroupSettings = async (
+  settings: AgeGroupSettings
+): Promise<AgeGroupSettingsResponse> => {
+  try {
+    const saveAgeGroupSettingsFunction = httpsCallable<any, AgeGroupSettingsResponse>(
+      functions,
+      'saveAgeGroupSettings'
+    );
+
+    const result = await saveAgeGroupSettingsFunction(settings);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving age group settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save age group settings'
+    };
+  }
+};
@@ -5,44 +5,217 @@
 
 import { httpsCallable } from "firebase/functions";
 import { functions } from "@/lib/firebase";
+import { TimeStandard } from "@/services/timeStandardsService";
 
 // Types
+export type Course = 'SCM' | 'SCY' | 'LCM';
+
+export interface TimeConversion {
+  time: number;
+  distance: string;
+  course: Course;
+  isEstimate: boolean;
+  stroke?: string;
+  formattedTime?: string;
+}
+
+export interface StandardProgress {
+  id: string;
+  standardName: string;
+  time: number;
+  timeToGo?: number;
+}
+
+export interface StandardsProgress {
+  achieved: StandardProgress[];
+  next: StandardProgress | null;
+}
+
 export interface BestTime {
   id?: string;
   eventName: string;
   stroke: string;
   distance: string;
+  course?: Course;
   time: number;
   date?: string;
   goalTime?: number;
+  goalId?: string;
+  goalStatus?: GoalStatus;
+  goalTargetDate?: string | null;
+  goalAchievedAt?: string | null;
+  swimId?: string;
+  // World Aquatics points of the best time's swim
+  points?: number | null;
+  swimCount?: number;
+  conversions?: TimeConversion[];
+  standards?: StandardsProgress;
   updatedAt?: string;
 }
 
+export interface Swim {
+  id?: string;
+  eventId: string;
+  eventName: string;
+  stroke: string;
+  distance: string;
+  course: Course;
+  time: number;
+  date: string;
+  splits?: number[];
+  splitDistance?: SplitDistance;
+  meetName?: string;
+  round?: string;
+  place?: number;
+  source?: string;
+  // World Aquatics points, or null if there is no base time for the event
+  points?: number | null;
+  createdAt?: string;
+}
+
+export type SplitDistance = 25 | 50;
+
+export interface SplitComparison {
+  swimId: string;
+  date: string;
+  time: number;
+  splitDifferences: number[];
+  timeDifference: number;
+}
+
+export interface AnalyzedSwim extends Swim {
+  analysis: {
+    firstHalf: number;
+    secondHalf: number;
+    differential: number;
+    fadePercent: number;
+    pacing: 'negative' | 'even' | 'positive';
+    fastestSplit: number;
+    slowestSplit: number;
+  };
+  comparedWithPrevious: SplitComparison | null;
+  comparedWithFastest: SplitComparison | null;
+}
+
+export interface SplitAnalysisResponse {
+  success: boolean;
+  swims?: AnalyzedSwim[];
+  fastestSwimId?: string | null;
+  error?: string;
+}
+
 export interface BestTimeResponse {
   success: boolean;
   bestTime?: BestTime;
   bestTimes?: BestTime[];
+  swim?: Swim;
+  swims?: Swim[];
+  isBestTime?: boolean;
+  previousBestTime?: number | null;
+  standards?: TimeStandard[];
   message?: string;
   error?: string;
 }
 
+export type GoalStatus = 'active' | 'achieved' | 'expired' | 'replaced';
+
+export interface Goal {
+  id: string;
+  eventId: string;
+  eventName: string;
+  stroke: string;
+  distance: string;
+  course: Course;
+  goalTime: number;
+  targetDate: string | null;
+  targetMeetId: string | null;
+  targetMeetName: string | null;
+  status: GoalStatus;
+  createdAt: string;
+  createdBy: string;
+  achievedAt: string | null;
+  achievedSwimId?: string;
+  achievedTime?: number;
+  achievedDate?: string;
+  expiredAt?: string;
+  replacedAt?: string;
+}
+
+export interface GoalTarget {
+  // Deadline for the goal (YYYY-MM-DD)
+  targetDate?: string;
+  // Meet to aim for; its last day becomes the target date
+  targetMeetId?: string;
+}
+
 export interface GoalTimeResponse {
   success: boolean;
-  goalTime?: {
-    goalTime: number;
-    updatedAt: string;
-  };
+  goal?: Goal;
+  goals?: Goal[];
   message?: string;
   error?: string;
 }
 
+export type CsvImportField =
+  | 'userId'
+  | 'email'
+  | 'eventName'
+  | 'stroke'
+  | 'distance'
+  | 'course'
+  | 'time'
+  | 'date'
+  | 'splits'
+  | 'splitDistance';
+
+export interface CsvImportRow {
+  rowNumber: number;
+  status: 'inserted' | 'updated' | 'ignored' | 'rejected';
+  errors?: string[];
+  reason?: string;
+  userId?: string;
+  eventId?: string;
+  time?: number;
+  date?: string | null;
+  previousBestTime?: number | null;
+}
+
+export interface CsvImportResponse {
+  success: boolean;
+  dryRun?: boolean;
+  headers?: string[];
+  mapping?: Partial<Record<CsvImportField, string>>;
+  summary?: {
+    total: number;
+    inserted: number;
+    updated: number;
+    ignored: number;
+    rejected: number;
+  };
+  rows?: CsvImportRow[];
+  error?: string;
+}
+
+export interface ConversionResponse {
+  success: boolean;
+  conversion?: TimeConversion;
+  error?: string;
+}
+
+// Times recorded before courses were tracked were all swum in a 25m pool
+export const DEFAULT_COURSE: Course = 'SCM';
+
 /**
- * Add or update a best time
+ * Record a swim; the best time is only updated if the swim is faster
  * @param eventName - Name of the event
  * @param stroke - Swimming stroke (e.g., "Freestyle", "Backstroke")
  * @param distance - Distance (e.g., "50m", "100m")
  * @param time - Time in seconds
  * @param date - Date achieved (optional, defaults to current date)
+ * @param course - Pool course the swim was swum in
+ * @param splits - Time for each 25 or 50, adding up to the time (optional)
+ * @param splitDistance - Length of each split (optional)
+ * @param userId - The swimmer's user ID (admin or their coach)
  * @returns Promise with the response
  */
 export const addBestTime = async (
@@ -50,7 +223,11 @@ export const addBestTime = async (
   stroke: string,
   distance: string,
   time: number,
-  date?: string
+  date?: string,
+  course: Course = DEFAULT_COURSE,
+  splits?: number[],
+  splitDistance?: SplitDistance,
+  userId?: string
 ): Promise<BestTimeResponse> => {
   try {
     const addBestTimeFunction = httpsCallable<any, BestTimeResponse>(
@@ -62,8 +239,12 @@ export const addBestTime = async (
       eventName,
       stroke,
       distance,
+      course,
       time,
-      date
+      date,
+      splits,
+      splitDistance,
+      userId
     });
 
     return result.data;
@@ -82,13 +263,19 @@ export const addBestTime = async (
  * @param stroke - Swimming stroke (e.g., "Freestyle", "Backstroke")
  * @param distance - Distance (e.g., "50m", "100m")
  * @param goalTime - Goal time in seconds
- * @returns Promise with the response
+ * @param course - Pool course the goal applies to
+ * @param athleteId - Another swimmer's user ID (their guardian, coach or an admin, optional)
+ * @param target - Target meet or date for the goal (optional)
+ * @returns Promise with the response containing the new goal
  */
 export const setGoalTime = async (
   eventName: string,
   stroke: string,
   distance: string,
-  goalTime: number
+  goalTime: number,
+  course: Course = DEFAULT_COURSE,
+  athleteId?: string,
+  target: GoalTarget = {}
 ): Promise<GoalTimeResponse> => {
   try {
     const setGoalTimeFunction = httpsCallable<any, GoalTimeResponse>(
@@ -100,7 +287,10 @@ export const setGoalTime = async (
       eventName,
       stroke,
       distance,
-      goalTime
+      course,
+      goalTime,
+      athleteId,
+      ...target
     });
 
     return result.data;
@@ -113,18 +303,50 @@ export const setGoalTime = async (
   }
 };
 
+/**
+ * Get a swimmer's goals, current and past, newest first
+ * @param eventId - Only return goals for this event (optional)
+ * @param athleteId - Another swimmer's user ID (their guardian, coach or an admin, optional)
+ * @returns Promise with the response containing the goals
+ */
+export const getGoals = async (
+  eventId?: string,
+  athleteId?: string
+): Promise<GoalTimeResponse> => {
+  try {
+    const getGoalsFunction = httpsCallable<any, GoalTimeResponse>(
+      functions,
+      'getGoals'
+    );
+
+    const result = await getGoalsFunction({ eventId, athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting goals:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get goals'
+    };
+  }
+};
+
 /**
  * Get all best times for the current user
+ * @param course - Only return best times for this course (optional)
+ * @param athleteId - Another swimmer's user ID (their guardian, coach or an admin, optional)
  * @returns Promise with the response containing all best times
  */
-export const getBestTimes = async (): Promise<BestTimeResponse> => {
+export const getBestTimes = async (
+  course?: Course,
+  athleteId?: string
+): Promise<BestTimeResponse> => {
   try {
     const getBestTimesFunction = httpsCallable<any, BestTimeResponse>(
       functions,
       'getBestTimes'
     );
 
-    const result = await getBestTimesFunction({});
+    const result = await getBestTimesFunction({ course, athleteId });
     return result.data;
   } catch (error: any) {
     console.error('Error getting best times:', error);
@@ -137,17 +359,22 @@ export const getBestTimes = async (): Promise<BestTimeResponse> => {
 
 /**
  * Get a specific best time by event ID
- * @param eventId - The event ID (format: "stroke_distance")
- * @returns Promise with the response containing the best time
+ * @param eventId - The event ID (format: "stroke_distance_course")
+ * @param athleteId - Another swimmer's user ID (their guardian, coach or an admin, optional)
+ * @returns Promise with the response containing the best time, swim history
+ * and the time standards for the event
  */
-export const getBestTime = async (eventId: string): Promise<BestTimeResponse> => {
+export const getBestTime = async (
+  eventId: string,
+  athleteId?: string
+): Promise<BestTimeResponse> => {
   try {
     const getBestTimeFunction = httpsCallable<any, BestTimeResponse>(
       functions,
       'getBestTime'
     );
 
-    const result = await getBestTimeFunction({ eventId });
+    const result = await getBestTimeFunction({ eventId, athleteId });
     return result.data;
   } catch (error: any) {
     console.error('Error getting best time:', error);
@@ -158,15 +385,149 @@ export const getBestTime = async (eventId: string): Promise<BestTimeResponse> =>
   }
 };
 
+/**
+ * Get pacing analysis for every swim of an event that has splits
+ * @param eventId - The event ID (format: "stroke_distance_course")
+ * @param userId - Another swimmer's user ID (their guardian, coach or an admin, optional)
+ * @returns Promise with the response containing the analyzed swims
+ */
+export const getSplitAnalysis = async (
+  eventId: string,
+  userId?: string
+): Promise<SplitAnalysisResponse> => {
+  try {
+    const getSplitAnalysisFunction = httpsCallable<any, SplitAnalysisResponse>(
+      functions,
+      'getSplitAnalysis'
+    );
+
+    const result = await getSplitAnalysisFunction({ eventId, userId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting split analysis:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get split analysis'
+    };
+  }
+};
+
+/**
+ * Delete a swim from an athlete's history (admin or their coach)
+ * @param userId - The athlete's user ID
+ * @param swimId - The swim ID
+ * @returns Promise with the response containing the re-derived best time
+ */
+export const deleteSwim = async (
+  userId: string,
+  swimId: string
+): Promise<BestTimeResponse> => {
+  try {
+    const deleteSwimFunction = httpsCallable<any, BestTimeResponse>(
+      functions,
+      'deleteSwim'
+    );
+
+    const result = await deleteSwimFunction({ userId, swimId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error deleting swim:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete swim'
+    };
+  }
+};
+
+/**
+ * Import best times from a CSV file (admin only)
+ * @param csvContent - Contents of the CSV file
+ * @param dryRun - Validate and report without writing anything
+ * @param mapping - Field names mapped to CSV headers (detected when omitted)
+ * @param defaultEventName - Event name for rows without one
+ * @returns Promise with the per-row import report
+ */
+export const importBestTimesCsv = async (
+  csvContent: string,
+  dryRun: boolean = true,
+  mapping?: Partial<Record<CsvImportField, string>>,
+  defaultEventName?: string
+): Promise<CsvImportResponse> => {
+  try {
+    const importBestTimesCsvFunction = httpsCallable<any, CsvImportResponse>(
+      functions,
+      'importBestTimesCsv'
+    );
+
+    const result = await importBestTimesCsvFunction({
+      csvContent,
+      dryRun,
+      mapping,
+      defaultEventName
+    });
+
+    return result.data;
+  } catch (error: any) {
+    console.error('Error importing best times CSV:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import best times'
+    };
+  }
+};
+
+/**
+ * Convert a time between pool courses
+ * Converted times are estimates and should be labelled as such
+ * @param time - Time in seconds
+ * @param stroke - Swimming stroke (e.g., "Freestyle")
+ * @param distance - Distance in the source course (e.g., "100m")
+ * @param fromCourse - Course the time was swum in
+ * @param toCourse - Course to convert to
+ * @returns Promise with the response containing the converted time
+ */
+export const convertTime = async (
+  time: number,
+  stroke: string,
+  distance: string,
+  fromCourse: Course,
+  toCourse: Course
+): Promise<ConversionResponse> => {
+  try {
+    const convertTimeFunction = httpsCallable<any, ConversionResponse>(
+      functions,
+      'convertTime'
+    );
+
+    const result = await convertTimeFunction({
+      time,
+      stroke,
+      distance,
+      fromCourse,
+      toCourse
+    });
+
+    return result.data;
+  } catch (error: any) {
+    console.error('Error converting time:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to convert time'
+    };
+  }
+};
+
 /**
  * Format a time in seconds to a display string (MM:SS.ss)
  * @param timeInSeconds - Time in seconds
  * @returns Formatted time string
  */
 export const formatTime = (timeInSeconds: number): string => {
-  const minutes = Math.floor(timeInSeconds / 60);
-  const seconds = Math.floor(timeInSeconds % 60);
-  const hundredths = Math.floor((timeInSeconds % 1) * 100);
+  // Work in whole hundredths to avoid floating point drift (e.g. 59.999...)
+  const totalHundredths = Math.round(timeInSeconds * 100);
+  const minutes = Math.floor(totalHundredths / 6000);
+  const seconds = Math.floor((totalHundredths % 6000) / 100);
+  const hundredths = totalHundredths % 100;
   
   return `${minutes > 0 ? `${minutes}:` : ''}${seconds.toString().padStart(minutes > 0 ? 2 : 1, '0')}.${hundredths.toString().padStart(2, '0')}`;
 };
@@ -197,6 +558,38 @@ export const parseTime = (timeString: string): number => {
   }
 };
 
+/**
+ * Check that a time string is in a format parseTime understands
+ * Hundredths must have two digits, since "23.4" would otherwise be read as
+ * 23.04, and seconds must be under 60 when minutes are given.
+ * @param timeString - Time string in format MM:SS.ss, SS.ss, MM:SS or SS
+ * @returns Whether the time string is valid
+ */
+export const isValidTimeString = (timeString: string): boolean => {
+  const trimmed = timeString.trim();
+  const match = /^(?:(\d+):)?(\d{1,2})(?:\.(\d{2}))?$/.exec(trimmed);
+
+  if (!match) {
+    return false;
+  }
+
+  if (match[1] !== undefined && parseInt(match[2]) >= 60) {
+    return false;
+  }
+
+  return parseTime(trimmed) > 0;
+};
+
+/**
+ * Get the number of splits a swim has at a split distance
+ * @param distance - Distance (e.g., "100m")
+ * @param splitDistance - Length of each split
+ * @returns Number of splits
+ */
+export const getSplitCount = (distance: string, splitDistance: SplitDistance): number => {
+  return Math.floor(parseInt(distance) / splitDistance);
+};
+
 /**
  * Calculate improvement percentage between best time and goal time
  * @param bestTime - Current best time in seconds
@@ -207,6 +600,17 @@ export const calculateImprovement = (bestTime: number, goalTime: number): number
   return ((bestTime - goalTime) / bestTime) * 100;
 };
 
+/**
+ * Get the date the swim season containing a date started
+ * Seasons run from September 1 to August 31.
+ * @param date - A date in the season (defaults to today)
+ * @returns The first day of the season
+ */
+export const getSeasonStart = (date: Date = new Date()): Date => {
+  const year = date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1;
+  return new Date(year, 8, 1);
+};
+
 /**
  * Get common swimming strokes
  * @returns Array of stroke names
@@ -215,12 +619,40 @@ export const getStrokes = (): string[] => {
   return ['Freestyle', 'Backstroke', 'Breaststroke', 'Butterfly', 'Individual Medley'];
 };
 
+/**
+ * Get the pool courses times can be recorded in
+ * @returns Array of course codes and labels
+ */
+export const getCourses = (): { value: Course; label: string }[] => {
+  return [
+    { value: 'SCM', label: 'Short Course Meters' },
+    { value: 'SCY', label: 'Short Course Yards' },
+    { value: 'LCM', label: 'Long Course Meters' },
+  ];
+};
+
 /**
  * Get common distances for each stroke
  * @param stroke - Swimming stroke
+ * @param course - Pool course (yards courses swim different distances)
  * @returns Array of distances
  */
-export const getDistances = (stroke: string): string[] => {
+export const getDistances = (stroke: string, course: Course = DEFAULT_COURSE): string[] => {
+  if (course === 'SCY') {
+    switch (stroke) {
+      case 'Freestyle':
+        return ['50y', '100y', '200y', '500y', '1000y', '1650y'];
+      case 'Backstroke':
+      case 'Breaststroke':
+      case 'Butterfly':
+        return ['50y', '100y', '200y'];
+      case 'Individual Medley':
+        return ['100y', '200y', '400y'];
+      default:
+        return ['50y', '100y', '200y'];
+    }
+  }
+
   switch (stroke) {
     case 'Freestyle':
       return ['50m', '100m', '200m', '400m', '800m', '1500m'];
@@ -229,7 +661,8 @@ export const getDistances = (stroke: string): string[] => {
     case 'Butterfly':
       return ['50m', '100m', '200m'];
     case 'Individual Medley':
-      return ['200m', '400m'];
+      // 100m IM is only swum in short course pools
+      return course === 'SCM' ? ['100m', '200m', '400m'] : ['200m', '400m'];
     default:
       return ['50m', '100m', '200m'];
   }
@@ -0,0 +1,104 @@
+/**
+ * Calendar Feed Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * the iCalendar feeds of club events
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface EventCategory {
+  id: string;
+  name: string;
+  count?: number;
+}
+
+export interface CalendarFeedTokenResponse {
+  success: boolean;
+  token?: string;
+  error?: string;
+}
+
+export interface EventCategoriesResponse {
+  success: boolean;
+  categories?: EventCategory[];
+  error?: string;
+}
+
+/**
+ * Build the address of a calendar feed
+ * @param options - A category, or a personal feed token (optional)
+ * @returns The https address of the feed
+ */
+export const getCalendarFeedUrl = (
+  options: { category?: string; token?: string } = {}
+): string => {
+  const { projectId } = functions.app.options;
+  const url = new URL(
+    `https://${functions.region}-${projectId}.cloudfunctions.net/calendarFeed`
+  );
+
+  if (options.token) {
+    url.searchParams.set('token', options.token);
+  } else if (options.category) {
+    url.searchParams.set('category', options.category);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Build the webcal:// address calendar apps open to subscribe to a feed
+ * @param feedUrl - The https address of the feed
+ * @returns The webcal address
+ */
+export const getWebcalUrl = (feedUrl: string): string =>
+  feedUrl.replace(/^https?:\/\//, 'webcal://');
+
+/**
+ * Get the token for the current user's personal calendar feed
+ * @param reset - Replace the token, so the old feed address stops working
+ * @returns Promise with the response containing the token
+ */
+export const getCalendarFeedToken = async (
+  reset = false
+): Promise<CalendarFeedTokenResponse> => {
+  try {
+    const getCalendarFeedTokenFunction = httpsCallable<any, CalendarFeedTokenResponse>(
+      functions,
+      'getCalendarFeedToken'
+    );
+
+    const result = await getCalendarFeedTokenFunction({ reset });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting calendar feed token:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get calendar feed token'
+    };
+  }
+};
+
+/**
+ * Get the event categories
+ * @returns Promise with the response containing the categories
+ */
+export const getEventCategories = async (): Promise<EventCategoriesResponse> => {
+  try {
+    const getEventCategoriesFunction = httpsCallable<any, EventCategoriesResponse>(
+      functions,
+      'getEventCategories'
+    );
+
+    const result = await getEventCategoriesFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting event categories:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get event categories'
+    };
+  }
+};
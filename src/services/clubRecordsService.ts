@@ -0,0 +1,129 @@
+/**
+ * Club Records Service
+ * This file provides functions to interact with the Firebase Cloud Functions for the club records board
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Course } from "@/services/bestTimesService";
+
+// Types
+export type RecordGender = 'M' | 'F';
+
+export interface ClubRecord {
+  id: string;
+  ageGroup: string;
+  gender: RecordGender;
+  eventName?: string | null;
+  stroke: string;
+  distance: string;
+  course: Course;
+  time: number;
+  holderId: string;
+  holderName: string;
+  date: string;
+  swimId: string;
+  updatedAt: string;
+}
+
+export interface RecordBreak extends ClubRecord {
+  recordId: string;
+  previousTime: number;
+  previousHolderId: string;
+  previousHolderName: string;
+  previousDate: string;
+  headline: string;
+  summary: string;
+  newsArticleId: string | null;
+  createdAt: string;
+}
+
+export interface ClubRecordsResponse {
+  success: boolean;
+  records?: ClubRecord[];
+  ageGroups?: string[];
+  recordBreaks?: RecordBreak[];
+  count?: number;
+  message?: string;
+  error?: string;
+}
+
+export interface ClubRecordFilters {
+  course?: Course;
+  gender?: RecordGender;
+  ageGroup?: string;
+  stroke?: string;
+  distance?: string;
+}
+
+/**
+ * Get the club records board
+ * @param filters - Only return records matching these filters (optional)
+ * @returns Promise with the response containing the records
+ */
+export const getClubRecords = async (
+  filters: ClubRecordFilters = {}
+): Promise<ClubRecordsResponse> => {
+  try {
+    const getClubRecordsFunction = httpsCallable<any, ClubRecordsResponse>(
+      functions,
+      'getClubRecords'
+    );
+
+    const result = await getClubRecordsFunction(filters);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting club records:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get club records'
+    };
+  }
+};
+
+/**
+ * Get the most recently broken club records
+ * @param limit - Maximum number of entries (default 20)
+ * @returns Promise with the response containing the record breaks
+ */
+export const getRecordBreaks = async (
+  limit: number = 20
+): Promise<ClubRecordsResponse> => {
+  try {
+    const getRecordBreaksFunction = httpsCallable<any, ClubRecordsResponse>(
+      functions,
+      'getRecordBreaks'
+    );
+
+    const result = await getRecordBreaksFunction({ limit });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting record breaks:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get record breaks'
+    };
+  }
+};
+
+/**
+ * Rebuild the club records board from every swim on file (admin only)
+ * @returns Promise with the response containing the number of records
+ */
+export const rebuildClubRecords = async (): Promise<ClubRecordsResponse> => {
+  try {
+    const rebuildClubRecordsFunction = httpsCallable<any, ClubRecordsResponse>(
+      functions,
+      'rebuildClubRecords'
+    );
+
+    const result = await rebuildClubRecordsFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error rebuilding club records:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to rebuild club records'
+    };
+  }
+};
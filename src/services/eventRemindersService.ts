@@ -0,0 +1,168 @@
+/**
+ * Event Reminders Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * reminder emails before events and registration deadlines
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface ReminderPreferences {
+  // Turns all reminder emails on or off
+  email: boolean;
+  eventReminders: boolean;
+  deadlineReminders: boolean;
+  // Categories to be reminded of even when not registered
+  categories: string[];
+}
+
+export interface EventReminderSettings {
+  // Hours before an event starts
+  eventHours: number[];
+  // Hours before registration closes
+  deadlineHours: number[];
+}
+
+export interface EventRemindersResponse {
+  success: boolean;
+  preferences?: ReminderPreferences;
+  settings?: EventReminderSettings;
+  sent?: number;
+  skipped?: number;
+  failed?: number;
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Get the current user's reminder email preferences
+ * @returns Promise with the response containing the preferences
+ */
+export const getReminderPreferences = async (): Promise<EventRemindersResponse> => {
+  try {
+    const getReminderPreferencesFunction = httpsCallable<any, EventRemindersResponse>(
+      functions,
+      'getReminderPreferences'
+    );
+
+    const result = await getReminderPreferencesFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting reminder preferences:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get reminder preferences'
+    };
+  }
+};
+
+/**
+ * Save the current user's reminder email preferences
+ * @param preferences - Which reminders to email and the categories subscribed to
+ * @returns Promise with the response containing the saved preferences
+ */
+export const saveReminderPreferences = async (
+  preferences: ReminderPreferences
+): Promise<EventRemindersResponse> => {
+  try {
+    const saveReminderPreferencesFunction = httpsCallable<any, EventRemindersResponse>(
+      functions,
+      'saveReminderPreferences'
+    );
+
+    const result = await saveReminderPreferencesFunction(preferences);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving reminder preferences:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save reminder preferences'
+    };
+  }
+};
+
+/**
+ * Get how far ahead reminders are sent
+ * @returns Promise with the response containing the settings
+ */
+export const getEventReminderSettings = async (): Promise<EventRemindersResponse> => {
+  try {
+    const getEventReminderSettingsFunction = httpsCallable<any, EventRemindersResponse>(
+      functions,
+      'getEventReminderSettings'
+    );
+
+    const result = await getEventReminderSettingsFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting event reminder settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get event reminder settings'
+    };
+  }
+};
+
+/**
+ * Save how far ahead reminders are sent (admin only)
+ * @param settings - Hours before events and registration deadlines
+ * @returns Promise with the response containing the saved settings
+ */
+export const saveEventReminderSettings = async (
+  settings: EventReminderSettings
+): Promise<EventRemindersResponse> => {
+  try {
+    const saveEventReminderSettingsFunction = httpsCallable<any, EventRemindersResponse>(
+      functions,
+      'saveEventReminderSettings'
+    );
+
+    const result = await saveEventReminderSettingsFunction(settings);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving event reminder settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save event reminder settings'
+    };
+  }
+};
+
+/**
+ * Send any reminders that are due now (admin only)
+ * @returns Promise with the response containing how many were sent
+ */
+export const runEventReminders = async (): Promise<EventRemindersResponse> => {
+  try {
+    const runEventRemindersFunction = httpsCallable<any, EventRemindersResponse>(
+      functions,
+      'runEventReminders'
+    );
+
+    const result = await runEventRemindersFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error running event reminders:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to run event reminders'
+    };
+  }
+};
+
+/**
+ * Describe reminder times, e.g. [2, 48] as "2 hours and 2 days"
+ * @param hours - Hours ahead
+ * @returns The times in words
+ */
+export const formatReminderHours = (hours: number[]): string => {
+  const parts = hours.map((value) => {
+    const [amount, unit] = value % 24 === 0 ? [value / 24, 'day'] : [value, 'hour'];
+    return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+  });
+
+  return parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+    : parts.join('');
+};
@@ -0,0 +1,180 @@
+/**
+ * Event RSVPs Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * RSVPs to club events, waitlists and attendee lists
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export type RsvpResponse = 'going' | 'maybe' | 'notGoing';
+export type RsvpStatus = 'confirmed' | 'waitlisted';
+
+export interface EventRsvp {
+  id: string;
+  // The event, or one date of a recurring event
+  eventId: string;
+  seriesId: string;
+  swimmerId: string;
+  swimmerName: string;
+  respondedBy: string;
+  respondedByName: string;
+  response: RsvpResponse;
+  // Set when going: confirmed, or waiting for a spot
+  status: RsvpStatus | null;
+  waitlistPosition: number | null;
+  note: string | null;
+  respondedAt: string;
+  promotedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface RsvpEvent {
+  id: string;
+  seriesId: string;
+  title: string;
+  location: string;
+  startDate: string | null;
+  registrationDeadline: string | null;
+  capacity: number | null;
+  cancelled: boolean;
+  // Whether responses are still taken
+  open: boolean;
+}
+
+export interface RsvpSummary {
+  going: number;
+  waitlisted: number;
+  maybe: number;
+  notGoing: number;
+  capacity: number | null;
+  spotsLeft: number | null;
+}
+
+export interface EventRsvpsResponse {
+  success: boolean;
+  rsvp?: EventRsvp;
+  rsvps?: EventRsvp[];
+  event?: RsvpEvent;
+  summary?: RsvpSummary;
+  attendees?: EventRsvp[];
+  filename?: string;
+  content?: string;
+  count?: number;
+  message?: string;
+  error?: string;
+}
+
+export const RSVP_RESPONSES: { value: RsvpResponse; label: string }[] = [
+  { value: 'going', label: 'Going' },
+  { value: 'maybe', label: 'Maybe' },
+  { value: 'notGoing', label: 'Not going' },
+];
+
+/**
+ * Respond to an event for yourself or one of your swimmers
+ * @param eventId - The event, or one date of a recurring event
+ * @param response - Going, maybe or not going
+ * @param swimmerId - The swimmer (optional, defaults to yourself)
+ * @param note - A note for the organizers (optional)
+ * @returns Promise with the response containing the RSVP
+ */
+export const saveEventRsvp = async (
+  eventId: string,
+  response: RsvpResponse,
+  swimmerId?: string,
+  note?: string
+): Promise<EventRsvpsResponse> => {
+  try {
+    const saveEventRsvpFunction = httpsCallable<any, EventRsvpsResponse>(
+      functions,
+      'saveEventRsvp'
+    );
+
+    const result = await saveEventRsvpFunction({ eventId, response, swimmerId, note });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving event RSVP:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save event RSVP'
+    };
+  }
+};
+
+/**
+ * Get a swimmer's responses to events
+ * @param swimmerId - The swimmer (optional, defaults to yourself)
+ * @returns Promise with the response containing the RSVPs
+ */
+export const getEventRsvps = async (
+  swimmerId?: string
+): Promise<EventRsvpsResponse> => {
+  try {
+    const getEventRsvpsFunction = httpsCallable<any, EventRsvpsResponse>(
+      functions,
+      'getEventRsvps'
+    );
+
+    const result = await getEventRsvpsFunction({ swimmerId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting event RSVPs:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get event RSVPs'
+    };
+  }
+};
+
+/**
+ * Get everyone who has responded to an event (admin or coach)
+ * @param eventId - The event, or one date of a recurring event
+ * @returns Promise with the response containing the attendees
+ */
+export const getEventAttendees = async (
+  eventId: string
+): Promise<EventRsvpsResponse> => {
+  try {
+    const getEventAttendeesFunction = httpsCallable<any, EventRsvpsResponse>(
+      functions,
+      'getEventAttendees'
+    );
+
+    const result = await getEventAttendeesFunction({ eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting event attendees:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get event attendees'
+    };
+  }
+};
+
+/**
+ * Export an event's attendee list as CSV (admin or coach)
+ * @param eventId - The event, or one date of a recurring event
+ * @returns Promise with the response containing the file name and contents
+ */
+export const exportEventAttendees = async (
+  eventId: string
+): Promise<EventRsvpsResponse> => {
+  try {
+    const exportEventAttendeesFunction = httpsCallable<any, EventRsvpsResponse>(
+      functions,
+      'exportEventAttendees'
+    );
+
+    const result = await exportEventAttendeesFunction({ eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error exporting event attendees:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to export event attendees'
+    };
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * Events Service
+ * This file provides functions to interact with the Firebase Cloud Functions for club events
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface ClubEvent {
+  id: string;
+  title: string;
+  description: string;
+  location: string;
+  category: string;
+  organizer?: string;
+  startDate: string | null;
+  endDate: string | null;
+  recurringEndDate?: string | null;
+  registrationDeadline?: string | null;
+  // Most swimmers who can go; the rest are waitlisted
+  capacity?: number | null;
+  // Recurring events, e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR"
+  recurrenceRule?: string | null;
+  // Days (YYYY-MM-DD) the series skips, such as holidays
+  exceptionDates?: string[];
+  occurrenceOverrides?: Record<string, EventOccurrenceChanges>;
+  // Set on an occurrence of a recurring event
+  eventId?: string;
+  occurrenceDate?: string;
+  cancelled?: boolean;
+  cancellationReason?: string | null;
+  // A recurring event's occurrences in the requested range
+  occurrences?: ClubEvent[];
+  createdAt?: string | null;
+  updatedAt?: string | null;
+}
+
+export interface EventOccurrenceChanges {
+  cancelled?: boolean;
+  cancellationReason?: string | null;
+  startDate?: string | null;
+  endDate?: string | null;
+  title?: string;
+  description?: string;
+  location?: string;
+}
+
+export interface EventOccurrenceUpdate extends EventOccurrenceChanges {
+  id: string;
+  // Day of the occurrence (YYYY-MM-DD)
+  occurrenceDate: string;
+  // Restore the occurrence to the series' details
+  reset?: boolean;
+}
+
+export interface EventSearchFilters {
+  query?: string;
+  category?: string;
+  startDate?: string;
+  endDate?: string;
+  limit?: number;
+}
+
+export interface EventResponse {
+  success: boolean;
+  event?: ClubEvent;
+  events?: ClubEvent[];
+  total?: number;
+  error?: string;
+}
+
+/**
+ * Search club events, soonest first
+ * @param filters - Text, category and date range filters (optional)
+ * @returns Promise with the response containing the events
+ */
+export const searchEvents = async (
+  filters: EventSearchFilters = {}
+): Promise<EventResponse> => {
+  try {
+    const searchEventsFunction = httpsCallable<any, EventResponse>(
+      functions,
+      'searchEvents'
+    );
+
+    const result = await searchEventsFunction(filters);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error searching events:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to search events'
+    };
+  }
+};
+
+/**
+ * Get upcoming club events
+ * @param limit - Most events to return
+ * @returns Promise with the response containing the events
+ */
+export const getUpcomingEvents = async (limit = 50): Promise<EventResponse> =>
+  searchEvents({ startDate: new Date().toISOString(), limit });
+
+/**
+ * Change, cancel or restore one occurrence of a recurring event
+ * @param update - The event, the day of the occurrence and the changes
+ * @returns Promise with the response containing the occurrence
+ */
+export const updateEventOccurrence = async (
+  update: EventOccurrenceUpdate
+): Promise<EventResponse> => {
+  try {
+    const updateEventOccurrenceFunction = httpsCallable<any, EventResponse>(
+      functions,
+      'updateEventOccurrence'
+    );
+
+    const result = await updateEventOccurrenceFunction(update);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error updating event occurrence:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update event occurrence'
+    };
+  }
+};
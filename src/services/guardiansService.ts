@@ -0,0 +1,165 @@
+/**
+ * Guardians Service
+ * This file provides functions to interact with the Firebase Cloud Functions for parent and guardian links to swimmers
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface LinkedAthlete {
+  id: string;
+  displayName: string;
+  birthDate: string | null;
+  isSelf?: boolean;
+}
+
+export interface Guardian {
+  id: string;
+  displayName: string;
+  email: string | null;
+}
+
+export interface GuardianResponse {
+  success: boolean;
+  athletes?: LinkedAthlete[];
+  guardians?: Guardian[];
+  message?: string;
+  error?: string;
+}
+
+export interface InvitationResults {
+  success: string[];
+  failed: { email: string; reason: string }[];
+}
+
+/**
+ * Get the swimmers the current user can view in the athlete zone
+ * Athletes are listed first, followed by any swimmers linked to them
+ * @returns Promise with the response containing the swimmers
+ */
+export const getLinkedAthletes = async (): Promise<GuardianResponse> => {
+  try {
+    const getLinkedAthletesFunction = httpsCallable<any, GuardianResponse>(
+      functions,
+      'getLinkedAthletes'
+    );
+
+    const result = await getLinkedAthletesFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting linked athletes:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get linked athletes'
+    };
+  }
+};
+
+/**
+ * Get the parents and guardians linked to a swimmer (admin only)
+ * @param athleteId - The swimmer's user ID
+ * @returns Promise with the response containing the guardians
+ */
+export const getAthleteGuardians = async (athleteId: string): Promise<GuardianResponse> => {
+  try {
+    const getAthleteGuardiansFunction = httpsCallable<any, GuardianResponse>(
+      functions,
+      'getAthleteGuardians'
+    );
+
+    const result = await getAthleteGuardiansFunction({ athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting guardians:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get guardians'
+    };
+  }
+};
+
+/**
+ * Link an existing account to a swimmer as their parent or guardian (admin only)
+ * @param athleteId - The swimmer's user ID
+ * @param guardianEmail - The guardian's account email
+ * @returns Promise with the response
+ */
+export const linkGuardianToAthlete = async (
+  athleteId: string,
+  guardianEmail: string
+): Promise<GuardianResponse> => {
+  try {
+    const linkGuardianToAthleteFunction = httpsCallable<any, GuardianResponse>(
+      functions,
+      'linkGuardianToAthlete'
+    );
+
+    const result = await linkGuardianToAthleteFunction({ athleteId, guardianEmail });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error linking guardian:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to link guardian'
+    };
+  }
+};
+
+/**
+ * Remove the link between a guardian and a swimmer (admin only)
+ * @param guardianId - The guardian's user ID
+ * @param athleteId - The swimmer's user ID
+ * @returns Promise with the response
+ */
+export const unlinkGuardianFromAthlete = async (
+  guardianId: string,
+  athleteId: string
+): Promise<GuardianResponse> => {
+  try {
+    const unlinkGuardianFromAthleteFunction = httpsCallable<any, GuardianResponse>(
+      functions,
+      'unlinkGuardianFromAthlete'
+    );
+
+    const result = await unlinkGuardianFromAthleteFunction({ guardianId, athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error unlinking guardian:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to unlink guardian'
+    };
+  }
+};
+
+/**
+ * Invite parents or guardians of a swimmer (admin only)
+ * They are linked to the swimmer when they accept the invitation
+ * @param emails - The guardians' email addresses
+ * @param athleteId - The swimmer's user ID
+ * @returns Promise with the emails that were and were not invited
+ */
+export const inviteGuardians = async (
+  emails: string[],
+  athleteId: string
+): Promise<InvitationResults> => {
+  try {
+    const sendInvitationsFunction = httpsCallable<any, InvitationResults>(
+      functions,
+      'sendInvitations'
+    );
+
+    const result = await sendInvitationsFunction({ emails, athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error inviting guardians:', error);
+    return {
+      success: [],
+      failed: emails.map((email) => ({
+        email,
+        reason: error.message || 'Failed to send invitation'
+      }))
+    };
+  }
+};
@@ -0,0 +1,184 @@
+/**
+ * Improvement Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * the improvement leaderboard and the Swimmer of the Week
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface EventImprovement {
+  eventId: string;
+  eventName: string;
+  previousTime: number;
+  time: number;
+  timeDropped: number;
+  percentDropped: number;
+}
+
+export interface ImprovementEntry {
+  rank: number;
+  // Whether another swimmer has the same improvement
+  tied: boolean;
+  athleteId: string;
+  displayName: string;
+  trainingGroupId: string | null;
+  ageGroup: string | null;
+  swimCount: number;
+  events: EventImprovement[];
+  // Average percentage dropped across the events compared
+  improvement: number;
+  timeDropped: number;
+}
+
+export interface ImprovementFilters {
+  // Compare swims in a date range (YYYY-MM-DD) with the best times going into it
+  startDate?: string;
+  endDate?: string;
+  // Or compare one meet with another
+  fromMeetId?: string;
+  toMeetId?: string;
+  trainingGroupId?: string;
+  ageGroup?: string;
+  minSwims?: number;
+  limit?: number;
+}
+
+export interface ImprovementResponse {
+  success: boolean;
+  period?: { start: string; end: string };
+  leaderboard?: ImprovementEntry[];
+  message?: string;
+  error?: string;
+}
+
+export interface SwimmerOfWeek {
+  id: string;
+  athleteId: string;
+  name: string;
+  age: number | null;
+  group: string | null;
+  // Monday of the week (YYYY-MM-DD)
+  weekOf: string;
+  achievements: string;
+  quote: string | null;
+  coachComment: string | null;
+  improvement: number | null;
+  createdAt: string;
+}
+
+export interface SwimmerOfWeekSelection {
+  athleteId: string;
+  achievements: string;
+  quote?: string;
+  coachComment?: string;
+  improvement?: number;
+  weekOf?: string;
+}
+
+export interface SwimmerOfWeekResponse {
+  success: boolean;
+  current?: SwimmerOfWeek | null;
+  previous?: SwimmerOfWeek[];
+  swimmerOfWeek?: SwimmerOfWeek;
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Rank swimmers by the percentage of time they dropped (admin or coach)
+ * @param filters - The period and swimmers to rank
+ * @returns Promise with the response containing the leaderboard
+ */
+export const getImprovementLeaderboard = async (
+  filters: ImprovementFilters
+): Promise<ImprovementResponse> => {
+  try {
+    const getImprovementLeaderboardFunction = httpsCallable<any, ImprovementResponse>(
+      functions,
+      'getImprovementLeaderboard'
+    );
+
+    const result = await getImprovementLeaderboardFunction(filters);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting improvement leaderboard:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get improvement leaderboard'
+    };
+  }
+};
+
+/**
+ * Get the current Swimmer of the Week and the previous picks
+ * @returns Promise with the response containing the picks
+ */
+export const getSwimmersOfWeek = async (): Promise<SwimmerOfWeekResponse> => {
+  try {
+    const getSwimmersOfWeekFunction = httpsCallable<any, SwimmerOfWeekResponse>(
+      functions,
+      'getSwimmersOfWeek'
+    );
+
+    const result = await getSwimmersOfWeekFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting swimmers of the week:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get swimmers of the week'
+    };
+  }
+};
+
+/**
+ * Pick the Swimmer of the Week (admin or coach)
+ * @param selection - The swimmer and what they are recognized for
+ * @returns Promise with the response containing the pick
+ */
+export const selectSwimmerOfWeek = async (
+  selection: SwimmerOfWeekSelection
+): Promise<SwimmerOfWeekResponse> => {
+  try {
+    const selectSwimmerOfWeekFunction = httpsCallable<any, SwimmerOfWeekResponse>(
+      functions,
+      'selectSwimmerOfWeek'
+    );
+
+    const result = await selectSwimmerOfWeekFunction(selection);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error selecting swimmer of the week:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to select swimmer of the week'
+    };
+  }
+};
+
+/**
+ * Remove a week's pick (admin only)
+ * @param weekOf - Monday of the week (YYYY-MM-DD)
+ * @returns Promise with the response
+ */
+export const deleteSwimmerOfWeek = async (
+  weekOf: string
+): Promise<SwimmerOfWeekResponse> => {
+  try {
+    const deleteSwimmerOfWeekFunction = httpsCallable<any, SwimmerOfWeekResponse>(
+      functions,
+      'deleteSwimmerOfWeek'
+    );
+
+    const result = await deleteSwimmerOfWeekFunction({ weekOf });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error deleting swimmer of the week:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete swimmer of the week'
+    };
+  }
+};
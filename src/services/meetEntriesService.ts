@@ -0,0 +1,304 @@
+/**
+ * Meet Entries Service
+ * This file provides functions to interact with the Firebase Cloud Functions for meet entries
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Course } from "@/services/bestTimesService";
+
+// Types
+export type MeetEventGender = 'M' | 'F' | 'X';
+export type EntryStatus = 'pending' | 'approved' | 'rejected';
+export type ExportFormat = 'sdif' | 'csv';
+
+export interface MeetEventInput {
+  number?: number;
+  stroke: string;
+  distance: number | string;
+  course: Course;
+  gender: MeetEventGender;
+  minAge?: number | null;
+  maxAge?: number | null;
+}
+
+export interface MeetEvent {
+  number: number;
+  stroke: string;
+  distance: string;
+  course: Course;
+  gender: MeetEventGender;
+  minAge: number | null;
+  maxAge: number | null;
+  name: string;
+}
+
+export interface Meet {
+  id: string;
+  title: string;
+  location: string | null;
+  startDate: string | null;
+  endDate: string | null;
+  registrationDeadline: string | null;
+  meetEvents: MeetEvent[];
+  laneCount: number | null;
+  circleSeededHeats: number | null;
+  isOpen: boolean;
+}
+
+export interface MeetEntry {
+  id: string;
+  eventId: string;
+  eventNumber: number;
+  eventName: string;
+  stroke: string;
+  distance: string;
+  course: Course;
+  swimmerId: string;
+  swimmerName: string;
+  age: number | null;
+  seedTime: number | null;
+  seedTimeIsEstimate: boolean;
+  status: EntryStatus;
+  enteredBy?: string;
+  reviewedBy?: string;
+  reviewedAt?: string;
+  createdAt?: string;
+  updatedAt: string;
+}
+
+export interface MeetEntryOption extends MeetEvent {
+  seedTime: number | null;
+  seedTimeIsEstimate: boolean;
+  entry: MeetEntry | null;
+}
+
+export interface MeetEntriesResponse {
+  success: boolean;
+  meet?: Meet;
+  meets?: Meet[];
+  swimmer?: {
+    id: string;
+    name: string;
+    gender: 'M' | 'F' | 'X' | null;
+    age: number | null;
+  };
+  events?: MeetEntryOption[];
+  entries?: MeetEntry[];
+  removedEntries?: number;
+  withdrawn?: number;
+  filename?: string;
+  content?: string;
+  count?: number;
+  message?: string;
+  error?: string;
+}
+
+export const ENTRY_STATUSES: { value: EntryStatus; label: string }[] = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+/**
+ * Set the list of meet events for a club event (admin only)
+ * @param eventId - The club event ID
+ * @param meetEvents - The meet's events, in order
+ * @returns Promise with the response containing the meet and removed entry count
+ */
+export const saveMeetEvents = async (
+  eventId: string,
+  meetEvents: MeetEventInput[]
+): Promise<MeetEntriesResponse> => {
+  try {
+    const saveMeetEventsFunction = httpsCallable<any, MeetEntriesResponse>(
+      functions,
+      'saveMeetEvents'
+    );
+
+    const result = await saveMeetEventsFunction({ eventId, meetEvents });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving meet events:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save meet events'
+    };
+  }
+};
+
+/**
+ * Get upcoming meets
+ * @param pastDays - Also include meets that started this many days ago (optional)
+ * @returns Promise with the response containing the meets
+ */
+export const getMeets = async (pastDays?: number): Promise<MeetEntriesResponse> => {
+  try {
+    const getMeetsFunction = httpsCallable<any, MeetEntriesResponse>(
+      functions,
+      'getMeets'
+    );
+
+    const result = await getMeetsFunction({ pastDays });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting meets:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get meets'
+    };
+  }
+};
+
+/**
+ * Get the meet events a swimmer can enter, with seed times
+ * @param eventId - The club event ID
+ * @param athleteId - The swimmer, for guardians and coaches (optional)
+ * @returns Promise with the response containing the eligible events
+ */
+export const getMeetEntryOptions = async (
+  eventId: string,
+  athleteId?: string | null
+): Promise<MeetEntriesResponse> => {
+  try {
+    const getMeetEntryOptionsFunction = httpsCallable<any, MeetEntriesResponse>(
+      functions,
+      'getMeetEntryOptions'
+    );
+
+    const result = await getMeetEntryOptionsFunction({ eventId, athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting meet entry options:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get meet entry options'
+    };
+  }
+};
+
+/**
+ * Set a swimmer's entries for a meet
+ * @param eventId - The club event ID
+ * @param eventNumbers - Every meet event to be entered in
+ * @param athleteId - The swimmer, for guardians and coaches (optional)
+ * @returns Promise with the response containing the entries
+ */
+export const saveMeetEntries = async (
+  eventId: string,
+  eventNumbers: number[],
+  athleteId?: string | null
+): Promise<MeetEntriesResponse> => {
+  try {
+    const saveMeetEntriesFunction = httpsCallable<any, MeetEntriesResponse>(
+      functions,
+      'saveMeetEntries'
+    );
+
+    const result = await saveMeetEntriesFunction({ eventId, eventNumbers, athleteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving meet entries:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save meet entries'
+    };
+  }
+};
+
+/**
+ * Get the entries for a meet (admin or coach)
+ * @param eventId - The club event ID
+ * @param status - Only return entries with this status (optional)
+ * @returns Promise with the response containing the meet and entries
+ */
+export const getMeetEntries = async (
+  eventId: string,
+  status?: EntryStatus
+): Promise<MeetEntriesResponse> => {
+  try {
+    const getMeetEntriesFunction = httpsCallable<any, MeetEntriesResponse>(
+      functions,
+      'getMeetEntries'
+    );
+
+    const result = await getMeetEntriesFunction({ eventId, status });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting meet entries:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get meet entries'
+    };
+  }
+};
+
+/**
+ * Approve or reject meet entries (admin or coach)
+ * @param eventId - The club event ID
+ * @param entryIds - The entries to review
+ * @param status - The new status
+ * @returns Promise with the response
+ */
+export const reviewMeetEntries = async (
+  eventId: string,
+  entryIds: string[],
+  status: EntryStatus
+): Promise<MeetEntriesResponse> => {
+  try {
+    const reviewMeetEntriesFunction = httpsCallable<any, MeetEntriesResponse>(
+      functions,
+      'reviewMeetEntries'
+    );
+
+    const result = await reviewMeetEntriesFunction({ eventId, entryIds, status });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error reviewing meet entries:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to review meet entries'
+    };
+  }
+};
+
+/**
+ * Export a meet's approved entries (admin or coach)
+ * @param eventId - The club event ID
+ * @param format - "sdif" for an SDIF (.sd3) entries file, or "csv"
+ * @returns Promise with the response containing the file name and contents
+ */
+export const exportMeetEntries = async (
+  eventId: string,
+  format: ExportFormat = 'sdif'
+): Promise<MeetEntriesResponse> => {
+  try {
+    const exportMeetEntriesFunction = httpsCallable<any, MeetEntriesResponse>(
+      functions,
+      'exportMeetEntries'
+    );
+
+    const result = await exportMeetEntriesFunction({ eventId, format });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error exporting meet entries:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to export meet entries'
+    };
+  }
+};
+
+/**
+ * Save exported file contents as a download in the browser
+ * @param filename - The file name
+ * @param content - The file contents
+ */
+export const downloadFile = (filename: string, content: string): void => {
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,102 @@
+/**
+ * Meet Results Service
+ * This file provides functions to import Meet Manager result files through the Firebase Cloud Functions
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Course } from "@/services/bestTimesService";
+
+// Types
+export type MatchStatus = 'matched' | 'unmatched' | 'ambiguous';
+
+export interface MatchCandidate {
+  userId: string;
+  displayName: string;
+  birthDate: string | null;
+}
+
+export interface MeetResultRow {
+  rowId: string;
+  swimmerName: string;
+  registrationId: string | null;
+  birthDate: string | null;
+  stroke: string;
+  distance: string;
+  course: Course;
+  time: number;
+  round: 'prelim' | 'final';
+  place: number | null;
+  date: string | null;
+  splits: number[];
+  splitDistance: number | null;
+  status: MatchStatus;
+  userId: string | null;
+  matchedBy: string | null;
+  candidates: MatchCandidate[];
+}
+
+export interface MeetResultsResponse {
+  success: boolean;
+  dryRun?: boolean;
+  meet?: {
+    name: string | null;
+    startDate: string | null;
+    course: Course | null;
+  };
+  summary?: {
+    matched: number;
+    unmatched: number;
+    ambiguous: number;
+    imported: number;
+    duplicates: number;
+  };
+  matched?: MeetResultRow[];
+  unmatched?: MeetResultRow[];
+  ambiguous?: MeetResultRow[];
+  imported?: {
+    rowId: string;
+    userId: string;
+    swimId: string;
+    isBestTime: boolean;
+  }[];
+  warnings?: { lineNumber: number | null; reason: string }[];
+  error?: string;
+}
+
+/**
+ * Import an SDIF (.sd3) or Hy-Tek (.cl2) meet results file (admin only)
+ * @param fileContent - Contents of the results file
+ * @param fileName - Name of the results file
+ * @param dryRun - Preview the matches without recording any swims
+ * @param assignments - Row IDs mapped to the user ID chosen for that row
+ * @returns Promise with the preview or import results
+ */
+export const importMeetResults = async (
+  fileContent: string,
+  fileName: string,
+  dryRun: boolean = true,
+  assignments: Record<string, string> = {}
+): Promise<MeetResultsResponse> => {
+  try {
+    const importMeetResultsFunction = httpsCallable<any, MeetResultsResponse>(
+      functions,
+      'importMeetResults'
+    );
+
+    const result = await importMeetResultsFunction({
+      fileContent,
+      fileName,
+      dryRun,
+      assignments
+    });
+
+    return result.data;
+  } catch (error: any) {
+    console.error('Error importing meet results:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import meet results'
+    };
+  }
+};
@@ -0,0 +1,209 @@
+/**
+ * Meet Running Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * seeding, timing and publishing the results of meets we host
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Meet, MeetEvent } from "@/services/meetEntriesService";
+
+// Types
+export type ResultStatus = 'final' | 'dq' | 'ns' | 'scratch';
+
+export interface HeatLane {
+  entryId: string;
+  lane: number;
+  swimmerId: string;
+  swimmerName: string;
+  age: number | null;
+  seedTime: number | null;
+  resultTime: number | null;
+  resultStatus: ResultStatus | null;
+  dqReason: string | null;
+  place: number | null;
+  published: boolean;
+}
+
+export interface Heat {
+  heat: number;
+  lanes: HeatLane[];
+}
+
+export interface HeatSheetEvent extends MeetEvent {
+  heats: Heat[];
+}
+
+export interface LaneResult {
+  entryId: string;
+  status: ResultStatus | null;
+  time?: number | string | null;
+  dqReason?: string | null;
+}
+
+export interface RelayResult {
+  relayId: string;
+  status: ResultStatus | null;
+  time?: number | string | null;
+  dqReason?: string | null;
+}
+
+export interface MeetRunningResponse {
+  success: boolean;
+  meet?: Meet;
+  events?: HeatSheetEvent[];
+  seededEvents?: number[];
+  skippedEvents?: number[];
+  published?: number;
+  newBests?: number;
+  duplicates?: number;
+  message?: string;
+  error?: string;
+}
+
+export const RESULT_STATUSES: { value: ResultStatus; label: string; short: string }[] = [
+  { value: 'final', label: 'Finished', short: '' },
+  { value: 'dq', label: 'Disqualified', short: 'DQ' },
+  { value: 'ns', label: 'No Show', short: 'NS' },
+  { value: 'scratch', label: 'Scratched', short: 'SCR' }
+];
+
+/**
+ * Seed a meet's approved entries into heats and lanes (admin or coach)
+ * @param eventId - The club event ID
+ * @param laneCount - Lanes in the pool
+ * @param circleSeededHeats - Fastest heats to circle seed (0 for standard seeding)
+ * @param eventNumbers - Only seed these meet events (optional)
+ * @returns Promise with the response containing the heat sheet
+ */
+export const seedMeet = async (
+  eventId: string,
+  laneCount: number,
+  circleSeededHeats: number,
+  eventNumbers?: number[]
+): Promise<MeetRunningResponse> => {
+  try {
+    const seedMeetFunction = httpsCallable<any, MeetRunningResponse>(
+      functions,
+      'seedMeet'
+    );
+
+    const result = await seedMeetFunction({
+      eventId,
+      laneCount,
+      circleSeededHeats,
+      eventNumbers
+    });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error seeding meet:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to seed meet'
+    };
+  }
+};
+
+/**
+ * Get a meet's heat sheet, with any results
+ * @param eventId - The club event ID
+ * @returns Promise with the response containing the heat sheet
+ */
+export const getHeatSheet = async (eventId: string): Promise<MeetRunningResponse> => {
+  try {
+    const getHeatSheetFunction = httpsCallable<any, MeetRunningResponse>(
+      functions,
+      'getHeatSheet'
+    );
+
+    const result = await getHeatSheetFunction({ eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting heat sheet:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get heat sheet'
+    };
+  }
+};
+
+/**
+ * Record the results of a heat (admin or coach)
+ * @param eventId - The club event ID
+ * @param results - Each lane's status, time and DQ reason
+ * @returns Promise with the response
+ */
+export const recordHeatResults = async (
+  eventId: string,
+  results: LaneResult[]
+): Promise<MeetRunningResponse> => {
+  try {
+    const recordHeatResultsFunction = httpsCallable<any, MeetRunningResponse>(
+      functions,
+      'recordHeatResults'
+    );
+
+    const result = await recordHeatResultsFunction({ eventId, results });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error recording heat results:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to record heat results'
+    };
+  }
+};
+
+/**
+ * Record the results of the relays saved to a meet (admin or coach)
+ * @param eventId - The club event ID
+ * @param results - Each relay's status, time and DQ reason
+ * @returns Promise with the response
+ */
+export const recordRelayResults = async (
+  eventId: string,
+  results: RelayResult[]
+): Promise<MeetRunningResponse> => {
+  try {
+    const recordRelayResultsFunction = httpsCallable<any, MeetRunningResponse>(
+      functions,
+      'recordRelayResults'
+    );
+
+    const result = await recordRelayResultsFunction({ eventId, results });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error recording relay results:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to record relay results'
+    };
+  }
+};
+
+/**
+ * Publish official results to swimmers' best times (admin or coach)
+ * @param eventId - The club event ID
+ * @param eventNumbers - Only publish these meet events (optional)
+ * @returns Promise with the response containing the number of results published
+ */
+export const publishMeetResults = async (
+  eventId: string,
+  eventNumbers?: number[]
+): Promise<MeetRunningResponse> => {
+  try {
+    const publishMeetResultsFunction = httpsCallable<any, MeetRunningResponse>(
+      functions,
+      'publishMeetResults'
+    );
+
+    const result = await publishMeetResultsFunction({ eventId, eventNumbers });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error publishing meet results:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to publish meet results'
+    };
+  }
+};
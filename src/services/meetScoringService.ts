@@ -0,0 +1,125 @@
+/**
+ * Meet Scoring Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * meet scoring, team standings and high-point awards
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Meet } from "@/services/meetEntriesService";
+import { ResultStatus } from "@/services/meetRunningService";
+
+// Types
+export interface MeetScoring {
+  individualPoints: number[];
+  relayPoints: number[];
+  scoreByAgeGroup: boolean;
+}
+
+export interface TeamStanding {
+  team: string;
+  points: number;
+  individualPoints: number;
+  relayPoints: number;
+  // Points by age group label
+  ageGroups: Record<string, number>;
+}
+
+export interface SwimmerPoints {
+  swimmerId: string;
+  swimmerName: string;
+  team: string;
+  gender: 'M' | 'F' | null;
+  ageGroup: string;
+  points: number;
+  events: number;
+}
+
+export interface HighPointAward {
+  ageGroup: string;
+  gender: 'M' | 'F' | null;
+  points: number;
+  swimmers: { swimmerId: string; swimmerName: string; team: string }[];
+}
+
+export interface ScoredResult {
+  id: string;
+  name: string;
+  team: string;
+  age: number | null;
+  resultStatus: ResultStatus;
+  resultTime: number | null;
+  place: number | null;
+  points: number;
+}
+
+export interface ScoredEvent {
+  number: number | null;
+  name: string;
+  relay: boolean;
+  ageGroup: string;
+  results: ScoredResult[];
+}
+
+export interface MeetStandingsResponse {
+  success: boolean;
+  meet?: Meet;
+  scoring?: MeetScoring;
+  ageGroups?: string[];
+  teams?: TeamStanding[];
+  swimmers?: SwimmerPoints[];
+  highPoint?: HighPointAward[];
+  events?: ScoredEvent[];
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Save a meet's scoring table (admin or coach)
+ * @param eventId - The club event ID
+ * @param scoring - Points for first place onwards and whether age groups score separately
+ * @returns Promise with the response containing the saved scoring
+ */
+export const saveMeetScoring = async (
+  eventId: string,
+  scoring: MeetScoring
+): Promise<MeetStandingsResponse> => {
+  try {
+    const saveMeetScoringFunction = httpsCallable<any, MeetStandingsResponse>(
+      functions,
+      'saveMeetScoring'
+    );
+
+    const result = await saveMeetScoringFunction({ eventId, ...scoring });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving meet scoring:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save meet scoring'
+    };
+  }
+};
+
+/**
+ * Get a meet's team standings, high-point awards and swimmer points
+ * @param eventId - The club event ID
+ * @returns Promise with the response containing the standings
+ */
+export const getMeetStandings = async (eventId: string): Promise<MeetStandingsResponse> => {
+  try {
+    const getMeetStandingsFunction = httpsCallable<any, MeetStandingsResponse>(
+      functions,
+      'getMeetStandings'
+    );
+
+    const result = await getMeetStandingsFunction({ eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting meet standings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get meet standings'
+    };
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * Notifications Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * in-app notifications
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export type NotificationType =
+  | 'goalAchieved'
+  | 'rsvpPromoted'
+  | 'volunteerReminder'
+  | 'volunteerShiftTaken';
+
+export interface UserNotification {
+  id: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  link: string | null;
+  // The swimmer the notification is about
+  athleteId: string | null;
+  data: Record<string, any>;
+  read: boolean;
+  readAt: string | null;
+  createdAt: string;
+}
+
+export interface NotificationsResponse {
+  success: boolean;
+  notifications?: UserNotification[];
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Get the current user's notifications, newest first
+ * @param unreadOnly - Only return notifications that have not been read (optional)
+ * @param type - Only return notifications of this type (optional)
+ * @returns Promise with the response containing the notifications
+ */
+export const getNotifications = async (
+  unreadOnly?: boolean,
+  type?: NotificationType
+): Promise<NotificationsResponse> => {
+  try {
+    const getNotificationsFunction = httpsCallable<any, NotificationsResponse>(
+      functions,
+      'getNotifications'
+    );
+
+    const result = await getNotificationsFunction({ unreadOnly, type });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting notifications:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get notifications'
+    };
+  }
+};
+
+/**
+ * Mark some of the current user's notifications as read
+ * @param notificationIds - The notifications to mark
+ * @returns Promise with the response
+ */
+export const markNotificationsRead = async (
+  notificationIds: string[]
+): Promise<NotificationsResponse> => {
+  try {
+    const markNotificationsReadFunction = httpsCallable<any, NotificationsResponse>(
+      functions,
+      'markNotificationsRead'
+    );
+
+    const result = await markNotificationsReadFunction({ notificationIds });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error marking notifications as read:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to mark notifications as read'
+    };
+  }
+};
@@ -0,0 +1,200 @@
+/**
+ * Relays Service
+ * This file provides functions to interact with the Firebase Cloud Functions for the relay team builder
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Course } from "@/services/bestTimesService";
+import { ResultStatus } from "@/services/meetRunningService";
+
+// Types
+export type RelayType = 'free' | 'medley';
+export type RelayGender = 'M' | 'F' | 'X';
+
+export interface RelaySettings {
+  relayType: RelayType;
+  legDistance: number;
+  course: Course;
+  gender: RelayGender;
+  minAge?: number | null;
+  maxAge?: number | null;
+  // Date ages are taken on, usually the meet date (optional)
+  ageDate?: string;
+}
+
+export interface RelayLeg {
+  stroke: string;
+  swimmerId: string;
+  swimmerName: string;
+  time: number;
+  isEstimate: boolean;
+}
+
+export interface RelayLineup {
+  legs: RelayLeg[];
+  predictedTime: number;
+  hasEstimates: boolean;
+}
+
+export interface RelaySwimmer {
+  id: string;
+  name: string;
+  gender: 'M' | 'F' | null;
+  age: number | null;
+  times: Record<string, { time: number; isEstimate: boolean }>;
+}
+
+export interface SavedRelay extends RelayLineup {
+  id: string;
+  eventId: string;
+  eventTitle: string | null;
+  name: string;
+  relayType: RelayType;
+  legDistance: string;
+  course: Course;
+  gender: RelayGender;
+  minAge: number | null;
+  maxAge: number | null;
+  resultStatus?: ResultStatus | null;
+  resultTime?: number | null;
+  dqReason?: string | null;
+  updatedAt: string;
+}
+
+export interface RelayResponse {
+  success: boolean;
+  relay?: any;
+  lineups?: RelayLineup[];
+  swimmers?: RelaySwimmer[];
+  relays?: SavedRelay[];
+  message?: string;
+  error?: string;
+}
+
+export const RELAY_TYPES: { value: RelayType; label: string; strokes: string[] }[] = [
+  {
+    value: 'free',
+    label: 'Freestyle Relay',
+    strokes: ['Freestyle', 'Freestyle', 'Freestyle', 'Freestyle']
+  },
+  {
+    value: 'medley',
+    label: 'Medley Relay',
+    strokes: ['Backstroke', 'Breaststroke', 'Butterfly', 'Freestyle']
+  }
+];
+
+export const LEG_DISTANCES = [25, 50, 100, 200];
+
+/**
+ * Propose the fastest relay line-ups (admin or coach)
+ * @param settings - Relay type, leg distance, course, gender and ages
+ * @param lockedSwimmerIds - Swimmer to keep in each leg, or null (optional)
+ * @param excludedSwimmerIds - Swimmers to leave out (optional)
+ * @returns Promise with the response containing the line-ups and eligible swimmers
+ */
+export const buildRelay = async (
+  settings: RelaySettings,
+  lockedSwimmerIds: (string | null)[] = [],
+  excludedSwimmerIds: string[] = []
+): Promise<RelayResponse> => {
+  try {
+    const buildRelayFunction = httpsCallable<any, RelayResponse>(
+      functions,
+      'buildRelay'
+    );
+
+    const result = await buildRelayFunction({
+      ...settings,
+      lockedSwimmerIds,
+      excludedSwimmerIds
+    });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error building relay:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to build relay'
+    };
+  }
+};
+
+/**
+ * Save a relay line-up to an event (admin or coach)
+ * @param settings - Relay type, leg distance, course, gender and ages
+ * @param eventId - The club event the relay is swum at
+ * @param swimmerIds - One swimmer per leg, in leg order
+ * @param name - Relay name (optional)
+ * @param id - The saved relay ID, to update it (optional)
+ * @returns Promise with the response containing the saved relay
+ */
+export const saveRelay = async (
+  settings: RelaySettings,
+  eventId: string,
+  swimmerIds: string[],
+  name?: string,
+  id?: string
+): Promise<RelayResponse> => {
+  try {
+    const saveRelayFunction = httpsCallable<any, RelayResponse>(
+      functions,
+      'saveRelay'
+    );
+
+    const result = await saveRelayFunction({ ...settings, eventId, swimmerIds, name, id });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving relay:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save relay'
+    };
+  }
+};
+
+/**
+ * Get saved relays (admin or coach)
+ * @param eventId - Only return relays for this event (optional)
+ * @returns Promise with the response containing the relays
+ */
+export const getRelays = async (eventId?: string): Promise<RelayResponse> => {
+  try {
+    const getRelaysFunction = httpsCallable<any, RelayResponse>(
+      functions,
+      'getRelays'
+    );
+
+    const result = await getRelaysFunction({ eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting relays:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get relays'
+    };
+  }
+};
+
+/**
+ * Delete a saved relay (admin or coach)
+ * @param id - The relay ID
+ * @returns Promise with the response
+ */
+export const deleteRelay = async (id: string): Promise<RelayResponse> => {
+  try {
+    const deleteRelayFunction = httpsCallable<any, RelayResponse>(
+      functions,
+      'deleteRelay'
+    );
+
+    const result = await deleteRelayFunction({ id });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error deleting relay:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete relay'
+    };
+  }
+};
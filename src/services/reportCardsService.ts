@@ -0,0 +1,94 @@
+/**
+ * Report Cards Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * end-of-season report card PDFs
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface ReportCardSeason {
+  // First and last day of the season (YYYY-MM-DD); defaults to the season since September 1
+  seasonStart?: string;
+  seasonEnd?: string;
+}
+
+export interface ReportCardResponse {
+  success: boolean;
+  filename?: string;
+  // Base64 encoded PDF or zip file
+  content?: string;
+  count?: number;
+  error?: string;
+}
+
+/**
+ * Generate a swimmer's report card PDF (admin or the swimmer's coach)
+ * @param athleteId - The swimmer's user ID
+ * @param season - The season to report on (optional)
+ * @returns Promise with the response containing the PDF
+ */
+export const generateReportCard = async (
+  athleteId: string,
+  season: ReportCardSeason = {}
+): Promise<ReportCardResponse> => {
+  try {
+    const generateReportCardFunction = httpsCallable<any, ReportCardResponse>(
+      functions,
+      'generateReportCard'
+    );
+
+    const result = await generateReportCardFunction({ athleteId, ...season });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error generating report card:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to generate report card'
+    };
+  }
+};
+
+/**
+ * Generate the report cards of a training group as a zip file (admin only)
+ * @param trainingGroupId - The training group ID
+ * @param season - The season to report on (optional)
+ * @returns Promise with the response containing the zip file
+ */
+export const generateGroupReportCards = async (
+  trainingGroupId: string,
+  season: ReportCardSeason = {}
+): Promise<ReportCardResponse> => {
+  try {
+    const generateGroupReportCardsFunction = httpsCallable<any, ReportCardResponse>(
+      functions,
+      'generateGroupReportCards'
+    );
+
+    const result = await generateGroupReportCardsFunction({ trainingGroupId, ...season });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error generating group report cards:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to generate report cards'
+    };
+  }
+};
+
+/**
+ * Save a generated report card or zip file in the browser
+ * @param filename - File name to save as
+ * @param content - Base64 encoded file content
+ */
+export const downloadReportCard = (filename: string, content: string): void => {
+  const bytes = Uint8Array.from(atob(content), (char) => char.charCodeAt(0));
+  const type = filename.endsWith('.zip') ? 'application/zip' : 'application/pdf';
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,159 @@
+/**
+ * Swim Points Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * World Aquatics points base times and rankings
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Course } from "@/services/bestTimesService";
+
+// Types
+export type PointsGender = 'M' | 'F';
+
+export interface PointsBaseTime {
+  id: string;
+  gender: PointsGender;
+  course: Course;
+  stroke: string;
+  distance: string;
+  // Time in seconds that scores 1000 points
+  time: number;
+  updatedAt?: string;
+}
+
+export interface PointsRanking {
+  rank: number;
+  athleteId: string;
+  displayName: string;
+  gender: PointsGender | null;
+  eventId: string;
+  eventName: string;
+  stroke: string;
+  distance: string;
+  course: Course;
+  time: number;
+  date: string;
+  points: number;
+}
+
+export interface PointsRankingFilters {
+  course?: Course;
+  gender?: PointsGender;
+  // Only count best times swum on or after this date
+  since?: string;
+  limit?: number;
+}
+
+export interface SwimPointsResponse {
+  success: boolean;
+  baseTimes?: PointsBaseTime[];
+  rankings?: PointsRanking[];
+  count?: number;
+  rescored?: number;
+  errors?: { rowNumber: number; error: string }[];
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Get the points base times
+ * @param course - Only return base times for this course (optional)
+ * @param gender - Only return base times for this gender (optional)
+ * @returns Promise with the response containing the base times
+ */
+export const getPointsBaseTimes = async (
+  course?: Course,
+  gender?: PointsGender
+): Promise<SwimPointsResponse> => {
+  try {
+    const getPointsBaseTimesFunction = httpsCallable<any, SwimPointsResponse>(
+      functions,
+      'getPointsBaseTimes'
+    );
+
+    const result = await getPointsBaseTimesFunction({ course, gender });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting points base times:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get points base times'
+    };
+  }
+};
+
+/**
+ * Load points base times from a CSV file and rescore every swim (admin only)
+ * The CSV needs the columns gender, course, stroke, distance and time
+ * @param csvContent - Contents of the CSV file
+ * @param replace - Remove base times that are not in the file (optional)
+ * @returns Promise with the response containing the number of base times loaded
+ */
+export const importPointsBaseTimes = async (
+  csvContent: string,
+  replace?: boolean
+): Promise<SwimPointsResponse> => {
+  try {
+    const importPointsBaseTimesFunction = httpsCallable<any, SwimPointsResponse>(
+      functions,
+      'importPointsBaseTimes'
+    );
+
+    const result = await importPointsBaseTimesFunction({ csvContent, replace });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error importing points base times:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import points base times'
+    };
+  }
+};
+
+/**
+ * Rescore every swim with the current base times (admin only)
+ * @returns Promise with the response containing the number of swims rescored
+ */
+export const recalculateSwimPoints = async (): Promise<SwimPointsResponse> => {
+  try {
+    const recalculateSwimPointsFunction = httpsCallable<any, SwimPointsResponse>(
+      functions,
+      'recalculateSwimPoints'
+    );
+
+    const result = await recalculateSwimPointsFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error recalculating swim points:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to recalculate swim points'
+    };
+  }
+};
+
+/**
+ * Rank swimmers by their highest-scoring best time (admin or coach)
+ * @param filters - Only rank best times matching these filters (optional)
+ * @returns Promise with the response containing the rankings
+ */
+export const getPointsRankings = async (
+  filters: PointsRankingFilters = {}
+): Promise<SwimPointsResponse> => {
+  try {
+    const getPointsRankingsFunction = httpsCallable<any, SwimPointsResponse>(
+      functions,
+      'getPointsRankings'
+    );
+
+    const result = await getPointsRankingsFunction(filters);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting points rankings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get points rankings'
+    };
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * Time Standards Service
+ * This file provides functions to interact with the Firebase Cloud Functions for time standards management
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+import { Course } from "@/services/bestTimesService";
+
+// Types
+export type StandardGender = 'M' | 'F' | 'X';
+
+export interface TimeStandard {
+  id?: string;
+  standardName: string;
+  gender: StandardGender;
+  minAge: number | null;
+  maxAge: number | null;
+  course: Course;
+  stroke: string;
+  distance: string;
+  time: number;
+  updatedAt?: string;
+}
+
+export interface TimeStandardResponse {
+  success: boolean;
+  standard?: TimeStandard;
+  standards?: TimeStandard[];
+  count?: number;
+  errors?: { rowNumber: number; error: string }[];
+  message?: string;
+  error?: string;
+}
+
+export interface TimeStandardFilters {
+  standardName?: string;
+  course?: Course;
+  stroke?: string;
+  distance?: string;
+}
+
+/**
+ * Get time standards
+ * @param filters - Only return standards matching these filters (optional)
+ * @returns Promise with the response containing the time standards
+ */
+export const getTimeStandards = async (
+  filters: TimeStandardFilters = {}
+): Promise<TimeStandardResponse> => {
+  try {
+    const getTimeStandardsFunction = httpsCallable<any, TimeStandardResponse>(
+      functions,
+      'getTimeStandards'
+    );
+
+    const result = await getTimeStandardsFunction(filters);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting time standards:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get time standards'
+    };
+  }
+};
+
+/**
+ * Create or update a time standard (admin only)
+ * @param standard - The time standard; include `id` to update an existing one
+ * @returns Promise with the response containing the saved standard
+ */
+export const saveTimeStandard = async (
+  standard: TimeStandard
+): Promise<TimeStandardResponse> => {
+  try {
+    const saveTimeStandardFunction = httpsCallable<any, TimeStandardResponse>(
+      functions,
+      'saveTimeStandard'
+    );
+
+    const result = await saveTimeStandardFunction(standard);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving time standard:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save time standard'
+    };
+  }
+};
+
+/**
+ * Delete a time standard (admin only)
+ * @param id - The time standard ID
+ * @returns Promise with the response
+ */
+export const deleteTimeStandard = async (
+  id: string
+): Promise<TimeStandardResponse> => {
+  try {
+    const deleteTimeStandardFunction = httpsCallable<any, TimeStandardResponse>(
+      functions,
+      'deleteTimeStandard'
+    );
+
+    const result = await deleteTimeStandardFunction({ id });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error deleting time standard:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete time standard'
+    };
+  }
+};
+
+/**
+ * Load time standards from a CSV file (admin only)
+ * The CSV needs the columns standard, gender, minAge, maxAge, course,
+ * stroke, distance and time
+ * @param csvContent - Contents of the CSV file
+ * @returns Promise with the response containing the number of standards loaded
+ */
+export const importTimeStandards = async (
+  csvContent: string
+): Promise<TimeStandardResponse> => {
+  try {
+    const importTimeStandardsFunction = httpsCallable<any, TimeStandardResponse>(
+      functions,
+      'importTimeStandards'
+    );
+
+    const result = await importTimeStandardsFunction({ csvContent });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error importing time standards:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import time standards'
+    };
+  }
+};
+
+/**
+ * Describe the age group a standard applies to
+ * @param standard - The time standard
+ * @returns Age group label (e.g., "11-12", "13 & over", "Open")
+ */
+export const formatAgeGroup = (
+  standard: Pick<TimeStandard, 'minAge' | 'maxAge'>
+): string => {
+  const { minAge, maxAge } = standard;
+
+  if (minAge === null && maxAge === null) {
+    return 'Open';
+  }
+  if (minAge === null) {
+    return `${maxAge} & under`;
+  }
+  if (maxAge === null) {
+    return `${minAge} & over`;
+  }
+  return minAge === maxAge ? `${minAge}` : `${minAge}-${maxAge}`;
+};
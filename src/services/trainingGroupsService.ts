@@ -0,0 +1,267 @@
+/**
+ * Training Groups Service
+ * This file provides functions to interact with the Firebase Cloud Functions for training groups, coaches and swimmer notes
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface GroupSwimmer {
+  id: string;
+  displayName: string;
+  email: string | null;
+  birthDate: string | null;
+  gender: string | null;
+  trainingGroupId?: string;
+}
+
+export interface GroupCoach extends GroupSwimmer {
+  coachGroupIds: string[];
+}
+
+export interface TrainingGroup {
+  id: string;
+  name: string;
+  swimmers: GroupSwimmer[];
+  coaches: { id: string; displayName: string }[];
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface TrainingGroupResponse {
+  success: boolean;
+  groups?: TrainingGroup[];
+  group?: { id: string; name: string };
+  coaches?: GroupCoach[];
+  athletes?: GroupSwimmer[];
+  message?: string;
+  error?: string;
+}
+
+export interface SwimmerNote {
+  id: string;
+  text: string;
+  eventId: string | null;
+  authorId: string;
+  authorName: string;
+  createdAt: string;
+}
+
+export interface SwimmerNoteResponse {
+  success: boolean;
+  note?: SwimmerNote;
+  notes?: SwimmerNote[];
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Get training groups with their swimmers (admin or coach)
+ * Coaches only get the groups they are assigned
+ * @returns Promise with the response containing the groups
+ */
+export const getTrainingGroups = async (): Promise<TrainingGroupResponse> => {
+  try {
+    const getTrainingGroupsFunction = httpsCallable<any, TrainingGroupResponse>(
+      functions,
+      'getTrainingGroups'
+    );
+
+    const result = await getTrainingGroupsFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting training groups:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get training groups'
+    };
+  }
+};
+
+/**
+ * Create or rename a training group (admin only)
+ * @param name - The group name
+ * @param id - The group ID, to rename an existing group (optional)
+ * @returns Promise with the response containing the saved group
+ */
+export const saveTrainingGroup = async (
+  name: string,
+  id?: string
+): Promise<TrainingGroupResponse> => {
+  try {
+    const saveTrainingGroupFunction = httpsCallable<any, TrainingGroupResponse>(
+      functions,
+      'saveTrainingGroup'
+    );
+
+    const result = await saveTrainingGroupFunction({ name, id });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving training group:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save training group'
+    };
+  }
+};
+
+/**
+ * Delete a training group (admin only)
+ * @param id - The group ID
+ * @returns Promise with the response
+ */
+export const deleteTrainingGroup = async (id: string): Promise<TrainingGroupResponse> => {
+  try {
+    const deleteTrainingGroupFunction = httpsCallable<any, TrainingGroupResponse>(
+      functions,
+      'deleteTrainingGroup'
+    );
+
+    const result = await deleteTrainingGroupFunction({ id });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error deleting training group:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete training group'
+    };
+  }
+};
+
+/**
+ * Put a swimmer in a training group (admin only)
+ * @param userId - The swimmer's user ID
+ * @param groupId - The group ID, or null to remove the swimmer from their group
+ * @returns Promise with the response
+ */
+export const assignSwimmerToGroup = async (
+  userId: string,
+  groupId: string | null
+): Promise<TrainingGroupResponse> => {
+  try {
+    const assignSwimmerToGroupFunction = httpsCallable<any, TrainingGroupResponse>(
+      functions,
+      'assignSwimmerToGroup'
+    );
+
+    const result = await assignSwimmerToGroupFunction({ userId, groupId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error assigning swimmer to group:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to assign swimmer to group'
+    };
+  }
+};
+
+/**
+ * Make a user a coach of a set of training groups (admin only)
+ * @param user - The user, by ID or email
+ * @param groupIds - The groups they coach
+ * @returns Promise with the response
+ */
+export const assignCoach = async (
+  user: { userId?: string; email?: string },
+  groupIds: string[]
+): Promise<TrainingGroupResponse> => {
+  try {
+    const assignCoachFunction = httpsCallable<any, TrainingGroupResponse>(
+      functions,
+      'assignCoach'
+    );
+
+    const result = await assignCoachFunction({ ...user, groupIds });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error assigning coach:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to assign coach'
+    };
+  }
+};
+
+/**
+ * Add a coaching note for a swimmer (admin or their coach)
+ * @param userId - The swimmer's user ID
+ * @param text - The note
+ * @param eventId - The event the note is about (optional)
+ * @returns Promise with the response containing the note
+ */
+export const addSwimmerNote = async (
+  userId: string,
+  text: string,
+  eventId?: string
+): Promise<SwimmerNoteResponse> => {
+  try {
+    const addSwimmerNoteFunction = httpsCallable<any, SwimmerNoteResponse>(
+      functions,
+      'addSwimmerNote'
+    );
+
+    const result = await addSwimmerNoteFunction({ userId, text, eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error adding swimmer note:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to add note'
+    };
+  }
+};
+
+/**
+ * Get coaching notes for a swimmer, newest first
+ * @param userId - Another swimmer's user ID (admin or their coach, optional)
+ * @param eventId - Only return notes about this event (optional)
+ * @returns Promise with the response containing the notes
+ */
+export const getSwimmerNotes = async (
+  userId?: string,
+  eventId?: string
+): Promise<SwimmerNoteResponse> => {
+  try {
+    const getSwimmerNotesFunction = httpsCallable<any, SwimmerNoteResponse>(
+      functions,
+      'getSwimmerNotes'
+    );
+
+    const result = await getSwimmerNotesFunction({ userId, eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting swimmer notes:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get notes'
+    };
+  }
+};
+
+/**
+ * Delete a coaching note (admin or the note's author)
+ * @param userId - The swimmer's user ID
+ * @param noteId - The note ID
+ * @returns Promise with the response
+ */
+export const deleteSwimmerNote = async (
+  userId: string,
+  noteId: string
+): Promise<SwimmerNoteResponse> => {
+  try {
+    const deleteSwimmerNoteFunction = httpsCallable<any, SwimmerNoteResponse>(
+      functions,
+      'deleteSwimmerNote'
+    );
+
+    const result = await deleteSwimmerNoteFunction({ userId, noteId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error deleting swimmer note:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete note'
+    };
+  }
+};
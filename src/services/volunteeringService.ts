@@ -0,0 +1,414 @@
+/**
+ * Volunteering Service
+ * This file provides functions to interact with the Firebase Cloud Functions for
+ * volunteer shifts at meets and events and families' volunteer hours
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "@/lib/firebase";
+
+// Types
+export interface VolunteerShiftInput {
+  // Leave out for a new shift
+  id?: string;
+  role: string;
+  description: string;
+  startTime: string;
+  endTime: string;
+  slots: number;
+}
+
+export interface VolunteerSignup {
+  id: string;
+  eventId: string;
+  eventTitle: string;
+  shiftId: string;
+  role: string;
+  startTime: string;
+  endTime: string;
+  hours: number;
+  userId: string;
+  userName: string;
+  // Offered for swap; the volunteer keeps the shift until someone takes it
+  offered: boolean;
+  offeredAt: string | null;
+  noShow: boolean;
+  reminderSentAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ShiftVolunteer {
+  id: string;
+  userId: string;
+  userName: string;
+  offered: boolean;
+  noShow: boolean;
+}
+
+export interface VolunteerShift extends VolunteerShiftInput {
+  id: string;
+  hours: number;
+  filled: number;
+  open: number;
+  offered: number;
+  mySignup: VolunteerSignup | null;
+  // Only returned to admins
+  volunteers: ShiftVolunteer[];
+}
+
+export interface VolunteerEvent {
+  id: string;
+  title: string;
+  location: string;
+  startDate: string | null;
+  shifts: VolunteerShift[];
+}
+
+export interface FamilyHours {
+  id: string;
+  name: string;
+  swimmers: string[];
+  volunteers: string[];
+  shifts: number;
+  hours: number;
+  obligation: number;
+  remaining: number;
+}
+
+export interface VolunteerSeason {
+  start: string;
+  end: string;
+  label: string;
+}
+
+export interface VolunteerSettings {
+  // Hours each family owes per season
+  familyHours: number;
+}
+
+export interface VolunteeringResponse {
+  success: boolean;
+  event?: VolunteerEvent;
+  events?: VolunteerEvent[];
+  signup?: VolunteerSignup;
+  signups?: VolunteerSignup[];
+  family?: FamilyHours;
+  families?: FamilyHours[];
+  season?: VolunteerSeason;
+  familyHours?: number;
+  settings?: VolunteerSettings;
+  filename?: string;
+  content?: string;
+  count?: number;
+  message?: string;
+  error?: string;
+}
+
+/**
+ * Set the volunteer shifts of an event (admin only)
+ * @param eventId - The event ID
+ * @param shifts - The event's shifts; existing shifts keep their ID
+ * @returns Promise with the response containing the event and its shifts
+ */
+export const saveVolunteerShifts = async (
+  eventId: string,
+  shifts: VolunteerShiftInput[]
+): Promise<VolunteeringResponse> => {
+  try {
+    const saveVolunteerShiftsFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'saveVolunteerShifts'
+    );
+
+    const result = await saveVolunteerShiftsFunction({ eventId, shifts });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving volunteer shifts:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save volunteer shifts'
+    };
+  }
+};
+
+/**
+ * Get events' volunteer shifts and open slots
+ * @param eventId - One event (optional, defaults to every event with shifts to come)
+ * @returns Promise with the response containing the events
+ */
+export const getVolunteerShifts = async (
+  eventId?: string
+): Promise<VolunteeringResponse> => {
+  try {
+    const getVolunteerShiftsFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'getVolunteerShifts'
+    );
+
+    const result = await getVolunteerShiftsFunction({ eventId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting volunteer shifts:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get volunteer shifts'
+    };
+  }
+};
+
+/**
+ * Sign up for a volunteer shift
+ * @param eventId - The event ID
+ * @param shiftId - The shift ID
+ * @returns Promise with the response containing the sign-up
+ */
+export const signUpForVolunteerShift = async (
+  eventId: string,
+  shiftId: string
+): Promise<VolunteeringResponse> => {
+  try {
+    const signUpForVolunteerShiftFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'signUpForVolunteerShift'
+    );
+
+    const result = await signUpForVolunteerShiftFunction({ eventId, shiftId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error signing up for volunteer shift:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to sign up for volunteer shift'
+    };
+  }
+};
+
+/**
+ * Move a sign-up to another shift of the same event
+ * @param signupId - The sign-up ID
+ * @param shiftId - The shift to move to
+ * @returns Promise with the response containing the sign-up
+ */
+export const swapVolunteerShift = async (
+  signupId: string,
+  shiftId: string
+): Promise<VolunteeringResponse> => {
+  try {
+    const swapVolunteerShiftFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'swapVolunteerShift'
+    );
+
+    const result = await swapVolunteerShiftFunction({ signupId, shiftId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error swapping volunteer shift:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to swap volunteer shift'
+    };
+  }
+};
+
+/**
+ * Offer a shift for swap, or take the offer back
+ * @param signupId - The sign-up ID
+ * @param offered - Whether the shift is offered
+ * @returns Promise with the response containing the sign-up
+ */
+export const offerVolunteerShift = async (
+  signupId: string,
+  offered: boolean
+): Promise<VolunteeringResponse> => {
+  try {
+    const offerVolunteerShiftFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'offerVolunteerShift'
+    );
+
+    const result = await offerVolunteerShiftFunction({ signupId, offered });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error offering volunteer shift:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to offer volunteer shift'
+    };
+  }
+};
+
+/**
+ * Cancel a sign-up (your own, or anyone's for admins)
+ * @param signupId - The sign-up ID
+ * @returns Promise with the response
+ */
+export const cancelVolunteerSignup = async (
+  signupId: string
+): Promise<VolunteeringResponse> => {
+  try {
+    const cancelVolunteerSignupFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'cancelVolunteerSignup'
+    );
+
+    const result = await cancelVolunteerSignupFunction({ signupId });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error cancelling volunteer sign-up:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to cancel volunteer sign-up'
+    };
+  }
+};
+
+/**
+ * Mark a volunteer as a no-show, or undo it (admin only)
+ * @param signupId - The sign-up ID
+ * @param noShow - Whether the volunteer missed the shift
+ * @returns Promise with the response
+ */
+export const setVolunteerNoShow = async (
+  signupId: string,
+  noShow: boolean
+): Promise<VolunteeringResponse> => {
+  try {
+    const setVolunteerNoShowFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'setVolunteerNoShow'
+    );
+
+    const result = await setVolunteerNoShowFunction({ signupId, noShow });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error setting volunteer no-show:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to set volunteer no-show'
+    };
+  }
+};
+
+/**
+ * Get your shifts and your family's volunteer hours this season
+ * @returns Promise with the response containing the sign-ups and family hours
+ */
+export const getMyVolunteering = async (): Promise<VolunteeringResponse> => {
+  try {
+    const getMyVolunteeringFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'getMyVolunteering'
+    );
+
+    const result = await getMyVolunteeringFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting volunteering:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get volunteering'
+    };
+  }
+};
+
+/**
+ * Get every family's volunteer hours for a season (admin only)
+ * @param seasonStart - First day of the season, YYYY-MM-DD (optional)
+ * @param seasonEnd - Last day of the season, YYYY-MM-DD (optional)
+ * @returns Promise with the response containing the families
+ */
+export const getVolunteerHours = async (
+  seasonStart?: string,
+  seasonEnd?: string
+): Promise<VolunteeringResponse> => {
+  try {
+    const getVolunteerHoursFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'getVolunteerHours'
+    );
+
+    const result = await getVolunteerHoursFunction({ seasonStart, seasonEnd });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting volunteer hours:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get volunteer hours'
+    };
+  }
+};
+
+/**
+ * Export every family's volunteer hours for a season as CSV (admin only)
+ * @param seasonStart - First day of the season, YYYY-MM-DD (optional)
+ * @param seasonEnd - Last day of the season, YYYY-MM-DD (optional)
+ * @returns Promise with the response containing the file name and contents
+ */
+export const exportVolunteerHours = async (
+  seasonStart?: string,
+  seasonEnd?: string
+): Promise<VolunteeringResponse> => {
+  try {
+    const exportVolunteerHoursFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'exportVolunteerHours'
+    );
+
+    const result = await exportVolunteerHoursFunction({ seasonStart, seasonEnd });
+    return result.data;
+  } catch (error: any) {
+    console.error('Error exporting volunteer hours:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to export volunteer hours'
+    };
+  }
+};
+
+/**
+ * Get the club's volunteering settings
+ * @returns Promise with the response containing the settings
+ */
+export const getVolunteerSettings = async (): Promise<VolunteeringResponse> => {
+  try {
+    const getVolunteerSettingsFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'getVolunteerSettings'
+    );
+
+    const result = await getVolunteerSettingsFunction({});
+    return result.data;
+  } catch (error: any) {
+    console.error('Error getting volunteer settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get volunteer settings'
+    };
+  }
+};
+
+/**
+ * Save the club's volunteering settings (admin only)
+ * @param settings - The hours each family owes per season
+ * @returns Promise with the response containing the settings
+ */
+export const saveVolunteerSettings = async (
+  settings: VolunteerSettings
+): Promise<VolunteeringResponse> => {
+  try {
+    const saveVolunteerSettingsFunction = httpsCallable<any, VolunteeringResponse>(
+      functions,
+      'saveVolunteerSettings'
+    );
+
+    const result = await saveVolunteerSettingsFunction(settings);
+    return result.data;
+  } catch (error: any) {
+    console.error('Error saving volunteer settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save volunteer settings'
+    };
+  }
+};